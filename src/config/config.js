@@ -8,6 +8,9 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+// Cache TTL in ms from an environment variable (0 disables caching that sheet)
+const cacheTtl = (name, fallback) => Math.max(parseInt(process.env[name] ?? String(fallback), 10) || 0, 0);
+
 const config = {
   // Server configuration
   port: process.env.PORT || 3001,
@@ -15,8 +18,34 @@ const config = {
   
   // Google Sheets configuration
   googleSheetId: process.env.GOOGLE_SHEET_ID,
+  // Base URLs (override to point at the local fake server: npm run sheets:fake)
+  googleSheetsApiUrl: (process.env.GOOGLE_SHEETS_API_URL || 'https://sheets.googleapis.com').replace(/\/+$/, ''),
+  googleOAuthTokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
   googleServiceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
   googlePrivateKey: process.env.GOOGLE_PRIVATE_KEY,
+
+  // Sheets API calls: retries with jittered exponential backoff on 429/5xx and concurrent calls per spreadsheet
+  sheetsRequests: {
+    maxRetries: Math.max(parseInt(process.env.SHEETS_MAX_RETRIES || '4', 10) || 0, 0),
+    baseDelayMs: Math.max(parseInt(process.env.SHEETS_RETRY_BASE_DELAY_MS || '500', 10) || 0, 0),
+    maxDelayMs: Math.max(parseInt(process.env.SHEETS_RETRY_MAX_DELAY_MS || '16000', 10) || 0, 0),
+    concurrency: Math.max(parseInt(process.env.SHEETS_CONCURRENCY || '4', 10) || 1, 1)
+  },
+
+  // Read-through cache of whole-sheet reads, per user spreadsheet: 'memory' (this process), 'redis' (shared
+  // between server instances, needs the redis package and REDIS_URL) or 'none'. A TTL of 0 disables a sheet.
+  cache: {
+    backend: (process.env.CACHE_BACKEND || 'memory').toLowerCase(),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    ttlMs: {
+      Categories: cacheTtl('CACHE_TTL_CATEGORIES_MS', 60000),
+      Expenses: cacheTtl('CACHE_TTL_EXPENSES_MS', 30000),
+      FixedExpenses: cacheTtl('CACHE_TTL_FIXED_EXPENSES_MS', 120000),
+      Budget: cacheTtl('CACHE_TTL_BUDGET_MS', 120000),
+      Debts: cacheTtl('CACHE_TTL_DEBTS_MS', 60000),
+      CreditHistory: cacheTtl('CACHE_TTL_CREDIT_HISTORY_MS', 120000)
+    }
+  },
   
   // JWT configuration
   jwtSecret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
@@ -41,11 +70,39 @@ const config = {
   },
 
   // Docs
-  enableDocs: (process.env.ENABLE_DOCS || '').toLowerCase() === 'true'
+  enableDocs: (process.env.ENABLE_DOCS || '').toLowerCase() === 'true',
+
+  // Days after an expense date before a pending expense becomes overdue
+  overdueGraceDays: Math.max(parseInt(process.env.OVERDUE_GRACE_DAYS || '0', 10) || 0, 0),
+
+  // Background jobs (disabled unless SCHEDULER_ENABLED=true)
+  scheduler: {
+    enabled: (process.env.SCHEDULER_ENABLED || '').toLowerCase() === 'true',
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS || String(15 * 60 * 1000), 10),
+    // Day of month (and local hour) on which next month's fixed expenses are generated
+    fixedExpensesDay: Math.min(Math.max(parseInt(process.env.FIXED_EXPENSES_SCHEDULE_DAY || '25', 10) || 25, 1), 31),
+    fixedExpensesHour: Math.min(Math.max(parseInt(process.env.FIXED_EXPENSES_SCHEDULE_HOUR || '2', 10) || 0, 0), 23),
+    // Local hour from which the daily statements job accrues debts whose cutoff day has passed
+    statementsHour: Math.min(Math.max(parseInt(process.env.STATEMENTS_SCHEDULE_HOUR || '3', 10) || 0, 0), 23)
+  },
+
+  // Storage backend: 'sheets' (Google Sheets API) or 'json' (local JSON files, no network)
+  storageBackend: (process.env.STORAGE_BACKEND || 'sheets').toLowerCase(),
+  jsonStorageDir: process.env.JSON_STORAGE_DIR || path.join(__dirname, '../../data')
 };
 
-// Validate required configuration
-const requiredConfig = ['googleSheetId', 'googleServiceAccountEmail', 'googlePrivateKey'];
+if (!['sheets', 'json'].includes(config.storageBackend)) {
+  throw new Error(`Invalid STORAGE_BACKEND: ${config.storageBackend}. Expected 'sheets' or 'json'`);
+}
+
+if (!['memory', 'redis', 'none'].includes(config.cache.backend)) {
+  throw new Error(`Invalid CACHE_BACKEND: ${config.cache.backend}. Expected 'memory', 'redis' or 'none'`);
+}
+
+// Validate required configuration (Google credentials are only needed for the sheets backend)
+const requiredConfig = config.storageBackend === 'sheets'
+  ? ['googleSheetId', 'googleServiceAccountEmail', 'googlePrivateKey']
+  : [];
 const missingConfig = requiredConfig.filter(key => !config[key]);
 
 if (missingConfig.length > 0 && config.nodeEnv === 'production') {
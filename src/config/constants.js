@@ -6,9 +6,61 @@ export const EXPENSE_STATUSES = [
   'overdue'
 ];
 
+// Statuses that count as money spent (or about to be) in reports and budgets
+export const EXPENSE_SPEND_STATUSES = [
+  'paid',
+  'pending',
+  'overdue'
+];
+
+export const INCOME_TYPES = [
+  'salary',
+  'freelance',
+  'refund',
+  'other'
+];
+
+// expected: scheduled (e.g. generated from a recurring income), received: money in the account
+export const INCOME_STATUSES = [
+  'expected',
+  'received'
+];
+
 export const EXPENSE_ENTRY_TYPES = [
   'charge',
   'payment'
 ];
 
+// Order in which a payoff plan sends the money left after minimum payments:
+// avalanche = highest interest rate first, snowball = smallest balance first, custom = order given by the user
+export const PAYOFF_STRATEGIES = [
+  'avalanche',
+  'snowball',
+  'custom'
+];
+
+
+// Sign of money going out in the amount column of a bank CSV import profile
+export const IMPORT_SIGN_CONVENTIONS = [
+  'negative_is_expense',
+  'positive_is_expense'
+];
+
+// Order of day and month in the slash dates of a bank CSV (ISO dates are always accepted)
+export const IMPORT_DATE_FORMATS = [
+  'DD/MM/YYYY',
+  'MM/DD/YYYY'
+];
 
+// Sheets GET /api/snapshot can return, by response key (all of them unless include= narrows it)
+export const SNAPSHOT_SECTIONS = [
+  'categories',
+  'expenses',
+  'fixedExpenses',
+  'budget',
+  'debts',
+  'creditHistory',
+  'incomes',
+  'recurringIncomes',
+  'installmentPurchases'
+];
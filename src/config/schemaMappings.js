@@ -12,7 +12,10 @@ const categories = {
   tipo: 'type',
   parentid: 'parentId',
   padreid: 'parentId',
-  parent: 'parentId'
+  parent: 'parentId',
+  color: 'color',
+  icon: 'icon',
+  icono: 'icon'
 };
 
 const expenses = {
@@ -77,7 +80,14 @@ const budget = {
   mes: 'month',
   month: 'month',
   monto: 'amount',
-  amount: 'amount'
+  amount: 'amount',
+  categoria: 'categoryId',
+  categoriaid: 'categoryId',
+  category: 'categoryId',
+  categoryid: 'categoryId',
+  rollover: 'rollover',
+  arrastre: 'rollover',
+  recurrente: 'rollover'
 };
 
 const debts = {
@@ -156,13 +166,112 @@ const creditHistory = {
   paymentMade: 'paymentMade'
 };
 
+const incomes = {
+  id: 'id',
+  fecha: 'date',
+  date: 'date',
+  descripcion: 'description',
+  description: 'description',
+  monto: 'amount',
+  amount: 'amount',
+  tipo: 'type',
+  type: 'type',
+  ingresorecurrenteid: 'recurringIncomeId',
+  recurringincomeid: 'recurringIncomeId',
+  estado: 'status',
+  estatus: 'status',
+  status: 'status'
+};
+
+const recurringIncomes = {
+  id: 'id',
+  nombre: 'name',
+  name: 'name',
+  monto: 'amount',
+  amount: 'amount',
+  tipo: 'type',
+  type: 'type',
+  dia: 'dayOfMonth',
+  diadelmes: 'dayOfMonth',
+  dayofmonth: 'dayOfMonth',
+  activo: 'active',
+  active: 'active'
+};
+
+const debtLedger = {
+  id: 'id',
+  debtid: 'debtId',
+  deudaid: 'debtId',
+  timestamp: 'timestamp',
+  fecha: 'timestamp',
+  oldbalance: 'oldBalance',
+  saldoanterior: 'oldBalance',
+  delta: 'delta',
+  newbalance: 'newBalance',
+  saldonuevo: 'newBalance',
+  cause: 'cause',
+  causa: 'cause',
+  expenseid: 'expenseId',
+  gastoid: 'expenseId'
+};
+
+const installmentPurchases = {
+  id: 'id',
+  debtid: 'debtId',
+  deudaid: 'debtId',
+  tarjetaid: 'debtId',
+  description: 'description',
+  descripcion: 'description',
+  purchasedate: 'purchaseDate',
+  fechacompra: 'purchaseDate',
+  totalamount: 'totalAmount',
+  montototal: 'totalAmount',
+  months: 'months',
+  meses: 'months',
+  annualrate: 'annualRate',
+  tasaanual: 'annualRate',
+  startstatement: 'startStatement',
+  primercorte: 'startStatement'
+};
+
+const importProfiles = {
+  id: 'id',
+  name: 'name',
+  nombre: 'name',
+  datecolumn: 'dateColumn',
+  columnafecha: 'dateColumn',
+  descriptioncolumn: 'descriptionColumn',
+  columnadescripcion: 'descriptionColumn',
+  amountcolumn: 'amountColumn',
+  columnamonto: 'amountColumn',
+  debitcolumn: 'debitColumn',
+  columnacargo: 'debitColumn',
+  creditcolumn: 'creditColumn',
+  columnaabono: 'creditColumn',
+  dateformat: 'dateFormat',
+  formatofecha: 'dateFormat',
+  decimalseparator: 'decimalSeparator',
+  separadordecimal: 'decimalSeparator',
+  signconvention: 'signConvention',
+  convenciondesigno: 'signConvention',
+  delimiter: 'delimiter',
+  delimitador: 'delimiter',
+  defaultcategoryid: 'defaultCategoryId',
+  categoriapredeterminada: 'defaultCategoryId'
+};
+
 export default {
   Categories: categories,
   Expenses: expenses,
   FixedExpenses: fixedExpenses,
   Budget: budget,
   Debts: debts,
-  CreditHistory: creditHistory
+  CreditHistory: creditHistory,
+  Incomes: incomes,
+  RecurringIncomes: recurringIncomes,
+  DebtLedger: debtLedger,
+  InstallmentPurchases: installmentPurchases,
+  ImportProfiles: importProfiles
 };
 
 
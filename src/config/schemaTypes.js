@@ -33,7 +33,9 @@ const FixedExpenses = {
 
 const Budget = {
   month: 'date', // YYYY-MM
-  amount: 'number'
+  amount: 'number',
+  categoryId: 'number', // empty = whole month budget
+  rollover: 'boolean' // keeps applying to later months until overridden
 };
 
 const Debts = {
@@ -50,12 +52,73 @@ const Debts = {
   active: 'boolean'
 };
 
+const Incomes = {
+  id: 'string',
+  date: 'date',
+  description: 'string',
+  amount: 'number',
+  type: 'string',
+  recurringIncomeId: 'string',
+  status: 'string'
+};
+
+const RecurringIncomes = {
+  id: 'string',
+  name: 'string',
+  amount: 'number',
+  type: 'string',
+  dayOfMonth: 'number',
+  active: 'boolean'
+};
+
+const DebtLedger = {
+  id: 'string',
+  debtId: 'string',
+  timestamp: 'string',
+  oldBalance: 'number',
+  delta: 'number',
+  newBalance: 'number',
+  cause: 'string',
+  expenseId: 'string'
+};
+
+const InstallmentPurchases = {
+  id: 'string',
+  debtId: 'string',
+  description: 'string',
+  purchaseDate: 'date',
+  totalAmount: 'number',
+  months: 'number',
+  annualRate: 'number',
+  startStatement: 'string'
+};
+
+const ImportProfiles = {
+  id: 'string',
+  name: 'string',
+  dateColumn: 'string',
+  descriptionColumn: 'string',
+  amountColumn: 'string',
+  debitColumn: 'string',
+  creditColumn: 'string',
+  dateFormat: 'string',
+  decimalSeparator: 'string',
+  signConvention: 'string',
+  delimiter: 'string',
+  defaultCategoryId: 'number'
+};
+
 export default {
   Categories,
   Expenses,
   FixedExpenses,
   Budget,
   Debts,
+  Incomes,
+  RecurringIncomes,
+  DebtLedger,
+  InstallmentPurchases,
+  ImportProfiles,
   CreditHistory: {
     debtId: 'string',
     statementDate: 'date',
@@ -160,8 +160,8 @@ export const updateSheetId = async (req, res, next) => {
       }
     }
 
-    const UserSheetService = (await import('../services/userSheetService.js')).default;
-    const userSheetService = new UserSheetService();
+    const { createUserService } = await import('../services/userServiceFactory.js');
+    const userSheetService = createUserService();
 
     await userSheetService.updateUserSheetId(req.user.googleId, sheetId);
 
@@ -225,8 +225,8 @@ export const listUserSheets = async (req, res, next) => {
           accessToken = await authService.refreshAccessToken(req.user.refreshToken);
           
           // Update user's access token in database
-          const UserSheetService = (await import('../services/userSheetService.js')).default;
-          const userSheetService = new UserSheetService();
+          const { createUserService } = await import('../services/userServiceFactory.js');
+          const userSheetService = createUserService();
           await userSheetService.updateUserTokens(req.user.googleId, accessToken, req.user.refreshToken);
           
           // Try again with refreshed token
@@ -290,8 +290,8 @@ export const validateSheet = async (req, res, next) => {
           const newToken = await authService.refreshAccessToken(req.user.refreshToken);
           
           // Update user's access token in database
-          const UserSheetService = (await import('../services/userSheetService.js')).default;
-          const userSheetService = new UserSheetService();
+          const { createUserService } = await import('../services/userServiceFactory.js');
+          const userSheetService = createUserService();
           await userSheetService.updateUserTokens(req.user.googleId, newToken, req.user.refreshToken);
           
           // Retry with new token
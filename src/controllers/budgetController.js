@@ -1,13 +1,29 @@
 ﻿import logger from '../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import { buildBudgetVsActual } from '../utils/budget.js';
 
 /**
  * Get budget
+ * Without month: every budget row. With ?month=YYYY-MM: budget vs actual per category for that month.
  */
 export const getBudget = async (req, res, next) => {
   try {
-    logger.info('GET /api/budget - Fetching budget', { userId: req.user?.id });
+    const { month } = req.query;
+    logger.info('GET /api/budget - Fetching budget', { userId: req.user?.id, month });
     
+    if (month) {
+      const [budget, expenses, categories] = await Promise.all([
+        req.sheetsService.getBudgetObjects(),
+        req.sheetsService.getExpensesObjects(),
+        req.sheetsService.getCategories()
+      ]);
+
+      return res.json({
+        success: true,
+        data: buildBudgetVsActual({ month, budget, expenses, categories })
+      });
+    }
+
     const rows = await req.sheetsService.getBudgetObjects();
 
     res.json({
@@ -26,12 +42,12 @@ export const getBudget = async (req, res, next) => {
  */
 export const updateBudget = async (req, res, next) => {
   try {
-    const { month, amount } = req.body;
+    const { month, amount, categoryId, rollover } = req.body;
     
-    logger.info('PUT /api/budget - Updating budget', { month, amount });
+    logger.info('PUT /api/budget - Updating budget', { month, amount, categoryId, rollover });
 
-    // Validate required fields
-    if (!month || !amount) {
+    // Validate required fields (amount 0 is valid, e.g. to stop a rolled over budget)
+    if (!month || amount === undefined || amount === null || amount === '') {
       throw new ApiError(400, 'Missing required fields: month, amount');
     }
 
@@ -47,12 +63,14 @@ export const updateBudget = async (req, res, next) => {
 
     const budget = {
       month,
-      amount: parseFloat(amount)
+      amount: parseFloat(amount),
+      categoryId: categoryId === undefined || categoryId === null || categoryId === '' ? null : parseInt(categoryId),
+      rollover: rollover === true || String(rollover).toLowerCase() === 'true'
     };
 
     const result = await req.sheetsService.updateBudget(budget);
     
-    logger.info('Budget updated successfully', { month, amount });
+    logger.info('Budget updated successfully', { month, amount, categoryId: budget.categoryId });
     
     res.json({
       success: true,
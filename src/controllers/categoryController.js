@@ -85,10 +85,11 @@ export const updateCategory = async (req, res, next) => {
       throw new ApiError(400, 'At least one field must be provided for update');
     }
     
-    const result = await req.sheetsService.updateCategory(id, updateData);
+    const result = await req.sheetsService.updateCategory(id, updateData, { ifMatch: req.get('If-Match') });
     
     logger.info('Category updated successfully', { id, name: result.name });
     
+    res.set('ETag', result.etag);
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -118,7 +119,7 @@ export const deleteCategory = async (req, res, next) => {
       throw new ApiError(400, 'Valid category ID is required');
     }
     
-    const result = await req.sheetsService.deleteCategory(id);
+    const result = await req.sheetsService.deleteCategory(id, { ifMatch: req.get('If-Match') });
     
     logger.info('Category deleted successfully', { id });
     
@@ -1,27 +1,18 @@
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
-import { buildDebtSummary, monthlyRateFromAnnualEffective, interestForMonth, nextDateForDayOfMonth, formatResponseTwoDecimals } from '../utils/finance.js';
+import { buildDebtSummary, monthlyRateFromAnnualEffective, nextDateForDayOfMonth, formatResponseTwoDecimals } from '../utils/finance.js';
 import { calculateStatement, normalizeAnnualRateToUnit, resolvePeriodBounds, buildEvents, sumPayments as sumPaymentsCalc, sumCharges as sumChargesCalc, computeSpdInterests, computeInterestCarryOver } from '../utils/creditStatementCalculator.js';
 import { daysBetweenDates } from '../utils/finance.js';
-
-/**
- * Parse date string safely avoiding timezone issues
- * Handles '2025-09-12' format by parsing components directly
- */
-function parseDateString(dateStr) {
-  // Try YYYY-MM-DD format first
-  const parts = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (parts) {
-    const year = parseInt(parts[1], 10);
-    const month = parseInt(parts[2], 10) - 1; // Month is 0-indexed
-    const day = parseInt(parts[3], 10);
-    return new Date(year, month, day);
-  }
-  
-  // Fallback to standard Date parsing
-  return new Date(dateStr);
-}
+import { accrueDebtStatement, reconcileDebtBalance, parseDateString, loadDebt } from '../services/debtStatementService.js';
+import JobRunService from '../services/jobRunService.js';
+import { DEBT_STATEMENTS_JOB } from '../jobs/debtStatementsJob.js';
+import { latestMonthlyDate, monthOf, addMonths } from '../utils/schedule.js';
+import { buildPayoffPlan } from '../utils/payoffPlanner.js';
+import { buildStatementHistory } from '../utils/statementHistory.js';
+import { installmentsDueForStatement, firstStatementMonth, installmentSchedule, purchaseStatus, obligationsByDebt } from '../utils/installmentPurchases.js';
+import { parseStatement, matchStatementLines } from '../utils/statementImport.js';
+import { MAX_INSTALLMENT_MONTHS, annuityPayment, solveMonths, monthsBetween, parseExtraPayments, buildAmortizationSchedule, compareSchedules } from '../utils/amortization.js';
 
 /**
  * Get all debts
@@ -110,14 +101,15 @@ export const updateDebt = async (req, res, next) => {
       brand: brand !== undefined ? String(brand).trim() : undefined
     };
 
-    const result = await req.sheetsService.updateDebt(debt);
+    const result = await req.sheetsService.updateDebt(debt, { ifMatch: req.get('If-Match') });
 
     logger.info('Debt updated successfully', { debtId: debt.id });
 
+    res.set('ETag', result.etag);
     res.json({
       success: true,
       message: 'Debt updated successfully',
-      data: debt,
+      data: { ...debt, etag: result.etag },
       result
     });
   } catch (error) {
@@ -138,7 +130,7 @@ export const deleteDebt = async (req, res, next) => {
       throw new ApiError(400, 'Missing required field: id');
     }
 
-    const result = await req.sheetsService.deleteDebt(String(id));
+    const result = await req.sheetsService.deleteDebt(String(id), { ifMatch: req.get('If-Match') });
 
     res.json({
       success: true,
@@ -152,6 +144,23 @@ export const deleteDebt = async (req, res, next) => {
   }
 };
 
+/**
+ * Debt fields used by buildDebtSummary; empty cells are left out of the response
+ */
+const toSummaryDebt = (debt) => ({
+  id: debt.id,
+  name: debt.name,
+  issuer: debt.issuer ?? undefined,
+  creditLimit: debt.creditLimit ?? undefined,
+  balance: debt.balance ?? undefined,
+  dueDay: debt.dueDay ?? undefined,
+  cutOffDay: debt.cutOffDay ?? undefined,
+  maskPan: debt.maskPan || undefined,
+  interesEfectivo: debt.interesEfectivo ?? undefined,
+  brand: debt.brand || undefined,
+  active: debt.active === true
+});
+
 /**
  * Get summary for a single debt by id
  */
@@ -164,28 +173,7 @@ export const getDebtSummary = async (req, res, next) => {
       throw new ApiError(400, 'Missing required field: id');
     }
 
-    const rows = await req.sheetsService.getDebts();
-    const header = rows[0] || [];
-    const idx = {
-      id: 0, name: 1, issuer: 2, creditLimit: 3, balance: 4, dueDay: 5, cutOffDay: 6, maskPan: 7, interesEfectivo: 8, brand: 9, active: 10
-    };
-    const row = rows.slice(1).find(r => String(r[idx.id]) === String(id));
-    if (!row) {
-      throw new ApiError(404, 'Debt not found');
-    }
-    const debt = {
-      id: row[idx.id],
-      name: row[idx.name],
-      issuer: row[idx.issuer],
-      creditLimit: row[idx.creditLimit] ? parseFloat(row[idx.creditLimit]) : undefined,
-      balance: row[idx.balance] ? parseFloat(row[idx.balance]) : undefined,
-      dueDay: row[idx.dueDay] ? parseInt(row[idx.dueDay], 10) : undefined,
-      cutOffDay: row[idx.cutOffDay] ? parseInt(row[idx.cutOffDay], 10) : undefined,
-      maskPan: row[idx.maskPan] || undefined,
-      interesEfectivo: row[idx.interesEfectivo] ? parseFloat(row[idx.interesEfectivo]) : undefined,
-      brand: row[idx.brand] || undefined,
-      active: row[idx.active] === 'TRUE'
-    };
+    const debt = toSummaryDebt(await loadDebt(req.sheetsService, id));
 
     const summary = buildDebtSummary(debt);
     res.json({ success: true, data: { debt, summary } });
@@ -201,22 +189,9 @@ export const getDebtSummary = async (req, res, next) => {
 export const getDebtsSummary = async (req, res, next) => {
   try {
     logger.info('GET /api/debts/summary - Building debts summaries');
-    const rows = await req.sheetsService.getDebts();
-    const idx = { id: 0, name: 1, issuer: 2, creditLimit: 3, balance: 4, dueDay: 5, cutOffDay: 6, maskPan: 7, interesEfectivo: 8, brand: 9, active: 10 };
-    const items = rows.slice(1).map(r => {
-      const debt = {
-        id: r[idx.id],
-        name: r[idx.name],
-        issuer: r[idx.issuer],
-        creditLimit: r[idx.creditLimit] ? parseFloat(r[idx.creditLimit]) : undefined,
-        balance: r[idx.balance] ? parseFloat(r[idx.balance]) : undefined,
-        dueDay: r[idx.dueDay] ? parseInt(r[idx.dueDay], 10) : undefined,
-        cutOffDay: r[idx.cutOffDay] ? parseInt(r[idx.cutOffDay], 10) : undefined,
-        maskPan: r[idx.maskPan] || undefined,
-        interesEfectivo: r[idx.interesEfectivo] ? parseFloat(r[idx.interesEfectivo]) : undefined,
-        brand: r[idx.brand] || undefined,
-        active: r[idx.active] === 'TRUE'
-      };
+    const debts = await req.sheetsService.getDebtsObjects();
+    const items = debts.map(d => {
+      const debt = toSummaryDebt(d);
       return { debt, summary: buildDebtSummary(debt) };
     });
     res.json({ success: true, count: items.length, data: items });
@@ -227,338 +202,315 @@ export const getDebtsSummary = async (req, res, next) => {
 };
 
 /**
- * Get installments plan for a debt (id) over N months
- * Query: months (1-120), start (YYYY-MM-DD optional; defaults to next due date or today)
+ * Get installments plan for a debt (id) plus an optional what-if scenario with extra payments
+ * Query: exactly one of months (1-120), targetDate (YYYY-MM, solves the payment) or targetPayment (solves the months);
+ * start (YYYY-MM-DD optional; defaults to next due date or today); extraPayments (YYYY-MM:amount, comma separated)
+ * and recurringExtra (extra paid every month). The top-level plan is the baseline; with extras, `scenario` holds the
+ * schedule with them and the interest and months saved.
  */
 export const getDebtInstallments = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const months = parseInt(req.query.months, 10);
-    const startStr = req.query.start;
+    const { start: startStr, targetDate } = req.query;
+    const months = req.query.months !== undefined ? parseInt(req.query.months, 10) : undefined;
+    const targetPayment = req.query.targetPayment !== undefined ? parseFloat(req.query.targetPayment) : undefined;
+    const recurringExtra = req.query.recurringExtra !== undefined ? parseFloat(req.query.recurringExtra) : 0;
+    let extraPayments;
+    try {
+      extraPayments = parseExtraPayments(req.query.extraPayments);
+    } catch (parseError) {
+      throw new ApiError(400, parseError.message);
+    }
 
-    logger.info('GET /api/debts/:id/installments - Calculating installments', { id, months, startStr });
+    logger.info('GET /api/debts/:id/installments - Calculating installments', { id, months, startStr, targetDate, targetPayment, extraPayments: extraPayments.length, recurringExtra });
 
-    if (!id || !Number.isFinite(months) || months <= 0) {
+    if (!id || [months, targetDate, targetPayment].filter(v => v !== undefined).length !== 1) {
       throw new ApiError(400, 'Invalid parameters');
     }
 
-    // Load debt rows and find the specific debt
-    const rows = await req.sheetsService.getDebts();
-    const idx = { id: 0, name: 1, issuer: 2, creditLimit: 3, balance: 4, dueDay: 5, cutOffDay: 6, maskPan: 7, interesEfectivo: 8, brand: 9, active: 10 };
-    const row = rows.slice(1).find(r => String(r[idx.id]) === String(id));
-    if (!row) {
-      throw new ApiError(404, 'Debt not found');
-    }
+    // Load the specific debt
+    const found = await loadDebt(req.sheetsService, id);
     const debt = {
-      id: row[idx.id],
-      name: row[idx.name],
-      issuer: row[idx.issuer],
-      creditLimit: row[idx.creditLimit] ? parseFloat(row[idx.creditLimit]) : 0,
-      balance: row[idx.balance] ? parseFloat(row[idx.balance]) : 0,
-      dueDay: row[idx.dueDay] ? parseInt(row[idx.dueDay], 10) : null,
-      cutOffDay: row[idx.cutOffDay] ? parseInt(row[idx.cutOffDay], 10) : null,
-      interesEfectivo: row[idx.interesEfectivo] ? parseFloat(row[idx.interesEfectivo]) : null,
-      brand: row[idx.brand] || undefined,
-      active: row[idx.active] === 'TRUE'
+      id: found.id,
+      name: found.name,
+      issuer: found.issuer ?? undefined,
+      creditLimit: found.creditLimit ?? 0,
+      balance: found.balance ?? 0,
+      dueDay: found.dueDay ?? null,
+      cutOffDay: found.cutOffDay ?? null,
+      interesEfectivo: found.interesEfectivo ?? null,
+      brand: found.brand ?? undefined,
+      active: found.active === true
     };
 
     const monthlyRate = debt.interesEfectivo !== null ? monthlyRateFromAnnualEffective(debt.interesEfectivo) : 0;
     const startDate = startStr ? new Date(startStr) : (debt.dueDay ? nextDateForDayOfMonth(debt.dueDay, new Date()) : new Date());
-
-    // Amortization: equal payments over N months (if rate>0 uses standard annuity formula)
     const principal = Math.max(0, debt.balance);
+
+    // Level payment over N months, or solve for whichever of payment / months was not given
     let payment;
-    if (monthlyRate > 0) {
-      const r = monthlyRate;
-      const n = months;
-      payment = principal * (r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1);
+    let planMonths;
+    let solvedFor = null;
+    if (targetPayment !== undefined) {
+      payment = targetPayment;
+      planMonths = solveMonths(principal, monthlyRate, payment);
+      if (planMonths === null) {
+        throw new ApiError(400, 'targetPayment does not cover the monthly interest of the debt');
+      }
+      if (planMonths > MAX_INSTALLMENT_MONTHS) {
+        throw new ApiError(400, `targetPayment would take more than ${MAX_INSTALLMENT_MONTHS} months to pay off the debt`);
+      }
+      solvedFor = 'months';
     } else {
-      payment = months > 0 ? (principal / months) : principal;
+      planMonths = months;
+      if (targetDate !== undefined) {
+        planMonths = monthsBetween(monthOf(startDate), targetDate.slice(0, 7));
+        if (planMonths < 1 || planMonths > MAX_INSTALLMENT_MONTHS) {
+          throw new ApiError(400, `targetDate must be within ${MAX_INSTALLMENT_MONTHS} months from the first installment (${monthOf(startDate)})`);
+        }
+        solvedFor = 'payment';
+      }
+      payment = annuityPayment(principal, monthlyRate, planMonths);
     }
 
-    const schedule = [];
-    let remaining = principal;
-    const baseYear = startDate.getFullYear();
-    const baseMonth = startDate.getMonth();
-    const targetDay = startDate.getDate();
-    for (let i = 0; i < months; i++) {
-      const y = baseYear;
-      const m = baseMonth + i;
-      const daysInMonth = new Date(y, m + 1, 0).getDate();
-      const day = Math.min(targetDay, daysInMonth);
-      const date = new Date(y, m, day);
-      const interest = interestForMonth(remaining, monthlyRate);
-      let principalPart = payment - interest;
-      if (principalPart < 0) principalPart = 0;
-      if (principalPart > remaining) {
-        principalPart = remaining;
-      }
-      remaining = Math.max(0, remaining - principalPart);
-      schedule.push({
-        period: i + 1,
-        date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`,
-        payment: Number(payment.toFixed(2)),
-        interest: Number(interest.toFixed(2)),
-        principal: Number(principalPart.toFixed(2)),
-        remainingBalance: Number(remaining.toFixed(2))
-      });
-      if (remaining <= 0) break;
+    const plan = { principal, monthlyRate, payment, months: planMonths, startDate };
+    const baseline = buildAmortizationSchedule(plan);
+
+    const data = {
+      debt: { id: debt.id, name: debt.name, issuer: debt.issuer, balance: principal, interesEfectivo: debt.interesEfectivo },
+      monthlyRate,
+      solvedFor,
+      payment: Number(payment.toFixed(2)),
+      months: baseline.months,
+      payoffDate: baseline.payoffDate,
+      schedule: baseline.schedule,
+      totals: baseline.totals
+    };
+
+    if (extraPayments.length > 0 || recurringExtra > 0) {
+      const scenario = buildAmortizationSchedule({ ...plan, extraPayments, recurringExtra });
+      const scheduledMonths = new Set(scenario.schedule.map(s => s.date.slice(0, 7)));
+      data.scenario = {
+        extraPayments,
+        recurringExtra,
+        // Extras dated before the first installment or after the debt is paid off
+        ignoredExtraPayments: extraPayments.filter(e => !scheduledMonths.has(e.month)),
+        months: scenario.months,
+        payoffDate: scenario.payoffDate,
+        schedule: scenario.schedule,
+        totals: scenario.totals,
+        savings: compareSchedules(baseline, scenario)
+      };
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    logger.error('Error in getDebtInstallments controller', { params: req.params, query: req.query, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/debts/payoff-plan
+ * Simulate paying off every active debt with a monthly budget, month by month.
+ * Body: monthlyBudget, strategy (avalanche|snowball|custom), order (debt ids, custom only), startMonth (YYYY-MM,
+ * defaults to next month). Returns the plan of the chosen strategy and a comparison with the others.
+ */
+export const planDebtPayoff = async (req, res, next) => {
+  try {
+    const monthlyBudget = parseFloat(req.body.monthlyBudget);
+    const strategy = req.body.strategy || 'avalanche';
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const startMonth = req.body.startMonth || addMonths(monthOf(), 1);
+    logger.info('POST /api/debts/payoff-plan - Start', { monthlyBudget, strategy, startMonth });
+
+    const debts = (await req.sheetsService.getDebtsObjects())
+      .filter(d => d.active === true && Number(d.balance) > 0);
+
+    const unknown = order.filter(id => !debts.some(d => String(d.id) === id));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `order contains debts that are not active or have no balance: ${unknown.join(', ')}`);
     }
 
-    const totals = schedule.reduce((acc, s) => {
-      acc.totalPaid += s.payment;
-      acc.totalInterest += s.interest;
-      acc.totalPrincipal += s.principal;
-      return acc;
-    }, { totalPaid: 0, totalInterest: 0, totalPrincipal: 0 });
+    let result;
+    try {
+      result = buildPayoffPlan(debts, { monthlyBudget, strategy, order, startMonth });
+    } catch (error) {
+      if (error.code === 'BUDGET_TOO_LOW') {
+        throw new ApiError(400, `monthlyBudget must cover the minimum payments (${error.minimumPayment})`);
+      }
+      throw error;
+    }
 
     res.json({
       success: true,
       data: {
-        debt: { id: debt.id, name: debt.name, issuer: debt.issuer, balance: principal, interesEfectivo: debt.interesEfectivo },
-        monthlyRate,
-        payment: Number(payment.toFixed(2)),
-        months: schedule.length,
-        schedule,
-        totals: {
-          totalPaid: Number(totals.totalPaid.toFixed(2)),
-          totalInterest: Number(totals.totalInterest.toFixed(2)),
-          totalPrincipal: Number(totals.totalPrincipal.toFixed(2))
-        }
+        monthlyBudget,
+        startMonth,
+        ...result.plan,
+        comparison: result.comparison
       }
     });
   } catch (error) {
-    logger.error('Error in getDebtInstallments controller', { params: req.params, query: req.query, error: error.message });
+    logger.error('Error in planDebtPayoff controller', { body: req.body, error: error.message });
     next(error);
   }
 };
 
 /**
- * POST /api/debts/:id/accrue?period=YYYY-MM|date=YYYY-MM-DD&recompute=true|false
- * Calculate and record one cycle in CreditHistory and add interest to Debts.balance
+ * GET /api/debts/statements/status
+ * Per debt: latest recorded statement, the statement due by its cutoff day and the last scheduled run
  */
-export const accrueDebt = async (req, res, next) => {
+export const getDebtStatementsStatus = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const recompute = String(req.query.recompute || 'false').toLowerCase() === 'true';
-    const dateParam = req.query.date;
-    const periodParam = req.query.period;
-    const baseDate = dateParam ? new Date(dateParam) : new Date();
-
-    logger.info('POST /api/debts/:id/accrue - Start', { id, dateParam, periodParam, recompute });
+    logger.info('GET /api/debts/statements/status - Start', { userId: req.user?.id });
+
+    const [debts, history, runs] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getCreditHistoryObjects(),
+      new JobRunService(req.sheetsService).listRuns({ job: DEBT_STATEMENTS_JOB })
+    ]);
+
+    const now = new Date();
+    const data = debts.map((debt) => {
+      const statementDates = history
+        .filter(h => String(h.debtId) === String(debt.id) && h.statementDate)
+        .map(h => String(h.statementDate))
+        .sort();
+      const dueStatementDate = debt.active && Number.isFinite(debt.cutOffDay) ? latestMonthlyDate(debt.cutOffDay, now) : null;
+      // runs are newest first
+      const lastRun = runs.find(r => String(r.target) === String(debt.id)) || null;
+
+      return {
+        debtId: debt.id,
+        name: debt.name,
+        active: Boolean(debt.active),
+        cutOffDay: Number.isFinite(debt.cutOffDay) ? debt.cutOffDay : null,
+        lastStatementDate: statementDates.length ? statementDates[statementDates.length - 1] : null,
+        dueStatementDate,
+        upToDate: !dueStatementDate || statementDates.includes(dueStatementDate),
+        lastRun: lastRun
+          ? { runId: lastRun.runId, runKey: lastRun.runKey, status: lastRun.status, message: lastRun.message, finishedAt: lastRun.finishedAt }
+          : null
+      };
+    });
 
-    // 1) Load debt
-    const rows = await req.sheetsService.getDebts();
-    const idx = { id: 0, name: 1, issuer: 2, creditLimit: 3, balance: 4, dueDay: 5, cutOffDay: 6, maskPan: 7, interesEfectivo: 8, brand: 9, active: 10 };
-    const row = rows.slice(1).find(r => String(r[idx.id]) === String(id));
-    if (!row) throw new ApiError(404, 'Debt not found');
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    logger.error('Error in getDebtStatementsStatus controller', { error: error.message });
+    next(error);
+  }
+};
 
-    const debt = {
-      id: row[idx.id],
-      name: row[idx.name],
-      balance: row[idx.balance] ? parseFloat(row[idx.balance]) : 0,
-      dueDay: row[idx.dueDay] ? parseInt(row[idx.dueDay], 10) : null,
-      cutOffDay: row[idx.cutOffDay] ? parseInt(row[idx.cutOffDay], 10) : null,
-      interesEfectivo: row[idx.interesEfectivo] ? parseFloat(row[idx.interesEfectivo]) : 0,
-      active: row[idx.active] === 'TRUE'
-    };
-    if (!debt.active) {
-      return res.status(200).json({ success: true, skipped: true, reason: 'Debt is inactive' });
+/**
+ * GET /api/debts/:id/statements?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * CreditHistory statements of a debt, oldest first, with interest, payment and utilization metrics per period
+ */
+export const getDebtStatements = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    logger.info('GET /api/debts/:id/statements - Start', { id, from, to });
+
+    const [debts, history, expenses] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getCreditHistoryObjects(),
+      req.sheetsService.getExpensesObjects()
+    ]);
+    const debt = debts.find(d => String(d.id) === String(id));
+    if (!debt) {
+      throw new ApiError(404, 'Debt not found');
     }
 
-    // 2) Resolve statementDate and dueDate
-    const dayClamp = (y, m, d) => Math.min(Math.max(1, d), new Date(y, m + 1, 0).getDate());
-    const dateOnly = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
-    const base = dateOnly(baseDate);
-
-    let statementDate;
-    if (periodParam && /^\d{4}-\d{2}$/.test(String(periodParam))) {
-      const [yStr, mStr] = String(periodParam).split('-');
-      const y = parseInt(yStr, 10);
-      const m = parseInt(mStr, 10) - 1; // 0-based
-      if (!Number.isFinite(y) || !Number.isFinite(m) || m < 0 || m > 11) {
-        throw new ApiError(400, 'Invalid period format. Expected YYYY-MM');
-      }
-      if (Number.isFinite(debt.cutOffDay)) {
-        statementDate = new Date(y, m, dayClamp(y, m, debt.cutOffDay));
-      } else {
-        // No cutOffDay: use last day of that month
-        statementDate = new Date(y, m + 1, 0);
-      }
-    } else {
-      if (Number.isFinite(debt.cutOffDay)) {
-        // If base date is not on cutoff, use the latest cutoff on or before base
-        const currentMonthCut = new Date(base.getFullYear(), base.getMonth(), dayClamp(base.getFullYear(), base.getMonth(), debt.cutOffDay));
-        if (base.getDate() >= currentMonthCut.getDate()) {
-          statementDate = currentMonthCut;
-        } else {
-          const prevMonth = new Date(base.getFullYear(), base.getMonth() - 1, 1);
-          statementDate = new Date(prevMonth.getFullYear(), prevMonth.getMonth(), dayClamp(prevMonth.getFullYear(), prevMonth.getMonth(), debt.cutOffDay));
-        }
-      } else {
-        // Use last day of previous month as statementDate
-        const prevMonthEnd = new Date(base.getFullYear(), base.getMonth(), 0);
-        statementDate = prevMonthEnd;
-      }
-    }
+    const { statements, summary } = buildStatementHistory(history, { debtId: id, creditLimit: debt.creditLimit, expenses, from, to });
+    res.json({ success: true, count: statements.length, data: statements, summary });
+  } catch (error) {
+    logger.error('Error in getDebtStatements controller', { params: req.params, query: req.query, error: error.message });
+    next(error);
+  }
+};
 
-    const nextStatementDate = Number.isFinite(debt.cutOffDay)
-      ? nextDateForDayOfMonth(debt.cutOffDay, new Date(statementDate.getFullYear(), statementDate.getMonth(), statementDate.getDate() + 1))
-      : new Date(statementDate.getFullYear(), statementDate.getMonth() + 1, 0);
+/**
+ * GET /api/debts/:id/ledger?limit=N
+ * Balance changes of a debt, oldest first (the last `limit` entries when given)
+ */
+export const getDebtLedger = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+    logger.info('GET /api/debts/:id/ledger - Start', { id, limit });
 
-    const dueDate = Number.isFinite(debt.dueDay)
-      ? nextDateForDayOfMonth(debt.dueDay, statementDate)
-      : new Date(statementDate.getFullYear(), statementDate.getMonth(), dayClamp(statementDate.getFullYear(), statementDate.getMonth(), 25));
+    const debts = await req.sheetsService.getDebtsObjects();
+    if (!debts.some(d => String(d.id) === String(id))) {
+      throw new ApiError(404, 'Debt not found');
+    }
 
-    // Calculate previous statement date (cutoff date of previous month)
-    const prevMonth = new Date(statementDate.getFullYear(), statementDate.getMonth() - 1, 1);
-    const prevStatementDate = Number.isFinite(debt.cutOffDay)
-      ? new Date(prevMonth.getFullYear(), prevMonth.getMonth(), dayClamp(prevMonth.getFullYear(), prevMonth.getMonth(), debt.cutOffDay))
-      : new Date(statementDate.getFullYear(), statementDate.getMonth(), 0);
+    const entries = await req.sheetsService.getDebtLedgerObjects(id);
+    const data = limit ? entries.slice(-limit) : entries;
+    res.json({ success: true, data, count: data.length, total: entries.length });
+  } catch (error) {
+    logger.error('Error in getDebtLedger controller', { params: req.params, query: req.query, error: error.message });
+    next(error);
+  }
+};
 
-    // 3) Idempotency: check existing CreditHistory for (id, statementDate)
-    const history = await req.sheetsService.getCreditHistoryObjects();
-    const statementDateStr = statementDate.toISOString().slice(0, 10);
-    const exists = history.some(h => String(h.debtId) === String(id) && String(h.statementDate) === statementDateStr);
-    let previousRowNumber = null;
-    let previousRecord = null;
-    if (exists && !recompute) {
-      return res.status(200).json({ success: true, skipped: true, reason: 'Already accrued for this statementDate', statementDate: statementDateStr });
-    }
-    if (exists && recompute) {
-      // Load previous record to rollback
-      previousRowNumber = await req.sheetsService.findCreditHistoryRow(id, statementDateStr);
-      if (previousRowNumber) {
-        previousRecord = await req.sheetsService.getCreditHistoryByRow(previousRowNumber);
-      }
-    }
+/**
+ * POST /api/debts/:id/ledger/recompute?apply=true|false
+ * Rebuild the balance from the ledger; with apply=true a differing Debts.balance is corrected
+ */
+export const recomputeDebtBalance = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const apply = String(req.query.apply || 'false').toLowerCase() === 'true';
+    logger.info('POST /api/debts/:id/ledger/recompute - Start', { id, apply });
 
-    // 4) Determine previous record for previousBalance (we keep backward compat where available)
-    const lastForDebt = history
-      .filter(h => String(h.debtId) === String(id) && h.statementDate && h.statementDate < statementDateStr)
-      .sort((a, b) => (a.statementDate < b.statementDate ? 1 : -1))[0];
-    const previousBalance = lastForDebt && Number.isFinite(lastForDebt.statementBalance) ? Number(lastForDebt.statementBalance) : (Number.isFinite(debt.balance) ? Number(debt.balance) : 0);
+    const result = await req.sheetsService.recomputeDebtBalance(id, { apply });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error in recomputeDebtBalance controller', { params: req.params, query: req.query, error: error.message });
+    next(error);
+  }
+};
 
-    // 5) Gather expenses in [prevStatementDate, statementDate) and compute components
-    const allExpenses = await req.sheetsService.getExpensesObjects();
-    // Start period: day after previous statement date (prevStatementDate + 1 day)
-    const startPeriod = new Date(prevStatementDate.getFullYear(), prevStatementDate.getMonth(), prevStatementDate.getDate() + 1);
-    
-    const periodEvents = [];
-    const startPeriodDateOnly = new Date(startPeriod.getFullYear(), startPeriod.getMonth(), startPeriod.getDate());
-    const statementDateOnly = new Date(statementDate.getFullYear(), statementDate.getMonth(), statementDate.getDate());
-    
-    for (const e of allExpenses) {
-      if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) continue;
-      
-      // Parse date string safely: '2025-09-12' format
-      const dateStr = String(e.date).trim();
-      const dateOnlyEvent = parseDateString(dateStr);
-      
-      if (dateOnlyEvent >= startPeriodDateOnly && dateOnlyEvent < statementDateOnly) {
-        const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
-        const amount = Number(e.amount) || 0;
-        if (amount <= 0) continue;
-        if (entryType === 'charge' || entryType === 'payment') {
-          periodEvents.push({ date: dateOnlyEvent, kind: entryType, amount });
-        }
-      }
-    }
-    periodEvents.sort((a, b) => {
-      if (a.date.getTime() !== b.date.getTime()) return a.date - b.date;
-      if (a.kind === b.kind) return 0;
-      return a.kind === 'payment' ? -1 : 1;
-    });
+/**
+ * POST /api/debts/:id/reconcile?apply=true|false
+ * Expected balance from the last statement plus later charges and paid payments; with apply=true the difference is corrected
+ */
+export const reconcileDebt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const apply = String(req.query.apply || 'false').toLowerCase() === 'true';
+    logger.info('POST /api/debts/:id/reconcile - Start', { id, apply });
 
-    const charges = periodEvents.filter(e => e.kind === 'charge').reduce((s, e) => s + e.amount, 0);
-    const payments = periodEvents.filter(e => e.kind === 'payment').reduce((s, e) => s + e.amount, 0);
+    const result = await reconcileDebtBalance(req.sheetsService, id, { apply });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error in reconcileDebt controller', { params: req.params, query: req.query, error: error.message });
+    next(error);
+  }
+};
 
-    const annualRateUnit = debt.interesEfectivo > 1 ? (debt.interesEfectivo / 100) : debt.interesEfectivo;
-    
-    // Use shared utility for SPD interest calculation
-    const { interestSobreSaldo, interestBonificable } = computeSpdInterests(previousBalance, periodEvents, annualRateUnit, startPeriod, statementDate);
-    
-    // Carry-over usando utilidad compartida
-    let interestCarryOver = 0;
-    if (lastForDebt) {
-      try {
-        const prevPaid = await req.sheetsService.sumPaymentsForDebt(
-          id,
-          String(lastForDebt.statementDate),
-          String(lastForDebt.dueDate)
-        );
-        interestCarryOver = computeInterestCarryOver(lastForDebt, prevPaid);
-      } catch (e) {
-        interestCarryOver = 0;
-      }
-    }
-    const interests = Number((interestSobreSaldo + interestCarryOver).toFixed(2));
-    const bonifiableInterest = Number(interestBonificable.toFixed(2));
-    const statementBalance = Number((Math.max(0, previousBalance + charges + interests - payments)).toFixed(2));
-    const installmentBalance = Number((statementBalance + bonifiableInterest).toFixed(2));
+/**
+ * POST /api/debts/:id/accrue?period=YYYY-MM|date=YYYY-MM-DD&recompute=true|false
+ * Calculate and record one cycle in CreditHistory and add interest to Debts.balance
+ */
+export const accrueDebt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const recompute = String(req.query.recompute || 'false').toLowerCase() === 'true';
+    const dateParam = req.query.date;
+    const periodParam = req.query.period;
+    const baseDate = dateParam ? new Date(dateParam) : new Date();
 
-    // No dryRun here; use preview endpoint for GET
+    logger.info('POST /api/debts/:id/accrue - Start', { id, dateParam, periodParam, recompute });
 
-    // 7) Persist: append/update CreditHistory (no balance adjustments; interests are descriptive)
-    const record = {
-      debtId: id,
-      statementDate: statementDateStr,
-      dueDate: dueDate.toISOString().slice(0, 10),
-      previousBalance,
-      charges,
-      interests,
-      payments,
-      statementBalance,
-      bonifiableInterest,
-      installmentBalance,
-      annualEffectiveRate: annualRateUnit,
-      termMonths: null,
-      periodDays: daysBetweenDates(new Date(startPeriod.getFullYear(), startPeriod.getMonth(), startPeriod.getDate()), statementDate) || 0,
-      paymentMade: await req.sheetsService.sumPaymentsForDebt(id, statementDateStr, dueDate.toISOString().slice(0,10))
-    };
-    if (exists && previousRowNumber && recompute) {
-      await req.sheetsService.updateCreditHistoryRow(previousRowNumber, record);
-    } else {
-      await req.sheetsService.appendCreditHistoryRecord(record);
+    const result = await accrueDebtStatement(req.sheetsService, id, { baseDate, period: periodParam, recompute });
+    if (result.skipped) {
+      return res.status(200).json({ success: true, ...result });
     }
+    const { record, statementDate: statementDateStr } = result;
+    const { interestSobreSaldo, interestBonificable, interestCarryOver } = result.interestBreakdown;
 
-    // Calculate current balance: statementBalance + charges after statementDate - payments after statementDate
-    const currentDate = new Date();
-    const currentCharges = allExpenses
-      .filter(e => {
-        if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) return false;
-        const dateOnlyEvent = parseDateString(String(e.date).trim());
-        const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
-        return dateOnlyEvent > statementDateOnly && 
-               dateOnlyEvent <= new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()) &&
-               entryType === 'charge';
-      })
-      .reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
-    
-    const currentPayments = allExpenses
-      .filter(e => {
-        if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) return false;
-        const dateOnlyEvent = parseDateString(String(e.date).trim());
-        const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
-        return dateOnlyEvent > statementDateOnly && 
-               dateOnlyEvent <= new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()) &&
-               entryType === 'payment';
-      })
-      .reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
-    
-    const currentBalance = Number((statementBalance + currentCharges - currentPayments).toFixed(2));
-    
-    // Update debt balance with current balance (statementBalance + charges/payments after statement date)
-    await req.sheetsService.updateDebt({ id, balance: currentBalance });
-
-    logger.info('Debt statement computed', { 
-      debtId: id, 
-      statementDate: statementDateStr,
-      statementBalance,
-      currentCharges,
-      currentPayments,
-      currentBalance
-    });
     // Formatear breakdown y campos numéricos como strings con 2 decimales
     const breakdownFormatted = formatResponseTwoDecimals(
       { interestSobreSaldo, interestBonificable, interestCarryOver },
@@ -566,7 +518,7 @@ export const accrueDebt = async (req, res, next) => {
       true
     );
     const formatted = formatResponseTwoDecimals(
-      { ...record, interestBreakdown: breakdownFormatted },
+      { ...record, interestBreakdown: breakdownFormatted, installments: result.installments },
       ['previousBalance','charges','interests','payments','statementBalance','bonifiableInterest','installmentBalance','annualEffectiveRate','paymentMade'],
       true
     );
@@ -597,19 +549,15 @@ export const getDebtStatementPreview = async (req, res, next) => {
     logger.info('GET /api/debts/:id/statement-preview - Start', { id, dateParam, periodParam });
 
     // Load debt
-    const rows = await req.sheetsService.getDebts();
-    const idx = { id: 0, name: 1, issuer: 2, creditLimit: 3, balance: 4, dueDay: 5, cutOffDay: 6, maskPan: 7, interesEfectivo: 8, brand: 9, active: 10 };
-    const row = rows.slice(1).find(r => String(r[idx.id]) === String(id));
-    if (!row) throw new ApiError(404, 'Debt not found');
-
+    const found = await loadDebt(req.sheetsService, id);
     const debt = {
-      id: row[idx.id],
-      name: row[idx.name],
-      balance: row[idx.balance] ? parseFloat(row[idx.balance]) : 0,
-      dueDay: row[idx.dueDay] ? parseInt(row[idx.dueDay], 10) : null,
-      cutOffDay: row[idx.cutOffDay] ? parseInt(row[idx.cutOffDay], 10) : null,
-      interesEfectivo: row[idx.interesEfectivo] ? parseFloat(row[idx.interesEfectivo]) : 0,
-      active: row[idx.active] === 'TRUE'
+      id: found.id,
+      name: found.name,
+      balance: found.balance ?? 0,
+      dueDay: found.dueDay ?? null,
+      cutOffDay: found.cutOffDay ?? null,
+      interesEfectivo: found.interesEfectivo ?? 0,
+      active: found.active === true
     };
     if (!debt.active) {
       return res.status(200).json({ success: true, skipped: true, reason: 'Debt is inactive' });
@@ -758,7 +706,10 @@ export const getDebtStatementPreview = async (req, res, next) => {
       return a.kind === 'payment' ? -1 : 1;
     });
 
-    const charges = periodEvents.filter(e => e.kind === 'charge').reduce((s, e) => s + e.amount, 0);
+    // Installment purchases add only the installment billed on this statement
+    const installments = installmentsDueForStatement(await req.sheetsService.getInstallmentPurchasesObjects(), id, monthOf(statementDate));
+
+    const charges = periodEvents.filter(e => e.kind === 'charge').reduce((s, e) => s + e.amount, 0) + installments.principal;
     const payments = periodEvents.filter(e => e.kind === 'payment').reduce((s, e) => s + e.amount, 0);
     
     // Debug: log calculated totals
@@ -791,7 +742,7 @@ export const getDebtStatementPreview = async (req, res, next) => {
         interestCarryOver = 0;
       }
     }
-    const interests = Number((interestSobreSaldo + interestCarryOver).toFixed(2));
+    const interests = Number((interestSobreSaldo + interestCarryOver + installments.interest).toFixed(2));
     
     // Debug: log interest calculation details
     logger.info('Interest calculation details', {
@@ -831,6 +782,7 @@ export const getDebtStatementPreview = async (req, res, next) => {
       periodDays,
       paymentMade: await req.sheetsService.sumPaymentsForDebt(id, statementDate.toISOString().slice(0,10), dueDate.toISOString().slice(0,10)),
       interestBreakdown: { interestSobreSaldo, interestBonificable, interestCarryOver },
+      installments,
       chargesDetail: periodEvents.filter(e => e.kind === 'charge').map(e => ({
         date: e.date.toISOString().slice(0, 10),
         amount: Number(e.amount.toFixed(2))
@@ -857,4 +809,257 @@ export const getDebtStatementPreview = async (req, res, next) => {
   }
 };
 
+/**
+ * Latest statement month (YYYY-MM) of a card whose cutoff has already passed; installments billed on
+ * statements up to this month are no longer pending
+ */
+const billedThroughMonth = (debt, now = new Date()) =>
+  monthOf(resolvePeriodBounds({ cutOffDay: debt.cutOffDay, dueDay: debt.dueDay }, now).statementDate);
+
+/**
+ * GET /api/debts/:id/installment-purchases
+ * Purchases in installments of a card with their schedule and what is still pending
+ */
+export const getInstallmentPurchases = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    logger.info('GET /api/debts/:id/installment-purchases - Start', { id });
+
+    const [debts, purchases] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getInstallmentPurchasesObjects()
+    ]);
+    const debt = debts.find(d => String(d.id) === String(id));
+    if (!debt) {
+      throw new ApiError(404, 'Debt not found');
+    }
+
+    const billedThrough = billedThroughMonth(debt);
+    const data = purchases
+      .filter(p => String(p.debtId) === String(id))
+      .map(p => ({ ...purchaseStatus(p, billedThrough), schedule: installmentSchedule(p) }));
 
+    res.json({ success: true, count: data.length, billedThrough, data });
+  } catch (error) {
+    logger.error('Error in getInstallmentPurchases controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/debts/:id/installment-purchases
+ * Register a purchase paid in monthly installments (MSI when annualRate is 0).
+ * Body: totalAmount, months, annualRate (default 0), description, purchaseDate (default today),
+ * startStatement (YYYY-MM of the first statement that bills it; defaults to the statement that includes purchaseDate)
+ */
+export const addInstallmentPurchase = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { description, totalAmount, months, annualRate, purchaseDate, startStatement } = req.body;
+    logger.info('POST /api/debts/:id/installment-purchases - Start', { id, totalAmount, months, annualRate });
+
+    const debts = await req.sheetsService.getDebtsObjects();
+    const debt = debts.find(d => String(d.id) === String(id));
+    if (!debt) {
+      throw new ApiError(404, 'Debt not found');
+    }
+
+    const date = purchaseDate || new Date().toISOString().slice(0, 10);
+    const purchase = {
+      id: uuidv4(),
+      debtId: String(debt.id),
+      description: description ? String(description).trim() : '',
+      purchaseDate: date,
+      totalAmount: parseFloat(totalAmount),
+      months: parseInt(months, 10),
+      annualRate: annualRate !== undefined && annualRate !== null ? parseFloat(annualRate) : 0,
+      startStatement: startStatement || firstStatementMonth(date, debt.cutOffDay)
+    };
+
+    const result = await req.sheetsService.addInstallmentPurchase(purchase);
+    logger.info('Installment purchase added successfully', { purchaseId: purchase.id, debtId: purchase.debtId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Installment purchase added successfully',
+      data: { ...purchaseStatus(purchase, billedThroughMonth(debt)), schedule: installmentSchedule(purchase) },
+      result
+    });
+  } catch (error) {
+    logger.error('Error in addInstallmentPurchase controller', { params: req.params, body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/debts/:id/installment-purchases/:purchaseId
+ * Stop billing a purchase in installments; statements already recorded keep their installments
+ */
+export const deleteInstallmentPurchase = async (req, res, next) => {
+  try {
+    const { id, purchaseId } = req.params;
+    logger.info('DELETE /api/debts/:id/installment-purchases/:purchaseId - Start', { id, purchaseId });
+
+    const purchases = await req.sheetsService.getInstallmentPurchasesObjects();
+    const purchase = purchases.find(p => String(p.id) === String(purchaseId) && String(p.debtId) === String(id));
+    if (!purchase) {
+      throw new ApiError(404, 'Installment purchase not found');
+    }
+
+    const result = await req.sheetsService.deleteInstallmentPurchase(String(purchaseId));
+    res.json({ success: true, message: 'Installment purchase deleted successfully', data: result });
+  } catch (error) {
+    logger.error('Error in deleteInstallmentPurchase controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/debts/installment-obligations?debtId=
+ * Remaining installments per card: what the next statement will bill and the total still owed
+ */
+export const getInstallmentObligations = async (req, res, next) => {
+  try {
+    const { debtId } = req.query;
+    logger.info('GET /api/debts/installment-obligations - Start', { debtId });
+
+    const [debts, purchases] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getInstallmentPurchasesObjects()
+    ]);
+
+    const now = new Date();
+    const billedThroughByDebt = Object.fromEntries(debts.map(d => [String(d.id), billedThroughMonth(d, now)]));
+    const selected = debtId ? purchases.filter(p => String(p.debtId) === String(debtId)) : purchases;
+    const data = obligationsByDebt(selected, debts, billedThroughByDebt);
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      totals: {
+        remainingPrincipal: Number(data.reduce((s, d) => s + d.remainingPrincipal, 0).toFixed(2)),
+        remainingAmount: Number(data.reduce((s, d) => s + d.remainingAmount, 0).toFixed(2))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getInstallmentObligations controller', { query: req.query, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/debts/:id/statement-import
+ * Parse a card statement export (CSV or OFX) with the parser of the debt's issuer and match its lines
+ * with the card's expenses. Nothing is written: unmatched lines come back as proposed expenses to confirm.
+ * Body: content, format, issuer, dateToleranceDays, defaultCategoryId (see previewStatementImportValidator)
+ */
+export const previewStatementImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { content, format, issuer, dateToleranceDays, defaultCategoryId } = req.body;
+    logger.info('POST /api/debts/:id/statement-import - Start', { id, format, issuer, size: content.length });
+
+    const [debts, expenses] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getExpensesObjects()
+    ]);
+    const debt = debts.find(d => String(d.id) === String(id));
+    if (!debt) {
+      throw new ApiError(404, 'Debt not found');
+    }
+
+    let statement;
+    try {
+      statement = parseStatement(content, { format, issuer: issuer || debt.issuer });
+    } catch (error) {
+      if (error.code === 'INVALID_STATEMENT') {
+        throw new ApiError(400, error.message);
+      }
+      throw error;
+    }
+
+    const result = matchStatementLines(statement.lines, expenses, {
+      debtId: String(debt.id),
+      dateToleranceDays: dateToleranceDays !== undefined ? parseInt(dateToleranceDays, 10) : undefined,
+      defaultCategoryId: defaultCategoryId !== undefined && defaultCategoryId !== null ? parseInt(defaultCategoryId, 10) : null
+    });
+
+    res.json({
+      success: true,
+      format: statement.format,
+      parser: statement.parser,
+      skipped: statement.skipped,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error in previewStatementImport controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/debts/:id/statement-import/confirm
+ * Create the confirmed lines of a statement import as expenses of the card through the bulk path
+ * (addExpensesBulk), so charges and paid payments move the debt balance as if keyed by hand.
+ * With skipDuplicates (default) lines that already match an expense of the card on the same date are left out,
+ * which makes confirming the same lines twice harmless.
+ */
+export const confirmStatementImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { expenses: confirmed, skipDuplicates } = req.body;
+    logger.info('POST /api/debts/:id/statement-import/confirm - Start', { id, count: confirmed.length });
+
+    const [debts, expenses] = await Promise.all([
+      req.sheetsService.getDebtsObjects(),
+      req.sheetsService.getExpensesObjects()
+    ]);
+    const debt = debts.find(d => String(d.id) === String(id));
+    if (!debt) {
+      throw new ApiError(404, 'Debt not found');
+    }
+
+    const lines = confirmed.map((e, index) => ({
+      line: index + 1,
+      date: String(e.date).slice(0, 10),
+      description: String(e.description).trim(),
+      amount: parseFloat(e.amount),
+      entryType: String(e.entryType).toLowerCase(),
+      categoryId: parseInt(e.categoryId, 10),
+      status: e.status ? String(e.status).toLowerCase() : 'paid'
+    }));
+    const duplicates = skipDuplicates === false || skipDuplicates === 'false'
+      ? []
+      : matchStatementLines(lines, expenses, { debtId: String(debt.id), dateToleranceDays: 0 }).matched;
+    const duplicateLines = new Set(duplicates.map(m => m.line.line));
+
+    const toCreate = lines.filter(l => !duplicateLines.has(l.line)).map(l => ({
+      id: uuidv4(),
+      date: l.date,
+      description: l.description,
+      amount: l.amount,
+      categoryId: l.categoryId,
+      isFixed: false,
+      fixedExpenseId: null,
+      debtId: String(debt.id),
+      entryType: l.entryType,
+      status: l.status
+    }));
+
+    const result = toCreate.length > 0 ? await req.sheetsService.addExpensesBulk(toCreate) : null;
+    logger.info('Statement import confirmed', { debtId: debt.id, created: toCreate.length, skipped: duplicates.length });
+
+    res.status(toCreate.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${toCreate.length} expenses added successfully`,
+      data: toCreate,
+      count: toCreate.length,
+      skipped: duplicates.map(m => ({ line: m.line.line, expenseId: m.expense.id })),
+      result
+    });
+  } catch (error) {
+    logger.error('Error in confirmStatementImport controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
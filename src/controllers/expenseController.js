@@ -1,18 +1,35 @@
 ﻿import logger from '../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import config from '../config/config.js';
+import { queryExpenses } from '../utils/expenseQuery.js';
+import { findOverdueExpenses, toISODate } from '../utils/overdue.js';
 
 /**
- * Get all expenses
+ * Get expenses
+ * Query filters, sort and pagination are described in listExpensesValidator.
+ * Without pagination params every matching expense is returned.
  */
 export const getExpenses = async (req, res, next) => {
   try {
-    logger.info('GET /api/expenses - Fetching all expenses', { userId: req.user?.id });
+    logger.info('GET /api/expenses - Fetching expenses', { userId: req.user?.id, query: req.query });
     const expenses = await req.sheetsService.getExpensesObjects();
-    
+
+    let result;
+    try {
+      result = queryExpenses(expenses, req.query);
+    } catch (error) {
+      if (error.code === 'INVALID_CURSOR') {
+        throw new ApiError(400, error.message);
+      }
+      throw error;
+    }
+
     res.json({
       success: true,
-      data: expenses,
-      count: expenses.length
+      data: result.data,
+      count: result.data.length,
+      total: result.total,
+      pagination: result.pagination
     });
   } catch (error) {
     logger.error('Error in getExpenses controller', { error: error.message });
@@ -166,14 +183,15 @@ export const updateExpense = async (req, res, next) => {
       status: status !== undefined ? (status ? String(status).toLowerCase() : null) : undefined
     };
 
-    const result = await req.sheetsService.updateExpense(expense);
+    const result = await req.sheetsService.updateExpense(expense, { ifMatch: req.get('If-Match') });
 
     logger.info('Expense updated successfully', { expenseId: expense.id });
 
+    res.set('ETag', result.etag);
     res.json({
       success: true,
       message: 'Expense updated successfully',
-      data: expense,
+      data: { ...expense, etag: result.etag },
       result
     });
   } catch (error) {
@@ -198,7 +216,7 @@ export const deleteExpense = async (req, res, next) => {
       throw new ApiError(400, 'Missing required field: id');
     }
 
-    const result = await req.sheetsService.deleteExpense(id);
+    const result = await req.sheetsService.deleteExpense(id, { ifMatch: req.get('If-Match') });
 
     res.json({
       success: true,
@@ -214,3 +232,61 @@ export const deleteExpense = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Today and grace period of an overdue request (query/body override the configured grace period)
+ */
+const resolveOverdueOptions = (source = {}) => ({
+  today: source.today || toISODate(),
+  graceDays: source.graceDays !== undefined ? parseInt(source.graceDays, 10) : config.overdueGraceDays
+});
+
+/**
+ * Get overdue expenses: rows marked overdue plus pending rows past their date and grace period
+ * Read-only; POST /api/expenses/overdue/mark persists the transition.
+ */
+export const getOverdueExpenses = async (req, res, next) => {
+  try {
+    const { today, graceDays } = resolveOverdueOptions(req.query);
+    logger.info('GET /api/expenses/overdue - Fetching overdue expenses', { userId: req.user?.id, today, graceDays });
+
+    const expenses = await req.sheetsService.getExpensesObjects();
+    const overdue = findOverdueExpenses(expenses, { today, graceDays });
+
+    res.json({
+      success: true,
+      data: overdue,
+      count: overdue.length,
+      total: Number(overdue.reduce((sum, e) => sum + (Number(e.amount) || 0), 0).toFixed(2)),
+      today,
+      graceDays
+    });
+  } catch (error) {
+    logger.error('Error in getOverdueExpenses controller', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Mark pending expenses past their date and grace period as overdue
+ */
+export const markOverdueExpenses = async (req, res, next) => {
+  try {
+    const { today, graceDays } = resolveOverdueOptions(req.body);
+    logger.info('POST /api/expenses/overdue/mark - Marking overdue expenses', { userId: req.user?.id, today, graceDays });
+
+    const result = await req.sheetsService.markOverdueExpenses({ today, graceDays });
+
+    res.json({
+      success: true,
+      message: `${result.count} expense(s) marked as overdue`,
+      data: result.items,
+      count: result.count,
+      today,
+      graceDays
+    });
+  } catch (error) {
+    logger.error('Error in markOverdueExpenses controller', { error: error.message });
+    next(error);
+  }
+};
@@ -99,14 +99,15 @@ export const updateFixedExpense = async (req, res, next) => {
       debtId: req.body.debtId !== undefined ? (req.body.debtId || null) : undefined
     };
 
-    const result = await req.sheetsService.updateFixedExpense(fixedExpense);
+    const result = await req.sheetsService.updateFixedExpense(fixedExpense, { ifMatch: req.get('If-Match') });
     
     logger.info('Fixed expense updated successfully', { fixedExpenseId: fixedExpense.id });
     
+    res.set('ETag', result.etag);
     res.json({
       success: true,
       message: 'Fixed expense updated successfully',
-      data: fixedExpense,
+      data: { ...fixedExpense, etag: result.etag },
       result
     });
   } catch (error) {
@@ -131,7 +132,7 @@ export const deleteFixedExpense = async (req, res, next) => {
       throw new ApiError(400, 'Missing required field: id');
     }
 
-    const result = await req.sheetsService.deleteFixedExpense(id);
+    const result = await req.sheetsService.deleteFixedExpense(id, { ifMatch: req.get('If-Match') });
 
     // Build response message
     let message = 'Fixed expense deleted successfully';
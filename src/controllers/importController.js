@@ -0,0 +1,178 @@
+import logger from '../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { resolveImportProfile, parseBankCsv, planBankImport } from '../utils/bankImport.js';
+
+const generateId = () => Date.now() + Math.random().toString(36).slice(2, 11);
+
+const MAPPING_FIELDS = ['dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn', 'dateFormat', 'decimalSeparator', 'signConvention', 'delimiter', 'defaultCategoryId'];
+
+const pickMapping = (source = {}) => Object.fromEntries(MAPPING_FIELDS
+  .filter(field => source[field] !== undefined)
+  .map(field => [field, source[field]]));
+
+/**
+ * Get saved bank CSV import profiles
+ */
+export const getImportProfiles = async (req, res, next) => {
+  try {
+    logger.info('GET /api/imports/profiles - Fetching import profiles');
+    const data = await req.sheetsService.getImportProfilesObjects();
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    logger.error('Error in getImportProfiles controller', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Save a bank CSV import profile: which column holds each field and how dates, decimals and signs are written
+ */
+export const addImportProfile = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    logger.info('POST /api/imports/profiles - Adding import profile', { name });
+
+    const mapping = pickMapping(req.body);
+    const profile = {
+      id: generateId(),
+      name: String(name).trim(),
+      ...Object.fromEntries(MAPPING_FIELDS.map(field => [field, null])),
+      ...mapping,
+      defaultCategoryId: mapping.defaultCategoryId !== undefined && mapping.defaultCategoryId !== null
+        ? parseInt(mapping.defaultCategoryId, 10)
+        : null
+    };
+
+    const result = await req.sheetsService.addImportProfile(profile);
+    logger.info('Import profile added successfully', { profileId: profile.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile added successfully',
+      data: profile,
+      result
+    });
+  } catch (error) {
+    logger.error('Error in addImportProfile controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Delete a bank CSV import profile
+ */
+export const deleteImportProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    logger.info('DELETE /api/imports/profiles/:id - Deleting import profile', { id });
+    const result = await req.sheetsService.deleteImportProfile(String(id));
+    res.json({ success: true, message: 'Import profile deleted successfully', data: result });
+  } catch (error) {
+    logger.error('Error in deleteImportProfile controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/imports/csv
+ * Import the outgoing transactions of a bank account CSV export as expenses.
+ * The column mapping comes from a saved profile (profileId), overridden by `mapping`, with header aliases for
+ * whatever neither names. Rows that duplicate an existing expense are reported and, with skipDuplicates
+ * (default), left out; money in is reported but never imported. dryRun (default true) only previews;
+ * with dryRun false the rows are created through the bulk path (addExpensesBulk).
+ */
+export const importCsv = async (req, res, next) => {
+  try {
+    const { content, profileId, mapping, categoryId, dateToleranceDays, status } = req.body;
+    const dryRun = req.body.dryRun === undefined ? true : req.body.dryRun === true || req.body.dryRun === 'true';
+    const skipDuplicates = !(req.body.skipDuplicates === false || req.body.skipDuplicates === 'false');
+    logger.info('POST /api/imports/csv - Start', { profileId, dryRun, size: content.length });
+
+    let saved = null;
+    if (profileId) {
+      const profiles = await req.sheetsService.getImportProfilesObjects();
+      saved = profiles.find(p => String(p.id) === String(profileId));
+      if (!saved) {
+        throw new ApiError(404, 'Import profile not found');
+      }
+    }
+    const profile = resolveImportProfile(saved ? pickMapping(saved) : null, pickMapping(mapping));
+
+    let parsed;
+    try {
+      parsed = parseBankCsv(content, profile);
+    } catch (error) {
+      if (error.code === 'INVALID_IMPORT') {
+        throw new ApiError(400, error.message);
+      }
+      throw error;
+    }
+
+    const expenses = await req.sheetsService.getExpensesObjects();
+    const defaultCategoryId = categoryId !== undefined && categoryId !== null ? categoryId : profile.defaultCategoryId;
+    const plan = planBankImport(parsed.rows, expenses, {
+      dateToleranceDays: dateToleranceDays !== undefined ? parseInt(dateToleranceDays, 10) : undefined,
+      defaultCategoryId: defaultCategoryId !== undefined && defaultCategoryId !== null ? parseInt(defaultCategoryId, 10) : null,
+      status: status ? String(status).toLowerCase() : undefined
+    });
+
+    // Without skipDuplicates the duplicates are imported too, as new expenses
+    const selected = skipDuplicates
+      ? plan.toCreate
+      : [...plan.toCreate, ...plan.duplicates.map(d => ({
+        line: d.line,
+        expense: { date: d.line.date, description: d.line.description, amount: d.line.amount, categoryId: d.expense.categoryId, status: status ? String(status).toLowerCase() : 'paid' },
+        categorySource: 'duplicate'
+      }))].sort((a, b) => a.line.line - b.line.line);
+
+    const response = {
+      success: true,
+      dryRun,
+      profile: { id: saved ? saved.id : null, name: saved ? saved.name : null, ...pickMapping(profile) },
+      skipped: parsed.skipped,
+      toCreate: selected,
+      duplicates: plan.duplicates,
+      incoming: plan.incoming,
+      summary: {
+        ...plan.summary,
+        toCreate: selected.length,
+        totalToCreate: Number(selected.reduce((s, t) => s + t.expense.amount, 0).toFixed(2)),
+        created: 0
+      }
+    };
+    if (dryRun || selected.length === 0) {
+      return res.json(response);
+    }
+
+    const uncategorized = selected.filter(t => t.expense.categoryId === null || t.expense.categoryId === undefined);
+    if (uncategorized.length > 0) {
+      throw new ApiError(400, `categoryId is required for lines without a suggested category: ${uncategorized.map(t => t.line.line).join(', ')}`);
+    }
+
+    const created = selected.map(t => ({
+      id: generateId(),
+      date: t.expense.date,
+      description: t.expense.description,
+      amount: t.expense.amount,
+      categoryId: parseInt(t.expense.categoryId, 10),
+      isFixed: false,
+      fixedExpenseId: null,
+      debtId: null,
+      entryType: null,
+      status: t.expense.status
+    }));
+    const result = await req.sheetsService.addExpensesBulk(created);
+    logger.info('Bank CSV imported', { created: created.length, duplicates: plan.duplicates.length });
+
+    res.status(201).json({
+      ...response,
+      message: `${created.length} expenses added successfully`,
+      data: created,
+      summary: { ...response.summary, created: created.length },
+      result
+    });
+  } catch (error) {
+    logger.error('Error in importCsv controller', { error: error.message });
+    next(error);
+  }
+};
@@ -0,0 +1,274 @@
+import logger from '../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+const generateId = () => Date.now() + Math.random().toString(36).slice(2, 11);
+
+/**
+ * Get incomes, optionally filtered by month (YYYY-MM)
+ */
+export const getIncomes = async (req, res, next) => {
+  try {
+    const { month } = req.query;
+    logger.info('GET /api/incomes - Fetching incomes', { month });
+
+    const incomes = await req.sheetsService.getIncomesObjects();
+    const data = month
+      ? incomes.filter(i => typeof i.date === 'string' && i.date.startsWith(`${month}-`))
+      : incomes;
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    logger.error('Error in getIncomes controller', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Add new income
+ */
+export const addIncome = async (req, res, next) => {
+  try {
+    const { id, date, description, amount, type, status, recurringIncomeId } = req.body;
+
+    logger.info('POST /api/incomes - Adding new income', { date, amount, type });
+
+    const income = {
+      id: id ? String(id) : generateId(),
+      date,
+      description: description ? description.trim() : '',
+      amount: parseFloat(amount),
+      type: type || 'other',
+      recurringIncomeId: recurringIncomeId ? String(recurringIncomeId) : null,
+      status: status || 'received'
+    };
+
+    const result = await req.sheetsService.addIncome(income);
+
+    logger.info('Income added successfully', { incomeId: income.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Income added successfully',
+      data: income,
+      result
+    });
+  } catch (error) {
+    logger.error('Error in addIncome controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Update income (partial)
+ */
+export const updateIncome = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { date, description, amount, type, status, recurringIncomeId } = req.body;
+
+    logger.info('PUT /api/incomes - Updating income', { id });
+
+    if (!id) {
+      throw new ApiError(400, 'Missing required field: id');
+    }
+
+    const income = {
+      id,
+      date,
+      description: description !== undefined ? description.trim() : undefined,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      type,
+      status,
+      recurringIncomeId: recurringIncomeId !== undefined ? (recurringIncomeId ? String(recurringIncomeId) : null) : undefined
+    };
+
+    const result = await req.sheetsService.updateIncome(income);
+
+    logger.info('Income updated successfully', { incomeId: id });
+
+    res.json({
+      success: true,
+      message: 'Income updated successfully',
+      data: income,
+      result
+    });
+  } catch (error) {
+    logger.error('Error in updateIncome controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Delete income
+ */
+export const deleteIncome = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info('DELETE /api/incomes - Deleting income', { id });
+
+    const result = await req.sheetsService.deleteIncome(id);
+
+    res.json({
+      success: true,
+      message: 'Income deleted successfully',
+      data: { id, deleted: true },
+      result
+    });
+  } catch (error) {
+    logger.error('Error in deleteIncome controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Get all recurring income templates
+ */
+export const getRecurringIncomes = async (req, res, next) => {
+  try {
+    logger.info('GET /api/incomes/recurring - Fetching recurring incomes');
+
+    const recurringIncomes = await req.sheetsService.getRecurringIncomesObjects();
+
+    res.json({
+      success: true,
+      data: recurringIncomes,
+      count: recurringIncomes.length
+    });
+  } catch (error) {
+    logger.error('Error in getRecurringIncomes controller', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Add new recurring income template
+ */
+export const addRecurringIncome = async (req, res, next) => {
+  try {
+    const { id, name, amount, type, dayOfMonth, active } = req.body;
+
+    logger.info('POST /api/incomes/recurring - Adding new recurring income', { name, amount });
+
+    const recurringIncome = {
+      id: id ? String(id) : generateId(),
+      name: name.trim(),
+      amount: parseFloat(amount),
+      type: type || 'other',
+      dayOfMonth: parseInt(dayOfMonth, 10),
+      active: active !== undefined ? Boolean(active) : true
+    };
+
+    const result = await req.sheetsService.addRecurringIncome(recurringIncome);
+
+    logger.info('Recurring income added successfully', { recurringIncomeId: recurringIncome.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring income added successfully',
+      data: recurringIncome,
+      result
+    });
+  } catch (error) {
+    logger.error('Error in addRecurringIncome controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Update recurring income template (partial)
+ */
+export const updateRecurringIncome = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, amount, type, dayOfMonth, active } = req.body;
+
+    logger.info('PUT /api/incomes/recurring - Updating recurring income', { id, name });
+
+    if (!id) {
+      throw new ApiError(400, 'Missing required field: id');
+    }
+
+    const recurringIncome = {
+      id,
+      name: name !== undefined ? name.trim() : undefined,
+      amount: amount !== undefined ? parseFloat(amount) : undefined,
+      type,
+      dayOfMonth: dayOfMonth !== undefined ? parseInt(dayOfMonth, 10) : undefined,
+      active: active !== undefined ? Boolean(active) : undefined
+    };
+
+    const result = await req.sheetsService.updateRecurringIncome(recurringIncome);
+
+    logger.info('Recurring income updated successfully', { recurringIncomeId: id });
+
+    res.json({
+      success: true,
+      message: 'Recurring income updated successfully',
+      data: recurringIncome,
+      result
+    });
+  } catch (error) {
+    logger.error('Error in updateRecurringIncome controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Delete recurring income template
+ */
+export const deleteRecurringIncome = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info('DELETE /api/incomes/recurring - Deleting recurring income', { id });
+
+    const result = await req.sheetsService.deleteRecurringIncome(id);
+
+    let message = 'Recurring income deleted successfully';
+    if (result.deletedIncomesCount > 0) {
+      message += `. Also deleted ${result.deletedIncomesCount} expected income(s)`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        recurringIncome: { id, deleted: true },
+        deletedIncomesCount: result.deletedIncomesCount
+      },
+      result: result.recurringIncome
+    });
+  } catch (error) {
+    logger.error('Error in deleteRecurringIncome controller', { params: req.params, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Generate the expected incomes of a month (YYYY-MM) from the recurring templates
+ */
+export const generateRecurringIncomes = async (req, res, next) => {
+  try {
+    const { month } = req.body;
+
+    logger.info('POST /api/incomes/recurring/generate - Generating recurring incomes', { month });
+
+    const result = await req.sheetsService.generateRecurringIncomesForMonth(month);
+
+    res.status(201).json({
+      success: true,
+      data: result.items,
+      count: result.items.length,
+      skipped: result.skipped,
+      month
+    });
+  } catch (error) {
+    logger.error('Error in generateRecurringIncomes controller', { body: req.body, error: error.message });
+    next(error);
+  }
+};
@@ -0,0 +1,25 @@
+import logger from '../config/logger.js';
+import JobRunService from '../services/jobRunService.js';
+
+/**
+ * Get the background job runs of the authenticated user, newest first
+ */
+export const getJobRuns = async (req, res, next) => {
+  try {
+    const { job, runKey } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+
+    logger.info('GET /api/jobs/runs - Fetching job runs', { userId: req.user?.id, job, runKey });
+
+    const runs = await new JobRunService(req.sheetsService).listRuns({ job, runKey, limit });
+
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length
+    });
+  } catch (error) {
+    logger.error('Error in getJobRuns controller', { error: error.message });
+    next(error);
+  }
+};
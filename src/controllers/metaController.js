@@ -1,4 +1,4 @@
-import { EXPENSE_STATUSES, EXPENSE_ENTRY_TYPES } from '../config/constants.js';
+import { EXPENSE_STATUSES, EXPENSE_ENTRY_TYPES, INCOME_TYPES, INCOME_STATUSES } from '../config/constants.js';
 
 export const getExpenseStatuses = async (_req, res) => {
   res.json({ success: true, data: EXPENSE_STATUSES });
@@ -8,6 +8,14 @@ export const getExpenseEntryTypes = async (_req, res) => {
   res.json({ success: true, data: EXPENSE_ENTRY_TYPES });
 };
 
+export const getIncomeTypes = async (_req, res) => {
+  res.json({ success: true, data: INCOME_TYPES });
+};
+
+export const getIncomeStatuses = async (_req, res) => {
+  res.json({ success: true, data: INCOME_STATUSES });
+};
+
 export default {};
 
 
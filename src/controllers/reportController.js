@@ -0,0 +1,34 @@
+import logger from '../config/logger.js';
+import { buildMonthlyReport } from '../utils/monthlyReport.js';
+
+/**
+ * Get the cash-flow report of a month: budget, spend by status and category,
+ * fixed vs variable split, income and net cash flow, and end-of-month projections
+ */
+export const getMonthlyReport = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const month = req.query.month || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    logger.info('GET /api/reports/monthly - Building monthly report', { userId: req.user?.id, month });
+
+    const [expenses, budget, fixedExpenses, categories, incomes, recurringIncomes] = await Promise.all([
+      req.sheetsService.getExpensesObjects(),
+      req.sheetsService.getBudgetObjects(),
+      req.sheetsService.getFixedExpensesObjects(),
+      req.sheetsService.getCategories(),
+      req.sheetsService.getIncomesObjects(),
+      req.sheetsService.getRecurringIncomesObjects()
+    ]);
+
+    const report = buildMonthlyReport({ month, expenses, budget, fixedExpenses, categories, incomes, recurringIncomes, now });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error in getMonthlyReport controller', { error: error.message });
+    next(error);
+  }
+};
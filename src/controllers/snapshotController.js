@@ -0,0 +1,27 @@
+import logger from '../config/logger.js';
+import { SNAPSHOT_SECTIONS } from '../config/constants.js';
+import { parseList } from '../utils/expenseQuery.js';
+
+/**
+ * Get the data a dashboard needs in one round trip: the normalized objects of every sheet
+ * (or of the sections listed in include=), read with a single values:batchGet
+ */
+export const getSnapshot = async (req, res, next) => {
+  try {
+    const include = parseList(req.query.include);
+    const sections = include ? SNAPSHOT_SECTIONS.filter(s => include.includes(s)) : SNAPSHOT_SECTIONS;
+
+    logger.info('GET /api/snapshot - Fetching snapshot', { userId: req.user?.id, sections });
+
+    const data = await req.sheetsService.getSnapshot(sections);
+
+    res.json({
+      success: true,
+      data,
+      counts: Object.fromEntries(Object.entries(data).map(([key, items]) => [key, items.length]))
+    });
+  } catch (error) {
+    logger.error('Error in getSnapshot controller', { error: error.message });
+    next(error);
+  }
+};
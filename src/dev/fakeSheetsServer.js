@@ -0,0 +1,138 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { nanoid } from 'nanoid';
+import logger from '../config/logger.js';
+import LocalSpreadsheet from '../services/localSpreadsheet.js';
+import { USERS_HEADER } from '../services/userSheetService.js';
+
+/**
+ * Send an error in the Google API error envelope
+ */
+function sendError(res, code, message) {
+  const status = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    503: 'UNAVAILABLE'
+  }[code] || 'INTERNAL';
+  res.status(code).json({ error: { code, message, status } });
+}
+
+/**
+ * Load spreadsheets from a seed file: one LocalSpreadsheet JSON object or an array of them
+ * (the files written by the json storage backend can be used as-is)
+ */
+export function loadSeedFile(seedPath) {
+  const json = JSON.parse(fs.readFileSync(path.resolve(seedPath), 'utf-8'));
+  return (Array.isArray(json) ? json : [json]).map(item => LocalSpreadsheet.fromJSON(item));
+}
+
+/**
+ * Build an in-memory stand-in for the Google Sheets v4 API and the OAuth token endpoint
+ * @param {Object} [options]
+ * @param {LocalSpreadsheet[]} [options.spreadsheets] - Spreadsheets available from the start
+ * @param {string} [options.masterSheetId] - Creates an empty master spreadsheet (Users sheet) with this ID
+ * @returns {import('express').Express} Express app exposing `app.locals.spreadsheets`, `app.locals.expiredTokens`
+ *   (access tokens added to this set are rejected with 401, to exercise token refresh) and `app.locals.faults`
+ *   (each `{ status, retryAfter }` pushed there fails the next Sheets call, to exercise retries)
+ */
+export function createFakeSheetsApp({ spreadsheets = [], masterSheetId } = {}) {
+  const store = new Map(spreadsheets.map(s => [s.spreadsheetId, s]));
+  if (masterSheetId && !store.has(masterSheetId)) {
+    store.set(masterSheetId, new LocalSpreadsheet({
+      spreadsheetId: masterSheetId,
+      title: 'CashFlow Tracker - Master',
+      sheets: [{ title: 'Users', values: [USERS_HEADER] }]
+    }));
+  }
+
+  const app = express();
+  app.locals.spreadsheets = store;
+  app.locals.expiredTokens = new Set();
+  app.locals.faults = [];
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // OAuth token endpoint (service account JWT grant and refresh_token grant)
+  app.post('/token', (req, res) => {
+    res.json({
+      access_token: `fake-access-${nanoid(16)}`,
+      expires_in: 3600,
+      token_type: 'Bearer'
+    });
+  });
+
+  // Every Sheets call must carry a bearer token, like the real API
+  app.use('/v4/spreadsheets', (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ') || authHeader.length <= 'Bearer '.length) {
+      return sendError(res, 401, 'Request is missing required authentication credential.');
+    }
+    if (app.locals.expiredTokens.has(authHeader.slice('Bearer '.length))) {
+      return sendError(res, 401, 'Request had invalid authentication credentials.');
+    }
+    const fault = app.locals.faults.shift();
+    if (fault) {
+      if (fault.retryAfter !== undefined) res.set('Retry-After', String(fault.retryAfter));
+      return sendError(res, fault.status, 'Injected fault');
+    }
+    next();
+  });
+
+  // spreadsheets.create
+  app.post('/v4/spreadsheets', (req, res) => {
+    const spreadsheetId = nanoid(20);
+    const spreadsheet = LocalSpreadsheet.fromDefinition(spreadsheetId, req.body || {});
+    store.set(spreadsheetId, spreadsheet);
+    logger.info('Fake Sheets: spreadsheet created', { spreadsheetId, title: spreadsheet.title });
+    res.json(spreadsheet.getMetadata());
+  });
+
+  // spreadsheets.get, values.*, batchUpdate
+  app.use('/v4/spreadsheets', (req, res) => {
+    const match = req.url.match(/^\/([^/:?]+)(.*)$/);
+    const spreadsheet = match ? store.get(decodeURIComponent(match[1])) : null;
+    if (!spreadsheet) {
+      return sendError(res, 404, 'Requested entity was not found.');
+    }
+
+    try {
+      const { result } = spreadsheet.handleRequest(req.method, match[2], req.body);
+      res.json(result);
+    } catch (error) {
+      sendError(res, error.statusCode || 500, error.message);
+    }
+  });
+
+  app.use((req, res) => sendError(res, 404, `Unsupported endpoint: ${req.method} ${req.path}`));
+
+  return app;
+}
+
+/**
+ * Start the fake server
+ * @param {Object} [options] - createFakeSheetsApp options plus `port`
+ * @returns {Promise<import('http').Server>}
+ */
+export function startFakeSheetsServer({ port = 3101, ...options } = {}) {
+  const app = createFakeSheetsApp(options);
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      logger.info(`🧪 Fake Google Sheets API running on http://localhost:${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+// Run standalone: npm run sheets:fake
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const seedPath = process.env.FAKE_SHEETS_SEED;
+  startFakeSheetsServer({
+    port: parseInt(process.env.FAKE_SHEETS_PORT || '3101', 10),
+    spreadsheets: seedPath ? loadSeedFile(seedPath) : [],
+    masterSheetId: process.env.MASTER_SHEET_ID
+  });
+}
@@ -0,0 +1,59 @@
+import { accrueDebtStatement } from '../services/debtStatementService.js';
+import { toISODate } from '../utils/overdue.js';
+import { runForEachUser } from './userJobRunner.js';
+
+export const DEBT_STATEMENTS_JOB = 'debt-statements';
+
+/**
+ * Accrue the latest statement of every active debt with a cutoff day, for every user.
+ * Uses the same logic as POST /api/debts/:id/statements; debts whose statement already exists in
+ * CreditHistory are skipped there and are not recorded, so only created (or failed) statements show in the run log.
+ * @param {Object} params
+ * @param {Date} params.now - Statements are the latest cutoff on or before this date
+ */
+export function runDebtStatementsJob({ now, userSheetService }) {
+  return runForEachUser({
+    job: DEBT_STATEMENTS_JOB,
+    runKey: toISODate(now),
+    userSheetService,
+    task: async (_user, storage) => {
+      const debts = await storage.getDebtsObjects();
+      const records = [];
+
+      for (const debt of debts.filter(d => d.active && Number.isFinite(d.cutOffDay))) {
+        try {
+          const result = await accrueDebtStatement(storage, String(debt.id), { baseDate: now });
+          if (result.skipped) continue;
+          records.push({ target: debt.id, count: 1, message: `Statement ${result.statementDate} created` });
+        } catch (error) {
+          records.push({ target: debt.id, status: 'failed', count: 0, message: error.message });
+        }
+      }
+      return records;
+    }
+  });
+}
+
+/**
+ * Scheduler job: once a day, from the configured hour
+ * @param {Object} options
+ * @param {number} [options.hour] - 0-23
+ * @param {UserSheetService} options.userSheetService
+ */
+export function createDebtStatementsJob({ hour = 0, userSheetService }) {
+  let lastRunDay = null;
+
+  return {
+    name: DEBT_STATEMENTS_JOB,
+    async isDue(now) {
+      return now.getHours() >= hour && lastRunDay !== toISODate(now);
+    },
+    async run(now) {
+      const summary = await runDebtStatementsJob({ now, userSheetService });
+      lastRunDay = toISODate(now);
+      return summary;
+    }
+  };
+}
+
+export default createDebtStatementsJob;
@@ -0,0 +1,50 @@
+import { addMonths, isMonthlyRunDue, monthOf } from '../utils/schedule.js';
+import { runForEachUser } from './userJobRunner.js';
+
+export const FIXED_EXPENSES_JOB = 'fixed-expenses';
+
+/**
+ * Generate the fixed expenses of a month for every user that has not got them yet.
+ * Relies on generateFixedExpensesForMonth's (date + fixedExpenseId) deduplication, so re-running is safe.
+ */
+export function runFixedExpensesJob({ month, userSheetService, createStorage }) {
+  return runForEachUser({
+    job: FIXED_EXPENSES_JOB,
+    runKey: month,
+    once: true,
+    userSheetService,
+    createStorage,
+    task: async (_user, storage) => {
+      const result = await storage.generateFixedExpensesForMonth(month);
+      return { count: result.items.length, message: `Generated ${result.items.length} fixed expense(s) for ${month}` };
+    }
+  });
+}
+
+/**
+ * Scheduler job: from the configured day of each month, generate next month's fixed expenses once per user.
+ * A run with failures is repeated on the next tick, for the failed users only (the others are skipped by
+ * their run log, which also survives restarts).
+ * @param {Object} options
+ * @param {number} options.dayOfMonth - 1-31
+ * @param {number} [options.hour] - 0-23
+ * @param {UserSheetService} options.userSheetService
+ */
+export function createFixedExpensesJob({ dayOfMonth, hour = 0, userSheetService }) {
+  let doneMonth = null;
+
+  return {
+    name: FIXED_EXPENSES_JOB,
+    async isDue(now) {
+      return isMonthlyRunDue(now, { dayOfMonth, hour }) && doneMonth !== addMonths(monthOf(now), 1);
+    },
+    async run(now) {
+      const month = addMonths(monthOf(now), 1);
+      const summary = await runFixedExpensesJob({ month, userSheetService });
+      if (summary.failed === 0) doneMonth = month;
+      return summary;
+    }
+  };
+}
+
+export default createFixedExpensesJob;
@@ -0,0 +1,26 @@
+import config from '../config/config.js';
+import { createUserService } from '../services/userServiceFactory.js';
+import Scheduler from './scheduler.js';
+import { createFixedExpensesJob } from './fixedExpensesJob.js';
+import { createDebtStatementsJob } from './debtStatementsJob.js';
+
+/**
+ * Build the scheduler with every background job
+ */
+export function createScheduler() {
+  const userSheetService = createUserService();
+  const { scheduler: options } = config;
+
+  return new Scheduler({ intervalMs: options.intervalMs })
+    .addJob(createFixedExpensesJob({
+      dayOfMonth: options.fixedExpensesDay,
+      hour: options.fixedExpensesHour,
+      userSheetService
+    }))
+    .addJob(createDebtStatementsJob({
+      hour: options.statementsHour,
+      userSheetService
+    }));
+}
+
+export default createScheduler;
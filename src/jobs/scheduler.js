@@ -0,0 +1,67 @@
+import logger from '../config/logger.js';
+
+/**
+ * Minimal in-process scheduler: checks every job on a fixed interval and runs the due ones.
+ * A job is { name, isDue(now): Promise<boolean>, run(now): Promise<Object> }; a job never overlaps itself.
+ */
+class Scheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - Time between checks
+   */
+  constructor({ intervalMs = 15 * 60 * 1000 } = {}) {
+    this.intervalMs = intervalMs;
+    this.jobs = [];
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  addJob(job) {
+    this.jobs.push(job);
+    return this;
+  }
+
+  start() {
+    if (this.timer) return this;
+    logger.info('Scheduler started', { jobs: this.jobs.map(j => j.name), intervalMs: this.intervalMs });
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Background checks must not keep the process alive on shutdown
+    this.timer.unref();
+    this.tick();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduler stopped');
+    }
+  }
+
+  /**
+   * Run every due job once
+   * @param {Date} [now]
+   * @returns {Promise<Object[]>} Results of the jobs that ran
+   */
+  async tick(now = new Date()) {
+    const results = [];
+    for (const job of this.jobs) {
+      if (this.running.has(job.name)) continue;
+      this.running.add(job.name);
+      try {
+        if (await job.isDue(now)) {
+          logger.info('Running scheduled job', { job: job.name });
+          results.push(await job.run(now));
+        }
+      } catch (error) {
+        logger.error('Scheduled job failed', { job: job.name, error: error.message });
+      } finally {
+        this.running.delete(job.name);
+      }
+    }
+    return results;
+  }
+}
+
+export default Scheduler;
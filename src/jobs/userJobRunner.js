@@ -0,0 +1,102 @@
+import { nanoid } from 'nanoid';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import authService from '../services/authService.js';
+import JobRunService from '../services/jobRunService.js';
+import { createStorageService } from '../services/storageFactory.js';
+
+/**
+ * Storage adapter for a user outside of a request. Stored access tokens are short lived,
+ * so on the sheets backend a fresh one is obtained from the refresh token (and saved).
+ */
+export async function createUserStorageForJob(user, userSheetService) {
+  if (config.storageBackend === 'sheets' && user.refreshToken) {
+    const accessToken = await authService.refreshAccessToken(user.refreshToken);
+    await userSheetService.updateUserTokens(user.googleId, accessToken, user.refreshToken);
+    return createStorageService({ ...user, accessToken });
+  }
+  return createStorageService(user);
+}
+
+/**
+ * Append a user's run records to their run log. The work is done by then; losing the log must not turn
+ * it into a failure.
+ */
+async function recordUserRuns(jobRuns, records) {
+  try {
+    await jobRuns.recordRuns(records);
+  } catch (error) {
+    logger.error('Could not record job run', { job: records[0]?.job, userId: records[0]?.userId, error: error.message });
+  }
+}
+
+/**
+ * Run a task for every user of the master sheet, one user at a time, and record the outcome of each one in
+ * the user's own run log (see JobRunService). A failure for one user does not stop the others.
+ * @param {Object} params
+ * @param {string} params.job - Job name
+ * @param {string} params.runKey - What the run covers (e.g. the generated month)
+ * @param {Function} params.task - async (user, storage) => { count, message, target } or an array of them
+ *   (one record per target, e.g. per debt)
+ * @param {boolean} [params.once=false] - Skip users whose log already has a successful run for runKey,
+ *   so running again only retries the users that failed
+ * @param {UserSheetService} params.userSheetService - Master sheet client
+ * @param {Function} [params.createStorage] - async (user, userSheetService) => storage adapter
+ * @returns {Promise<Object>} { runId, job, runKey, users, succeeded, failed, skipped, records }
+ */
+export async function runForEachUser({ job, runKey, task, once = false, userSheetService, createStorage = createUserStorageForJob }) {
+  const runId = nanoid(10);
+  const users = await userSheetService.listUsers();
+  const records = [];
+
+  logger.info('Job run started', { job, runId, runKey, users: users.length });
+
+  for (const user of users) {
+    const startedAt = new Date().toISOString();
+    const base = { runId, job, runKey, userId: user.id, startedAt };
+
+    if (config.storageBackend === 'sheets' && !user.sheetId) {
+      records.push({ ...base, status: 'skipped', count: 0, message: 'User has no sheet configured', finishedAt: startedAt });
+      continue;
+    }
+
+    let jobRuns = null;
+    let userRecords;
+    try {
+      const storage = await createStorage(user, userSheetService);
+      jobRuns = new JobRunService(storage);
+      if (once && await jobRuns.hasSucceeded(job, runKey)) {
+        records.push({ ...base, status: 'skipped', count: 0, message: `Already done for ${runKey}`, finishedAt: startedAt });
+        continue;
+      }
+      const outcome = await task(user, storage);
+      const finishedAt = new Date().toISOString();
+      userRecords = (Array.isArray(outcome) ? outcome : [outcome || {}])
+        .map(item => ({ ...base, status: 'success', count: 0, ...item, finishedAt }));
+    } catch (error) {
+      logger.error('Job failed for user', { job, runId, userId: user.id, error: error.message });
+      userRecords = [{ ...base, status: 'failed', count: 0, message: error.message, finishedAt: new Date().toISOString() }];
+    }
+
+    records.push(...userRecords);
+    // Without storage (e.g. the token refresh failed) there is nowhere to record it; the summary still has it
+    if (jobRuns && userRecords.length > 0) {
+      await recordUserRuns(jobRuns, userRecords);
+    }
+  }
+
+  const summary = {
+    runId,
+    job,
+    runKey,
+    users: users.length,
+    succeeded: records.filter(r => r.status === 'success').length,
+    failed: records.filter(r => r.status === 'failed').length,
+    skipped: records.filter(r => r.status === 'skipped').length,
+    records
+  };
+  logger.info('Job run finished', { job, runId, runKey, succeeded: summary.succeeded, failed: summary.failed, skipped: summary.skipped });
+  return summary;
+}
+
+export default runForEachUser;
@@ -1,9 +1,10 @@
 import jwt from 'jsonwebtoken';
 import logger from '../config/logger.js';
 import { ApiError } from './errorHandler.js';
-import UserSheetService from '../services/userSheetService.js';
+import { createUserService } from '../services/userServiceFactory.js';
 
-const userSheetService = new UserSheetService();
+// Master sheet, or the local users file with STORAGE_BACKEND=json
+const userSheetService = createUserService();
 
 /**
  * Middleware to check if user is authenticated via session (Passport) or JWT
@@ -42,6 +43,10 @@ export const requireAuth = async (req, res, next) => {
       return next();
     }
   } catch (error) {
+    // The master sheet is unavailable: not an authentication failure, let the client retry
+    if (error.statusCode === 503) {
+      return next(error);
+    }
     // If JWT fails, log but don't throw - will return 401 below
     if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
       logger.debug('JWT authentication failed', { 
@@ -100,6 +105,11 @@ export const requireJWT = async (req, res, next) => {
     next();
   } catch (error) {
     logger.error('JWT authentication failed', { error: error.message });
+
+    // The master sheet is unavailable: not an authentication failure, let the client retry
+    if (error.statusCode === 503) {
+      return next(error);
+    }
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -178,7 +188,7 @@ export function generateToken(user) {
 }
 
 /**
- * Middleware to attach user's Google Sheets service instance to request
+ * Middleware to attach user's storage adapter (Google Sheets or local JSON) to request
  * This should run AFTER authentication middleware
  */
 export const attachSheetsService = async (req, res, next) => {
@@ -187,18 +197,11 @@ export const attachSheetsService = async (req, res, next) => {
       throw new ApiError(401, 'User not authenticated');
     }
 
-    if (!req.user.sheetId) {
-      throw new ApiError(400, 'User has no sheet configured');
-    }
-
-    // Import GoogleSheetsService dynamically to avoid circular dependency
-    const { default: GoogleSheetsService } = await import('../services/googleSheetsService.js');
+    // Import the storage factory dynamically to avoid circular dependency
+    const { createStorageService } = await import('../services/storageFactory.js');
     
-    // Create a service instance with user's credentials
-    req.sheetsService = new GoogleSheetsService(
-      req.user.accessToken,
-      req.user.sheetId
-    );
+    // Create a storage adapter bound to the user's data (backend chosen by STORAGE_BACKEND)
+    req.sheetsService = createStorageService(req.user);
 
     logger.debug('Sheets service attached to request', { 
       userId: req.user.id, 
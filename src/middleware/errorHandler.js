@@ -48,9 +48,15 @@ const errorHandler = (err, req, res, _next) => {
   const response = {
     code: statusCode,
     message,
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   };
 
+  // Temporary failures (503 from sheetsFetch) tell the client when to try again
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Log error
   logger.error({
     message: err.message,
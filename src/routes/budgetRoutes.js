@@ -1,20 +1,24 @@
 ﻿import express from 'express';
 import { getBudget, updateBudget } from '../controllers/budgetController.js';
-import { budgetValidator } from '../validators/budgetValidators.js';
+import { budgetValidator, getBudgetValidator } from '../validators/budgetValidators.js';
 import { validate } from '../middleware/validation.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/budget
- * @desc    Get budget
+ * @desc    Get budget rows, or budget vs actual per category with ?month=YYYY-MM
  * @access  Public
  */
-router.get('/', getBudget);
+router.get('/',
+  getBudgetValidator,
+  validate,
+  getBudget
+);
 
 /**
  * @route   PUT /api/budget
- * @desc    Update budget
+ * @desc    Upsert the budget of a month, for one category when categoryId is sent
  * @access  Public
  */
 router.put('/', 
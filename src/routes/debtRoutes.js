@@ -1,6 +1,6 @@
 import express from 'express';
-import { getDebts, addDebt, updateDebt, deleteDebt, getDebtSummary, getDebtsSummary, getDebtInstallments, accrueDebt, getDebtStatementPreview } from '../controllers/debtController.js';
-import { createDebtValidator, updateDebtValidator, deleteDebtValidator, getDebtInstallmentsValidator, accrueDebtValidator, accrueDebtPreviewValidator } from '../validators/debtValidators.js';
+import { getDebts, addDebt, updateDebt, deleteDebt, getDebtSummary, getDebtsSummary, getDebtInstallments, accrueDebt, getDebtStatementPreview, getDebtStatementsStatus, getDebtLedger, recomputeDebtBalance, reconcileDebt, planDebtPayoff, getInstallmentPurchases, addInstallmentPurchase, deleteInstallmentPurchase, getInstallmentObligations, getDebtStatements, previewStatementImport, confirmStatementImport } from '../controllers/debtController.js';
+import { createDebtValidator, updateDebtValidator, deleteDebtValidator, getDebtInstallmentsValidator, accrueDebtValidator, accrueDebtPreviewValidator, getDebtLedgerValidator, recomputeDebtBalanceValidator, reconcileDebtValidator, payoffPlanValidator, createInstallmentPurchaseValidator, getInstallmentPurchasesValidator, deleteInstallmentPurchaseValidator, getInstallmentObligationsValidator, getDebtStatementsValidator, previewStatementImportValidator, confirmStatementImportValidator } from '../validators/debtValidators.js';
 import { validate } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -45,6 +45,13 @@ router.delete('/:id',
   deleteDebt
 );
 
+/**
+ * @route   GET /api/debts/statements/status
+ * @desc    Latest statement per debt and last run of the scheduled statements job
+ * @access  Public
+ */
+router.get('/statements/status', getDebtStatementsStatus);
+
 /**
  * @route   GET /api/debts/:id/summary
  * @desc    Get summary for one debt
@@ -60,8 +67,63 @@ router.get('/:id/summary', getDebtSummary);
 router.get('/summary', getDebtsSummary);
 
 /**
- * @route   GET /api/debts/:id/installments?months=12&start=YYYY-MM-DD
- * @desc    Get installments plan for a debt
+ * @route   POST /api/debts/payoff-plan
+ * @desc    Simulate paying off all active debts with a monthly budget (avalanche, snowball or custom order)
+ * @access  Public
+ */
+router.post('/payoff-plan',
+  payoffPlanValidator,
+  validate,
+  planDebtPayoff
+);
+
+/**
+ * @route   GET /api/debts/installment-obligations?debtId=
+ * @desc    Remaining installments of purchases in installments, per card
+ * @access  Public
+ */
+router.get('/installment-obligations',
+  getInstallmentObligationsValidator,
+  validate,
+  getInstallmentObligations
+);
+
+/**
+ * @route   GET /api/debts/:id/installment-purchases
+ * @desc    Get the purchases in installments of a card
+ * @access  Public
+ */
+router.get('/:id/installment-purchases',
+  getInstallmentPurchasesValidator,
+  validate,
+  getInstallmentPurchases
+);
+
+/**
+ * @route   POST /api/debts/:id/installment-purchases
+ * @desc    Add a purchase in monthly installments (with or without interest) to a card
+ * @access  Public
+ */
+router.post('/:id/installment-purchases',
+  createInstallmentPurchaseValidator,
+  validate,
+  addInstallmentPurchase
+);
+
+/**
+ * @route   DELETE /api/debts/:id/installment-purchases/:purchaseId
+ * @desc    Delete a purchase in installments
+ * @access  Public
+ */
+router.delete('/:id/installment-purchases/:purchaseId',
+  deleteInstallmentPurchaseValidator,
+  validate,
+  deleteInstallmentPurchase
+);
+
+/**
+ * @route   GET /api/debts/:id/installments?months=12|targetDate=YYYY-MM|targetPayment=N&start=YYYY-MM-DD&extraPayments=YYYY-MM:amount,...&recurringExtra=N
+ * @desc    Get installments plan for a debt, with an optional extra-payments scenario and its savings
  * @access  Public
  */
 router.get('/:id/installments',
@@ -81,6 +143,17 @@ router.post('/:id/accrue',
   accrueDebt
 );
 
+/**
+ * @route   GET /api/debts/:id/statements?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @desc    Statement history of a debt with interest, payment and utilization metrics
+ * @access  Public
+ */
+router.get('/:id/statements',
+  getDebtStatementsValidator,
+  validate,
+  getDebtStatements
+);
+
 /**
  * @route   POST /api/debts/:id/statements?period=YYYY-MM|date=YYYY-MM-DD&dryRun=true|false&recompute=true|false
  * @desc    Generate (and optionally persist) a credit statement for the given period
@@ -93,6 +166,28 @@ router.post('/:id/statements',
   accrueDebt
 );
 
+/**
+ * @route   POST /api/debts/:id/statement-import
+ * @desc    Parse a card statement export (CSV/OFX) and match its lines with the card's expenses, without writing
+ * @access  Public
+ */
+router.post('/:id/statement-import',
+  previewStatementImportValidator,
+  validate,
+  previewStatementImport
+);
+
+/**
+ * @route   POST /api/debts/:id/statement-import/confirm
+ * @desc    Create the confirmed statement lines as expenses of the card (bulk path)
+ * @access  Public
+ */
+router.post('/:id/statement-import/confirm',
+  confirmStatementImportValidator,
+  validate,
+  confirmStatementImport
+);
+
 /**
  * @route   GET /api/debts/:id/statement-preview?period=YYYY-MM|date=YYYY-MM-DD
  * @desc    Preview a statement calculation without persisting
@@ -104,6 +199,39 @@ router.get('/:id/statement-preview',
   getDebtStatementPreview
 );
 
+/**
+ * @route   GET /api/debts/:id/ledger?limit=N
+ * @desc    Balance audit trail of a debt (oldest first)
+ * @access  Public
+ */
+router.get('/:id/ledger',
+  getDebtLedgerValidator,
+  validate,
+  getDebtLedger
+);
+
+/**
+ * @route   POST /api/debts/:id/ledger/recompute?apply=true|false
+ * @desc    Rebuild the debt balance from its ledger and optionally write it back
+ * @access  Public
+ */
+router.post('/:id/ledger/recompute',
+  recomputeDebtBalanceValidator,
+  validate,
+  recomputeDebtBalance
+);
+
+/**
+ * @route   POST /api/debts/:id/reconcile?apply=true|false
+ * @desc    Compare the debt balance with the last statement plus later charges and paid payments
+ * @access  Public
+ */
+router.post('/:id/reconcile',
+  reconcileDebtValidator,
+  validate,
+  reconcileDebt
+);
+
 export default router;
 
 
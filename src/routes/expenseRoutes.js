@@ -1,16 +1,42 @@
 ﻿import express from 'express';
-import { addExpense, addExpensesBulk, getExpenses, updateExpense, deleteExpense } from '../controllers/expenseController.js';
-import { createExpenseValidator, createExpensesBulkValidator, updateExpenseValidator, deleteExpenseValidator } from '../validators/expenseValidators.js';
+import { addExpense, addExpensesBulk, getExpenses, updateExpense, deleteExpense, getOverdueExpenses, markOverdueExpenses } from '../controllers/expenseController.js';
+import { createExpenseValidator, createExpensesBulkValidator, updateExpenseValidator, deleteExpenseValidator, listExpensesValidator, overdueExpensesValidator, markOverdueExpensesValidator } from '../validators/expenseValidators.js';
 import { validate, validateExpense } from '../middleware/validation.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/expenses
- * @desc    Get all expenses
+ * @desc    Get expenses (filters, sort and pagination via query string)
  * @access  Public
  */
-router.get('/', getExpenses);
+router.get('/',
+  listExpensesValidator,
+  validate,
+  getExpenses
+);
+
+/**
+ * @route   GET /api/expenses/overdue
+ * @desc    Get overdue expenses (marked overdue or pending past their date + grace period)
+ * @access  Public
+ */
+router.get('/overdue',
+  overdueExpensesValidator,
+  validate,
+  getOverdueExpenses
+);
+
+/**
+ * @route   POST /api/expenses/overdue/mark
+ * @desc    Mark pending expenses past their date + grace period as overdue
+ * @access  Public
+ */
+router.post('/overdue/mark',
+  markOverdueExpensesValidator,
+  validate,
+  markOverdueExpenses
+);
 
 /**
  * @route   POST /api/expenses/batch
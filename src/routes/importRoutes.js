@@ -0,0 +1,48 @@
+import express from 'express';
+import { getImportProfiles, addImportProfile, deleteImportProfile, importCsv } from '../controllers/importController.js';
+import { createImportProfileValidator, deleteImportProfileValidator, importCsvValidator } from '../validators/importValidators.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/imports/profiles
+ * @desc    Get saved bank CSV import profiles
+ * @access  Public
+ */
+router.get('/profiles', getImportProfiles);
+
+/**
+ * @route   POST /api/imports/profiles
+ * @desc    Save a bank CSV import profile (column mapping, date format, decimal separator, sign convention)
+ * @access  Public
+ */
+router.post('/profiles',
+  createImportProfileValidator,
+  validate,
+  addImportProfile
+);
+
+/**
+ * @route   DELETE /api/imports/profiles/:id
+ * @desc    Delete a bank CSV import profile
+ * @access  Public
+ */
+router.delete('/profiles/:id',
+  deleteImportProfileValidator,
+  validate,
+  deleteImportProfile
+);
+
+/**
+ * @route   POST /api/imports/csv
+ * @desc    Preview (dryRun, default) or import the outgoing transactions of a bank CSV export as expenses
+ * @access  Public
+ */
+router.post('/csv',
+  importCsvValidator,
+  validate,
+  importCsv
+);
+
+export default router;
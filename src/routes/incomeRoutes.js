@@ -0,0 +1,122 @@
+import express from 'express';
+
+import { validate } from '../middleware/validation.js';
+import {
+  listIncomesValidator,
+  createIncomeValidator,
+  updateIncomeValidator,
+  createRecurringIncomeValidator,
+  updateRecurringIncomeValidator,
+  incomeIdValidator,
+  generateRecurringIncomesValidator
+} from '../validators/incomeValidators.js';
+import {
+  getIncomes,
+  addIncome,
+  updateIncome,
+  deleteIncome,
+  getRecurringIncomes,
+  addRecurringIncome,
+  updateRecurringIncome,
+  deleteRecurringIncome,
+  generateRecurringIncomes
+} from '../controllers/incomeController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/incomes/recurring
+ * @desc    Get all recurring income templates
+ * @access  Public
+ */
+router.get('/recurring', getRecurringIncomes);
+
+/**
+ * @route   POST /api/incomes/recurring
+ * @desc    Add new recurring income template
+ * @access  Public
+ */
+router.post('/recurring',
+  createRecurringIncomeValidator,
+  validate,
+  addRecurringIncome
+);
+
+/**
+ * @route   POST /api/incomes/recurring/generate
+ * @desc    Generate the expected incomes of a month from the active templates
+ * @access  Public
+ */
+router.post('/recurring/generate',
+  generateRecurringIncomesValidator,
+  validate,
+  generateRecurringIncomes
+);
+
+/**
+ * @route   PUT /api/incomes/recurring/:id
+ * @desc    Update recurring income template
+ * @access  Public
+ */
+router.put('/recurring/:id',
+  updateRecurringIncomeValidator,
+  validate,
+  updateRecurringIncome
+);
+
+/**
+ * @route   DELETE /api/incomes/recurring/:id
+ * @desc    Delete recurring income template and its expected incomes
+ * @access  Public
+ */
+router.delete('/recurring/:id',
+  incomeIdValidator,
+  validate,
+  deleteRecurringIncome
+);
+
+/**
+ * @route   GET /api/incomes
+ * @desc    Get incomes (optionally of one month)
+ * @access  Public
+ */
+router.get('/',
+  listIncomesValidator,
+  validate,
+  getIncomes
+);
+
+/**
+ * @route   POST /api/incomes
+ * @desc    Add new income
+ * @access  Public
+ */
+router.post('/',
+  createIncomeValidator,
+  validate,
+  addIncome
+);
+
+/**
+ * @route   PUT /api/incomes/:id
+ * @desc    Update income
+ * @access  Public
+ */
+router.put('/:id',
+  updateIncomeValidator,
+  validate,
+  updateIncome
+);
+
+/**
+ * @route   DELETE /api/incomes/:id
+ * @desc    Delete income
+ * @access  Public
+ */
+router.delete('/:id',
+  incomeIdValidator,
+  validate,
+  deleteIncome
+);
+
+export default router;
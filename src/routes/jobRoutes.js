@@ -0,0 +1,20 @@
+import express from 'express';
+
+import { validate } from '../middleware/validation.js';
+import { listJobRunsValidator } from '../validators/jobValidators.js';
+import { getJobRuns } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/jobs/runs
+ * @desc    Get the background job runs of the authenticated user
+ * @access  Public
+ */
+router.get('/runs',
+  listJobRunsValidator,
+  validate,
+  getJobRuns
+);
+
+export default router;
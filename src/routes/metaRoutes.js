@@ -1,5 +1,5 @@
 import express from 'express';
-import { getExpenseStatuses, getExpenseEntryTypes } from '../controllers/metaController.js';
+import { getExpenseStatuses, getExpenseEntryTypes, getIncomeTypes, getIncomeStatuses } from '../controllers/metaController.js';
 
 const router = express.Router();
 
@@ -17,6 +17,20 @@ router.get('/expenses/statuses', getExpenseStatuses);
  */
 router.get('/expenses/entry-types', getExpenseEntryTypes);
 
+/**
+ * @route   GET /api/meta/incomes/types
+ * @desc    Get allowed income types
+ * @access  Public
+ */
+router.get('/incomes/types', getIncomeTypes);
+
+/**
+ * @route   GET /api/meta/incomes/statuses
+ * @desc    Get allowed income statuses
+ * @access  Public
+ */
+router.get('/incomes/statuses', getIncomeStatuses);
+
 export default router;
 
 
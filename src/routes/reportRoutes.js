@@ -0,0 +1,19 @@
+import express from 'express';
+import { getMonthlyReport } from '../controllers/reportController.js';
+import { monthlyReportValidator } from '../validators/reportValidators.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/reports/monthly
+ * @desc    Monthly cash-flow report (budget, spend by status/category, fixed vs variable, projection)
+ * @access  Public
+ */
+router.get('/monthly',
+  monthlyReportValidator,
+  validate,
+  getMonthlyReport
+);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { getSnapshot } from '../controllers/snapshotController.js';
+import { snapshotValidator } from '../validators/snapshotValidators.js';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/snapshot
+ * @desc    Categories, expenses, fixed expenses, budget, debts, credit history, incomes, recurring incomes and
+ *          installment purchases in one Sheets read (include= narrows the sections)
+ * @access  Public
+ */
+router.get('/',
+  snapshotValidator,
+  validate,
+  getSnapshot
+);
+
+export default router;
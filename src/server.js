@@ -27,9 +27,15 @@ import budgetRoutes from './routes/budgetRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import expenseRoutes from './routes/expenseRoutes.js';
 import fixedExpenseRoutes from './routes/fixedExpenseRoutes.js';
+import incomeRoutes from './routes/incomeRoutes.js';
 import debtRoutes from './routes/debtRoutes.js';
 import generateFixedExpensesRoutes from './routes/generateFixedExpensesRoutes.js';
 import metaRoutes from './routes/metaRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import importRoutes from './routes/importRoutes.js';
+import snapshotRoutes from './routes/snapshotRoutes.js';
+import { createScheduler } from './jobs/index.js';
 
 const app = express();
 
@@ -54,7 +60,8 @@ app.use(cors({
   origin: config.corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -152,7 +159,8 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: config.nodeEnv
+    environment: config.nodeEnv,
+    storage: config.storageBackend
   });
 });
 
@@ -168,6 +176,11 @@ app.use('/api/budget', requireJWT, attachSheetsService, budgetRoutes);
 app.use('/api/fixed-expenses', requireJWT, attachSheetsService, fixedExpenseRoutes);
 app.use('/api/debts', requireJWT, attachSheetsService, debtRoutes);
 app.use('/api/generate-fixed-expenses', requireJWT, attachSheetsService, generateFixedExpensesRoutes);
+app.use('/api/incomes', requireJWT, attachSheetsService, incomeRoutes);
+app.use('/api/reports', requireJWT, attachSheetsService, reportRoutes);
+app.use('/api/imports', requireJWT, attachSheetsService, importRoutes);
+app.use('/api/snapshot', requireJWT, attachSheetsService, snapshotRoutes);
+app.use('/api/jobs', requireJWT, attachSheetsService, jobRoutes);
 app.use('/api/meta', metaRoutes); // Public metadata endpoint
 
 // 404 handler
@@ -192,6 +205,11 @@ app.listen(PORT, () => {
   console.log(`🔐 Multi-user mode with OAuth 2.0`);
   console.log(`📝 API Docs: http://localhost:${PORT}/docs`);
   console.log(`🌍 Environment: ${config.nodeEnv}\n`);
+
+  // Background jobs (fixed expenses generation, debt statements)
+  if (config.scheduler.enabled) {
+    createScheduler().start();
+  }
 });
 
 // Graceful shutdown
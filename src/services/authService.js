@@ -1,7 +1,8 @@
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import config from '../config/config.js';
 import logger from '../config/logger.js';
-import UserSheetService from './userSheetService.js';
+import { createUserService } from './userServiceFactory.js';
 import SheetCreationService from './sheetCreationService.js';
 import { ApiError } from '../middleware/errorHandler.js';
 
@@ -10,7 +11,7 @@ import { ApiError } from '../middleware/errorHandler.js';
  */
 class AuthService {
   constructor() {
-    this.userSheetService = new UserSheetService();
+    this.userSheetService = createUserService();
     this.sheetCreationService = new SheetCreationService();
     this.initializePassport();
   }
@@ -132,7 +133,7 @@ class AuthService {
     try {
       logger.info('Refreshing access token');
 
-      const response = await fetch('https://oauth2.googleapis.com/token', {
+      const response = await fetch(config.googleOAuthTokenUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
@@ -185,7 +186,7 @@ class AuthService {
 
       // First, try to access the sheet metadata
       const response = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}`,
+        `${config.googleSheetsApiUrl}/v4/spreadsheets/${sheetId}`,
         {
           headers: {
             'Authorization': `Bearer ${accessToken}`,
@@ -293,7 +294,7 @@ class AuthService {
 
       // Get sheet metadata
       const response = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}`,
+        `${config.googleSheetsApiUrl}/v4/spreadsheets/${sheetId}`,
         {
           headers: {
             'Authorization': `Bearer ${accessToken}`,
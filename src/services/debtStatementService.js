@@ -0,0 +1,328 @@
+import logger from '../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { nextDateForDayOfMonth, daysBetweenDates } from '../utils/finance.js';
+import { computeSpdInterests, computeInterestCarryOver, computeExpectedBalance } from '../utils/creditStatementCalculator.js';
+import { LEDGER_CAUSES } from '../utils/debtLedger.js';
+import { installmentsDueForStatement } from '../utils/installmentPurchases.js';
+import { monthOf } from '../utils/schedule.js';
+
+/**
+ * Parse date string safely avoiding timezone issues
+ * Handles '2025-09-12' format by parsing components directly
+ */
+export function parseDateString(dateStr) {
+  // Try YYYY-MM-DD format first
+  const parts = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (parts) {
+    const year = parseInt(parts[1], 10);
+    const month = parseInt(parts[2], 10) - 1; // Month is 0-indexed
+    const day = parseInt(parts[3], 10);
+    return new Date(year, month, day);
+  }
+  
+  // Fallback to standard Date parsing
+  return new Date(dateStr);
+}
+
+/**
+ * Debt object of an id, with typed fields (see getDebtsObjects)
+ * @param {Object} storage - Storage adapter (req.sheetsService)
+ * @param {string} id - Debt id
+ * @throws {ApiError} 404 when no debt has that id
+ */
+export async function loadDebt(storage, id) {
+  const debt = (await storage.getDebtsObjects()).find(d => String(d.id) === String(id));
+  if (!debt) throw new ApiError(404, 'Debt not found');
+  return debt;
+}
+
+/**
+ * Calculate and record one statement cycle of a debt in CreditHistory and update Debts.balance.
+ * Shared by POST /api/debts/:id/statements (accrue) and the scheduled statements job.
+ * Idempotent per (debtId, statementDate): an existing record is skipped unless recompute is set.
+ * @param {Object} storage - Storage adapter (req.sheetsService)
+ * @param {string} id - Debt id
+ * @param {Object} [options]
+ * @param {Date} [options.baseDate] - The statement is the latest cutoff on or before this date (default now)
+ * @param {string} [options.period] - YYYY-MM, takes precedence over baseDate
+ * @param {boolean} [options.recompute] - Overwrite an existing record
+ * @returns {Promise<Object>} { skipped: true, reason, statementDate? } or
+ *   { skipped: false, statementDate, record, interestBreakdown, installments, currentBalance }
+ */
+export async function accrueDebtStatement(storage, id, { baseDate = new Date(), period: periodParam, recompute = false } = {}) {
+  // 1) Load debt
+  const found = await loadDebt(storage, id);
+  const debt = {
+    id: found.id,
+    name: found.name,
+    balance: found.balance ?? 0,
+    dueDay: found.dueDay ?? null,
+    cutOffDay: found.cutOffDay ?? null,
+    interesEfectivo: found.interesEfectivo ?? 0,
+    active: found.active === true
+  };
+  if (!debt.active) {
+    return { skipped: true, reason: 'Debt is inactive' };
+  }
+
+  // 2) Resolve statementDate and dueDate
+  const dayClamp = (y, m, d) => Math.min(Math.max(1, d), new Date(y, m + 1, 0).getDate());
+  const dateOnly = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const base = dateOnly(baseDate);
+
+  let statementDate;
+  if (periodParam && /^\d{4}-\d{2}$/.test(String(periodParam))) {
+    const [yStr, mStr] = String(periodParam).split('-');
+    const y = parseInt(yStr, 10);
+    const m = parseInt(mStr, 10) - 1; // 0-based
+    if (!Number.isFinite(y) || !Number.isFinite(m) || m < 0 || m > 11) {
+      throw new ApiError(400, 'Invalid period format. Expected YYYY-MM');
+    }
+    if (Number.isFinite(debt.cutOffDay)) {
+      statementDate = new Date(y, m, dayClamp(y, m, debt.cutOffDay));
+    } else {
+      // No cutOffDay: use last day of that month
+      statementDate = new Date(y, m + 1, 0);
+    }
+  } else {
+    if (Number.isFinite(debt.cutOffDay)) {
+      // If base date is not on cutoff, use the latest cutoff on or before base
+      const currentMonthCut = new Date(base.getFullYear(), base.getMonth(), dayClamp(base.getFullYear(), base.getMonth(), debt.cutOffDay));
+      if (base.getDate() >= currentMonthCut.getDate()) {
+        statementDate = currentMonthCut;
+      } else {
+        const prevMonth = new Date(base.getFullYear(), base.getMonth() - 1, 1);
+        statementDate = new Date(prevMonth.getFullYear(), prevMonth.getMonth(), dayClamp(prevMonth.getFullYear(), prevMonth.getMonth(), debt.cutOffDay));
+      }
+    } else {
+      // Use last day of previous month as statementDate
+      const prevMonthEnd = new Date(base.getFullYear(), base.getMonth(), 0);
+      statementDate = prevMonthEnd;
+    }
+  }
+
+  const dueDate = Number.isFinite(debt.dueDay)
+    ? nextDateForDayOfMonth(debt.dueDay, statementDate)
+    : new Date(statementDate.getFullYear(), statementDate.getMonth(), dayClamp(statementDate.getFullYear(), statementDate.getMonth(), 25));
+
+  // Calculate previous statement date (cutoff date of previous month)
+  const prevMonth = new Date(statementDate.getFullYear(), statementDate.getMonth() - 1, 1);
+  const prevStatementDate = Number.isFinite(debt.cutOffDay)
+    ? new Date(prevMonth.getFullYear(), prevMonth.getMonth(), dayClamp(prevMonth.getFullYear(), prevMonth.getMonth(), debt.cutOffDay))
+    : new Date(statementDate.getFullYear(), statementDate.getMonth(), 0);
+
+  // 3) Idempotency: check existing CreditHistory for (id, statementDate)
+  const history = await storage.getCreditHistoryObjects();
+  const statementDateStr = statementDate.toISOString().slice(0, 10);
+  const exists = history.some(h => String(h.debtId) === String(id) && String(h.statementDate) === statementDateStr);
+  let previousRowNumber = null;
+  if (exists && !recompute) {
+    return { skipped: true, reason: 'Already accrued for this statementDate', statementDate: statementDateStr };
+  }
+  if (exists && recompute) {
+    // Row of the statement to recompute
+    previousRowNumber = await storage.findCreditHistoryRow(id, statementDateStr);
+  }
+
+  // 4) Determine previous record for previousBalance (we keep backward compat where available)
+  const lastForDebt = history
+    .filter(h => String(h.debtId) === String(id) && h.statementDate && h.statementDate < statementDateStr)
+    .sort((a, b) => (a.statementDate < b.statementDate ? 1 : -1))[0];
+  const previousBalance = lastForDebt && Number.isFinite(lastForDebt.statementBalance) ? Number(lastForDebt.statementBalance) : (Number.isFinite(debt.balance) ? Number(debt.balance) : 0);
+
+  // 5) Gather expenses in [prevStatementDate, statementDate) and compute components
+  const allExpenses = await storage.getExpensesObjects();
+  // Start period: day after previous statement date (prevStatementDate + 1 day)
+  const startPeriod = new Date(prevStatementDate.getFullYear(), prevStatementDate.getMonth(), prevStatementDate.getDate() + 1);
+  
+  const periodEvents = [];
+  const startPeriodDateOnly = new Date(startPeriod.getFullYear(), startPeriod.getMonth(), startPeriod.getDate());
+  const statementDateOnly = new Date(statementDate.getFullYear(), statementDate.getMonth(), statementDate.getDate());
+  
+  for (const e of allExpenses) {
+    if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) continue;
+    
+    // Parse date string safely: '2025-09-12' format
+    const dateStr = String(e.date).trim();
+    const dateOnlyEvent = parseDateString(dateStr);
+    
+    if (dateOnlyEvent >= startPeriodDateOnly && dateOnlyEvent < statementDateOnly) {
+      const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
+      const amount = Number(e.amount) || 0;
+      if (amount <= 0) continue;
+      if (entryType === 'charge' || entryType === 'payment') {
+        periodEvents.push({ date: dateOnlyEvent, kind: entryType, amount });
+      }
+    }
+  }
+  periodEvents.sort((a, b) => {
+    if (a.date.getTime() !== b.date.getTime()) return a.date - b.date;
+    if (a.kind === b.kind) return 0;
+    return a.kind === 'payment' ? -1 : 1;
+  });
+
+  // Purchases in installments only add the installment billed on this statement (principal to charges,
+  // its interest to interests); they are not SPD events
+  const installments = installmentsDueForStatement(await storage.getInstallmentPurchasesObjects(), id, monthOf(statementDate));
+
+  const charges = periodEvents.filter(e => e.kind === 'charge').reduce((s, e) => s + e.amount, 0) + installments.principal;
+  const payments = periodEvents.filter(e => e.kind === 'payment').reduce((s, e) => s + e.amount, 0);
+
+  const annualRateUnit = debt.interesEfectivo > 1 ? (debt.interesEfectivo / 100) : debt.interesEfectivo;
+  
+  // Use shared utility for SPD interest calculation
+  const { interestSobreSaldo, interestBonificable } = computeSpdInterests(previousBalance, periodEvents, annualRateUnit, startPeriod, statementDate);
+  
+  // Carry-over usando utilidad compartida
+  let interestCarryOver = 0;
+  if (lastForDebt) {
+    try {
+      const prevPaid = await storage.sumPaymentsForDebt(
+        id,
+        String(lastForDebt.statementDate),
+        String(lastForDebt.dueDate)
+      );
+      interestCarryOver = computeInterestCarryOver(lastForDebt, prevPaid);
+    } catch (e) {
+      interestCarryOver = 0;
+    }
+  }
+  const interests = Number((interestSobreSaldo + interestCarryOver + installments.interest).toFixed(2));
+  const bonifiableInterest = Number(interestBonificable.toFixed(2));
+  const statementBalance = Number((Math.max(0, previousBalance + charges + interests - payments)).toFixed(2));
+  const installmentBalance = Number((statementBalance + bonifiableInterest).toFixed(2));
+
+  // No dryRun here; use preview endpoint for GET
+
+  // 7) CreditHistory record, persisted below together with the balance (interests are descriptive)
+  const record = {
+    debtId: id,
+    statementDate: statementDateStr,
+    dueDate: dueDate.toISOString().slice(0, 10),
+    previousBalance,
+    charges,
+    interests,
+    payments,
+    statementBalance,
+    bonifiableInterest,
+    installmentBalance,
+    annualEffectiveRate: annualRateUnit,
+    termMonths: null,
+    periodDays: daysBetweenDates(new Date(startPeriod.getFullYear(), startPeriod.getMonth(), startPeriod.getDate()), statementDate) || 0,
+    paymentMade: await storage.sumPaymentsForDebt(id, statementDateStr, dueDate.toISOString().slice(0,10))
+  };
+
+  // Calculate current balance: statementBalance + charges after statementDate - payments after statementDate
+  const currentDate = new Date();
+  const currentCharges = allExpenses
+    .filter(e => {
+      if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) return false;
+      const dateOnlyEvent = parseDateString(String(e.date).trim());
+      const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
+      return dateOnlyEvent > statementDateOnly && 
+             dateOnlyEvent <= new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()) &&
+             entryType === 'charge';
+    })
+    .reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
+  
+  const currentPayments = allExpenses
+    .filter(e => {
+      if (!e || !e.debtId || String(e.debtId) !== String(id) || !e.date) return false;
+      const dateOnlyEvent = parseDateString(String(e.date).trim());
+      const entryType = e.entryType ? String(e.entryType).toLowerCase() : '';
+      return dateOnlyEvent > statementDateOnly && 
+             dateOnlyEvent <= new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate()) &&
+             entryType === 'payment';
+    })
+    .reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
+  
+  const currentBalance = Number((statementBalance + currentCharges - currentPayments).toFixed(2));
+  
+  // Persist the record and update debt balance with current balance (statementBalance + charges/payments
+  // after statement date) as one unit of work
+  await storage.createUnitOfWork().run(async (uow) => {
+    if (exists && previousRowNumber && recompute) {
+      await storage.updateCreditHistoryRow(previousRowNumber, record, { unitOfWork: uow });
+    } else {
+      await storage.appendCreditHistoryRecord(record, { unitOfWork: uow });
+    }
+    await storage.updateDebt({ id, balance: currentBalance }, { cause: LEDGER_CAUSES.STATEMENT_ACCRUED, unitOfWork: uow });
+  });
+
+  logger.info('Debt statement computed', { 
+    debtId: id, 
+    statementDate: statementDateStr,
+    statementBalance,
+    currentCharges,
+    currentPayments,
+    currentBalance
+  });
+
+  return {
+    skipped: false,
+    statementDate: statementDateStr,
+    record,
+    interestBreakdown: { interestSobreSaldo, interestBonificable, interestCarryOver },
+    installments,
+    currentBalance
+  };
+}
+
+/**
+ * Compare Debts.balance with the balance expected from the last CreditHistory statement plus the
+ * charges and paid payments since then, and optionally overwrite it (recorded as 'reconcile').
+ * @param {Object} storage - Storage adapter (req.sheetsService)
+ * @param {string} id - Debt id
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - Write the expected balance to the debt
+ * @returns {Promise<Object>} { debtId, currentBalance, expectedBalance, discrepancy, reconciled, baseline, charges, payments, pendingPayments, events, applied }
+ */
+export async function reconcileDebtBalance(storage, id, { apply = false } = {}) {
+  const [debts, history, expenses] = await Promise.all([
+    storage.getDebtsObjects(),
+    storage.getCreditHistoryObjects(),
+    storage.getExpensesObjects()
+  ]);
+
+  const debt = debts.find(d => String(d.id) === String(id));
+  if (!debt) throw new ApiError(404, 'Debt not found');
+
+  const lastStatement = history
+    .filter(h => String(h.debtId) === String(id) && h.statementDate && Number.isFinite(h.statementBalance))
+    .sort((a, b) => (a.statementDate < b.statementDate ? 1 : -1))[0];
+  if (!lastStatement) {
+    throw new ApiError(409, 'Debt has no statement in CreditHistory to reconcile from');
+  }
+
+  const expected = computeExpectedBalance(lastStatement, expenses, id);
+  const currentBalance = Number.isFinite(debt.balance) ? debt.balance : 0;
+  const discrepancy = Number((currentBalance - expected.expectedBalance).toFixed(2));
+
+  let applied = false;
+  if (apply && discrepancy !== 0) {
+    await storage.updateDebt({ id, balance: expected.expectedBalance }, { cause: LEDGER_CAUSES.RECONCILE });
+    applied = true;
+    logger.info('Debt balance reconciled', { debtId: id, from: currentBalance, to: expected.expectedBalance });
+  }
+
+  return {
+    debtId: String(id),
+    currentBalance,
+    expectedBalance: expected.expectedBalance,
+    discrepancy,
+    reconciled: discrepancy === 0 || applied,
+    baseline: { statementDate: String(lastStatement.statementDate), statementBalance: expected.statementBalance },
+    charges: expected.charges,
+    payments: expected.payments,
+    pendingPayments: expected.pendingPayments,
+    events: expected.events,
+    applied
+  };
+}
+
+export default {
+  parseDateString,
+  loadDebt,
+  accrueDebtStatement,
+  reconcileDebtBalance
+};
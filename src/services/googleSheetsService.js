@@ -1,7 +1,33 @@
-﻿﻿import logger from '../config/logger.js';
+﻿﻿import config from '../config/config.js';
+import logger from '../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import schemaMappings from '../config/schemaMappings.js';
 import schemaTypes from '../config/schemaTypes.js';
+import { nanoid } from 'nanoid';
+import { INCOMES_HEADERS, RECURRING_INCOMES_HEADERS, DEBT_LEDGER_HEADERS, INSTALLMENT_PURCHASES_HEADERS, IMPORT_PROFILES_HEADERS } from './sheetCreationService.js';
+import { shouldMarkOverdue } from '../utils/overdue.js';
+import { LEDGER_CAUSES, buildLedgerEntry, replayLedger } from '../utils/debtLedger.js';
+import { computeRowEtag, ifMatchSatisfied } from '../utils/etag.js';
+import { sheetsFetch } from './sheetsHttp.js';
+import sheetsCache from './sheetsCacheService.js';
+import { parseColumnsRead, writtenSheetTitles } from '../utils/valuesEndpoint.js';
+import { headerToKey, columnLetter, buildLayout, rowToRecord, recordToRow, missingColumns } from '../utils/sheetLayout.js';
+import SheetsUnitOfWork from './sheetsUnitOfWork.js';
+import { SNAPSHOT_SECTIONS } from '../config/constants.js';
+
+// Sheet behind each snapshot section and whether its rows carry an ETag (as in the matching get*Objects method)
+const SNAPSHOT_SHEETS = {
+  categories: { title: 'Categories', etags: true },
+  expenses: { title: 'Expenses', etags: true },
+  fixedExpenses: { title: 'FixedExpenses', etags: true },
+  budget: { title: 'Budget' },
+  debts: { title: 'Debts', etags: true },
+  creditHistory: { title: 'CreditHistory' },
+  incomes: { title: 'Incomes' },
+  recurringIncomes: { title: 'RecurringIncomes' },
+  installmentPurchases: { title: 'InstallmentPurchases' }
+};
+
 /**
  * Service class for Google Sheets operations (Multi-user)
  * Each instance is bound to a specific user's access token and sheet
@@ -11,8 +37,11 @@ class GoogleSheetsService {
    * Create a GoogleSheetsService instance for a specific user
    * @param {string} userAccessToken - User's OAuth access token
    * @param {string} userSheetId - ID of user's Google Sheet
+   * @param {Object} [options]
+   * @param {Function} [options.refreshAccessToken] - async (failedToken) => new token; when given, a request
+   *   rejected with 401 is retried once with the refreshed token
    */
-  constructor(userAccessToken, userSheetId) {
+  constructor(userAccessToken, userSheetId, { refreshAccessToken = null } = {}) {
     if (!userAccessToken) {
       throw new ApiError(401, 'User access token is required');
     }
@@ -22,46 +51,68 @@ class GoogleSheetsService {
 
     this.accessToken = userAccessToken;
     this.sheetId = userSheetId;
-    
-    // Cache para reducir peticiones a Google Sheets
-    this.cache = {
-      categories: null,
-      categoriesTimestamp: null,
-      cacheTimeout: 30000 // 30 segundos
-    };
+    this.refreshAccessToken = refreshAccessToken;
     
     logger.debug('GoogleSheetsService instance created', { sheetId: userSheetId });
   }
 
   /**
    * Get access token for Google Sheets API
-   * Now simply returns the user's OAuth token
+   * Returns the user's OAuth token (replaced by the refreshed one after a 401, see makeRequest)
    */
   async getAccessToken() {
-    // Simply return the user's OAuth access token
-    // Token refresh is handled by the auth middleware/service
     return this.accessToken;
   }
 
+  /**
+   * Make a request to Google Sheets API through the shared read-through cache:
+   * whole-column reads of cached sheets are served from sheetsCache, and every write invalidates the sheets
+   * it touches (all of them for structural batchUpdates), even when it fails halfway.
+   * Pass `fresh: true` for reads that decide which row to write or delete: the cache only sees the writes made
+   * through this API, so a cached row number may point at another record once someone else inserts or deletes rows.
+   */
+  async makeRequest(endpoint, { fresh = false, ...options } = {}) {
+    if ((options.method || 'GET').toUpperCase() === 'GET') {
+      const read = fresh ? null : parseColumnsRead(endpoint);
+      return read
+        ? sheetsCache.read(this.sheetId, read, () => this.sendRequest(endpoint, options))
+        : this.sendRequest(endpoint, options);
+    }
+
+    try {
+      return await this.sendRequest(endpoint, options);
+    } finally {
+      await sheetsCache.invalidate(this.sheetId, writtenSheetTitles(endpoint, options.body));
+    }
+  }
+
   /**
    * Make authenticated request to Google Sheets API
+   * An expired token (401) is refreshed and the request retried once, when a refresher was given.
+   * Quota and server errors are retried by sheetsFetch, which throws ApiError 503 once it gives up.
    */
-  async makeRequest(endpoint, options = {}) {
+  async sendRequest(endpoint, options = {}) {
     try {
-      const token = await this.getAccessToken();
-      
-      const url = `https://sheets.googleapis.com/v4/spreadsheets/${this.sheetId}${endpoint}`;
-      
-      logger.debug('Making Google Sheets API request', { url, method: options.method || 'GET' });
-      
-      const response = await fetch(url, {
+      const url = `${config.googleSheetsApiUrl}/v4/spreadsheets/${this.sheetId}${endpoint}`;
+      const send = async (token) => sheetsFetch(url, {
         ...options,
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json',
           ...options.headers
         }
-      });
+      }, { key: this.sheetId });
+
+      logger.debug('Making Google Sheets API request', { url, method: options.method || 'GET' });
+
+      const token = await this.getAccessToken();
+      let response = await send(token);
+
+      if (response.status === 401 && this.refreshAccessToken) {
+        logger.info('Google Sheets API rejected the access token, refreshing', { endpoint });
+        this.accessToken = await this.refreshAccessToken(token);
+        response = await send(this.accessToken);
+      }
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -70,7 +121,8 @@ class GoogleSheetsService {
           endpoint, 
           error: errorText 
         });
-        throw new ApiError(response.status, `Google Sheets API error: ${errorText}`);
+        // Google's body stays in the log: it can describe the spreadsheet and is not for clients
+        throw new ApiError(response.status, `Google Sheets API request failed with status ${response.status}`);
       }
 
       const data = await response.json();
@@ -121,6 +173,100 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Add the ETag of its sheet row to every object mapRowsToObjects built from the same values
+   * (empty rows are skipped the same way, so objects and rows line up by position).
+   * Cells past the last header are left out, as in the rows writes read back (see getSheetLayout).
+   */
+  withRowEtags(items, values) {
+    const width = ((values || [])[0] || []).length;
+    const rows = (values || []).slice(1).filter(row => Array.isArray(row) && row.some(cell => {
+      return cell !== undefined && cell !== null && String(cell).trim() !== '';
+    }));
+    return items.map((item, index) => ({ ...item, etag: computeRowEtag(rows[index].slice(0, width)) }));
+  }
+
+  /**
+   * Reject a write when the client's If-Match no longer matches the stored row
+   * @param {Array} row - Row values as stored now
+   * @param {string} [ifMatch] - If-Match header of the request
+   */
+  assertIfMatch(row, ifMatch) {
+    if (!ifMatchSatisfied(ifMatch, computeRowEtag(row))) {
+      throw new ApiError(412, 'Precondition failed: the resource was modified by another request');
+    }
+  }
+
+  /**
+   * Column layout of a sheet from its header row (see buildLayout), tagged with the sheet title
+   */
+  layoutOf(title, headerRow) {
+    return { title, ...buildLayout(headerRow || [], schemaMappings[title]) };
+  }
+
+  /**
+   * Column layout of a sheet, read from its header row once per instance.
+   * The header row is never served from the cache: a layout older than the sheet would write fields
+   * under the wrong headers.
+   */
+  async getSheetLayout(title) {
+    if (!this.sheetLayouts) {
+      this.sheetLayouts = {};
+    }
+    if (!this.sheetLayouts[title]) {
+      this.sheetLayouts[title] = this.makeRequest(`/values/${title}!1:1`)
+        .then(response => this.layoutOf(title, response.values && response.values[0]))
+        .catch((error) => {
+          delete this.sheetLayouts[title];
+          throw error;
+        });
+    }
+    return this.sheetLayouts[title];
+  }
+
+  /**
+   * Non-empty data rows of a sheet as raw cells by schema key (see rowToRecord), with their 1-based row numbers.
+   * Always read from Sheets, never from the cache, since callers write or delete by these row numbers.
+   * @returns {Promise<{ rowNumber: number, record: Object }[]>}
+   */
+  async getSheetRecords(title) {
+    const response = await this.makeRequest(`/values/${title}`, { fresh: true });
+    const values = response.values || [];
+    const layout = this.layoutOf(title, values[0]);
+    const records = [];
+    values.slice(1).forEach((row, index) => {
+      if (Array.isArray(row) && row.some(cell => cell !== undefined && cell !== null && String(cell).trim() !== '')) {
+        records.push({ rowNumber: index + 2, record: rowToRecord(layout, row) });
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Row values of a record in the sheet's column order, on top of the stored row (see recordToRow)
+   * A field with a value but no header column is rejected rather than dropped.
+   * @param {Object} layout - Layout of the sheet (see getSheetLayout)
+   * @param {Object} record - Cell values by schema key
+   * @param {Array} [base] - Stored row values
+   */
+  toSheetRow(layout, record, base = []) {
+    const missing = missingColumns(layout, record);
+    if (missing.length > 0) {
+      throw new ApiError(409, `Sheet ${layout.title} has no column for: ${missing.join(', ')}`);
+    }
+    return recordToRow(layout, record, base);
+  }
+
+  /**
+   * Column letter of a schema key in a layout
+   */
+  columnOf(layout, key) {
+    if (layout.columns[key] === undefined) {
+      throw new ApiError(409, `Sheet ${layout.title} has no column for: ${key}`);
+    }
+    return columnLetter(layout.columns[key]);
+  }
+
   /**
    * Normalize object keys using sheet-specific schema mappings
    */
@@ -133,8 +279,7 @@ class GoogleSheetsService {
       const normalized = items.map((item) => {
         const out = {};
         for (const [rawKey, value] of Object.entries(item)) {
-          const normalizedKey = this.normalizeHeaderKey(rawKey);
-          const canonical = mapping[normalizedKey] || this.toCamelCase(rawKey);
+          const canonical = headerToKey(rawKey, mapping);
           if (out[canonical] === undefined) {
             out[canonical] = value;
           }
@@ -148,22 +293,6 @@ class GoogleSheetsService {
     }
   }
 
-  normalizeHeaderKey(key) {
-    return String(key)
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '');
-  }
-
-  toCamelCase(key) {
-    return String(key)
-      .trim()
-      .replace(/^[^a-zA-Z]+/, '')
-      .replace(/[-_\s]+([a-zA-Z0-9])/g, (_, c) => c.toUpperCase())
-      .replace(/^[A-Z]/, (c) => c.toLowerCase());
-  }
-
   /**
    * Coerce values to target types based on sheet schema
    */
@@ -225,30 +354,17 @@ class GoogleSheetsService {
   }
 
   /**
-   * Get categories from Google Sheets with cache
+   * Get categories from Google Sheets (cached by sheetsCache, see makeRequest)
    */
   async getCategories() {
     try {
-      // Verificar si tenemos datos en caché y si no han expirado
-      const now = Date.now();
-      if (this.cache.categories && 
-          this.cache.categoriesTimestamp && 
-          (now - this.cache.categoriesTimestamp) < this.cache.cacheTimeout) {
-        logger.debug('Returning categories from cache', { count: this.cache.categories.length });
-        return this.cache.categories;
-      }
-
       logger.info('Fetching categories from Google Sheets');
-      const response = await this.makeRequest('/values/Categories!A:D');
+      const response = await this.makeRequest('/values/Categories');
       const values = response.values || [];
-      const categories = this.coerceTypesForSheet(
+      const categories = this.withRowEtags(this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Categories'),
         'Categories'
-      );
-      
-      // Guardar en caché
-      this.cache.categories = categories;
-      this.cache.categoriesTimestamp = now;
+      ), values);
       
       logger.info('Categories fetched successfully', { count: categories.length });
       return categories;
@@ -278,21 +394,16 @@ class GoogleSheetsService {
       };
       
       // Add to Categories sheet
-      const values = [
-        [categoryData.id, categoryData.name, categoryData.color, categoryData.icon]
-      ];
+      const layout = await this.getSheetLayout('Categories');
+      const values = [this.toSheetRow(layout, categoryData)];
       
-      const response = await this.makeRequest('/values/Categories!A:D:append?valueInputOption=RAW', {
+      const response = await this.makeRequest(`/values/Categories!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
         method: 'POST',
         body: JSON.stringify({
           values: values
         })
       });
       
-      // Invalidar caché
-      this.cache.categories = null;
-      this.cache.categoriesTimestamp = null;
-      
       logger.info('Category added successfully', { id: newId, name: category.name });
       return categoryData;
     } catch (error) {
@@ -303,57 +414,40 @@ class GoogleSheetsService {
 
   /**
    * Update a category in Google Sheets
+   * The row is looked up and re-read inside a unit of work so If-Match is checked against what is stored.
+   * @param {string|number} id - Category id
+   * @param {Object} categoryData - Fields to update (name, color, icon)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the update with 412
    */
-  async updateCategory(id, categoryData) {
+  async updateCategory(id, categoryData, { ifMatch } = {}) {
     try {
       logger.info('Updating category in Google Sheets', { id, updates: categoryData });
-      
-      // Get all categories to find the row
-      const categories = await this.getCategories();
-      logger.debug('Categories found for update', { 
-        categoriesCount: categories.length, 
-        searchingForId: id, 
-        parsedId: parseInt(id),
-        categoryIds: categories.map(c => ({ id: c.id, type: typeof c.id }))
-      });
-      
-      const categoryIndex = categories.findIndex(c => String(c.id) === String(id));
-      
-      if (categoryIndex === -1) {
-        logger.error('Category not found for update', { 
-          id, 
-          parsedId: parseInt(id), 
-          availableIds: categories.map(c => c.id) 
-        });
-        throw new ApiError(404, 'Category not found');
-      }
-      
-      // Calculate the row number (header + index + 1)
-      const rowNumber = categoryIndex + 2;
-      
-      // Prepare update data
-      const updateData = {
-        id: parseInt(id),
-        name: categoryData.name,
-        color: categoryData.color || '#6B7280',
-        icon: categoryData.icon || '📁'
-      };
-      
-      const values = [
-        [updateData.id, updateData.name, updateData.color, updateData.icon]
-      ];
-      
-      const response = await this.makeRequest(`/values/Categories!A${rowNumber}:D${rowNumber}?valueInputOption=RAW`, {
-        method: 'PUT',
-        body: JSON.stringify({
-          values: values
-        })
+
+      const layout = await this.getSheetLayout('Categories');
+      const { result: values } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('Categories', String(id));
+        if (!rowNumber) {
+          logger.error('Category not found for update', { id });
+          throw new ApiError(404, 'Category not found');
+        }
+
+        const existing = await uow.readRow('Categories', rowNumber, layout.lastColumn);
+        this.assertIfMatch(existing, ifMatch);
+
+        const current = rowToRecord(layout, existing);
+        const row = this.toSheetRow(layout, {
+          id: parseInt(id),
+          name: categoryData.name !== undefined ? categoryData.name : (current.name || ''),
+          color: categoryData.color || current.color || '#6B7280',
+          icon: categoryData.icon || current.icon || '📁'
+        }, existing);
+        uow.setRow('Categories', rowNumber, layout.lastColumn, row);
+        return row;
       });
-      
-      // Invalidar caché
-      this.cache.categories = null;
-      this.cache.categoriesTimestamp = null;
-      
+
+      const updated = rowToRecord(layout, values);
+      const updateData = { id: updated.id, name: updated.name, color: updated.color, icon: updated.icon, etag: computeRowEtag(values) };
       logger.info('Category updated successfully', { id, name: updateData.name });
       return updateData;
     } catch (error) {
@@ -364,43 +458,31 @@ class GoogleSheetsService {
 
   /**
    * Delete a category from Google Sheets
+   * @param {string|number} id - Category id
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the deletion with 412
    */
-  async deleteCategory(id) {
+  async deleteCategory(id, { ifMatch } = {}) {
     try {
       logger.info('Deleting category from Google Sheets', { id });
-      
-      // Get all categories to find the row
-      const categories = await this.getCategories();
-      logger.debug('Categories found for deletion', { 
-        categoriesCount: categories.length, 
-        searchingForId: id, 
-        parsedId: parseInt(id),
-        categoryIds: categories.map(c => ({ id: c.id, type: typeof c.id }))
-      });
-      
-      const categoryIndex = categories.findIndex(c => String(c.id) === String(id));
-      
-      if (categoryIndex === -1) {
-        logger.error('Category not found for deletion', { 
-          id, 
-          parsedId: parseInt(id), 
-          availableIds: categories.map(c => c.id) 
+
+      const layout = await this.getSheetLayout('Categories');
+      await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('Categories', String(id));
+        if (!rowNumber) {
+          logger.error('Category not found for deletion', { id });
+          throw new ApiError(404, 'Category not found');
+        }
+
+        const existing = await uow.readRow('Categories', rowNumber, layout.lastColumn);
+        this.assertIfMatch(existing, ifMatch);
+
+        // Clear the row
+        return this.makeRequest(`/values/Categories!A${rowNumber}:${layout.lastColumn}${rowNumber}:clear`, {
+          method: 'POST'
         });
-        throw new ApiError(404, 'Category not found');
-      }
-      
-      // Calculate the row number (header + index + 1)
-      const rowNumber = categoryIndex + 2;
-      
-      // Delete the row
-      const response = await this.makeRequest(`/values/Categories!A${rowNumber}:D${rowNumber}:clear`, {
-        method: 'POST'
       });
-      
-      // Invalidar caché
-      this.cache.categories = null;
-      this.cache.categoriesTimestamp = null;
-      
+
       logger.info('Category deleted successfully', { id });
       return { id: parseInt(id), deleted: true };
     } catch (error) {
@@ -415,12 +497,12 @@ class GoogleSheetsService {
   async getExpensesObjects() {
     try {
       logger.info('Fetching expenses (objects) from Google Sheets');
-      const response = await this.makeRequest('/values/Expenses!A:J');
+      const response = await this.makeRequest('/values/Expenses');
       const values = response.values || [];
-      const expenses = this.coerceTypesForSheet(
+      const expenses = this.withRowEtags(this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Expenses'),
         'Expenses'
-      );
+      ), values);
       logger.info('Expenses (objects) fetched successfully', { count: expenses.length });
       return expenses;
     } catch (error) {
@@ -435,12 +517,12 @@ class GoogleSheetsService {
   async getFixedExpensesObjects() {
     try {
       logger.info('Fetching fixed expenses (objects) from Google Sheets');
-      const response = await this.makeRequest('/values/FixedExpenses!A:G');
+      const response = await this.makeRequest('/values/FixedExpenses');
       const values = response.values || [];
-      const fixedExpenses = this.coerceTypesForSheet(
+      const fixedExpenses = this.withRowEtags(this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'FixedExpenses'),
         'FixedExpenses'
-      );
+      ), values);
       logger.info('Fixed expenses (objects) fetched successfully', { count: fixedExpenses.length });
       return fixedExpenses;
     } catch (error) {
@@ -455,7 +537,7 @@ class GoogleSheetsService {
   async getBudgetObjects() {
     try {
       logger.info('Fetching budget (objects) from Google Sheets');
-      const response = await this.makeRequest('/values/Budget!A:B');
+      const response = await this.makeRequest('/values/Budget');
       const values = response.values || [];
       const budget = this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Budget'),
@@ -475,12 +557,12 @@ class GoogleSheetsService {
   async getDebtsObjects() {
     try {
       logger.info('Fetching debts (objects) from Google Sheets');
-      const response = await this.makeRequest('/values/Debts!A:K');
+      const response = await this.makeRequest('/values/Debts');
       const values = response.values || [];
-      const debts = this.coerceTypesForSheet(
+      const debts = this.withRowEtags(this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Debts'),
         'Debts'
-      );
+      ), values);
       logger.info('Debts (objects) fetched successfully', { count: debts.length });
       return debts;
     } catch (error) {
@@ -489,14 +571,49 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Several sheets as arrays of objects (same shape as their get*Objects methods) in one values:batchGet.
+   * Sections whose sheet does not exist (not created yet, or deleted by the user) come back empty, since one
+   * missing range fails the whole batchGet; that check costs one metadata request.
+   * @param {string[]} [sections] - Keys of SNAPSHOT_SECTIONS (default all)
+   * @returns {Promise<Object<string, Object[]>>} Objects per section
+   */
+  async getSnapshot(sections = SNAPSHOT_SECTIONS) {
+    try {
+      logger.info('Fetching snapshot from Google Sheets', { sections });
+      const snapshot = Object.fromEntries(sections.map(key => [key, []]));
+
+      const meta = await this.makeRequest('?fields=sheets.properties');
+      const titles = new Set(((meta && meta.sheets) || []).map(s => s.properties?.title));
+      const wanted = sections
+        .map(key => ({ key, ...SNAPSHOT_SHEETS[key] }))
+        .filter(s => titles.has(s.title));
+      if (wanted.length === 0) return snapshot;
+
+      const query = wanted.map(s => `ranges=${encodeURIComponent(s.title)}`).join('&');
+      const response = await this.makeRequest(`/values:batchGet?${query}`);
+      const valueRanges = response.valueRanges || [];
+      wanted.forEach(({ key, title, etags }, index) => {
+        const values = valueRanges[index]?.values || [];
+        const objects = this.coerceTypesForSheet(this.normalizeKeysForSheet(this.mapRowsToObjects(values), title), title);
+        snapshot[key] = etags ? this.withRowEtags(objects, values) : objects;
+      });
+
+      logger.info('Snapshot fetched successfully', { sheets: wanted.length });
+      return snapshot;
+    } catch (error) {
+      logger.error('Error fetching snapshot', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get expenses from Google Sheets
    */
   async getExpenses() {
     try {
       logger.info('Fetching expenses from Google Sheets');
-      // Include column G for fixedExpenseId linkage
-      const response = await this.makeRequest('/values/Expenses!A:J');
+      const response = await this.makeRequest('/values/Expenses');
       const expenses = response.values || [];
       logger.info('Expenses fetched successfully', { count: expenses.length });
       return expenses;
@@ -506,8 +623,28 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Cell values of a new expense by schema key (see toSheetRow)
+   */
+  expenseToRecord(expense) {
+    return {
+      id: expense.id,
+      date: expense.date,
+      description: expense.description,
+      amount: expense.amount.toString(),
+      categoryId: expense.categoryId.toString(),
+      isFixed: expense.isFixed ? 'TRUE' : 'FALSE',
+      fixedExpenseId: expense.fixedExpenseId ? String(expense.fixedExpenseId) : '',
+      debtId: expense.debtId ? String(expense.debtId) : '',
+      entryType: expense.entryType ? String(expense.entryType) : '',
+      status: expense.status ? String(expense.status) : ''
+    };
+  }
+
   /**
    * Add new expense to Google Sheets
+   * The row and the debt balance it moves are written as one unit of work: if the balance
+   * update fails, the appended row is deleted again.
    */
   async addExpense(expense) {
     try {
@@ -516,46 +653,32 @@ class GoogleSheetsService {
         amount: expense.amount 
       });
 
-      const values = [[
-        expense.id,
-        expense.date,
-        expense.description,
-        expense.amount.toString(),
-        expense.categoryId.toString(),
-        expense.isFixed ? 'TRUE' : 'FALSE',
-        expense.fixedExpenseId ? String(expense.fixedExpenseId) : '',
-        expense.debtId ? String(expense.debtId) : '',
-        expense.entryType ? String(expense.entryType) : '',
-        expense.status ? String(expense.status) : ''
-      ]];
-
-      const response = await this.makeRequest('/values/Expenses!A:J:append?valueInputOption=RAW', {
-        method: 'POST',
-        body: JSON.stringify({ values })
-      });
+      const layout = await this.getSheetLayout('Expenses');
+      const values = [this.toSheetRow(layout, this.expenseToRecord(expense))];
 
-      logger.info('Expense added successfully', { expenseId: expense.id });
+      const { result: response } = await this.createUnitOfWork().run(async (uow) => {
+        const appended = await uow.append('Expenses', layout.lastColumn, values);
 
-      // If it's a credit payment already marked as paid, subtract immediately
-      try {
+        // If it's a credit payment already marked as paid, subtract immediately
         // Credit determination is now based on presence of debtId
         const isCredit = !!expense.debtId;
         const isPayment = String(expense.entryType || '').toLowerCase() === 'payment';
         const isPaid = String(expense.status || '').toLowerCase() === 'paid';
+        const ledger = { cause: LEDGER_CAUSES.EXPENSE_CREATED, expenseId: expense.id, unitOfWork: uow };
         if (isCredit && isPayment && isPaid && expense.debtId) {
-          await this.adjustDebtBalance(String(expense.debtId), -Number(expense.amount));
+          await this.adjustExpenseDebtBalance(String(expense.debtId), -Number(expense.amount), ledger);
           logger.info('Debt balance adjusted on add (paid payment)', { debtId: expense.debtId, amount: expense.amount });
         }
         // Charges increase balance immediately regardless of status
         const isCharge = String(expense.entryType || '').toLowerCase() === 'charge';
         if (isCredit && isCharge && expense.debtId) {
-          await this.adjustDebtBalance(String(expense.debtId), +Number(expense.amount));
+          await this.adjustExpenseDebtBalance(String(expense.debtId), +Number(expense.amount), ledger);
           logger.info('Debt balance adjusted on add (charge)', { debtId: expense.debtId, amount: expense.amount });
         }
-      } catch (e) {
-        logger.error('Failed adjusting debt balance on add', { error: e.message });
-      }
+        return appended;
+      });
 
+      logger.info('Expense added successfully', { expenseId: expense.id });
       return response;
     } catch (error) {
       logger.error('Error adding expense', { 
@@ -568,53 +691,42 @@ class GoogleSheetsService {
 
   /**
    * Add multiple expenses to Google Sheets in a single append
+   * Debt balance adjustments share one unit of work with the append (see addExpense).
    */
   async addExpensesBulk(expenses) {
     try {
       logger.info('Adding multiple expenses to Google Sheets', { count: expenses.length });
   
-      // Mapea cada objeto de gasto a un arreglo de valores para la fila de la hoja de cálculo
-      const values = expenses.map(expense => [
-        expense.id,
-        expense.date,
-        expense.description,
-        expense.amount.toString(),
-        expense.categoryId.toString(),
-        expense.isFixed ? 'TRUE' : 'FALSE',
-        expense.fixedExpenseId ? String(expense.fixedExpenseId) : '',
-        expense.debtId ? String(expense.debtId) : '',
-        expense.entryType ? String(expense.entryType) : '',
-        expense.status ? String(expense.status) : ''
-      ]);
-  
-      // Llama a la API una sola vez para agregar todas las filas
-      const response = await this.makeRequest('/values/Expenses!A:J:append?valueInputOption=RAW', {
-        method: 'POST',
-        body: JSON.stringify({ values })
-      });
+      // Mapea cada objeto de gasto a un arreglo de valores en el orden de las columnas de la hoja
+      const layout = await this.getSheetLayout('Expenses');
+      const values = expenses.map(expense => this.toSheetRow(layout, this.expenseToRecord(expense)));
   
-      logger.info('Multiple expenses added successfully', { count: expenses.length });
-      // Apply immediate adjustments for paid payments on credit
-      for (const e of expenses) {
-        try {
+      const { result: response } = await this.createUnitOfWork().run(async (uow) => {
+        // Llama a la API una sola vez para agregar todas las filas
+        const appended = await uow.append('Expenses', layout.lastColumn, values);
+
+        // Apply immediate adjustments for paid payments on credit
+        for (const e of expenses) {
           // Credit determination is now based on presence of debtId
           const isCredit = !!e.debtId;
           const isPayment = String(e.entryType || '').toLowerCase() === 'payment';
           const isPaid = String(e.status || '').toLowerCase() === 'paid';
+          const ledger = { cause: LEDGER_CAUSES.EXPENSE_CREATED, expenseId: e.id, unitOfWork: uow };
           if (isCredit && isPayment && isPaid && e.debtId) {
-            await this.adjustDebtBalance(String(e.debtId), -Number(e.amount));
+            await this.adjustExpenseDebtBalance(String(e.debtId), -Number(e.amount), ledger);
             logger.info('Debt balance adjusted on bulk add (paid payment)', { debtId: e.debtId, amount: e.amount });
           }
           // Charges: increase balance immediately
           const isCharge = String(e.entryType || '').toLowerCase() === 'charge';
           if (isCredit && isCharge && e.debtId) {
-            await this.adjustDebtBalance(String(e.debtId), +Number(e.amount));
+            await this.adjustExpenseDebtBalance(String(e.debtId), +Number(e.amount), ledger);
             logger.info('Debt balance adjusted on bulk add (charge)', { debtId: e.debtId, amount: e.amount });
           }
-        } catch (e2) {
-          logger.error('Failed adjusting debt balance on bulk add', { error: e2.message });
         }
-      }
+        return appended;
+      });
+
+      logger.info('Multiple expenses added successfully', { count: expenses.length });
       return response;
     } catch (error) {
       logger.error('Error adding multiple expenses', { 
@@ -627,8 +739,13 @@ class GoogleSheetsService {
 
   /**
    * Update expense in Google Sheets
+   * The row and every debt balance adjustment it triggers go out in a single values:batchUpdate.
+   * @param {Object} expense - Fields to update (id required)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the update with 412
+   * @returns {Promise<Object>} The batchUpdate response plus the etag of the written row
    */
-  async updateExpense(expense) {
+  async updateExpense(expense, { ifMatch } = {}) {
     try {
       logger.info('Updating expense by id in Google Sheets', {
         id: expense.id,
@@ -639,43 +756,44 @@ class GoogleSheetsService {
         throw new ApiError(400, 'Missing required field: id');
       }
 
-      const rowNumber = await this.findRowNumberById('Expenses', expense.id);
-      if (!rowNumber) {
-        throw new ApiError(404, 'Expense not found');
-      }
-
-      const existingResp = await this.makeRequest(`/values/Expenses!A${rowNumber}:J${rowNumber}`);
-      const existing = (existingResp.values && existingResp.values[0]) || [];
-
-      const merged = [
-        expense.id,
-        expense.date !== undefined ? expense.date : (existing[1] || ''),
-        expense.description !== undefined ? expense.description : (existing[2] || ''),
-        expense.amount !== undefined ? expense.amount.toString() : (existing[3] || ''),
-        expense.categoryId !== undefined ? expense.categoryId.toString() : (existing[4] || ''),
-        expense.isFixed !== undefined ? (expense.isFixed ? 'TRUE' : 'FALSE') : (existing[5] || ''),
-        expense.fixedExpenseId !== undefined ? (expense.fixedExpenseId ? String(expense.fixedExpenseId) : '') : (existing[6] || ''),
-        expense.debtId !== undefined ? (expense.debtId ? String(expense.debtId) : '') : (existing[7] || ''),
-        expense.entryType !== undefined ? (expense.entryType ? String(expense.entryType) : '') : (existing[8] || ''),
-        expense.status !== undefined ? (expense.status ? String(expense.status) : '') : (existing[9] || '')
-      ];
-
-      const response = await this.makeRequest(`/values/Expenses!A${rowNumber}:J${rowNumber}?valueInputOption=RAW`, {
-        method: 'PUT',
-        body: JSON.stringify({ values: [merged] })
-      });
+      const layout = await this.getSheetLayout('Expenses');
+      const { result: { rowNumber, merged }, response } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('Expenses', expense.id);
+        if (!rowNumber) {
+          throw new ApiError(404, 'Expense not found');
+        }
 
-      logger.info('Expense updated successfully', { expenseId: expense.id, rowNumber });
-      // Comprehensive balance adjustment logic for credit entries (payments and charges)
-      try {
-        const prevAmount = existing[3] !== undefined ? Number(existing[3]) : 0;
-        const prevStatus = String(existing[9] || '').toLowerCase();
-        const prevEntryType = String(existing[8] || '').toLowerCase();
-        const prevDebtId = existing[7] ? String(existing[7]) : null;
-        const nextAmount = merged[3] !== undefined ? Number(merged[3]) : 0;
-        const nextStatus = String(merged[9] || '').toLowerCase();
-        const nextEntryType = String(merged[8] || '').toLowerCase();
-        const nextDebtId = merged[7] ? String(merged[7]) : null;
+        const existing = await uow.readRow('Expenses', rowNumber, layout.lastColumn);
+        this.assertIfMatch(existing, ifMatch);
+
+        // Fields left undefined keep their stored value
+        const merged = this.toSheetRow(layout, {
+          id: expense.id,
+          date: expense.date,
+          description: expense.description,
+          amount: expense.amount !== undefined ? expense.amount.toString() : undefined,
+          categoryId: expense.categoryId !== undefined ? expense.categoryId.toString() : undefined,
+          isFixed: expense.isFixed !== undefined ? (expense.isFixed ? 'TRUE' : 'FALSE') : undefined,
+          fixedExpenseId: expense.fixedExpenseId !== undefined ? (expense.fixedExpenseId ? String(expense.fixedExpenseId) : '') : undefined,
+          debtId: expense.debtId !== undefined ? (expense.debtId ? String(expense.debtId) : '') : undefined,
+          entryType: expense.entryType !== undefined ? (expense.entryType ? String(expense.entryType) : '') : undefined,
+          status: expense.status !== undefined ? (expense.status ? String(expense.status) : '') : undefined
+        }, existing);
+
+        uow.setRow('Expenses', rowNumber, layout.lastColumn, merged);
+
+        // Comprehensive balance adjustment logic for credit entries (payments and charges),
+        // staged in the same batch as the expense row
+        const prev = rowToRecord(layout, existing);
+        const next = rowToRecord(layout, merged);
+        const prevAmount = prev.amount !== undefined ? Number(prev.amount) : 0;
+        const prevStatus = String(prev.status || '').toLowerCase();
+        const prevEntryType = String(prev.entryType || '').toLowerCase();
+        const prevDebtId = prev.debtId ? String(prev.debtId) : null;
+        const nextAmount = next.amount !== undefined ? Number(next.amount) : 0;
+        const nextStatus = String(next.status || '').toLowerCase();
+        const nextEntryType = String(next.entryType || '').toLowerCase();
+        const nextDebtId = next.debtId ? String(next.debtId) : null;
 
         // Payments: subtract on paid (now gated by presence of debtId)
         const wasPaid = !!prevDebtId && prevEntryType === 'payment' && prevStatus === 'paid';
@@ -684,27 +802,28 @@ class GoogleSheetsService {
         // Charges: add immediately (ignore status), gated by debtId
         const wasCharge = !!prevDebtId && prevEntryType === 'charge';
         const isCharge = !!nextDebtId && nextEntryType === 'charge';
+        const ledger = { cause: LEDGER_CAUSES.EXPENSE_UPDATED, expenseId: expense.id, unitOfWork: uow };
 
         if (!wasPaid && isPaid) {
           // Newly paid -> subtract full nextAmount from nextDebtId
-          await this.adjustDebtBalance(nextDebtId, -nextAmount);
+          await this.adjustExpenseDebtBalance(nextDebtId, -nextAmount, ledger);
           logger.info('Debt balance adjusted (became paid)', { debtId: nextDebtId, amount: nextAmount });
         } else if (wasPaid && !isPaid) {
           // No longer paid -> add back previous amount to previous debt
-          await this.adjustDebtBalance(prevDebtId, +prevAmount);
+          await this.adjustExpenseDebtBalance(prevDebtId, +prevAmount, ledger);
           logger.info('Debt balance reverted (left paid state)', { debtId: prevDebtId, amount: prevAmount });
         } else if (wasPaid && isPaid) {
           if (prevDebtId === nextDebtId) {
             // Same debt, adjust difference
             const delta = -(nextAmount - prevAmount);
             if (delta !== 0) {
-              await this.adjustDebtBalance(nextDebtId, delta);
+              await this.adjustExpenseDebtBalance(nextDebtId, delta, ledger);
               logger.info('Debt balance adjusted (amount change while paid)', { debtId: nextDebtId, delta });
             }
           } else {
             // Debt changed: revert old, apply new
-            await this.adjustDebtBalance(prevDebtId, +prevAmount);
-            await this.adjustDebtBalance(nextDebtId, -nextAmount);
+            await this.adjustExpenseDebtBalance(prevDebtId, +prevAmount, ledger);
+            await this.adjustExpenseDebtBalance(nextDebtId, -nextAmount, ledger);
             logger.info('Debt balance adjusted (debtId changed while paid)', { fromDebt: prevDebtId, toDebt: nextDebtId, revert: prevAmount, apply: nextAmount });
           }
         }
@@ -712,30 +831,31 @@ class GoogleSheetsService {
         // Handle charges
         if (!wasCharge && isCharge) {
           // Became charge -> add nextAmount
-          await this.adjustDebtBalance(nextDebtId, +nextAmount);
+          await this.adjustExpenseDebtBalance(nextDebtId, +nextAmount, ledger);
           logger.info('Debt balance adjusted (became charge)', { debtId: nextDebtId, amount: nextAmount });
         } else if (wasCharge && !isCharge) {
           // No longer charge -> remove previous charge
-          await this.adjustDebtBalance(prevDebtId, -prevAmount);
+          await this.adjustExpenseDebtBalance(prevDebtId, -prevAmount, ledger);
           logger.info('Debt balance reverted (left charge state)', { debtId: prevDebtId, amount: prevAmount });
         } else if (wasCharge && isCharge) {
           if (prevDebtId === nextDebtId) {
             const delta = +(nextAmount - prevAmount);
             if (delta !== 0) {
-              await this.adjustDebtBalance(nextDebtId, delta);
+              await this.adjustExpenseDebtBalance(nextDebtId, delta, ledger);
               logger.info('Debt balance adjusted (amount change while charge)', { debtId: nextDebtId, delta });
             }
           } else {
-            await this.adjustDebtBalance(prevDebtId, -prevAmount);
-            await this.adjustDebtBalance(nextDebtId, +nextAmount);
+            await this.adjustExpenseDebtBalance(prevDebtId, -prevAmount, ledger);
+            await this.adjustExpenseDebtBalance(nextDebtId, +nextAmount, ledger);
             logger.info('Debt balance adjusted (debtId changed while charge)', { fromDebt: prevDebtId, toDebt: nextDebtId, revert: prevAmount, apply: nextAmount });
           }
         }
-      } catch (e) {
-        logger.error('Failed adjusting debt balance on update', { error: e.message });
-      }
 
-      return response;
+        return { rowNumber, merged };
+      });
+
+      logger.info('Expense updated successfully', { expenseId: expense.id, rowNumber });
+      return { ...response, etag: computeRowEtag(merged) };
     } catch (error) {
       logger.error('Error updating expense', {
         id: expense.id,
@@ -747,58 +867,110 @@ class GoogleSheetsService {
 
   /**
    * Delete expense in Google Sheets
+   * The row is deleted first and re-inserted if the debt balance update fails.
+   * @param {string} id - Expense id
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the deletion with 412
    */
-  async deleteExpense(id) {
+  async deleteExpense(id, { ifMatch } = {}) {
     try {
       logger.info('Deleting expense in Google Sheets', { id });
 
-      const rowNumber = await this.findRowNumberById('Expenses', id);
-      if (!rowNumber) {
-        throw new ApiError(404, 'Expense not found');
-      }
-
-      // Read existing row before deletion to revert if needed
-      const existingResp = await this.makeRequest(`/values/Expenses!A${rowNumber}:J${rowNumber}`);
-      const existing = (existingResp.values && existingResp.values[0]) || [];
+      const layout = await this.getSheetLayout('Expenses');
+      const { result: { rowNumber, deleted: existing } } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('Expenses', id);
+        if (!rowNumber) {
+          throw new ApiError(404, 'Expense not found');
+        }
+        this.assertIfMatch(await uow.readRow('Expenses', rowNumber, layout.lastColumn), ifMatch);
 
-      const resp = await this.deleteRowByNumber('Expenses', rowNumber);
+        // Keep the deleted row to adjust balances (and to re-insert it on rollback)
+        const deleted = await uow.deleteRow('Expenses', rowNumber, layout.lastColumn);
 
-      try {
-        const amount = existing[3] !== undefined ? Number(existing[3]) : 0;
-        const status = String(existing[9] || '').toLowerCase();
-        const entryType = String(existing[8] || '').toLowerCase();
-        const debtId = existing[7] ? String(existing[7]) : null;
+        const record = rowToRecord(layout, deleted);
+        const amount = record.amount !== undefined ? Number(record.amount) : 0;
+        const status = String(record.status || '').toLowerCase();
+        const entryType = String(record.entryType || '').toLowerCase();
+        const debtId = record.debtId ? String(record.debtId) : null;
+        const ledger = { cause: LEDGER_CAUSES.EXPENSE_DELETED, expenseId: id, unitOfWork: uow };
         if (!!debtId) {
           if (entryType === 'payment' && status === 'paid') {
             // Deleting a paid payment -> add it back
-            await this.adjustDebtBalance(debtId, +amount);
+            await this.adjustExpenseDebtBalance(debtId, +amount, ledger);
             logger.info('Debt balance reverted on delete (paid payment)', { debtId, amount });
           }
           if (entryType === 'charge') {
             // Deleting a charge -> remove it from balance
-            await this.adjustDebtBalance(debtId, -amount);
+            await this.adjustExpenseDebtBalance(debtId, -amount, ledger);
             logger.info('Debt balance adjusted on delete (charge removed)', { debtId, amount });
           }
         }
-      } catch (e) {
-        logger.error('Failed adjusting debt balance on delete', { error: e.message });
-      }
+        return { rowNumber, deleted };
+      });
 
       logger.info('Expense deleted successfully', { id, rowNumber });
-      return resp;
+      return { id, rowNumber, deleted: existing };
     } catch (error) {
       logger.error('Error deleting expense', { id, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Move pending expenses past their date plus the grace period to 'overdue'.
+   * Only the status cell is written, so debt balances are not touched.
+   * @param {Object} options
+   * @param {string} options.today - YYYY-MM-DD
+   * @param {number} [options.graceDays=0]
+   * @returns {Promise<{ items: Object[], count: number }>} expenses that changed
+   */
+  async markOverdueExpenses({ today, graceDays = 0 }) {
+    try {
+      logger.info('Marking overdue expenses', { today, graceDays });
+
+      const { result: items } = await this.createUnitOfWork().run(async (uow) => {
+        // Uncached: the status cells are written by these row numbers
+        const response = await this.makeRequest('/values/Expenses', { fresh: true });
+        const values = response.values || [];
+        const layout = this.layoutOf('Expenses', values[0]);
+        const expenses = this.coerceTypesForSheet(
+          this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Expenses'),
+          'Expenses'
+        );
+
+        // Row numbers of the non-empty data rows, in the same order mapRowsToObjects keeps
+        const rowNumbers = [];
+        values.slice(1).forEach((row, index) => {
+          if (Array.isArray(row) && row.some(cell => cell !== undefined && cell !== null && String(cell).trim() !== '')) {
+            rowNumbers.push(index + 2);
+          }
+        });
+
+        // All status cells go out in one batch
+        const marked = [];
+        for (let i = 0; i < expenses.length; i++) {
+          if (!shouldMarkOverdue(expenses[i], today, graceDays)) continue;
+          uow.update(`Expenses!${this.columnOf(layout, 'status')}${rowNumbers[i]}`, [['overdue']]);
+          marked.push({ ...expenses[i], status: 'overdue' });
+        }
+        return marked;
+      });
+
+      logger.info('Overdue expenses marked', { today, graceDays, count: items.length });
+      return { items, count: items.length };
+    } catch (error) {
+      logger.error('Error marking overdue expenses', { today, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get budget from Google Sheets
    */
   async getBudget() {
     try {
       logger.info('Fetching budget from Google Sheets');
-      const response = await this.makeRequest('/values/Budget!A:B');
+      const response = await this.makeRequest('/values/Budget');
       const budget = response.values || [];
       logger.info('Budget fetched successfully', { count: budget.length });
       return budget;
@@ -808,38 +980,64 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Find the Budget row for a month and category (empty categoryId = whole month budget)
+   * @returns {Promise<number|null>} 1-based row number
+   */
+  async findBudgetRowNumber(month, categoryId = null) {
+    const target = categoryId === null || categoryId === undefined ? '' : String(categoryId);
+    const found = (await this.getSheetRecords('Budget')).find(({ record }) => {
+      const rowCategory = record.categoryId !== undefined && record.categoryId !== null ? String(record.categoryId).trim() : '';
+      return record.month === month && rowCategory === target;
+    });
+    return found ? found.rowNumber : null;
+  }
+
   /**
    * Update budget in Google Sheets
+   * Upserts one row per (month, categoryId). Without categoryId the row is the whole month budget.
+   * @param {Object} budget - { month, amount, categoryId?, rollover? }
    */
   async updateBudget(budget) {
     try {
+      const categoryId = budget.categoryId === undefined || budget.categoryId === null || budget.categoryId === ''
+        ? null
+        : budget.categoryId;
       logger.info('Updating budget in Google Sheets', { 
         month: budget.month, 
-        amount: budget.amount 
+        amount: budget.amount,
+        categoryId
       });
 
-      const values = [[budget.month, budget.amount.toString()]];
+      // Sheets created before per-category budgets only have month/amount headers
+      await this.ensureHeaderColumns('Budget', ['month', 'amount', 'categoryId', 'rollover']);
+      const layout = await this.getSheetLayout('Budget');
 
-      // Find existing row by month in column A
-      const rowNumber = await this.findRowNumberById('Budget', budget.month);
-      let response;
-      if (rowNumber) {
-        // Update existing row A{row}:B{row}
-        logger.info('Updating existing budget row', { month: budget.month, rowNumber });
-        response = await this.makeRequest(`/values/Budget!A${rowNumber}:B${rowNumber}?valueInputOption=RAW`, {
-          method: 'PUT',
-          body: JSON.stringify({ values })
-        });
-      } else {
+      const record = {
+        month: budget.month,
+        amount: budget.amount.toString(),
+        categoryId: categoryId === null ? '' : String(categoryId),
+        rollover: budget.rollover ? 'TRUE' : 'FALSE'
+      };
+
+      // Lookup and write in one unit of work, so no other write moves the row in between
+      // and two upserts of the same month and category cannot both append
+      const { result: appended, response: updated } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findBudgetRowNumber(budget.month, categoryId);
+        if (rowNumber) {
+          // Update existing row, keeping the columns the budget does not use
+          logger.info('Updating existing budget row', { month: budget.month, categoryId, rowNumber });
+          const existing = await uow.readRow('Budget', rowNumber, layout.lastColumn);
+          uow.setRow('Budget', rowNumber, layout.lastColumn, this.toSheetRow(layout, record, existing));
+          return null;
+        }
         // Append new row at the end
-        logger.info('Appending new budget row', { month: budget.month });
-        response = await this.makeRequest('/values/Budget!A:B:append?valueInputOption=RAW', {
-          method: 'POST',
-          body: JSON.stringify({ values })
-        });
-      }
+        logger.info('Appending new budget row', { month: budget.month, categoryId });
+        return uow.append('Budget', layout.lastColumn, [this.toSheetRow(layout, record)]);
+      });
+      const response = appended || updated;
 
-      logger.info('Budget upsert successful', { month: budget.month });
+      logger.info('Budget upsert successful', { month: budget.month, categoryId });
       return response;
     } catch (error) {
       logger.error('Error updating budget', { 
@@ -856,7 +1054,7 @@ class GoogleSheetsService {
   async getFixedExpenses() {
     try {
       logger.info('Fetching fixed expenses from Google Sheets');
-      const response = await this.makeRequest('/values/FixedExpenses!A:F');
+      const response = await this.makeRequest('/values/FixedExpenses');
       const fixedExpenses = response.values || [];
       logger.info('Fixed expenses fetched successfully', { count: fixedExpenses.length });
       return fixedExpenses;
@@ -876,17 +1074,18 @@ class GoogleSheetsService {
         amount: fixedExpense.amount 
       });
 
-      const values = [[
-        fixedExpense.id,
-        fixedExpense.name,
-        fixedExpense.amount.toString(),
-        fixedExpense.categoryId.toString(),
-        fixedExpense.dayOfMonth.toString(),
-        fixedExpense.active ? 'TRUE' : 'FALSE',
-        fixedExpense.debtId ? String(fixedExpense.debtId) : ''
-      ]];
-
-      const response = await this.makeRequest('/values/FixedExpenses!A:G:append?valueInputOption=RAW', {
+      const layout = await this.getSheetLayout('FixedExpenses');
+      const values = [this.toSheetRow(layout, {
+        id: fixedExpense.id,
+        name: fixedExpense.name,
+        amount: fixedExpense.amount.toString(),
+        categoryId: fixedExpense.categoryId.toString(),
+        dayOfMonth: fixedExpense.dayOfMonth.toString(),
+        active: fixedExpense.active ? 'TRUE' : 'FALSE',
+        debtId: fixedExpense.debtId ? String(fixedExpense.debtId) : ''
+      })];
+
+      const response = await this.makeRequest(`/values/FixedExpenses!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
         method: 'POST',
         body: JSON.stringify({ values })
       });
@@ -904,8 +1103,12 @@ class GoogleSheetsService {
 
   /**
    * Update fixed expense in Google Sheets
+   * @param {Object} fixedExpense - Fields to update (id required)
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the update with 412
+   * @returns {Promise<Object>} The batchUpdate response plus the etag of the written row
    */
-  async updateFixedExpense(fixedExpense) {
+  async updateFixedExpense(fixedExpense, { ifMatch } = {}) {
     try {
       logger.info('Updating fixed expense by id in Google Sheets', { 
         id: fixedExpense.id, 
@@ -916,31 +1119,33 @@ class GoogleSheetsService {
         throw new ApiError(400, 'Missing required field: id');
       }
 
-      const rowNumber = await this.findRowNumberById('FixedExpenses', fixedExpense.id);
-      if (!rowNumber) {
-        throw new ApiError(404, 'Fixed expense not found');
-      }
-
-      const existingResp = await this.makeRequest(`/values/FixedExpenses!A${rowNumber}:G${rowNumber}`);
-      const existing = (existingResp.values && existingResp.values[0]) || [];
+      const layout = await this.getSheetLayout('FixedExpenses');
+      const { result: { rowNumber, merged }, response } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('FixedExpenses', fixedExpense.id);
+        if (!rowNumber) {
+          throw new ApiError(404, 'Fixed expense not found');
+        }
 
-      const merged = [
-        fixedExpense.id,
-        fixedExpense.name !== undefined ? fixedExpense.name : (existing[1] || ''),
-        fixedExpense.amount !== undefined ? fixedExpense.amount.toString() : (existing[2] || ''),
-        fixedExpense.categoryId !== undefined ? fixedExpense.categoryId.toString() : (existing[3] || ''),
-        fixedExpense.dayOfMonth !== undefined ? fixedExpense.dayOfMonth.toString() : (existing[4] || ''),
-        fixedExpense.active !== undefined ? (fixedExpense.active ? 'TRUE' : 'FALSE') : (existing[5] || ''),
-        fixedExpense.debtId !== undefined ? (fixedExpense.debtId ? String(fixedExpense.debtId) : '') : (existing[6] || '')
-      ];
-
-      const response = await this.makeRequest(`/values/FixedExpenses!A${rowNumber}:G${rowNumber}?valueInputOption=RAW`, {
-        method: 'PUT',
-        body: JSON.stringify({ values: [merged] })
+        const existing = await uow.readRow('FixedExpenses', rowNumber, layout.lastColumn);
+        this.assertIfMatch(existing, ifMatch);
+
+        // Fields left undefined keep their stored value
+        const merged = this.toSheetRow(layout, {
+          id: fixedExpense.id,
+          name: fixedExpense.name,
+          amount: fixedExpense.amount !== undefined ? fixedExpense.amount.toString() : undefined,
+          categoryId: fixedExpense.categoryId !== undefined ? fixedExpense.categoryId.toString() : undefined,
+          dayOfMonth: fixedExpense.dayOfMonth !== undefined ? fixedExpense.dayOfMonth.toString() : undefined,
+          active: fixedExpense.active !== undefined ? (fixedExpense.active ? 'TRUE' : 'FALSE') : undefined,
+          debtId: fixedExpense.debtId !== undefined ? (fixedExpense.debtId ? String(fixedExpense.debtId) : '') : undefined
+        }, existing);
+
+        uow.setRow('FixedExpenses', rowNumber, layout.lastColumn, merged);
+        return { rowNumber, merged };
       });
 
       logger.info('Fixed expense updated successfully', { expenseId: fixedExpense.id, rowNumber });
-      return response;
+      return { ...response, etag: computeRowEtag(merged) };
     } catch (error) {
       logger.error('Error updating fixed expense', { 
         id: fixedExpense.id, 
@@ -951,42 +1156,40 @@ class GoogleSheetsService {
   }
 
   /**
-   * Delete fixed expense in Google Sheets. Also deletes related expenses linked by fixedExpenseId.
+   * Delete fixed expense in Google Sheets. Also deletes related expenses linked by fixedExpenseId,
+   * adjusting the balance of the debts they were charged to.
+   * Runs inside a unit of work: if any row cannot be deleted, the rows already deleted are re-inserted
+   * and the balances restored.
+   * @param {string} id - Fixed expense id
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the deletion with 412
    */
-  async deleteFixedExpense(id) {
+  async deleteFixedExpense(id, { ifMatch } = {}) {
     try {
       logger.info('Deleting fixed expense', { id });
 
-      // Get the fixed expense row number
-      const rowNumber = await this.findRowNumberById('FixedExpenses', id);
-      if (!rowNumber) {
-        throw new ApiError(404, 'Fixed expense not found');
-      }
-
-      // Get the fixed expense data to check categoryId
-      const fixedExpenseResponse = await this.makeRequest(`/values/FixedExpenses!A${rowNumber}:G${rowNumber}`);
-      const fixedExpenseData = fixedExpenseResponse.values?.[0];
-      
-      if (!fixedExpenseData) {
-        throw new ApiError(404, 'Fixed expense data not found');
-      }
+      const { result } = await this.createUnitOfWork().run(async (uow) => {
+        // Get the fixed expense row number
+        const rowNumber = await this.findRowNumberById('FixedExpenses', id);
+        if (!rowNumber) {
+          throw new ApiError(404, 'Fixed expense not found');
+        }
 
-      const categoryId = parseInt(fixedExpenseData[3], 10); // Column D
-      let deletedExpensesCount = 0;
+        // Get the fixed expense data to check categoryId
+        const layout = await this.getSheetLayout('FixedExpenses');
+        const fixedExpenseData = await uow.readRow('FixedExpenses', rowNumber, layout.lastColumn);
+        if (!fixedExpenseData || fixedExpenseData.length === 0) {
+          throw new ApiError(404, 'Fixed expense data not found');
+        }
+        this.assertIfMatch(fixedExpenseData, ifMatch);
 
-      // Delete related expenses by fixedExpenseId regardless of category
-      const expensesResponse = await this.makeRequest('/values/Expenses!A:J');
-      const expenses = expensesResponse.values || [];
-      if (expenses.length > 1) {
-        const fixedExpenseIdIndex = 6; // column G in Expenses
-        const expenseData = expenses.slice(1);
-        const rowsToDelete = [];
+        const categoryId = parseInt(rowToRecord(layout, fixedExpenseData).categoryId, 10);
 
-        expenseData.forEach((row, index) => {
-          if (row[fixedExpenseIdIndex] && String(row[fixedExpenseIdIndex]) === String(id)) {
-            rowsToDelete.push(index + 2); // +2 for header offset
-          }
-        });
+        // Delete related expenses by fixedExpenseId regardless of category
+        const expensesLayout = await this.getSheetLayout('Expenses');
+        const rowsToDelete = (await this.getSheetRecords('Expenses'))
+          .filter(({ record }) => record.fixedExpenseId && String(record.fixedExpenseId) === String(id))
+          .map(({ rowNumber: expenseRow }) => expenseRow);
 
         logger.info('Found expenses to delete', {
           fixedExpenseId: id,
@@ -994,27 +1197,42 @@ class GoogleSheetsService {
           rowsToDelete: rowsToDelete
         });
 
+        // Bottom-up, so the rows still to delete keep their numbers
         rowsToDelete.sort((a, b) => b - a);
         for (const rowNum of rowsToDelete) {
-          try {
-            await this.deleteRowByNumber('Expenses', rowNum);
-            deletedExpensesCount++;
-            logger.info('Deleted related expense', { fixedExpenseId: id, rowNumber: rowNum });
-          } catch (error) {
-            logger.error('Error deleting related expense', { fixedExpenseId: id, rowNumber: rowNum, error: error.message });
+          const record = rowToRecord(expensesLayout, await uow.deleteRow('Expenses', rowNum, expensesLayout.lastColumn));
+          const amount = record.amount !== undefined ? Number(record.amount) : 0;
+          const status = String(record.status || '').toLowerCase();
+          const entryType = String(record.entryType || '').toLowerCase();
+          const debtId = record.debtId ? String(record.debtId) : null;
+          const ledger = { cause: LEDGER_CAUSES.EXPENSE_DELETED, expenseId: record.id ? String(record.id) : null, unitOfWork: uow };
+          if (debtId) {
+            if (entryType === 'payment' && status === 'paid') {
+              await this.adjustExpenseDebtBalance(debtId, +amount, ledger);
+            }
+            if (entryType === 'charge') {
+              await this.adjustExpenseDebtBalance(debtId, -amount, ledger);
+            }
           }
+          logger.info('Deleted related expense', { fixedExpenseId: id, rowNumber: rowNum, debtId });
         }
-      }
 
-      // Delete the fixed expense itself
-      const response = await this.deleteRowByNumber('FixedExpenses', rowNumber);
+        // Delete the fixed expense itself
+        const deleted = await uow.deleteRow('FixedExpenses', rowNumber, layout.lastColumn);
 
-      logger.info('Fixed expense deleted successfully', { id, rowNumber, categoryId, deletedExpensesCount });
+        return {
+          fixedExpense: { id, rowNumber, categoryId, deleted },
+          deletedExpensesCount: rowsToDelete.length
+        };
+      });
 
-      return {
-        fixedExpense: { id, rowNumber, categoryId, response },
-        deletedExpensesCount
-      };
+      logger.info('Fixed expense deleted successfully', {
+        id,
+        rowNumber: result.fixedExpense.rowNumber,
+        categoryId: result.fixedExpense.categoryId,
+        deletedExpensesCount: result.deletedExpensesCount
+      });
+      return result;
     } catch (error) {
       logger.error('Error deleting fixed expense', { id, error: error.message });
       throw error;
@@ -1027,8 +1245,7 @@ class GoogleSheetsService {
   async getDebts() {
     try {
       logger.info('Fetching debts from Google Sheets');
-      // Columns: A:id, B:name, C:issuer, D:creditLimit, E:balance, F:dueDay, G:cutOffDay, H:maskPan, I:interesEfectivo, J:brand, K:active
-      const response = await this.makeRequest('/values/Debts!A:K');
+      const response = await this.makeRequest('/values/Debts');
       const debts = response.values || [];
       logger.info('Debts fetched successfully', { count: debts.length });
       return debts;
@@ -1044,7 +1261,7 @@ class GoogleSheetsService {
   async getCreditHistoryObjects() {
     try {
       logger.info('Fetching credit history (objects) from Google Sheets');
-      const response = await this.makeRequest('/values/CreditHistory!A:N');
+      const response = await this.makeRequest('/values/CreditHistory');
       const values = response.values || [];
       const items = this.coerceTypesForSheet(
         this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'CreditHistory'),
@@ -1058,33 +1275,45 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Cell values of a CreditHistory record by schema key; every field is written, missing ones as empty cells
+   */
+  creditHistoryToRecord(record) {
+    const text = (value) => (value !== undefined ? String(value) : '');
+    return {
+      debtId: record.debtId || '',
+      statementDate: record.statementDate || '',
+      dueDate: record.dueDate || '',
+      previousBalance: text(record.previousBalance),
+      charges: text(record.charges),
+      interests: text(record.interests),
+      payments: text(record.payments),
+      statementBalance: text(record.statementBalance),
+      bonifiableInterest: text(record.bonifiableInterest),
+      installmentBalance: text(record.installmentBalance),
+      annualEffectiveRate: text(record.annualEffectiveRate),
+      termMonths: text(record.termMonths),
+      periodDays: text(record.periodDays),
+      paymentMade: text(record.paymentMade)
+    };
+  }
+
   /**
    * Append one record to CreditHistory
+   * With a unitOfWork the append is undone if the unit of work fails.
    */
-  async appendCreditHistoryRecord(record) {
+  async appendCreditHistoryRecord(record, { unitOfWork = null } = {}) {
     try {
       logger.info('Appending credit history record', { debtId: record.debtId, statementDate: record.statementDate });
-      const values = [[
-        record.debtId || '',
-        record.statementDate || '',
-        record.dueDate || '',
-        record.previousBalance !== undefined ? String(record.previousBalance) : '',
-        record.charges !== undefined ? String(record.charges) : '',
-        record.interests !== undefined ? String(record.interests) : '',
-        record.payments !== undefined ? String(record.payments) : '',
-        record.statementBalance !== undefined ? String(record.statementBalance) : '',
-        record.bonifiableInterest !== undefined ? String(record.bonifiableInterest) : '',
-        record.installmentBalance !== undefined ? String(record.installmentBalance) : '',
-        record.annualEffectiveRate !== undefined ? String(record.annualEffectiveRate) : '',
-        record.termMonths !== undefined ? String(record.termMonths) : '',
-        record.periodDays !== undefined ? String(record.periodDays) : '',
-        record.paymentMade !== undefined ? String(record.paymentMade) : ''
-      ]];
-
-      const response = await this.makeRequest('/values/CreditHistory!A:N:append?valueInputOption=RAW', {
-        method: 'POST',
-        body: JSON.stringify({ values })
-      });
+      const layout = await this.getSheetLayout('CreditHistory');
+      const values = [this.toSheetRow(layout, this.creditHistoryToRecord(record))];
+
+      const response = unitOfWork
+        ? await unitOfWork.append('CreditHistory', layout.lastColumn, values)
+        : await this.makeRequest(`/values/CreditHistory!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+          method: 'POST',
+          body: JSON.stringify({ values })
+        });
       logger.info('Credit history record appended');
       return response;
     } catch (error) {
@@ -1098,15 +1327,10 @@ class GoogleSheetsService {
    */
   async findCreditHistoryRow(debtId, statementDateISO) {
     try {
-      const response = await this.makeRequest('/values/CreditHistory!A:B');
-      const rows = response.values || [];
-      for (let i = 1; i < rows.length; i++) {
-        const r = rows[i] || [];
-        if (String(r[0]) === String(debtId) && String(r[1]) === String(statementDateISO)) {
-          return i + 1; // 1-based
-        }
-      }
-      return null;
+      const found = (await this.getSheetRecords('CreditHistory')).find(({ record }) => {
+        return String(record.debtId) === String(debtId) && String(record.statementDate) === String(statementDateISO);
+      });
+      return found ? found.rowNumber : null; // 1-based
     } catch (error) {
       logger.error('Error finding credit history row', { debtId, statementDateISO, error: error.message });
       throw error;
@@ -1118,23 +1342,24 @@ class GoogleSheetsService {
    */
   async getCreditHistoryByRow(rowNumber) {
     try {
-      const resp = await this.makeRequest(`/values/CreditHistory!A${rowNumber}:N${rowNumber}`);
-      const row = (resp.values && resp.values[0]) || [];
+      const layout = await this.getSheetLayout('CreditHistory');
+      const resp = await this.makeRequest(`/values/CreditHistory!A${rowNumber}:${layout.lastColumn}${rowNumber}`);
+      const row = rowToRecord(layout, (resp.values && resp.values[0]) || []);
       return {
-        debtId: row[0],
-        statementDate: row[1],
-        dueDate: row[2],
-        previousBalance: row[3] !== undefined ? parseFloat(row[3]) : 0,
-        charges: row[4] !== undefined ? parseFloat(row[4]) : 0,
-        interests: row[5] !== undefined ? parseFloat(row[5]) : 0,
-        payments: row[6] !== undefined ? parseFloat(row[6]) : 0,
-        statementBalance: row[7] !== undefined ? parseFloat(row[7]) : 0,
-        bonifiableInterest: row[8] !== undefined ? parseFloat(row[8]) : 0,
-        installmentBalance: row[9] !== undefined ? parseFloat(row[9]) : 0,
-        annualEffectiveRate: row[10] !== undefined ? parseFloat(row[10]) : 0,
-        termMonths: row[11] !== undefined ? parseInt(row[11], 10) : null,
-        periodDays: row[12] !== undefined ? parseInt(row[12], 10) : 0,
-        paymentMade: row[13] !== undefined ? parseFloat(row[13]) : 0
+        debtId: row.debtId,
+        statementDate: row.statementDate,
+        dueDate: row.dueDate,
+        previousBalance: row.previousBalance !== undefined ? parseFloat(row.previousBalance) : 0,
+        charges: row.charges !== undefined ? parseFloat(row.charges) : 0,
+        interests: row.interests !== undefined ? parseFloat(row.interests) : 0,
+        payments: row.payments !== undefined ? parseFloat(row.payments) : 0,
+        statementBalance: row.statementBalance !== undefined ? parseFloat(row.statementBalance) : 0,
+        bonifiableInterest: row.bonifiableInterest !== undefined ? parseFloat(row.bonifiableInterest) : 0,
+        installmentBalance: row.installmentBalance !== undefined ? parseFloat(row.installmentBalance) : 0,
+        annualEffectiveRate: row.annualEffectiveRate !== undefined ? parseFloat(row.annualEffectiveRate) : 0,
+        termMonths: row.termMonths !== undefined ? parseInt(row.termMonths, 10) : null,
+        periodDays: row.periodDays !== undefined ? parseInt(row.periodDays, 10) : 0,
+        paymentMade: row.paymentMade !== undefined ? parseFloat(row.paymentMade) : 0
       };
     } catch (error) {
       logger.error('Error getting credit history by row', { rowNumber, error: error.message });
@@ -1143,27 +1368,21 @@ class GoogleSheetsService {
   }
 
   /**
-   * Update a CreditHistory row with a new record
+   * Update a CreditHistory row with a new record; columns the record does not use keep their values
+   * With a unitOfWork the write is staged instead of sent now.
    */
-  async updateCreditHistoryRow(rowNumber, record) {
+  async updateCreditHistoryRow(rowNumber, record, { unitOfWork = null } = {}) {
     try {
-      const values = [[
-        record.debtId || '',
-        record.statementDate || '',
-        record.dueDate || '',
-        record.previousBalance !== undefined ? String(record.previousBalance) : '',
-        record.charges !== undefined ? String(record.charges) : '',
-        record.interests !== undefined ? String(record.interests) : '',
-        record.payments !== undefined ? String(record.payments) : '',
-        record.statementBalance !== undefined ? String(record.statementBalance) : '',
-        record.bonifiableInterest !== undefined ? String(record.bonifiableInterest) : '',
-        record.installmentBalance !== undefined ? String(record.installmentBalance) : '',
-        record.annualEffectiveRate !== undefined ? String(record.annualEffectiveRate) : '',
-        record.termMonths !== undefined ? String(record.termMonths) : '',
-        record.periodDays !== undefined ? String(record.periodDays) : '',
-        record.paymentMade !== undefined ? String(record.paymentMade) : ''
-      ]];
-      const response = await this.makeRequest(`/values/CreditHistory!A${rowNumber}:N${rowNumber}?valueInputOption=RAW`, {
+      const layout = await this.getSheetLayout('CreditHistory');
+      const existing = unitOfWork
+        ? await unitOfWork.readRow('CreditHistory', rowNumber, layout.lastColumn)
+        : ((await this.makeRequest(`/values/CreditHistory!A${rowNumber}:${layout.lastColumn}${rowNumber}`)).values || [])[0];
+      const values = [this.toSheetRow(layout, this.creditHistoryToRecord(record), existing || [])];
+      if (unitOfWork) {
+        unitOfWork.setRow('CreditHistory', rowNumber, layout.lastColumn, values[0]);
+        return null;
+      }
+      const response = await this.makeRequest(`/values/CreditHistory!A${rowNumber}:${layout.lastColumn}${rowNumber}?valueInputOption=RAW`, {
         method: 'PUT',
         body: JSON.stringify({ values })
       });
@@ -1212,27 +1431,32 @@ class GoogleSheetsService {
         issuer: debt.issuer
       });
 
-      const values = [[
-        debt.id,
-        debt.name,
-        debt.issuer || '',
-        debt.creditLimit !== undefined ? debt.creditLimit.toString() : '',
-        debt.balance !== undefined ? debt.balance.toString() : '',
-        debt.dueDay !== undefined ? debt.dueDay.toString() : '',
-        debt.cutOffDay !== undefined ? debt.cutOffDay.toString() : '',
-        debt.maskPan ? String(debt.maskPan) : '',
-        debt.interesEfectivo !== undefined ? debt.interesEfectivo.toString() : '',
-        debt.brand ? String(debt.brand) : '',
-        debt.active ? 'TRUE' : 'FALSE'
-      ]];
-
-      // Append includes up to column K for brand
-      const response = await this.makeRequest('/values/Debts!A:K:append?valueInputOption=RAW', {
+      const layout = await this.getSheetLayout('Debts');
+      const values = [this.toSheetRow(layout, {
+        id: debt.id,
+        name: debt.name,
+        issuer: debt.issuer || '',
+        creditLimit: debt.creditLimit !== undefined ? debt.creditLimit.toString() : '',
+        balance: debt.balance !== undefined ? debt.balance.toString() : '',
+        dueDay: debt.dueDay !== undefined ? debt.dueDay.toString() : '',
+        cutOffDay: debt.cutOffDay !== undefined ? debt.cutOffDay.toString() : '',
+        maskPan: debt.maskPan ? String(debt.maskPan) : '',
+        interesEfectivo: debt.interesEfectivo !== undefined ? debt.interesEfectivo.toString() : '',
+        brand: debt.brand ? String(debt.brand) : '',
+        active: debt.active ? 'TRUE' : 'FALSE'
+      })];
+
+      const response = await this.makeRequest(`/values/Debts!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
         method: 'POST',
         body: JSON.stringify({ values })
       });
 
       logger.info('Debt added successfully', { debtId: debt.id });
+
+      const openingBalance = Number(debt.balance);
+      if (Number.isFinite(openingBalance) && openingBalance !== 0) {
+        await this.recordDebtLedgerEntry({ debtId: debt.id, oldBalance: 0, newBalance: openingBalance, cause: LEDGER_CAUSES.DEBT_CREATED });
+      }
       return response;
     } catch (error) {
       logger.error('Error adding debt', {
@@ -1245,8 +1469,24 @@ class GoogleSheetsService {
 
   /**
    * Update debt in Google Sheets
+   * A balance change is recorded in the DebtLedger sheet.
+   * @param {Object} debt - Fields to update (id required)
+   * @param {Object} [options]
+   * @param {string} [options.cause] - Ledger cause of a balance change (defaults to 'debt_updated')
+   * @param {string} [options.expenseId] - Expense that caused the balance change
+   * @param {SheetsUnitOfWork} [options.unitOfWork] - Stage the write in this unit of work instead of writing now
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the update with 412
+   * @returns {Promise<Object|string[]>} The batchUpdate response plus the etag of the written row,
+   *   or the staged row when a unit of work is given
    */
-  async updateDebt(debt) {
+  async updateDebt(debt, options = {}) {
+    const { cause = LEDGER_CAUSES.DEBT_UPDATED, expenseId = null, unitOfWork = null, ifMatch } = options;
+    if (!unitOfWork) {
+      const { result: merged, response } = await this.createUnitOfWork().run(uow => this.updateDebt(debt, { ...options, unitOfWork: uow }));
+      logger.info('Debt updated successfully', { debtId: debt.id });
+      return { ...response, etag: computeRowEtag(merged) };
+    }
+
     try {
       logger.info('Updating debt by id in Google Sheets', {
         id: debt.id,
@@ -1262,30 +1502,37 @@ class GoogleSheetsService {
         throw new ApiError(404, 'Debt not found');
       }
 
-      const existingResp = await this.makeRequest(`/values/Debts!A${rowNumber}:K${rowNumber}`);
-      const existing = (existingResp.values && existingResp.values[0]) || [];
+      const uow = unitOfWork;
+      const layout = await this.getSheetLayout('Debts');
+      const existing = await uow.readRow('Debts', rowNumber, layout.lastColumn);
+      this.assertIfMatch(existing, ifMatch);
 
-      const merged = [
-        debt.id,
-        debt.name !== undefined ? debt.name : (existing[1] || ''),
-        debt.issuer !== undefined ? debt.issuer : (existing[2] || ''),
-        debt.creditLimit !== undefined ? debt.creditLimit.toString() : (existing[3] || ''),
-        debt.balance !== undefined ? debt.balance.toString() : (existing[4] || ''),
-        debt.dueDay !== undefined ? debt.dueDay.toString() : (existing[5] || ''),
-        debt.cutOffDay !== undefined ? debt.cutOffDay.toString() : (existing[6] || ''),
-        debt.maskPan !== undefined ? String(debt.maskPan) : (existing[7] || ''),
-        debt.interesEfectivo !== undefined ? debt.interesEfectivo.toString() : (existing[8] || ''),
-        debt.brand !== undefined ? String(debt.brand) : (existing[9] || ''),
-        debt.active !== undefined ? (debt.active ? 'TRUE' : 'FALSE') : (existing[10] || '')
-      ];
-
-      const response = await this.makeRequest(`/values/Debts!A${rowNumber}:K${rowNumber}?valueInputOption=RAW`, {
-        method: 'PUT',
-        body: JSON.stringify({ values: [merged] })
-      });
+      // Fields left undefined keep their stored value
+      const merged = this.toSheetRow(layout, {
+        id: debt.id,
+        name: debt.name,
+        issuer: debt.issuer,
+        creditLimit: debt.creditLimit !== undefined ? debt.creditLimit.toString() : undefined,
+        balance: debt.balance !== undefined ? debt.balance.toString() : undefined,
+        dueDay: debt.dueDay !== undefined ? debt.dueDay.toString() : undefined,
+        cutOffDay: debt.cutOffDay !== undefined ? debt.cutOffDay.toString() : undefined,
+        maskPan: debt.maskPan !== undefined ? String(debt.maskPan) : undefined,
+        interesEfectivo: debt.interesEfectivo !== undefined ? debt.interesEfectivo.toString() : undefined,
+        brand: debt.brand !== undefined ? String(debt.brand) : undefined,
+        active: debt.active !== undefined ? (debt.active ? 'TRUE' : 'FALSE') : undefined
+      }, existing);
+
+      uow.setRow('Debts', rowNumber, layout.lastColumn, merged);
+
+      if (debt.balance !== undefined) {
+        const oldBalance = parseFloat(rowToRecord(layout, existing).balance || '0') || 0;
+        const newBalance = Number(debt.balance);
+        if (Number.isFinite(newBalance) && newBalance !== oldBalance) {
+          uow.afterCommit(() => this.recordDebtLedgerEntry({ debtId: debt.id, oldBalance, newBalance, cause, expenseId }));
+        }
+      }
 
-      logger.info('Debt updated successfully', { debtId: debt.id, rowNumber });
-      return response;
+      return merged;
     } catch (error) {
       logger.error('Error updating debt', {
         id: debt.id,
@@ -1297,8 +1544,17 @@ class GoogleSheetsService {
 
   /**
    * Adjust a debt balance by a delta (can be positive or negative)
+   * @param {string} debtId - Debt id
+   * @param {number} delta - Amount added to the balance
+   * @param {Object} [options] - { cause, expenseId } recorded in the DebtLedger sheet and an
+   *   optional unitOfWork to stage the write in (see updateDebt)
    */
-  async adjustDebtBalance(debtId, delta) {
+  async adjustDebtBalance(debtId, delta, options = {}) {
+    if (!options.unitOfWork) {
+      const { result } = await this.createUnitOfWork().run(uow => this.adjustDebtBalance(debtId, delta, { ...options, unitOfWork: uow }));
+      return result;
+    }
+
     try {
       if (!debtId || !Number.isFinite(Number(delta))) {
         throw new ApiError(400, 'Invalid parameters for adjustDebtBalance');
@@ -1309,13 +1565,15 @@ class GoogleSheetsService {
         throw new ApiError(404, 'Debt not found');
       }
 
-      const existingResp = await this.makeRequest(`/values/Debts!A${rowNumber}:K${rowNumber}`);
-      const existing = (existingResp.values && existingResp.values[0]) || [];
-      const currentBalance = parseFloat(existing[4] || '0') || 0;
+      // Read through the unit of work so earlier staged adjustments of the same debt are included
+      const uow = options.unitOfWork;
+      const layout = await this.getSheetLayout('Debts');
+      const existing = rowToRecord(layout, await uow.readRow('Debts', rowNumber, layout.lastColumn));
+      const currentBalance = parseFloat(existing.balance || '0') || 0;
       const newBalance = currentBalance + Number(delta);
 
-      await this.updateDebt({ id: debtId, balance: newBalance });
-      logger.info('Debt balance adjusted', { debtId, delta, from: currentBalance, to: newBalance });
+      await this.updateDebt({ id: debtId, balance: newBalance }, { ...options, unitOfWork: uow });
+      logger.info('Debt balance adjusted', { debtId, delta, from: currentBalance, to: newBalance, cause: options.cause });
       return newBalance;
     } catch (error) {
       logger.error('Error adjusting debt balance', { debtId, delta, error: error.message });
@@ -1324,18 +1582,133 @@ class GoogleSheetsService {
   }
 
   /**
-   * Delete debt in Google Sheets
+   * Balance adjustment triggered by an expense. A debt that no longer exists is skipped so its
+   * expenses stay editable; any other failure aborts the expense's unit of work.
    */
-  async deleteDebt(id) {
+  async adjustExpenseDebtBalance(debtId, delta, options) {
     try {
-      logger.info('Deleting debt in Google Sheets', { id });
+      return await this.adjustDebtBalance(debtId, delta, options);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      logger.warn('Debt of expense not found, balance not adjusted', { debtId, expenseId: options.expenseId });
+      return null;
+    }
+  }
+
+  /**
+   * Append a balance change to the DebtLedger sheet.
+   * The balance is already written at this point, so a failure is logged and not thrown.
+   * @param {Object} change - { debtId, oldBalance, newBalance, cause, expenseId }
+   * @returns {Promise<Object|null>} The recorded entry
+   */
+  async recordDebtLedgerEntry(change) {
+    try {
+      await this.ensureSheet('DebtLedger', DEBT_LEDGER_HEADERS);
+      const entry = buildLedgerEntry({ id: nanoid(10), ...change });
+      const layout = await this.getSheetLayout('DebtLedger');
+      const record = Object.fromEntries(DEBT_LEDGER_HEADERS.map(key => [key, entry[key] === null ? '' : String(entry[key])]));
+      await this.makeRequest(`/values/DebtLedger!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values: [this.toSheetRow(layout, record)] })
+      });
+      return entry;
+    } catch (error) {
+      logger.error('Error recording debt ledger entry', { debtId: change.debtId, cause: change.cause, error: error.message });
+      return null;
+    }
+  }
 
-      const rowNumber = await this.findRowNumberById('Debts', id);
+  /**
+   * Get the ledger of a debt, oldest first
+   * Spreadsheets created before the DebtLedger sheet existed return an empty list.
+   */
+  async getDebtLedgerObjects(debtId) {
+    try {
+      logger.info('Fetching debt ledger (objects) from Google Sheets', { debtId });
+      if (!(await this.hasSheet('DebtLedger'))) return [];
+      const response = await this.makeRequest('/values/DebtLedger');
+      const values = response.values || [];
+      const entries = this.coerceTypesForSheet(
+        this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'DebtLedger'),
+        'DebtLedger'
+      ).filter(entry => String(entry.debtId) === String(debtId));
+      logger.info('Debt ledger (objects) fetched successfully', { debtId, count: entries.length });
+      return entries;
+    } catch (error) {
+      logger.error('Error fetching debt ledger (objects)', { debtId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild a debt balance from its ledger and compare it with Debts.balance.
+   * With apply, a differing balance is overwritten with the ledger balance (recorded as 'recompute').
+   * @param {string} debtId - Debt id
+   * @param {Object} [options]
+   * @param {boolean} [options.apply=false] - Write the ledger balance to the debt
+   */
+  async recomputeDebtBalance(debtId, { apply = false } = {}) {
+    try {
+      const rowNumber = await this.findRowNumberById('Debts', debtId);
       if (!rowNumber) {
         throw new ApiError(404, 'Debt not found');
       }
 
-      const response = await this.deleteRowByNumber('Debts', rowNumber);
+      const layout = await this.getSheetLayout('Debts');
+      const existingResp = await this.makeRequest(`/values/Debts!A${rowNumber}:${layout.lastColumn}${rowNumber}`);
+      const existing = rowToRecord(layout, (existingResp.values && existingResp.values[0]) || []);
+      const currentBalance = parseFloat(existing.balance || '0') || 0;
+
+      const entries = await this.getDebtLedgerObjects(debtId);
+      const replay = replayLedger(entries);
+      // Without entries there is nothing to rebuild from: the current balance stands
+      const ledgerBalance = replay.count > 0 ? replay.balance : currentBalance;
+      const difference = Number((currentBalance - ledgerBalance).toFixed(2));
+
+      let applied = false;
+      if (apply && difference !== 0) {
+        await this.updateDebt({ id: debtId, balance: ledgerBalance }, { cause: LEDGER_CAUSES.RECOMPUTE });
+        applied = true;
+        logger.info('Debt balance recomputed from ledger', { debtId, from: currentBalance, to: ledgerBalance });
+      }
+
+      return {
+        debtId: String(debtId),
+        currentBalance,
+        ledgerBalance,
+        difference,
+        inSync: difference === 0,
+        openingBalance: replay.openingBalance,
+        entries: replay.count,
+        gaps: replay.gaps,
+        applied
+      };
+    } catch (error) {
+      logger.error('Error recomputing debt balance', { debtId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete debt in Google Sheets
+   * @param {string} id - Debt id
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - If-Match header; a stale ETag rejects the deletion with 412
+   */
+  async deleteDebt(id, { ifMatch } = {}) {
+    try {
+      logger.info('Deleting debt in Google Sheets', { id });
+
+      const layout = await this.getSheetLayout('Debts');
+      const { result: { rowNumber, response } } = await this.createUnitOfWork().run(async (uow) => {
+        const rowNumber = await this.findRowNumberById('Debts', id);
+        if (!rowNumber) {
+          throw new ApiError(404, 'Debt not found');
+        }
+        this.assertIfMatch(await uow.readRow('Debts', rowNumber, layout.lastColumn), ifMatch);
+
+        return { rowNumber, response: await this.deleteRowByNumber('Debts', rowNumber) };
+      });
 
       logger.info('Debt deleted successfully', { id, rowNumber });
       return response;
@@ -1346,19 +1719,568 @@ class GoogleSheetsService {
   }
 
   /**
-   * Find the row number (1-based) for a given id in column A, skipping header
+   * Whether the spreadsheet has a sheet with the given title
    */
-  async findRowNumberById(sheetTitle, id) {
+  async hasSheet(title) {
+    const sheetId = await this.getGridSheetIdByTitle(title);
+    return sheetId !== null && sheetId !== undefined;
+  }
+
+  /**
+   * Create a sheet with its header row when it does not exist yet.
+   * Used for sheets added after the user's spreadsheet was created (e.g. Incomes).
+   * @param {string} title - Sheet title
+   * @param {string[]} headers - Header row
+   * @returns {Promise<boolean>} true when the sheet was created
+   */
+  async ensureSheet(title, headers) {
     try {
-      const response = await this.makeRequest(`/values/${sheetTitle}!A:A`);
-      const rows = response.values || [];
-      for (let i = 1; i < rows.length; i++) {
-        const value = rows[i] && rows[i][0] !== undefined ? rows[i][0] : undefined;
-        if (value === id) {
-          return i + 1; // 1-based row number
+      if (await this.hasSheet(title)) return false;
+
+      let sheetId;
+      try {
+        const response = await this.makeRequest(':batchUpdate', {
+          method: 'POST',
+          body: JSON.stringify({
+            requests: [{
+              addSheet: { properties: { title, gridProperties: { columnCount: headers.length, frozenRowCount: 1 } } }
+            }]
+          })
+        });
+        sheetId = response?.replies?.[0]?.addSheet?.properties?.sheetId;
+      } catch (error) {
+        // Created meanwhile by a concurrent request
+        if (!/already exists/i.test(error.message || '')) throw error;
+        delete this.sheetTitleToGridId[title];
+        await this.getGridSheetIdByTitle(title);
+        return false;
+      }
+      this.sheetTitleToGridId[title] = sheetId ?? null;
+
+      await this.makeRequest(`/values/${title}!A1:${columnLetter(headers.length - 1)}1?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ values: [headers] })
+      });
+      delete this.sheetLayouts?.[title];
+      logger.info('Sheet created', { title, sheetId });
+      return true;
+    } catch (error) {
+      logger.error('Error ensuring sheet', { title, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get incomes as array of objects using header row as keys
+   * Spreadsheets created before the Incomes sheet existed return an empty list.
+   */
+  async getIncomesObjects() {
+    try {
+      logger.info('Fetching incomes (objects) from Google Sheets');
+      if (!(await this.hasSheet('Incomes'))) return [];
+      const response = await this.makeRequest('/values/Incomes');
+      const values = response.values || [];
+      const incomes = this.coerceTypesForSheet(
+        this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'Incomes'),
+        'Incomes'
+      );
+      logger.info('Incomes (objects) fetched successfully', { count: incomes.length });
+      return incomes;
+    } catch (error) {
+      logger.error('Error fetching incomes (objects)', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cell values of a new income by schema key (see toSheetRow)
+   */
+  incomeToRecord(income) {
+    return {
+      id: String(income.id),
+      date: income.date,
+      description: income.description || '',
+      amount: income.amount.toString(),
+      type: income.type || 'other',
+      recurringIncomeId: income.recurringIncomeId ? String(income.recurringIncomeId) : '',
+      status: income.status || 'received'
+    };
+  }
+
+  /**
+   * Add new income to Google Sheets
+   */
+  async addIncome(income) {
+    try {
+      logger.info('Adding new income to Google Sheets', { date: income.date, amount: income.amount });
+      await this.ensureSheet('Incomes', INCOMES_HEADERS);
+      const layout = await this.getSheetLayout('Incomes');
+
+      const response = await this.makeRequest(`/values/Incomes!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values: [this.toSheetRow(layout, this.incomeToRecord(income))] })
+      });
+
+      logger.info('Income added successfully', { incomeId: income.id });
+      return response;
+    } catch (error) {
+      logger.error('Error adding income', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update income in Google Sheets (only provided fields are changed)
+   */
+  async updateIncome(income) {
+    try {
+      logger.info('Updating income by id in Google Sheets', { id: income.id });
+
+      if (!income.id) {
+        throw new ApiError(400, 'Missing required field: id');
+      }
+
+      const rowNumber = (await this.hasSheet('Incomes')) ? await this.findRowNumberById('Incomes', income.id) : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Income not found');
+      }
+
+      const layout = await this.getSheetLayout('Incomes');
+      const existingResp = await this.makeRequest(`/values/Incomes!A${rowNumber}:${layout.lastColumn}${rowNumber}`);
+      const existing = (existingResp.values && existingResp.values[0]) || [];
+
+      // Fields left undefined keep their stored value
+      const merged = this.toSheetRow(layout, {
+        id: income.id,
+        date: income.date,
+        description: income.description,
+        amount: income.amount !== undefined ? income.amount.toString() : undefined,
+        type: income.type,
+        recurringIncomeId: income.recurringIncomeId !== undefined ? (income.recurringIncomeId ? String(income.recurringIncomeId) : '') : undefined,
+        status: income.status
+      }, existing);
+
+      const response = await this.makeRequest(`/values/Incomes!A${rowNumber}:${layout.lastColumn}${rowNumber}?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ values: [merged] })
+      });
+
+      logger.info('Income updated successfully', { incomeId: income.id, rowNumber });
+      return response;
+    } catch (error) {
+      logger.error('Error updating income', { id: income.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete income by id
+   */
+  async deleteIncome(id) {
+    try {
+      logger.info('Deleting income', { id });
+
+      const rowNumber = (await this.hasSheet('Incomes')) ? await this.findRowNumberById('Incomes', id) : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Income not found');
+      }
+
+      const response = await this.deleteRowByNumber('Incomes', rowNumber);
+      logger.info('Income deleted successfully', { id, rowNumber });
+      return { id, rowNumber, response };
+    } catch (error) {
+      logger.error('Error deleting income', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get recurring income templates as array of objects using header row as keys
+   */
+  async getRecurringIncomesObjects() {
+    try {
+      logger.info('Fetching recurring incomes (objects) from Google Sheets');
+      if (!(await this.hasSheet('RecurringIncomes'))) return [];
+      const response = await this.makeRequest('/values/RecurringIncomes');
+      const values = response.values || [];
+      const recurringIncomes = this.coerceTypesForSheet(
+        this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'RecurringIncomes'),
+        'RecurringIncomes'
+      );
+      logger.info('Recurring incomes (objects) fetched successfully', { count: recurringIncomes.length });
+      return recurringIncomes;
+    } catch (error) {
+      logger.error('Error fetching recurring incomes (objects)', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add new recurring income template to Google Sheets
+   */
+  async addRecurringIncome(recurringIncome) {
+    try {
+      logger.info('Adding new recurring income to Google Sheets', {
+        name: recurringIncome.name,
+        amount: recurringIncome.amount
+      });
+      await this.ensureSheet('RecurringIncomes', RECURRING_INCOMES_HEADERS);
+      const layout = await this.getSheetLayout('RecurringIncomes');
+
+      const values = [this.toSheetRow(layout, {
+        id: String(recurringIncome.id),
+        name: recurringIncome.name,
+        amount: recurringIncome.amount.toString(),
+        type: recurringIncome.type || 'other',
+        dayOfMonth: recurringIncome.dayOfMonth.toString(),
+        active: recurringIncome.active ? 'TRUE' : 'FALSE'
+      })];
+
+      const response = await this.makeRequest(`/values/RecurringIncomes!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values })
+      });
+
+      logger.info('Recurring income added successfully', { recurringIncomeId: recurringIncome.id });
+      return response;
+    } catch (error) {
+      logger.error('Error adding recurring income', { name: recurringIncome.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update recurring income template in Google Sheets (only provided fields are changed)
+   */
+  async updateRecurringIncome(recurringIncome) {
+    try {
+      logger.info('Updating recurring income by id in Google Sheets', { id: recurringIncome.id });
+
+      if (!recurringIncome.id) {
+        throw new ApiError(400, 'Missing required field: id');
+      }
+
+      const rowNumber = (await this.hasSheet('RecurringIncomes'))
+        ? await this.findRowNumberById('RecurringIncomes', recurringIncome.id)
+        : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Recurring income not found');
+      }
+
+      const layout = await this.getSheetLayout('RecurringIncomes');
+      const existingResp = await this.makeRequest(`/values/RecurringIncomes!A${rowNumber}:${layout.lastColumn}${rowNumber}`);
+      const existing = (existingResp.values && existingResp.values[0]) || [];
+
+      // Fields left undefined keep their stored value
+      const merged = this.toSheetRow(layout, {
+        id: recurringIncome.id,
+        name: recurringIncome.name,
+        amount: recurringIncome.amount !== undefined ? recurringIncome.amount.toString() : undefined,
+        type: recurringIncome.type,
+        dayOfMonth: recurringIncome.dayOfMonth !== undefined ? recurringIncome.dayOfMonth.toString() : undefined,
+        active: recurringIncome.active !== undefined ? (recurringIncome.active ? 'TRUE' : 'FALSE') : undefined
+      }, existing);
+
+      const response = await this.makeRequest(`/values/RecurringIncomes!A${rowNumber}:${layout.lastColumn}${rowNumber}?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ values: [merged] })
+      });
+
+      logger.info('Recurring income updated successfully', { recurringIncomeId: recurringIncome.id, rowNumber });
+      return response;
+    } catch (error) {
+      logger.error('Error updating recurring income', { id: recurringIncome.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete recurring income template. Also deletes its generated incomes that are still expected;
+   * received incomes are kept as history.
+   */
+  async deleteRecurringIncome(id) {
+    try {
+      logger.info('Deleting recurring income', { id });
+
+      const rowNumber = (await this.hasSheet('RecurringIncomes'))
+        ? await this.findRowNumberById('RecurringIncomes', id)
+        : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Recurring income not found');
+      }
+
+      let deletedIncomesCount = 0;
+      if (await this.hasSheet('Incomes')) {
+        const rowsToDelete = (await this.getSheetRecords('Incomes'))
+          .filter(({ record }) => record.recurringIncomeId && String(record.recurringIncomeId) === String(id)
+            && String(record.status || '').toLowerCase() === 'expected')
+          .map(({ rowNumber: incomeRow }) => incomeRow);
+
+        rowsToDelete.sort((a, b) => b - a);
+        for (const rowNum of rowsToDelete) {
+          await this.deleteRowByNumber('Incomes', rowNum);
+          deletedIncomesCount++;
         }
       }
-      return null;
+
+      const response = await this.deleteRowByNumber('RecurringIncomes', rowNumber);
+      logger.info('Recurring income deleted successfully', { id, rowNumber, deletedIncomesCount });
+
+      return {
+        recurringIncome: { id, rowNumber, response },
+        deletedIncomesCount
+      };
+    } catch (error) {
+      logger.error('Error deleting recurring income', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate expected incomes of a month (YYYY-MM) from the active recurring incomes.
+   * Templates already generated for that month (same recurringIncomeId) are skipped.
+   */
+  async generateRecurringIncomesForMonth(month) {
+    try {
+      logger.info('Generating recurring incomes for month', { month });
+
+      const [yearStr, monthStr] = (month || '').split('-');
+      const year = parseInt(yearStr, 10);
+      const monthIndex = parseInt(monthStr, 10) - 1; // 0-based
+      if (Number.isNaN(year) || Number.isNaN(monthIndex) || monthIndex < 0 || monthIndex > 11) {
+        throw new ApiError(400, 'Invalid month format. Expected YYYY-MM');
+      }
+      const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+
+      const [recurringIncomes, incomes] = await Promise.all([
+        this.getRecurringIncomesObjects(),
+        this.getIncomesObjects()
+      ]);
+
+      const existingSet = new Set(
+        incomes
+          .filter(i => i.recurringIncomeId && typeof i.date === 'string' && i.date.startsWith(`${month}-`))
+          .map(i => String(i.recurringIncomeId))
+      );
+
+      const toInsert = [];
+      for (const recurringIncome of recurringIncomes) {
+        if (!recurringIncome.active || !recurringIncome.dayOfMonth || recurringIncome.dayOfMonth <= 0) continue;
+        if (existingSet.has(String(recurringIncome.id))) continue;
+
+        // Clamp to last valid day of the target month
+        const day = Math.min(recurringIncome.dayOfMonth, daysInMonth);
+        toInsert.push({
+          id: Date.now() + Math.random().toString(36).slice(2, 11),
+          date: `${month}-${String(day).padStart(2, '0')}`,
+          description: recurringIncome.name,
+          amount: Number(recurringIncome.amount) || 0,
+          type: recurringIncome.type || 'other',
+          recurringIncomeId: String(recurringIncome.id),
+          status: 'expected'
+        });
+      }
+
+      const skippedCount = recurringIncomes.filter(r => r.active).length - toInsert.length;
+
+      let saveResult = null;
+      if (toInsert.length > 0) {
+        await this.ensureSheet('Incomes', INCOMES_HEADERS);
+        const layout = await this.getSheetLayout('Incomes');
+        saveResult = await this.makeRequest(`/values/Incomes!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+          method: 'POST',
+          body: JSON.stringify({ values: toInsert.map(income => this.toSheetRow(layout, this.incomeToRecord(income))) })
+        });
+      }
+
+      logger.info('Recurring incomes generation finished', { month, count: toInsert.length, skipped: skippedCount });
+      return { items: toInsert, skipped: skippedCount, saveResult };
+    } catch (error) {
+      logger.error('Error generating recurring incomes', { month, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get installment purchases as array of objects using header row as keys
+   * Spreadsheets created before the InstallmentPurchases sheet existed return an empty list.
+   */
+  async getInstallmentPurchasesObjects() {
+    try {
+      logger.info('Fetching installment purchases (objects) from Google Sheets');
+      if (!(await this.hasSheet('InstallmentPurchases'))) return [];
+      const response = await this.makeRequest('/values/InstallmentPurchases');
+      const values = response.values || [];
+      const purchases = this.coerceTypesForSheet(
+        this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'InstallmentPurchases'),
+        'InstallmentPurchases'
+      );
+      logger.info('Installment purchases (objects) fetched successfully', { count: purchases.length });
+      return purchases;
+    } catch (error) {
+      logger.error('Error fetching installment purchases (objects)', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add new installment purchase to Google Sheets
+   * The purchase does not move Debts.balance: each statement adds the installment it bills.
+   */
+  async addInstallmentPurchase(purchase) {
+    try {
+      logger.info('Adding new installment purchase to Google Sheets', {
+        debtId: purchase.debtId,
+        totalAmount: purchase.totalAmount,
+        months: purchase.months
+      });
+      await this.ensureSheet('InstallmentPurchases', INSTALLMENT_PURCHASES_HEADERS);
+      const layout = await this.getSheetLayout('InstallmentPurchases');
+
+      const values = [this.toSheetRow(layout, {
+        id: String(purchase.id),
+        debtId: String(purchase.debtId),
+        description: purchase.description || '',
+        purchaseDate: purchase.purchaseDate,
+        totalAmount: purchase.totalAmount.toString(),
+        months: purchase.months.toString(),
+        annualRate: (purchase.annualRate || 0).toString(),
+        startStatement: purchase.startStatement
+      })];
+
+      const response = await this.makeRequest(`/values/InstallmentPurchases!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values })
+      });
+
+      logger.info('Installment purchase added successfully', { purchaseId: purchase.id });
+      return response;
+    } catch (error) {
+      logger.error('Error adding installment purchase', { debtId: purchase.debtId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete installment purchase by id. Installments already billed stay in CreditHistory.
+   */
+  async deleteInstallmentPurchase(id) {
+    try {
+      logger.info('Deleting installment purchase', { id });
+
+      const rowNumber = (await this.hasSheet('InstallmentPurchases'))
+        ? await this.findRowNumberById('InstallmentPurchases', id)
+        : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Installment purchase not found');
+      }
+
+      const response = await this.deleteRowByNumber('InstallmentPurchases', rowNumber);
+      logger.info('Installment purchase deleted successfully', { id, rowNumber });
+      return { id, rowNumber, response };
+    } catch (error) {
+      logger.error('Error deleting installment purchase', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get bank CSV import profiles as array of objects using header row as keys
+   * Spreadsheets created before the ImportProfiles sheet existed return an empty list.
+   */
+  async getImportProfilesObjects() {
+    try {
+      logger.info('Fetching import profiles (objects) from Google Sheets');
+      if (!(await this.hasSheet('ImportProfiles'))) return [];
+      const response = await this.makeRequest('/values/ImportProfiles');
+      const values = response.values || [];
+      const profiles = this.coerceTypesForSheet(
+        this.normalizeKeysForSheet(this.mapRowsToObjects(values), 'ImportProfiles'),
+        'ImportProfiles'
+      );
+      logger.info('Import profiles (objects) fetched successfully', { count: profiles.length });
+      return profiles;
+    } catch (error) {
+      logger.error('Error fetching import profiles (objects)', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add new bank CSV import profile to Google Sheets
+   */
+  async addImportProfile(profile) {
+    try {
+      logger.info('Adding new import profile to Google Sheets', { name: profile.name });
+      await this.ensureSheet('ImportProfiles', IMPORT_PROFILES_HEADERS);
+      const layout = await this.getSheetLayout('ImportProfiles');
+
+      const text = (value) => (value === null || value === undefined ? '' : String(value));
+      const values = [this.toSheetRow(layout, {
+        id: String(profile.id),
+        name: profile.name,
+        dateColumn: text(profile.dateColumn),
+        descriptionColumn: text(profile.descriptionColumn),
+        amountColumn: text(profile.amountColumn),
+        debitColumn: text(profile.debitColumn),
+        creditColumn: text(profile.creditColumn),
+        dateFormat: text(profile.dateFormat),
+        decimalSeparator: text(profile.decimalSeparator),
+        signConvention: text(profile.signConvention),
+        delimiter: text(profile.delimiter),
+        defaultCategoryId: text(profile.defaultCategoryId)
+      })];
+
+      const response = await this.makeRequest(`/values/ImportProfiles!A:${layout.lastColumn}:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values })
+      });
+
+      logger.info('Import profile added successfully', { profileId: profile.id });
+      return response;
+    } catch (error) {
+      logger.error('Error adding import profile', { name: profile.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete bank CSV import profile by id
+   */
+  async deleteImportProfile(id) {
+    try {
+      logger.info('Deleting import profile', { id });
+
+      const rowNumber = (await this.hasSheet('ImportProfiles'))
+        ? await this.findRowNumberById('ImportProfiles', id)
+        : null;
+      if (!rowNumber) {
+        throw new ApiError(404, 'Import profile not found');
+      }
+
+      const response = await this.deleteRowByNumber('ImportProfiles', rowNumber);
+      logger.info('Import profile deleted successfully', { id, rowNumber });
+      return { id, rowNumber, response };
+    } catch (error) {
+      logger.error('Error deleting import profile', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the row number (1-based) for a given id in the sheet's id column, skipping header.
+   * Only the id column is read, always from Sheets since callers write or delete by the row number.
+   */
+  async findRowNumberById(sheetTitle, id) {
+    try {
+      const layout = await this.getSheetLayout(sheetTitle);
+      if (layout.columns.id === undefined) {
+        return null;
+      }
+      const column = columnLetter(layout.columns.id);
+      const response = await this.makeRequest(`/values/${sheetTitle}!${column}:${column}`, { fresh: true });
+      const index = (response.values || []).findIndex((row, i) => i > 0 && Array.isArray(row) && row[0] === id);
+      return index === -1 ? null : index + 1;
     } catch (error) {
       logger.error('Error finding row by id', { sheetTitle, id, error: error.message });
       throw error;
@@ -1366,9 +2288,55 @@ class GoogleSheetsService {
   }
 
   /**
-   * Delete a row by 1-based row number using BatchUpdate
+   * Make sure a sheet has a column for each of the given headers, matched by schema key like any other
+   * column (so a renamed or moved column counts); missing ones are added after the last header.
+   * Used to migrate sheets created before new columns were added; the grid is widened when needed.
+   * @param {string} sheetTitle - Sheet title
+   * @param {string[]} headers - Expected headers
    */
-  async deleteRowByNumber(sheetTitle, rowNumber) {
+  async ensureHeaderColumns(sheetTitle, headers) {
+    try {
+      const response = await this.makeRequest(`/values/${sheetTitle}!1:1`);
+      const current = (response.values && response.values[0]) || [];
+      const layout = this.layoutOf(sheetTitle, current);
+      const missing = headers.filter(header => layout.columns[headerToKey(header, schemaMappings[sheetTitle])] === undefined);
+      if (missing.length === 0) return false;
+      const row = [...current, ...missing];
+
+      const meta = await this.makeRequest('?fields=sheets.properties');
+      const sheet = ((meta && meta.sheets) || []).find(s => s.properties?.title === sheetTitle);
+      if (!sheet) {
+        throw new ApiError(500, `Sheet not found: ${sheetTitle}`);
+      }
+      const columnCount = sheet.properties.gridProperties?.columnCount || 0;
+      if (columnCount < row.length) {
+        await this.makeRequest(':batchUpdate', {
+          method: 'POST',
+          body: JSON.stringify({
+            requests: [{
+              appendDimension: { sheetId: sheet.properties.sheetId, dimension: 'COLUMNS', length: row.length - columnCount }
+            }]
+          })
+        });
+      }
+
+      await this.makeRequest(`/values/${sheetTitle}!A1:${columnLetter(row.length - 1)}1?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ values: [row] })
+      });
+      delete this.sheetLayouts?.[sheetTitle];
+      logger.info('Sheet headers migrated', { sheetTitle, headers: row });
+      return true;
+    } catch (error) {
+      logger.error('Error ensuring header columns', { sheetTitle, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a row (or `count` rows) by 1-based row number using BatchUpdate
+   */
+  async deleteRowByNumber(sheetTitle, rowNumber, count = 1) {
     try {
       const sheetId = await this.getGridSheetIdByTitle(sheetTitle);
       if (sheetId === null || sheetId === undefined) {
@@ -1376,7 +2344,7 @@ class GoogleSheetsService {
       }
 
       const startIndex = rowNumber - 1; // zero-based inclusive
-      const endIndex = rowNumber; // zero-based exclusive
+      const endIndex = startIndex + count; // zero-based exclusive
 
       const body = {
         requests: [
@@ -1405,6 +2373,45 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Insert a row with the given values at a 1-based row number, shifting the rows below down
+   * Used to restore a deleted row when a unit of work is rolled back.
+   */
+  async insertRowByNumber(sheetTitle, rowNumber, lastColumn, values) {
+    try {
+      const sheetId = await this.getGridSheetIdByTitle(sheetTitle);
+      if (sheetId === null || sheetId === undefined) {
+        throw new ApiError(500, `Sheet not found: ${sheetTitle}`);
+      }
+
+      await this.makeRequest(':batchUpdate', {
+        method: 'POST',
+        body: JSON.stringify({
+          requests: [{
+            insertDimension: {
+              range: { sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber },
+              inheritFromBefore: rowNumber > 1
+            }
+          }]
+        })
+      });
+      return await this.makeRequest(`/values/${sheetTitle}!A${rowNumber}:${lastColumn}${rowNumber}?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ values: [values] })
+      });
+    } catch (error) {
+      logger.error('Error inserting row by number', { sheetTitle, rowNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start a unit of work bound to this storage (see SheetsUnitOfWork)
+   */
+  createUnitOfWork() {
+    return new SheetsUnitOfWork(this);
+  }
+
   /**
    * Resolve and cache grid sheetId by its title
    */
@@ -1441,7 +2448,7 @@ class GoogleSheetsService {
     try {
       logger.info('Generating fixed expenses for month', { month });
       
-      const fixedExpenses = await this.getFixedExpenses();
+      const fixedExpenses = await this.getFixedExpensesObjects();
       // Parse month safely (YYYY-MM)
       const [yearStr, monthStr] = (month || '').split('-');
       const year = parseInt(yearStr, 10);
@@ -1455,9 +2462,9 @@ class GoogleSheetsService {
       
       const generatedExpenses = [];
       
-      for (const fixedExpense of fixedExpenses.slice(1)) { // Skip header
-        if (fixedExpense[5] === 'TRUE') { // If active
-          const requestedDay = parseInt(fixedExpense[4], 10);
+      for (const fixedExpense of fixedExpenses) {
+        if (fixedExpense.active === true) {
+          const requestedDay = parseInt(fixedExpense.dayOfMonth, 10);
           if (Number.isNaN(requestedDay) || requestedDay <= 0) {
             continue;
           }
@@ -1474,17 +2481,17 @@ class GoogleSheetsService {
 
           
           // Determine entry type based on presence of debtId (no longer tied to category 7)
-          const hasDebt = !!fixedExpense[6];
+          const hasDebt = !!fixedExpense.debtId;
           const entryType = hasDebt ? 'payment' : '';
           generatedExpenses.push({
             id: Date.now() + Math.random().toString(36).slice(2, 11),
             date: dateStr,
-            description: fixedExpense[1],
-            amount: parseFloat(fixedExpense[2]),
-            categoryId: parseInt(fixedExpense[3]),
+            description: fixedExpense.name,
+            amount: parseFloat(fixedExpense.amount),
+            categoryId: parseInt(fixedExpense.categoryId),
             isFixed: true,
-            fixedExpenseId: fixedExpense[0],
-            debtId: fixedExpense[6] ? String(fixedExpense[6]) : null,
+            fixedExpenseId: fixedExpense.id,
+            debtId: fixedExpense.debtId ? String(fixedExpense.debtId) : null,
             entryType: entryType || null,
             status: 'pending'
           });
@@ -1492,11 +2499,11 @@ class GoogleSheetsService {
       }
       
       // Build deduplication set from existing expenses using ONLY (date + fixedExpenseId)
-      const existing = await this.getExpenses();
+      const existing = await this.getExpensesObjects();
       const existingSet = new Set();
-      for (const row of existing.slice(1)) {
-        const existingDate = row[1];
-        const existingFixedId = row[6] ? String(row[6]) : '';
+      for (const expense of existing) {
+        const existingDate = expense.date;
+        const existingFixedId = expense.fixedExpenseId ? String(expense.fixedExpenseId) : '';
         if (existingDate && existingFixedId) {
           existingSet.add(`${existingDate}#${existingFixedId}`);
         }
@@ -1534,9 +2541,9 @@ class GoogleSheetsService {
     try {
       logger.debug('Checking if fixed expense exists', { description, categoryId });
       
-      const fixedExpenses = await this.getFixedExpenses();
-      const exists = fixedExpenses.slice(1).some(expense => 
-        expense[1] === description && parseInt(expense[3]) === categoryId
+      const fixedExpenses = await this.getFixedExpensesObjects();
+      const exists = fixedExpenses.some(expense => 
+        expense.name === description && parseInt(expense.categoryId) === categoryId
       );
       
       logger.debug('Fixed expense existence check result', { description, categoryId, exists });
@@ -0,0 +1,132 @@
+import logger from '../config/logger.js';
+
+export const JOB_RUNS_SHEET = 'JobRuns';
+
+/**
+ * Columns of the JobRuns sheet in each user spreadsheet: one row per user (or per target) of a job run
+ */
+export const JOB_RUN_HEADERS = ['runId', 'job', 'runKey', 'userId', 'target', 'status', 'count', 'message', 'startedAt', 'finishedAt'];
+
+export const JOB_RUN_STATUSES = ['success', 'failed', 'skipped'];
+
+/**
+ * Records the background job runs of one user in the JobRuns sheet of their own spreadsheet, so the log
+ * works with any storage backend and each user's runs are checked on their own
+ */
+class JobRunService {
+  /**
+   * @param {Object} storage - User storage adapter (see createStorageService); only makeRequest is used
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.sheetReady = false;
+  }
+
+  /**
+   * Whether the JobRuns sheet exists (read-only; nothing has run for the user yet when it does not)
+   */
+  async sheetExists() {
+    if (this.sheetReady) return true;
+    const meta = await this.storage.makeRequest('?fields=sheets.properties');
+    this.sheetReady = ((meta && meta.sheets) || []).some(s => s.properties?.title === JOB_RUNS_SHEET);
+    return this.sheetReady;
+  }
+
+  /**
+   * Create the JobRuns sheet on first use
+   */
+  async ensureSheet() {
+    if (this.sheetReady) return;
+    try {
+      if (!(await this.sheetExists())) {
+        logger.info('Creating JobRuns sheet in user spreadsheet');
+        try {
+          await this.storage.makeRequest(':batchUpdate', {
+            method: 'POST',
+            body: JSON.stringify({
+              requests: [{
+                addSheet: { properties: { title: JOB_RUNS_SHEET, gridProperties: { columnCount: JOB_RUN_HEADERS.length, frozenRowCount: 1 } } }
+              }]
+            })
+          });
+        } catch (error) {
+          // Created meanwhile by another process
+          if (!/already exists/i.test(error.message || '')) throw error;
+        }
+        const lastColumn = String.fromCharCode(64 + JOB_RUN_HEADERS.length);
+        await this.storage.makeRequest(`/values/${JOB_RUNS_SHEET}!A1:${lastColumn}1?valueInputOption=RAW`, {
+          method: 'PUT',
+          body: JSON.stringify({ values: [JOB_RUN_HEADERS] })
+        });
+      }
+      this.sheetReady = true;
+    } catch (error) {
+      logger.error('Error ensuring JobRuns sheet', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Append run records
+   * @param {Object[]} records - { runId, job, runKey, userId, target, status, count, message, startedAt, finishedAt }
+   */
+  async recordRuns(records) {
+    if (!records || records.length === 0) return null;
+    try {
+      await this.ensureSheet();
+      const values = records.map(record => JOB_RUN_HEADERS.map(header => {
+        const value = record[header];
+        return value === undefined || value === null ? '' : String(value);
+      }));
+      return await this.storage.makeRequest(`/values/${JOB_RUNS_SHEET}!A:J:append?valueInputOption=RAW`, {
+        method: 'POST',
+        body: JSON.stringify({ values })
+      });
+    } catch (error) {
+      logger.error('Error recording job runs', { count: records.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List run records, newest first. Never writes: without a JobRuns sheet there are no runs.
+   * @param {Object} [filters]
+   * @param {string} [filters.job]
+   * @param {string} [filters.runKey]
+   * @param {string} [filters.userId]
+   * @param {number} [filters.limit]
+   */
+  async listRuns({ job, runKey, userId, limit } = {}) {
+    try {
+      if (!(await this.sheetExists())) return [];
+      const response = await this.storage.makeRequest(`/values/${JOB_RUNS_SHEET}!A:J`);
+      const rows = (response.values || []).slice(1);
+
+      const runs = rows
+        .filter(row => row && row[0])
+        .map(row => {
+          const record = Object.fromEntries(JOB_RUN_HEADERS.map((header, i) => [header, row[i] !== undefined && row[i] !== '' ? row[i] : null]));
+          record.count = record.count === null ? null : Number(record.count);
+          return record;
+        })
+        .filter(r => (!job || r.job === job) && (!runKey || r.runKey === runKey) && (!userId || r.userId === userId))
+        .reverse();
+
+      return limit ? runs.slice(0, limit) : runs;
+    } catch (error) {
+      logger.error('Error listing job runs', { job, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a job already succeeded for a key (e.g. the month it generated); failed runs do not count,
+   * so the next run retries them
+   */
+  async hasSucceeded(job, runKey) {
+    const runs = await this.listRuns({ job, runKey });
+    return runs.some(run => run.status === 'success');
+  }
+}
+
+export default JobRunService;
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import GoogleSheetsService from './googleSheetsService.js';
+import LocalSpreadsheet from './localSpreadsheet.js';
+import SheetCreationService, { DEFAULT_CATEGORIES } from './sheetCreationService.js';
+
+const LOCAL_ACCESS_TOKEN = 'local-json-storage';
+
+/**
+ * Storage backend that keeps each user's spreadsheet in a JSON file on disk.
+ * It answers the same Sheets REST calls GoogleSheetsService issues, so all the
+ * business rules (debt balance adjustments, fixed expense generation, ...) are shared.
+ */
+class JsonFileStorageService extends GoogleSheetsService {
+  /**
+   * @param {string} storageKey - Identifies the user's spreadsheet file (sheet ID or user ID)
+   * @param {string} [dataDir] - Directory holding the JSON files
+   */
+  constructor(storageKey, dataDir = config.jsonStorageDir) {
+    super(LOCAL_ACCESS_TOKEN, storageKey);
+
+    const fileName = `${String(storageKey).replace(/[^A-Za-z0-9_-]/g, '_')}.json`;
+    this.filePath = path.resolve(dataDir, fileName);
+
+    logger.debug('JsonFileStorageService instance created', { filePath: this.filePath });
+  }
+
+  /**
+   * Load the user's spreadsheet, creating it with the default layout on first use
+   */
+  loadSpreadsheet() {
+    if (fs.existsSync(this.filePath)) {
+      return LocalSpreadsheet.fromJSON(JSON.parse(fs.readFileSync(this.filePath, 'utf-8')));
+    }
+
+    logger.info('Creating local spreadsheet file', { filePath: this.filePath });
+    const definition = new SheetCreationService().buildSpreadsheetDefinition(this.sheetId);
+    const spreadsheet = LocalSpreadsheet.fromDefinition(this.sheetId, definition);
+    spreadsheet.updateValues(`Categories!A2:D${DEFAULT_CATEGORIES.length + 1}`, DEFAULT_CATEGORIES);
+    this.saveSpreadsheet(spreadsheet);
+    return spreadsheet;
+  }
+
+  /**
+   * Persist the spreadsheet (write to a temp file and rename so readers never see partial JSON)
+   */
+  saveSpreadsheet(spreadsheet) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(spreadsheet.toJSON(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Serve a Sheets API request from the local file.
+   * Load, apply and save run synchronously so concurrent requests cannot interleave.
+   */
+  async makeRequest(endpoint, options = {}) {
+    try {
+      const method = options.method || 'GET';
+      logger.debug('Making local storage request', { filePath: this.filePath, endpoint, method });
+
+      const spreadsheet = this.loadSpreadsheet();
+      const body = options.body ? JSON.parse(options.body) : undefined;
+      const { result, mutated } = spreadsheet.handleRequest(method, endpoint, body);
+      if (mutated) {
+        this.saveSpreadsheet(spreadsheet);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error making local storage request', {
+        endpoint,
+        error: error.message,
+        stack: error.stack
+      });
+      throw error;
+    }
+  }
+}
+
+export default JsonFileStorageService;
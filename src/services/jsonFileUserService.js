@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import LocalSpreadsheet from './localSpreadsheet.js';
+import UserSheetService, { USERS_HEADER } from './userSheetService.js';
+
+/**
+ * File of the local master spreadsheet. User data files are named after a sheet or user ID,
+ * which never matches this name.
+ */
+const USERS_FILE = 'users.json';
+
+/**
+ * Users store of the json storage backend: the master sheet's Users tab kept in a JSON file
+ * next to the users' data, so no request reaches Google.
+ */
+class JsonFileUserService extends UserSheetService {
+  /**
+   * @param {string} [dataDir] - Directory holding the JSON files
+   */
+  constructor(dataDir = config.jsonStorageDir) {
+    super();
+    this.filePath = path.resolve(dataDir, USERS_FILE);
+  }
+
+  /**
+   * Load the master spreadsheet, starting with an empty Users tab on first use
+   */
+  loadSpreadsheet() {
+    if (fs.existsSync(this.filePath)) {
+      return LocalSpreadsheet.fromJSON(JSON.parse(fs.readFileSync(this.filePath, 'utf-8')));
+    }
+    return new LocalSpreadsheet({ spreadsheetId: 'local-master', sheets: [{ title: 'Users', values: [USERS_HEADER] }] });
+  }
+
+  /**
+   * Persist the spreadsheet (write to a temp file and rename so readers never see partial JSON)
+   */
+  saveSpreadsheet(spreadsheet) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(spreadsheet.toJSON(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Serve a master sheet request from the local file.
+   * Load, apply and save run synchronously so concurrent requests cannot interleave.
+   */
+  async makeRequest(endpoint, options = {}) {
+    try {
+      const method = options.method || 'GET';
+      logger.debug('Making local users request', { filePath: this.filePath, endpoint, method });
+
+      const spreadsheet = this.loadSpreadsheet();
+      const body = options.body ? JSON.parse(options.body) : undefined;
+      const { result, mutated } = spreadsheet.handleRequest(method, endpoint, body);
+      if (mutated) {
+        this.saveSpreadsheet(spreadsheet);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error making local users request', { endpoint, error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default JsonFileUserService;
@@ -0,0 +1,407 @@
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * Convert a column label (A, J, AA) to a 0-based column index
+ */
+export function columnToIndex(label) {
+  let index = 0;
+  for (const ch of String(label).toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Convert a 0-based column index to its column label (0 -> A, 26 -> AA)
+ */
+export function indexToColumn(index) {
+  let n = index + 1;
+  let label = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    label = String.fromCharCode(65 + rem) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+/**
+ * Parse an A1 range such as "Expenses!A:J", "Debts!A5:K5", "Users!I3" or "'My Sheet'!B:B"
+ * Returns 0-based inclusive bounds; endRow/endCol are null for open-ended ranges
+ */
+export function parseA1Range(range) {
+  const text = String(range || '');
+  const bang = text.lastIndexOf('!');
+  let sheet = bang === -1 ? text : text.slice(0, bang);
+  const cells = bang === -1 ? '' : text.slice(bang + 1);
+  if (sheet.startsWith('\'') && sheet.endsWith('\'')) {
+    sheet = sheet.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (!sheet) {
+    throw new ApiError(400, `Unable to parse range: ${text}`);
+  }
+  if (!cells) {
+    return { sheet, startRow: 0, endRow: null, startCol: 0, endCol: null };
+  }
+
+  const match = cells.toUpperCase().match(/^([A-Z]+)?(\d+)?(?::([A-Z]+)?(\d+)?)?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new ApiError(400, `Unable to parse range: ${text}`);
+  }
+  const [, startColLabel, startRowNum, endColLabel, endRowNum] = match;
+  const isSingleCell = !cells.includes(':');
+
+  const startCol = startColLabel ? columnToIndex(startColLabel) : 0;
+  const startRow = startRowNum ? parseInt(startRowNum, 10) - 1 : 0;
+  let endCol = endColLabel ? columnToIndex(endColLabel) : null;
+  let endRow = endRowNum ? parseInt(endRowNum, 10) - 1 : null;
+  if (isSingleCell) {
+    endCol = startColLabel ? startCol : null;
+    endRow = startRowNum ? startRow : null;
+  }
+
+  return { sheet, startRow, endRow, startCol, endCol };
+}
+
+/**
+ * Render a stored cell the way the Sheets API returns FORMATTED_VALUE
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+}
+
+function isEmptyRow(row) {
+  return !Array.isArray(row) || row.every(cell => formatCell(cell) === '');
+}
+
+function trimTrailingEmpty(cells) {
+  const out = [...cells];
+  while (out.length > 0 && out[out.length - 1] === '') out.pop();
+  return out;
+}
+
+/**
+ * In-memory model of a spreadsheet that answers the subset of the Google Sheets v4 REST API
+ * used by this project (values get/append/update/clear/batchUpdate, batchUpdate deleteDimension/insertDimension/appendDimension/addSheet, metadata).
+ * Shared by the local JSON storage backend and the fake Sheets server.
+ */
+class LocalSpreadsheet {
+  /**
+   * @param {Object} data
+   * @param {string} data.spreadsheetId - Spreadsheet ID
+   * @param {string} [data.title] - Spreadsheet title
+   * @param {Array<{ title: string, sheetId?: number, values?: Array<Array<*>> }>} [data.sheets] - Sheets
+   */
+  constructor({ spreadsheetId, title = '', sheets = [] }) {
+    this.spreadsheetId = spreadsheetId;
+    this.title = title;
+    this.sheets = [];
+    for (const sheet of sheets) {
+      this.addSheet(sheet.title, sheet.values || [], sheet.sheetId);
+    }
+  }
+
+  /**
+   * Build a spreadsheet from a spreadsheets.create request body (headers come from rowData)
+   */
+  static fromDefinition(spreadsheetId, definition = {}) {
+    const sheets = (definition.sheets || []).map((sheet) => {
+      const values = [];
+      for (const block of sheet.data || []) {
+        const startRow = block.startRow || 0;
+        const startCol = block.startColumn || 0;
+        (block.rowData || []).forEach((rowData, r) => {
+          const row = values[startRow + r] || [];
+          (rowData.values || []).forEach((cell, c) => {
+            const entered = (cell && cell.userEnteredValue) || {};
+            const value = entered.stringValue ?? entered.numberValue ?? entered.boolValue ?? '';
+            row[startCol + c] = value;
+          });
+          values[startRow + r] = row;
+        });
+      }
+      return { title: sheet.properties?.title, sheetId: sheet.properties?.sheetId, values };
+    });
+    return new LocalSpreadsheet({ spreadsheetId, title: definition.properties?.title || '', sheets });
+  }
+
+  /**
+   * Restore a spreadsheet previously serialized with toJSON()
+   */
+  static fromJSON(json) {
+    return new LocalSpreadsheet(json || {});
+  }
+
+  toJSON() {
+    return {
+      spreadsheetId: this.spreadsheetId,
+      title: this.title,
+      sheets: this.sheets.map(s => ({ title: s.title, sheetId: s.sheetId, values: s.values }))
+    };
+  }
+
+  addSheet(title, values = [], sheetId) {
+    if (!title) {
+      throw new ApiError(400, 'Sheet title is required');
+    }
+    if (this.findSheet(title)) {
+      throw new ApiError(400, `A sheet with the name "${title}" already exists`);
+    }
+    const nextId = this.sheets.reduce((max, s) => Math.max(max, s.sheetId), -1) + 1;
+    const sheet = {
+      title,
+      sheetId: Number.isInteger(sheetId) ? sheetId : nextId,
+      values: values.map(row => [...row])
+    };
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  findSheet(title) {
+    return this.sheets.find(s => s.title === title) || null;
+  }
+
+  getSheet(title, range) {
+    const sheet = this.findSheet(title);
+    if (!sheet) {
+      throw new ApiError(400, `Unable to parse range: ${range || title}`);
+    }
+    return sheet;
+  }
+
+  /**
+   * Spreadsheet metadata (spreadsheets.get)
+   */
+  getMetadata() {
+    return {
+      spreadsheetId: this.spreadsheetId,
+      properties: { title: this.title },
+      sheets: this.sheets.map(s => ({
+        properties: {
+          sheetId: s.sheetId,
+          title: s.title,
+          gridProperties: { rowCount: s.values.length, columnCount: s.values.reduce((m, r) => Math.max(m, r.length), 0) }
+        }
+      }))
+    };
+  }
+
+  /**
+   * values.get: rows and columns are trimmed like the real API
+   */
+  getValues(range) {
+    const bounds = parseA1Range(range);
+    const sheet = this.getSheet(bounds.sheet, range);
+    const lastRow = bounds.endRow !== null ? Math.min(bounds.endRow, sheet.values.length - 1) : sheet.values.length - 1;
+
+    const rows = [];
+    for (let r = bounds.startRow; r <= lastRow; r++) {
+      const source = sheet.values[r] || [];
+      const lastCol = bounds.endCol !== null ? bounds.endCol : source.length - 1;
+      const cells = [];
+      for (let c = bounds.startCol; c <= lastCol; c++) {
+        cells.push(formatCell(source[c]));
+      }
+      rows.push(trimTrailingEmpty(cells));
+    }
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+
+    const result = { range, majorDimension: 'ROWS' };
+    if (rows.length > 0) result.values = rows;
+    return result;
+  }
+
+  /**
+   * values.update: write a block of values starting at the top-left cell of the range
+   */
+  updateValues(range, values = []) {
+    const bounds = parseA1Range(range);
+    const sheet = this.getSheet(bounds.sheet, range);
+    this.writeBlock(sheet, bounds.startRow, bounds.startCol, values);
+    return {
+      spreadsheetId: this.spreadsheetId,
+      ...this.describeWrite(sheet, bounds.startRow, bounds.startCol, values)
+    };
+  }
+
+  /**
+   * values.append: write rows after the last non-empty row of the sheet
+   */
+  appendValues(range, values = []) {
+    const bounds = parseA1Range(range);
+    const sheet = this.getSheet(bounds.sheet, range);
+    let lastFilled = -1;
+    sheet.values.forEach((row, i) => {
+      if (!isEmptyRow(row)) lastFilled = i;
+    });
+    const startRow = Math.max(lastFilled + 1, bounds.startRow);
+    this.writeBlock(sheet, startRow, bounds.startCol, values);
+    return {
+      spreadsheetId: this.spreadsheetId,
+      updates: {
+        spreadsheetId: this.spreadsheetId,
+        ...this.describeWrite(sheet, startRow, bounds.startCol, values)
+      }
+    };
+  }
+
+  /**
+   * values.batchUpdate: write several ranges at once. Every range is resolved before the
+   * first write, so a bad range leaves the spreadsheet untouched (the API is all-or-nothing too).
+   */
+  batchUpdateValues(data = []) {
+    const targets = data.map(({ range, values }) => {
+      const bounds = parseA1Range(range);
+      return { sheet: this.getSheet(bounds.sheet, range), bounds, values: values || [] };
+    });
+
+    const responses = targets.map(({ sheet, bounds, values }) => {
+      this.writeBlock(sheet, bounds.startRow, bounds.startCol, values);
+      return { spreadsheetId: this.spreadsheetId, ...this.describeWrite(sheet, bounds.startRow, bounds.startCol, values) };
+    });
+    return {
+      spreadsheetId: this.spreadsheetId,
+      totalUpdatedRows: responses.reduce((n, r) => n + r.updatedRows, 0),
+      totalUpdatedColumns: responses.reduce((n, r) => Math.max(n, r.updatedColumns), 0),
+      totalUpdatedCells: responses.reduce((n, r) => n + r.updatedCells, 0),
+      totalUpdatedSheets: new Set(targets.map(t => t.sheet.title)).size,
+      responses
+    };
+  }
+
+  /**
+   * values.clear: blank every cell in the range (rows are kept)
+   */
+  clearValues(range) {
+    const bounds = parseA1Range(range);
+    const sheet = this.getSheet(bounds.sheet, range);
+    const lastRow = bounds.endRow !== null ? Math.min(bounds.endRow, sheet.values.length - 1) : sheet.values.length - 1;
+    for (let r = bounds.startRow; r <= lastRow; r++) {
+      const row = sheet.values[r];
+      if (!Array.isArray(row)) continue;
+      const lastCol = bounds.endCol !== null ? Math.min(bounds.endCol, row.length - 1) : row.length - 1;
+      for (let c = bounds.startCol; c <= lastCol; c++) {
+        row[c] = '';
+      }
+    }
+    return { spreadsheetId: this.spreadsheetId, clearedRange: range };
+  }
+
+  /**
+   * spreadsheets.batchUpdate: supports deleteDimension and insertDimension (ROWS), appendDimension and addSheet.
+   * The local model has no grid limits, so appendDimension only validates the sheet.
+   */
+  batchUpdate(requests = []) {
+    const replies = [];
+    for (const request of requests) {
+      if (request.deleteDimension || request.insertDimension) {
+        const { sheetId, dimension, startIndex, endIndex } = (request.deleteDimension || request.insertDimension).range || {};
+        const sheet = this.sheets.find(s => s.sheetId === sheetId);
+        if (!sheet) {
+          throw new ApiError(400, `No grid with id: ${sheetId}`);
+        }
+        if (dimension !== 'ROWS') {
+          throw new ApiError(400, `Unsupported dimension: ${dimension}`);
+        }
+        const count = Math.max(0, endIndex - startIndex);
+        if (request.deleteDimension) {
+          sheet.values.splice(startIndex, count);
+        } else {
+          while (sheet.values.length < startIndex) sheet.values.push([]);
+          sheet.values.splice(startIndex, 0, ...Array.from({ length: count }, () => []));
+        }
+        replies.push({});
+      } else if (request.appendDimension) {
+        const { sheetId } = request.appendDimension;
+        if (!this.sheets.some(s => s.sheetId === sheetId)) {
+          throw new ApiError(400, `No grid with id: ${sheetId}`);
+        }
+        replies.push({});
+      } else if (request.addSheet) {
+        const { title, sheetId, gridProperties } = request.addSheet.properties || {};
+        const sheet = this.addSheet(title, [], sheetId);
+        replies.push({ addSheet: { properties: { sheetId: sheet.sheetId, title: sheet.title, gridProperties: gridProperties || {} } } });
+      } else {
+        throw new ApiError(400, `Unsupported batchUpdate request: ${Object.keys(request).join(', ')}`);
+      }
+    }
+    return { spreadsheetId: this.spreadsheetId, replies };
+  }
+
+  writeBlock(sheet, startRow, startCol, values) {
+    values.forEach((rowValues, r) => {
+      const rowIndex = startRow + r;
+      while (sheet.values.length <= rowIndex) sheet.values.push([]);
+      const row = sheet.values[rowIndex];
+      (rowValues || []).forEach((value, c) => {
+        while (row.length < startCol + c) row.push('');
+        row[startCol + c] = value === null || value === undefined ? '' : value;
+      });
+    });
+  }
+
+  describeWrite(sheet, startRow, startCol, values) {
+    const columns = values.reduce((m, r) => Math.max(m, (r || []).length), 0);
+    const endCol = startCol + Math.max(columns, 1) - 1;
+    const endRow = startRow + Math.max(values.length, 1) - 1;
+    return {
+      updatedRange: `${sheet.title}!${indexToColumn(startCol)}${startRow + 1}:${indexToColumn(endCol)}${endRow + 1}`,
+      updatedRows: values.length,
+      updatedColumns: columns,
+      updatedCells: values.reduce((n, r) => n + (r || []).length, 0)
+    };
+  }
+
+  /**
+   * Dispatch a REST call addressed to this spreadsheet
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path after /v4/spreadsheets/{id} (e.g. "/values/Expenses!A:J:append?valueInputOption=RAW")
+   * @param {Object} [body] - Parsed JSON body
+   * @returns {{ result: Object, mutated: boolean }}
+   */
+  handleRequest(method, endpoint, body = {}) {
+    const verb = String(method || 'GET').toUpperCase();
+    const [rawPath] = String(endpoint || '').split('?');
+    const pathPart = decodeURIComponent(rawPath);
+
+    if (pathPart === '' || pathPart === '/') {
+      if (verb === 'GET') return { result: this.getMetadata(), mutated: false };
+    }
+
+    if (pathPart === ':batchUpdate' && verb === 'POST') {
+      return { result: this.batchUpdate(body?.requests), mutated: true };
+    }
+
+    if (pathPart === '/values:batchGet' && verb === 'GET') {
+      const ranges = new URLSearchParams(String(endpoint).split('?')[1] || '').getAll('ranges');
+      return { result: { spreadsheetId: this.spreadsheetId, valueRanges: ranges.map(r => this.getValues(r)) }, mutated: false };
+    }
+
+    if (pathPart === '/values:batchUpdate' && verb === 'POST') {
+      return { result: this.batchUpdateValues(body?.data), mutated: true };
+    }
+
+    if (pathPart.startsWith('/values/')) {
+      const target = pathPart.slice('/values/'.length);
+      if (target.endsWith(':append') && verb === 'POST') {
+        return { result: this.appendValues(target.slice(0, -':append'.length), body?.values), mutated: true };
+      }
+      if (target.endsWith(':clear') && verb === 'POST') {
+        return { result: this.clearValues(target.slice(0, -':clear'.length)), mutated: true };
+      }
+      if (verb === 'GET') {
+        return { result: this.getValues(target), mutated: false };
+      }
+      if (verb === 'PUT') {
+        return { result: this.updateValues(target, body?.values), mutated: true };
+      }
+    }
+
+    throw new ApiError(404, `Unsupported Sheets endpoint: ${verb} ${endpoint}`);
+  }
+}
+
+export default LocalSpreadsheet;
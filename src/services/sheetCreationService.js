@@ -1,6 +1,47 @@
+import config from '../config/config.js';
 import logger from '../config/logger.js';
 import { ApiError } from '../middleware/errorHandler.js';
 
+/**
+ * Default categories written to every new user sheet
+ */
+export const DEFAULT_CATEGORIES = [
+  ['1', 'Comida', '#FF5722', '🍔'],
+  ['2', 'Transporte', '#2196F3', '🚗'],
+  ['3', 'Entretenimiento', '#9C27B0', '🎮'],
+  ['4', 'Servicios', '#4CAF50', '💡'],
+  ['5', 'Salud', '#F44336', '🏥'],
+  ['6', 'Educación', '#FF9800', '📚'],
+  ['7', 'Pagos de Crédito', '#607D8B', '💳'],
+  ['8', 'Ahorro', '#009688', '💰'],
+  ['9', 'Otros', '#9E9E9E', '📌']
+];
+
+/**
+ * Header rows of the income sheets. These sheets are also created on demand in
+ * spreadsheets that predate them (see GoogleSheetsService.ensureSheet).
+ */
+export const INCOMES_HEADERS = ['id', 'date', 'description', 'amount', 'type', 'recurringIncomeId', 'status'];
+export const RECURRING_INCOMES_HEADERS = ['id', 'name', 'amount', 'type', 'dayOfMonth', 'active'];
+
+/**
+ * Header row of the DebtLedger sheet: one row per change of Debts.balance.
+ * Also created on demand in older spreadsheets.
+ */
+export const DEBT_LEDGER_HEADERS = ['id', 'debtId', 'timestamp', 'oldBalance', 'delta', 'newBalance', 'cause', 'expenseId'];
+
+/**
+ * Header row of the InstallmentPurchases sheet: card purchases paid in monthly installments.
+ * Also created on demand in older spreadsheets.
+ */
+export const INSTALLMENT_PURCHASES_HEADERS = ['id', 'debtId', 'description', 'purchaseDate', 'totalAmount', 'months', 'annualRate', 'startStatement'];
+
+/**
+ * Header row of the ImportProfiles sheet: saved column mappings for bank CSV imports.
+ * Also created on demand in older spreadsheets.
+ */
+export const IMPORT_PROFILES_HEADERS = ['id', 'name', 'dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn', 'dateFormat', 'decimalSeparator', 'signConvention', 'delimiter', 'defaultCategoryId'];
+
 /**
  * Service for automatically creating Google Sheets for new users
  */
@@ -15,27 +56,11 @@ class SheetCreationService {
     try {
       logger.info('Creating new Google Sheet for user', { userName });
 
-      const sheetTitle = `CashFlow Tracker - ${userName}`;
-      
       // Create spreadsheet with all necessary sheets
-      const spreadsheet = {
-        properties: {
-          title: sheetTitle,
-          locale: 'es_MX',
-          timeZone: 'America/Mexico_City'
-        },
-        sheets: [
-          this.createExpensesSheet(),
-          this.createCategoriesSheet(),
-          this.createBudgetSheet(),
-          this.createFixedExpensesSheet(),
-          this.createDebtsSheet(),
-          this.createCreditHistorySheet()
-        ]
-      };
+      const spreadsheet = this.buildSpreadsheetDefinition(userName);
 
       // Create the spreadsheet
-      const response = await fetch('https://sheets.googleapis.com/v4/spreadsheets', {
+      const response = await fetch(`${config.googleSheetsApiUrl}/v4/spreadsheets`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${userAccessToken}`,
@@ -75,6 +100,34 @@ class SheetCreationService {
     }
   }
 
+  /**
+   * Build the spreadsheet create request (title, locale and every sheet with its header row)
+   * @param {string} userName - User's name for sheet title
+   * @returns {Object} Spreadsheet resource for spreadsheets.create
+   */
+  buildSpreadsheetDefinition(userName) {
+    return {
+      properties: {
+        title: `CashFlow Tracker - ${userName}`,
+        locale: 'es_MX',
+        timeZone: 'America/Mexico_City'
+      },
+      sheets: [
+        this.createExpensesSheet(),
+        this.createCategoriesSheet(),
+        this.createBudgetSheet(),
+        this.createFixedExpensesSheet(),
+        this.createDebtsSheet(),
+        this.createCreditHistorySheet(),
+        this.createIncomesSheet(),
+        this.createRecurringIncomesSheet(),
+        this.createDebtLedgerSheet(),
+        this.createInstallmentPurchasesSheet(),
+        this.createImportProfilesSheet()
+      ]
+    };
+  }
+
   /**
    * Create Expenses sheet configuration
    */
@@ -146,7 +199,7 @@ class SheetCreationService {
         title: 'Budget',
         gridProperties: {
           rowCount: 100,
-          columnCount: 2,
+          columnCount: 4,
           frozenRowCount: 1
         }
       },
@@ -156,7 +209,9 @@ class SheetCreationService {
         rowData: [{
           values: [
             { userEnteredValue: { stringValue: 'month' }, userEnteredFormat: { textFormat: { bold: true } } },
-            { userEnteredValue: { stringValue: 'amount' }, userEnteredFormat: { textFormat: { bold: true } } }
+            { userEnteredValue: { stringValue: 'amount' }, userEnteredFormat: { textFormat: { bold: true } } },
+            { userEnteredValue: { stringValue: 'categoryId' }, userEnteredFormat: { textFormat: { bold: true } } },
+            { userEnteredValue: { stringValue: 'rollover' }, userEnteredFormat: { textFormat: { bold: true } } }
           ]
         }]
       }]
@@ -267,6 +322,67 @@ class SheetCreationService {
     };
   }
 
+  /**
+   * Create Incomes sheet configuration
+   */
+  createIncomesSheet() {
+    return this.createHeaderOnlySheet('Incomes', INCOMES_HEADERS, 1000);
+  }
+
+  /**
+   * Create RecurringIncomes sheet configuration
+   */
+  createRecurringIncomesSheet() {
+    return this.createHeaderOnlySheet('RecurringIncomes', RECURRING_INCOMES_HEADERS, 100);
+  }
+
+  /**
+   * Create DebtLedger sheet configuration
+   */
+  createDebtLedgerSheet() {
+    return this.createHeaderOnlySheet('DebtLedger', DEBT_LEDGER_HEADERS, 1000);
+  }
+
+  /**
+   * Create InstallmentPurchases sheet configuration
+   */
+  createInstallmentPurchasesSheet() {
+    return this.createHeaderOnlySheet('InstallmentPurchases', INSTALLMENT_PURCHASES_HEADERS, 100);
+  }
+
+  /**
+   * Create ImportProfiles sheet configuration
+   */
+  createImportProfilesSheet() {
+    return this.createHeaderOnlySheet('ImportProfiles', IMPORT_PROFILES_HEADERS, 50);
+  }
+
+  /**
+   * Sheet configuration with a bold, frozen header row
+   */
+  createHeaderOnlySheet(title, headers, rowCount) {
+    return {
+      properties: {
+        title,
+        gridProperties: {
+          rowCount,
+          columnCount: headers.length,
+          frozenRowCount: 1
+        }
+      },
+      data: [{
+        startRow: 0,
+        startColumn: 0,
+        rowData: [{
+          values: headers.map(header => ({
+            userEnteredValue: { stringValue: header },
+            userEnteredFormat: { textFormat: { bold: true } }
+          }))
+        }]
+      }]
+    };
+  }
+
   /**
    * Populate initial data (default categories)
    * @param {string} userAccessToken - User's OAuth access token
@@ -276,20 +392,8 @@ class SheetCreationService {
     try {
       logger.info('Populating initial categories', { sheetId });
 
-      const defaultCategories = [
-        ['1', 'Comida', '#FF5722', '🍔'],
-        ['2', 'Transporte', '#2196F3', '🚗'],
-        ['3', 'Entretenimiento', '#9C27B0', '🎮'],
-        ['4', 'Servicios', '#4CAF50', '💡'],
-        ['5', 'Salud', '#F44336', '🏥'],
-        ['6', 'Educación', '#FF9800', '📚'],
-        ['7', 'Pagos de Crédito', '#607D8B', '💳'],
-        ['8', 'Ahorro', '#009688', '💰'],
-        ['9', 'Otros', '#9E9E9E', '📌']
-      ];
-
       const response = await fetch(
-        `https://sheets.googleapis.com/v4/spreadsheets/${sheetId}/values/Categories!A2:D10?valueInputOption=RAW`,
+        `${config.googleSheetsApiUrl}/v4/spreadsheets/${sheetId}/values/Categories!A2:D${DEFAULT_CATEGORIES.length + 1}?valueInputOption=RAW`,
         {
           method: 'PUT',
           headers: {
@@ -297,7 +401,7 @@ class SheetCreationService {
             'Content-Type': 'application/json'
           },
           body: JSON.stringify({
-            values: defaultCategories
+            values: DEFAULT_CATEGORIES
           })
         }
       );
@@ -0,0 +1,224 @@
+import { createRequire } from 'module';
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { createSingleFlight } from '../utils/singleFlight.js';
+
+/**
+ * Cache store kept in this process. Values are JSON strings, so every reader gets its own copy.
+ */
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Drop expired entries every minute (unref'd so it never keeps the process alive)
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(keys) {
+    for (const key of keys) this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (now >= entry.expiresAt) this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Cache store shared by every server instance pointing at the same Redis.
+ * The redis package is an optional dependency, loaded on first use (createCacheStore checks it is installed).
+ */
+export class RedisCacheStore {
+  /**
+   * @param {string} url - Redis URL
+   * @param {Object} [options]
+   * @param {Function} [options.loadRedis] - async () => redis module
+   */
+  constructor(url, { loadRedis = () => import('redis') } = {}) {
+    this.url = url;
+    this.loadRedis = loadRedis;
+    this.clientPromise = null;
+  }
+
+  /**
+   * Connected client. A failed connect is not kept: the next call tries again, so the cache comes back
+   * with Redis instead of staying off until a restart.
+   */
+  async client() {
+    if (!this.clientPromise) {
+      this.clientPromise = this.connect().catch((error) => {
+        this.clientPromise = null;
+        throw error;
+      });
+    }
+    return this.clientPromise;
+  }
+
+  async connect() {
+    const { createClient } = await this.loadRedis();
+    let connected = false;
+    const client = createClient({
+      url: this.url,
+      // While Redis is down commands fail at once (a miss) instead of queueing until it is back
+      disableOfflineQueue: true,
+      socket: {
+        // The first connect gives up so the caller sees the failure; an established client keeps reconnecting
+        reconnectStrategy: (retries) => (connected ? Math.min(retries * 100, 3000) : new Error('Redis cache unavailable'))
+      }
+    });
+    client.on('error', (error) => logger.warn('Redis cache error', { error: error.message }));
+    await client.connect();
+    connected = true;
+    logger.info('Connected to Redis cache');
+    return client;
+  }
+
+  async get(key) {
+    return (await this.client()).get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    await (await this.client()).set(key, value, { PX: ttlMs });
+  }
+
+  async delete(keys) {
+    if (keys.length > 0) await (await this.client()).del(keys);
+  }
+}
+
+/**
+ * Read-through cache of whole-sheet reads ("/values/Expenses!A:J") per user spreadsheet.
+ * GoogleSheetsService.makeRequest reads through it and invalidates the sheets each write touches; with a
+ * shared store that also covers writes made by other server instances. Edits made directly in the
+ * spreadsheet show up once the TTL expires. A failing store is treated as a miss, never as an error.
+ */
+class SheetsCache {
+  /**
+   * @param {Object} options
+   * @param {{ get, set, delete }|null} options.store - Cache store, null to disable caching
+   * @param {Object<string, number>} options.ttlMs - TTL per sheet title; sheets not listed are not cached
+   */
+  constructor({ store, ttlMs }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    // Bumped by every write, so a read that started before it does not store what it got
+    this.generations = new Map();
+    this.reads = createSingleFlight();
+  }
+
+  key(sheetId, title) {
+    return `sheets:${sheetId}:${title}`;
+  }
+
+  ttlFor(title) {
+    return this.store ? this.ttlMs[title] || 0 : 0;
+  }
+
+  async load(key) {
+    try {
+      const text = await this.store.get(key);
+      return text ? JSON.parse(text) : {};
+    } catch (error) {
+      logger.warn('Sheets cache read failed', { key, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Cached response of a whole-sheet or whole-column read, fetching and storing it on a miss.
+   * Concurrent misses for the same range share one fetch.
+   * @param {string} sheetId - User spreadsheet ID
+   * @param {{ title: string, range: string }} read - Sheet title and column range ("A:J", '' for the whole sheet)
+   * @param {Function} fetcher - async () => Sheets API response
+   */
+  async read(sheetId, { title, range }, fetcher) {
+    const ttlMs = this.ttlFor(title);
+    if (!ttlMs) return fetcher();
+
+    const key = this.key(sheetId, title);
+    const cached = (await this.load(key))[range];
+    if (cached && Date.now() < cached.expiresAt) {
+      logger.debug('Sheets cache hit', { key, range });
+      return cached.data;
+    }
+
+    const text = await this.reads.run(`${key}:${range}`, async () => {
+      const generation = this.generations.get(key) || 0;
+      const data = await fetcher();
+      if ((this.generations.get(key) || 0) === generation) {
+        const entry = { ...(await this.load(key)), [range]: { data, expiresAt: Date.now() + ttlMs } };
+        try {
+          await this.store.set(key, JSON.stringify(entry), ttlMs);
+        } catch (error) {
+          logger.warn('Sheets cache write failed', { key, error: error.message });
+        }
+      }
+      return JSON.stringify(data);
+    });
+    return JSON.parse(text);
+  }
+
+  /**
+   * Forget the cached reads of the given sheets of a spreadsheet
+   * @param {string} sheetId - User spreadsheet ID
+   * @param {string[]|null} titles - Sheet titles; null for every cached sheet
+   */
+  async invalidate(sheetId, titles) {
+    if (!this.store) return;
+    const keys = (titles || Object.keys(this.ttlMs))
+      .filter(title => this.ttlMs[title])
+      .map(title => this.key(sheetId, title));
+    for (const key of keys) {
+      this.generations.set(key, (this.generations.get(key) || 0) + 1);
+    }
+    try {
+      await this.store.delete(keys);
+      if (keys.length > 0) logger.debug('Sheets cache invalidated', { keys });
+    } catch (error) {
+      logger.warn('Sheets cache invalidation failed', { keys, error: error.message });
+    }
+  }
+}
+
+/**
+ * Whether a package can be loaded from this project
+ */
+function isInstalled(name) {
+  try {
+    createRequire(import.meta.url).resolve(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function createCacheStore({ backend, redisUrl }) {
+  if (backend === 'redis') {
+    if (!isInstalled('redis')) {
+      throw new Error('CACHE_BACKEND=redis requires the redis package, which is not installed. Run npm install redis or set CACHE_BACKEND=memory');
+    }
+    return new RedisCacheStore(redisUrl);
+  }
+  if (backend === 'memory') return new MemoryCacheStore();
+  return null;
+}
+
+// Export singleton instance
+export default new SheetsCache({ store: createCacheStore(config.cache), ttlMs: config.cache.ttlMs });
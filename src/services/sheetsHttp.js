@@ -0,0 +1,61 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { createConcurrencyLimiter } from '../utils/concurrencyLimiter.js';
+import { isRetryableStatus, isIdempotentRequest, wasNotSent, parseRetryAfter, nextRetry, retryHintSeconds } from '../utils/retryPolicy.js';
+
+// Shared by every service instance: instances are created per request, the Sheets quota is not
+const limiter = createConcurrencyLimiter(config.sheetsRequests.concurrency);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fetch() for the Google Sheets API with quota awareness:
+ * - at most `config.sheetsRequests.concurrency` calls in flight per key (one spreadsheet, i.e. one user);
+ * - 429/5xx responses and network errors are retried with jittered exponential backoff, honoring Retry-After;
+ * - appends and structural batchUpdates (see isIdempotentRequest) may have been applied when a 5xx or a lost
+ *   connection comes back, so they are only retried on 429 and on network errors raised before sending;
+ * - once retries run out it throws ApiError 503 with `retryAfter` (seconds) instead of Google's error text.
+ * Any other response, ok or not, is returned to the caller, and any other network error is rethrown.
+ * @param {string} url
+ * @param {Object} init - fetch options
+ * @param {Object} options
+ * @param {string} options.key - Limiter key (spreadsheet ID)
+ * @returns {Promise<Response>}
+ */
+export async function sheetsFetch(url, init, { key }) {
+  const policy = config.sheetsRequests;
+  const idempotent = isIdempotentRequest(init.method, url);
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure;
+    try {
+      response = await limiter.run(key, () => fetch(url, init));
+      if (!isRetryableStatus(response.status) || (!idempotent && response.status !== 429)) return response;
+      failure = `${response.status} ${await response.text()}`;
+    } catch (error) {
+      if (!idempotent && !wasNotSent(error)) {
+        logger.error('Google Sheets API request failed, not retrying a non-idempotent request', { key, error: error.message });
+        throw error;
+      }
+      failure = error.message;
+    }
+
+    const retryAfterMs = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+    const { retry, delayMs } = nextRetry(attempt, { ...policy, retryAfterMs });
+    if (!retry) {
+      logger.error('Google Sheets API unavailable, giving up', { key, attempts: attempt + 1, error: failure });
+      const error = new ApiError(503, 'Google Sheets is temporarily unavailable or over its request quota, try again later');
+      error.retryAfter = retryHintSeconds(retryAfterMs, policy);
+      throw error;
+    }
+
+    logger.warn('Google Sheets API request failed, retrying', { key, attempt: attempt + 1, delayMs, error: failure });
+    await sleep(delayMs);
+  }
+}
+
+export default {
+  sheetsFetch
+};
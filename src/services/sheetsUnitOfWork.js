@@ -0,0 +1,222 @@
+import logger from '../config/logger.js';
+
+/**
+ * Parse the first and last row numbers of an A1 range such as "Expenses!A12:J14"
+ */
+function parseRowSpan(range) {
+  const match = /!\$?[A-Z]*\$?(\d+)(?::\$?[A-Z]*\$?(\d+))?$/i.exec(String(range || ''));
+  if (!match) return null;
+  const first = parseInt(match[1], 10);
+  const last = match[2] ? parseInt(match[2], 10) : first;
+  return { first, last };
+}
+
+// Last queued unit of work per spreadsheet, see runExclusive
+const queues = new Map();
+
+/**
+ * Run a task once every task queued earlier under the same key has settled
+ */
+async function runExclusive(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  queues.set(key, tail);
+  try {
+    await previous;
+    return await task();
+  } finally {
+    release();
+    if (queues.get(key) === tail) queues.delete(key);
+  }
+}
+
+/**
+ * Groups the writes of one logical operation (e.g. an expense row and the debt balances it moves)
+ * so they land together or not at all.
+ *
+ * Row and range writes are staged and sent as a single values:batchUpdate on commit, which Sheets
+ * applies atomically. Appends and row deletions cannot be part of that batch: they run right away
+ * and register a compensation (delete the appended rows / re-insert the deleted row) that is
+ * replayed, newest first, when a later step or the batch fails.
+ * Structural steps should come before staged writes on the same sheet, since they shift row numbers.
+ *
+ * run() executes the units of work of one spreadsheet one at a time within this process, so two
+ * requests cannot interleave a read-modify-write of the same row (e.g. a debt balance) and lose an update.
+ */
+class SheetsUnitOfWork {
+  /**
+   * @param {import('./googleSheetsService.js').default} service - Storage the writes go to
+   */
+  constructor(service) {
+    this.service = service;
+    this.staged = new Map();
+    this.compensations = [];
+    this.afterCommitHooks = [];
+    this.committed = false;
+  }
+
+  /**
+   * A1 range of one row, e.g. rowRange('Debts', 5, 'K') -> "Debts!A5:K5"
+   */
+  static rowRange(sheetTitle, rowNumber, lastColumn) {
+    return `${sheetTitle}!A${rowNumber}:${lastColumn}${rowNumber}`;
+  }
+
+  /**
+   * Read a row, seeing the values staged earlier in this unit of work
+   * @returns {Promise<string[]>}
+   */
+  async readRow(sheetTitle, rowNumber, lastColumn) {
+    const range = SheetsUnitOfWork.rowRange(sheetTitle, rowNumber, lastColumn);
+    if (this.staged.has(range)) {
+      return [...this.staged.get(range)[0]];
+    }
+    const response = await this.service.makeRequest(`/values/${range}`);
+    return (response.values && response.values[0]) || [];
+  }
+
+  /**
+   * Stage a write of a values matrix; a later write to the same range replaces it
+   */
+  update(range, values) {
+    this.assertOpen();
+    this.staged.set(range, values);
+  }
+
+  /**
+   * Stage a write of one full row
+   */
+  setRow(sheetTitle, rowNumber, lastColumn, values) {
+    this.update(SheetsUnitOfWork.rowRange(sheetTitle, rowNumber, lastColumn), [values]);
+  }
+
+  /**
+   * Append rows now; they are deleted again if the unit of work fails
+   * @returns {Promise<Object>} The append response
+   */
+  async append(sheetTitle, lastColumn, rows) {
+    this.assertOpen();
+    const response = await this.service.makeRequest(`/values/${sheetTitle}!A:${lastColumn}:append?valueInputOption=RAW`, {
+      method: 'POST',
+      body: JSON.stringify({ values: rows })
+    });
+
+    const span = parseRowSpan(response?.updates?.updatedRange);
+    if (span) {
+      this.addCompensation(`delete appended ${sheetTitle} rows ${span.first}-${span.last}`,
+        () => this.service.deleteRowByNumber(sheetTitle, span.first, span.last - span.first + 1));
+    } else {
+      logger.warn('Append without updatedRange cannot be rolled back', { sheetTitle });
+    }
+    return response;
+  }
+
+  /**
+   * Delete a row now; it is re-inserted with its previous values if the unit of work fails
+   * @returns {Promise<string[]>} The deleted row values
+   */
+  async deleteRow(sheetTitle, rowNumber, lastColumn) {
+    this.assertOpen();
+    const previous = await this.readRow(sheetTitle, rowNumber, lastColumn);
+    await this.service.deleteRowByNumber(sheetTitle, rowNumber);
+    this.addCompensation(`re-insert ${sheetTitle} row ${rowNumber}`,
+      () => this.service.insertRowByNumber(sheetTitle, rowNumber, lastColumn, previous));
+    return previous;
+  }
+
+  /**
+   * Register how to undo a write that already happened outside the batch
+   * @param {string} description - Logged when the compensation runs
+   * @param {Function} undo - Async function
+   */
+  addCompensation(description, undo) {
+    this.compensations.push({ description, undo });
+  }
+
+  /**
+   * Run a function once the batch is written (e.g. audit rows that must not outlive a rollback)
+   */
+  afterCommit(hook) {
+    this.afterCommitHooks.push(hook);
+  }
+
+  /**
+   * Write every staged range in one values:batchUpdate, then run the after-commit hooks.
+   * On failure the compensations are replayed and the error is rethrown.
+   * @returns {Promise<Object|null>} The batchUpdate response (null when nothing was staged)
+   */
+  async commit() {
+    this.assertOpen();
+    let response = null;
+    if (this.staged.size > 0) {
+      try {
+        response = await this.service.makeRequest('/values:batchUpdate', {
+          method: 'POST',
+          body: JSON.stringify({
+            valueInputOption: 'RAW',
+            data: [...this.staged.entries()].map(([range, values]) => ({ range, values }))
+          })
+        });
+      } catch (error) {
+        await this.rollback(error);
+        throw error;
+      }
+    }
+    this.committed = true;
+
+    for (const hook of this.afterCommitHooks) {
+      await hook();
+    }
+    return response;
+  }
+
+  /**
+   * Drop the staged writes and undo the immediate ones, newest first.
+   * A failing compensation is logged and the remaining ones still run.
+   * @param {Error} [cause] - Error that aborted the operation
+   */
+  async rollback(cause) {
+    this.staged.clear();
+    const steps = this.compensations.splice(0).reverse();
+    if (steps.length === 0) return;
+
+    logger.warn('Rolling back unit of work', { steps: steps.length, cause: cause?.message });
+    for (const { description, undo } of steps) {
+      try {
+        await undo();
+      } catch (error) {
+        logger.error('Compensation failed', { step: description, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Run an operation against this unit of work and commit it; any failure rolls it back.
+   * Rows the operation reads must be read inside work, after the spreadsheet lock is taken.
+   * @param {Function} work - async (uow) => result
+   * @returns {Promise<{ result: *, response: Object|null }>}
+   */
+  async run(work) {
+    return runExclusive(this.service.sheetId, async () => {
+      let result;
+      try {
+        result = await work(this);
+      } catch (error) {
+        await this.rollback(error);
+        throw error;
+      }
+      const response = await this.commit();
+      return { result, response };
+    });
+  }
+
+  assertOpen() {
+    if (this.committed) {
+      throw new Error('Unit of work already committed');
+    }
+  }
+}
+
+export default SheetsUnitOfWork;
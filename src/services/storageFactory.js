@@ -0,0 +1,128 @@
+import config from '../config/config.js';
+import logger from '../config/logger.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import GoogleSheetsService from './googleSheetsService.js';
+import JsonFileStorageService from './jsonFileStorageService.js';
+import { refreshUserAccessToken } from './tokenRefreshService.js';
+
+/**
+ * Storage adapter interface.
+ * Controllers only talk to req.sheetsService through these methods, so any backend
+ * exposing them (with the same arguments and return shapes) can be plugged in.
+ */
+export const STORAGE_ADAPTER_METHODS = [
+  // Categories
+  'getCategories',
+  'addCategory',
+  'updateCategory',
+  'deleteCategory',
+  // Expenses
+  'getExpenses',
+  'getExpensesObjects',
+  'addExpense',
+  'addExpensesBulk',
+  'updateExpense',
+  'deleteExpense',
+  'markOverdueExpenses',
+  // Budget
+  'getBudget',
+  'getBudgetObjects',
+  'updateBudget',
+  // Fixed expenses
+  'getFixedExpenses',
+  'getFixedExpensesObjects',
+  'addFixedExpense',
+  'updateFixedExpense',
+  'deleteFixedExpense',
+  'checkFixedExpenseExists',
+  'generateFixedExpensesForMonth',
+  // Debts
+  'getDebts',
+  'getDebtsObjects',
+  'addDebt',
+  'updateDebt',
+  'adjustDebtBalance',
+  'deleteDebt',
+  // Unit of work (atomic multi-row writes)
+  'createUnitOfWork',
+  // Debt ledger
+  'recordDebtLedgerEntry',
+  'getDebtLedgerObjects',
+  'recomputeDebtBalance',
+  // Credit history
+  'getCreditHistoryObjects',
+  'appendCreditHistoryRecord',
+  'findCreditHistoryRow',
+  'getCreditHistoryByRow',
+  'updateCreditHistoryRow',
+  'sumPaymentsForDebt',
+  // Installment purchases
+  'getInstallmentPurchasesObjects',
+  'addInstallmentPurchase',
+  'deleteInstallmentPurchase',
+  // Import profiles
+  'getImportProfilesObjects',
+  'addImportProfile',
+  'deleteImportProfile',
+  // Incomes
+  'getIncomesObjects',
+  'addIncome',
+  'updateIncome',
+  'deleteIncome',
+  'getRecurringIncomesObjects',
+  'addRecurringIncome',
+  'updateRecurringIncome',
+  'deleteRecurringIncome',
+  'generateRecurringIncomesForMonth',
+  // Snapshot
+  'getSnapshot'
+];
+
+/**
+ * Available storage backends, keyed by STORAGE_BACKEND value
+ */
+const backends = {
+  sheets: (user) => {
+    if (!user.sheetId) {
+      throw new ApiError(400, 'User has no sheet configured');
+    }
+    return new GoogleSheetsService(user.accessToken, user.sheetId, {
+      refreshAccessToken: user.refreshToken ? (failedToken) => refreshUserAccessToken(user, failedToken) : null
+    });
+  },
+  json: (user) => new JsonFileStorageService(user.sheetId || user.id)
+};
+
+export const STORAGE_BACKENDS = Object.keys(backends);
+
+/**
+ * Ensure an adapter implements the whole storage interface
+ * @param {Object} adapter - Storage adapter instance
+ * @returns {Object} The same adapter
+ */
+export function assertStorageAdapter(adapter) {
+  const missing = STORAGE_ADAPTER_METHODS.filter(name => typeof adapter?.[name] !== 'function');
+  if (missing.length > 0) {
+    throw new ApiError(500, `Storage adapter is missing methods: ${missing.join(', ')}`, false);
+  }
+  return adapter;
+}
+
+/**
+ * Create the storage adapter for a user
+ * @param {Object} user - Authenticated user (id, sheetId, accessToken)
+ * @param {string} [backend] - Backend name, defaults to config.storageBackend
+ * @returns {Object} Storage adapter bound to the user's data
+ */
+export function createStorageService(user, backend = config.storageBackend) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new ApiError(500, `Unknown storage backend: ${backend}`, false);
+  }
+
+  const adapter = assertStorageAdapter(factory(user));
+  logger.debug('Storage adapter created', { backend, userId: user.id });
+  return adapter;
+}
+
+export default createStorageService;
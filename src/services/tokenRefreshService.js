@@ -0,0 +1,43 @@
+import logger from '../config/logger.js';
+import authService from './authService.js';
+import { createUserService } from './userServiceFactory.js';
+import { createSingleFlight } from '../utils/singleFlight.js';
+import { createExpiringMap } from '../utils/expiringMap.js';
+
+// Google access tokens live one hour; a refreshed token is not worth keeping past that
+const LATEST_TOKEN_TTL_MS = 55 * 60 * 1000;
+
+const userSheetService = createUserService();
+const refreshes = createSingleFlight();
+
+// Latest access token obtained per user (googleId), so a request that failed with an older token
+// picks it up instead of refreshing again. Only requests already in flight need it (new ones read the saved
+// token), so entries expire with the token instead of piling up for the life of the process.
+const latestTokens = createExpiringMap(LATEST_TOKEN_TTL_MS);
+
+/**
+ * Get a new Google access token for a user whose token was rejected (401) and save it in the master sheet.
+ * Concurrent calls for the same user share one refresh.
+ * @param {Object} user - Authenticated user ({ googleId, refreshToken })
+ * @param {string} failedToken - Access token the Sheets API rejected
+ * @returns {Promise<string>} New access token
+ * @throws {ApiError} 401 when the refresh token is missing or Google rejects it (the user must log in again)
+ */
+export async function refreshUserAccessToken(user, failedToken) {
+  const latest = latestTokens.get(user.googleId);
+  if (latest && latest !== failedToken) {
+    return latest;
+  }
+
+  return refreshes.run(user.googleId, async () => {
+    logger.info('Refreshing expired Google access token', { userId: user.id });
+    const accessToken = await authService.refreshAccessToken(user.refreshToken);
+    latestTokens.set(user.googleId, accessToken);
+    await userSheetService.updateUserTokens(user.googleId, accessToken, user.refreshToken);
+    return accessToken;
+  });
+}
+
+export default {
+  refreshUserAccessToken
+};
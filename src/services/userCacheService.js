@@ -8,10 +8,11 @@ class UserCache {
     this.cache = new Map();
     this.TTL = 5 * 60 * 1000; // 5 minutes Time To Live
     
-    // Cleanup expired entries every minute
+    // Cleanup expired entries every minute (unref'd so it never keeps the process alive)
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 60 * 1000);
+    this.cleanupInterval.unref();
   }
 
   /**
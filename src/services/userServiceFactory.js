@@ -0,0 +1,24 @@
+import config from '../config/config.js';
+import UserSheetService from './userSheetService.js';
+import JsonFileUserService from './jsonFileUserService.js';
+
+/**
+ * Users store of each storage backend, keyed by STORAGE_BACKEND value
+ */
+const backends = {
+  sheets: () => new UserSheetService(),
+  json: () => new JsonFileUserService()
+};
+
+/**
+ * Create the users store for a storage backend: the master Google Sheet, or a local JSON file
+ * when user data is kept in JSON files too
+ * @param {string} [backend] - Backend name, defaults to config.storageBackend
+ * @returns {UserSheetService}
+ */
+export function createUserService(backend = config.storageBackend) {
+  const factory = backends[backend] || backends.sheets;
+  return factory();
+}
+
+export default createUserService;
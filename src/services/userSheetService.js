@@ -1,9 +1,11 @@
 import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
 import logger from '../config/logger.js';
 import { encrypt, decrypt } from '../utils/encryption.js';
 import userCache from './userCacheService.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { nanoid } from 'nanoid';
+import { sheetsFetch } from './sheetsHttp.js';
 
 /**
  * Schema for the Users sheet in the master spreadsheet
@@ -20,6 +22,11 @@ export const USER_COLUMNS = {
   LAST_LOGIN: 8       // I: Last login timestamp
 };
 
+/**
+ * Header row of the Users sheet (see USER_COLUMNS)
+ */
+export const USERS_HEADER = ['id', 'googleId', 'email', 'name', 'sheetId', 'accessToken', 'refreshToken', 'createdAt', 'lastLogin'];
+
 /**
  * Service for managing users in the master Google Sheet
  */
@@ -29,7 +36,7 @@ class UserSheetService {
     this.serviceAccount = {
       client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
       private_key: process.env.GOOGLE_PRIVATE_KEY,
-      token_uri: 'https://oauth2.googleapis.com/token'
+      token_uri: config.googleOAuthTokenUrl
     };
     this.accessToken = null;
     this.tokenExpiry = null;
@@ -59,7 +66,7 @@ class UserSheetService {
       const privateKey = this.serviceAccount.private_key.replace(/\\n/g, '\n');
       const token = jwt.sign(payload, privateKey, { algorithm: 'RS256' });
       
-      const response = await fetch('https://oauth2.googleapis.com/token', {
+      const response = await fetch(this.serviceAccount.token_uri, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
@@ -96,22 +103,23 @@ class UserSheetService {
 
   /**
    * Make authenticated request to master Google Sheet
+   * Quota and server errors are retried by sheetsFetch, which throws ApiError 503 once it gives up.
    */
   async makeRequest(endpoint, options = {}) {
     try {
       const token = await this.getMasterAccessToken();
-      const url = `https://sheets.googleapis.com/v4/spreadsheets/${this.masterSheetId}${endpoint}`;
+      const url = `${config.googleSheetsApiUrl}/v4/spreadsheets/${this.masterSheetId}${endpoint}`;
       
       logger.debug('Making request to master sheet', { url, method: options.method || 'GET' });
       
-      const response = await fetch(url, {
+      const response = await sheetsFetch(url, {
         ...options,
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json',
           ...options.headers
         }
-      });
+      }, { key: this.masterSheetId });
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -120,7 +128,8 @@ class UserSheetService {
           endpoint, 
           error: errorText 
         });
-        throw new ApiError(response.status, `Master sheet API error: ${errorText}`);
+        // Google's body stays in the log: it can describe the master sheet and is not for clients
+        throw new ApiError(response.status, `Master sheet request failed with status ${response.status}`);
       }
 
       return await response.json();
@@ -197,6 +206,24 @@ class UserSheetService {
     }
   }
 
+  /**
+   * List every user of the master sheet (used by background jobs)
+   * @returns {Object[]} User objects, skipping rows without id
+   */
+  async listUsers() {
+    try {
+      const response = await this.makeRequest('/values/Users!A:I');
+      const rows = response.values || [];
+
+      return rows.slice(1)
+        .filter(row => row && row[USER_COLUMNS.ID])
+        .map(row => this.parseUserRow(row));
+    } catch (error) {
+      logger.error('Error listing users', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Create a new user
    * @param {Object} userData - User data
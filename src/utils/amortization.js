@@ -0,0 +1,154 @@
+// Pure amortization helpers for debt installment plans and what-if scenarios (no side-effects)
+
+import { interestForMonth } from './finance.js';
+import { monthOf, addMonths } from './schedule.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+// Remaining balances below half a cent count as paid off
+const PAID_OFF = 0.005;
+
+// Longest plan a target payment may solve to (50 years)
+export const MAX_INSTALLMENT_MONTHS = 600;
+
+/**
+ * Level payment that pays off a principal in N months (standard annuity formula; principal / N without interest)
+ */
+export function annuityPayment(principal, monthlyRate, months) {
+  if (!(months > 0)) return principal;
+  if (monthlyRate > 0) {
+    const factor = Math.pow(1 + monthlyRate, months);
+    return principal * (monthlyRate * factor) / (factor - 1);
+  }
+  return principal / months;
+}
+
+/**
+ * Months needed to pay off a principal with a fixed payment
+ * @returns {number|null} null when the payment does not even cover the first month's interest
+ */
+export function solveMonths(principal, monthlyRate, payment) {
+  if (principal <= 0) return 0;
+  if (!(payment > 0) || payment <= principal * monthlyRate) return null;
+  const months = monthlyRate > 0
+    ? -Math.log(1 - (monthlyRate * principal) / payment) / Math.log(1 + monthlyRate)
+    : principal / payment;
+  // Absorb floating point noise so an exact fit does not add a cent-sized last installment
+  return Math.ceil(months - 1e-9);
+}
+
+/**
+ * Number of months from one YYYY-MM to another, both included (0 when the end is before the start)
+ */
+export function monthsBetween(startMonth, endMonth) {
+  const [y1, m1] = startMonth.split('-').map(Number);
+  const [y2, m2] = endMonth.split('-').map(Number);
+  return Math.max(0, (y2 - y1) * 12 + (m2 - m1) + 1);
+}
+
+/**
+ * Parse one-off extra payments written as "YYYY-MM:amount" (a day, YYYY-MM-DD, is accepted and ignored).
+ * Accepts a comma separated string or an array of them (a repeated query parameter).
+ * @returns {{ month: string, amount: number }[]}
+ * @throws {Error} On a malformed entry
+ */
+export function parseExtraPayments(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const parts = [].concat(value).flatMap(v => String(v).split(',')).map(s => s.trim()).filter(Boolean);
+  return parts.map((part) => {
+    const match = /^(\d{4}-(0[1-9]|1[0-2]))(-\d{2})?:(\d+(\.\d+)?)$/.exec(part);
+    if (!match || !(Number(match[4]) > 0)) {
+      throw new Error(`Invalid extra payment "${part}", expected YYYY-MM:amount with an amount greater than 0`);
+    }
+    return { month: match[1], amount: Number(match[4]) };
+  });
+}
+
+/**
+ * Amortization schedule with a fixed payment plus optional extra payments.
+ * Each month accrues interest on the remaining balance, the payment covers it and the rest goes to principal;
+ * extras (one-off for their month plus the recurring amount) go straight to principal after the payment.
+ * @param {Object} params
+ * @param {number} params.principal - Balance to pay off
+ * @param {number} params.monthlyRate - Monthly effective rate (0-1)
+ * @param {number} params.payment - Regular monthly payment
+ * @param {number} params.months - Maximum number of installments
+ * @param {Date} params.startDate - Date of the first installment (its month is used)
+ * @param {{ month: string, amount: number }[]} [params.extraPayments] - One-off extras by YYYY-MM
+ * @param {number} [params.recurringExtra=0] - Extra paid every month
+ * @returns {{ schedule: Object[], months: number, payoffDate: string|null, paidOff: boolean, totals: Object }}
+ */
+export function buildAmortizationSchedule({ principal, monthlyRate, payment, months, startDate, extraPayments = [], recurringExtra = 0 }) {
+  const extrasByMonth = new Map();
+  for (const { month, amount } of extraPayments) {
+    extrasByMonth.set(month, (extrasByMonth.get(month) || 0) + Number(amount));
+  }
+
+  const schedule = [];
+  const firstMonth = monthOf(startDate);
+  let remaining = Math.max(0, principal);
+  for (let i = 0; i < months && remaining > PAID_OFF; i++) {
+    const month = addMonths(firstMonth, i);
+    const interest = interestForMonth(remaining, monthlyRate);
+    const principalPart = Math.min(Math.max(0, payment - interest), remaining);
+    remaining -= principalPart;
+    const extra = Math.min(remaining, (extrasByMonth.get(month) || 0) + (Number(recurringExtra) || 0));
+    remaining -= extra;
+    if (remaining <= PAID_OFF) remaining = 0;
+
+    schedule.push({
+      period: i + 1,
+      date: `${month}-01`,
+      payment: round2(Math.min(payment, interest + principalPart)),
+      extra: round2(extra),
+      interest: round2(interest),
+      principal: round2(principalPart + extra),
+      remainingBalance: round2(remaining)
+    });
+  }
+
+  const totals = schedule.reduce((acc, s) => {
+    acc.totalPaid += s.payment + s.extra;
+    acc.totalInterest += s.interest;
+    acc.totalPrincipal += s.principal;
+    acc.totalExtra += s.extra;
+    return acc;
+  }, { totalPaid: 0, totalInterest: 0, totalPrincipal: 0, totalExtra: 0 });
+
+  return {
+    schedule,
+    months: schedule.length,
+    payoffDate: remaining === 0 && schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+    paidOff: remaining === 0,
+    totals: {
+      totalPaid: round2(totals.totalPaid),
+      totalInterest: round2(totals.totalInterest),
+      totalPrincipal: round2(totals.totalPrincipal),
+      totalExtra: round2(totals.totalExtra)
+    }
+  };
+}
+
+/**
+ * Interest and time saved by a scenario compared with the baseline schedule
+ * @param {Object} baseline - buildAmortizationSchedule result
+ * @param {Object} scenario - buildAmortizationSchedule result
+ */
+export function compareSchedules(baseline, scenario) {
+  return {
+    interest: round2(baseline.totals.totalInterest - scenario.totals.totalInterest),
+    months: baseline.months - scenario.months,
+    baselinePayoffDate: baseline.payoffDate,
+    scenarioPayoffDate: scenario.payoffDate
+  };
+}
+
+export default {
+  MAX_INSTALLMENT_MONTHS,
+  annuityPayment,
+  solveMonths,
+  monthsBetween,
+  parseExtraPayments,
+  buildAmortizationSchedule,
+  compareSchedules
+};
@@ -0,0 +1,194 @@
+// Pure bank account CSV import driven by a column mapping profile (no side-effects)
+// A profile is { dateColumn, descriptionColumn, amountColumn, debitColumn, creditColumn, dateFormat,
+// decimalSeparator, signConvention, delimiter, defaultCategoryId }; columns left empty are found by the
+// header aliases in csv.js (COLUMN_ALIASES), the same way schemaMappings resolves sheet headers.
+
+import { parseCsv, parseAmount, parseDate, findHeaderRow } from './csv.js';
+import { pairLinesWithExpenses, suggestCategory } from './statementImport.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+export const DEFAULT_IMPORT_PROFILE = {
+  dateColumn: null,
+  descriptionColumn: null,
+  amountColumn: null,
+  debitColumn: null,
+  creditColumn: null,
+  dateFormat: 'DD/MM/YYYY',
+  decimalSeparator: null,
+  signConvention: 'negative_is_expense',
+  delimiter: null,
+  defaultCategoryId: null
+};
+
+// Profile fields naming a column, by the column they map
+const PROFILE_COLUMNS = {
+  date: 'dateColumn',
+  description: 'descriptionColumn',
+  amount: 'amountColumn',
+  debit: 'debitColumn',
+  credit: 'creditColumn'
+};
+
+/**
+ * Error raised for a CSV that does not fit the import profile
+ */
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+/**
+ * Profile to apply: the defaults, then the saved profile, then the fields given with the request.
+ * Empty values (null, undefined, '') do not override.
+ */
+export function resolveImportProfile(...profiles) {
+  const resolved = { ...DEFAULT_IMPORT_PROFILE };
+  for (const profile of profiles) {
+    for (const [key, value] of Object.entries(profile || {})) {
+      if (value !== null && value !== undefined && value !== '') resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Read the transactions of a bank account CSV export.
+ * Each row is money out (direction 'out', an expense) or money in ('in'): with debit/credit columns by the
+ * column that has a value, with a single amount column by its sign and the profile's signConvention.
+ * @param {string} content - CSV text
+ * @param {Object} profile - resolveImportProfile result
+ * @returns {{ rows: Object[], skipped: Object[] }} rows are { line, date, description, amount (> 0), direction }
+ * @throws {Error} code INVALID_IMPORT when no header row fits the profile
+ */
+export function parseBankCsv(content, profile) {
+  const rows = parseCsv(content, { delimiter: profile.delimiter || undefined });
+  const columns = Object.fromEntries(Object.entries(PROFILE_COLUMNS)
+    .filter(([, field]) => profile[field])
+    .map(([name, field]) => [name, profile[field]]));
+  const header = findHeaderRow(rows, columns);
+  if (!header) {
+    const named = Object.values(columns);
+    throw importError(named.length > 0
+      ? `CSV has no header row with the profile columns: ${named.join(', ')}`
+      : 'CSV must have a header row with date, description and amount (or debit/credit) columns');
+  }
+
+  const { index: headerIndex, columns: index } = header;
+  const cell = (row, name) => (index[name] !== undefined ? row[index[name]] ?? '' : '');
+  const options = { decimalSeparator: profile.decimalSeparator || undefined };
+  const parsed = [];
+  const skipped = [];
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    const date = parseDate(cell(row, 'date'), { format: profile.dateFormat });
+    if (!date) {
+      skipped.push({ line, reason: `Unreadable date "${cell(row, 'date')}"` });
+      return;
+    }
+
+    const debit = parseAmount(cell(row, 'debit'), options);
+    const credit = parseAmount(cell(row, 'credit'), options);
+    let amount;
+    let direction;
+    if (debit) {
+      amount = Math.abs(debit);
+      direction = 'out';
+    } else if (credit) {
+      amount = Math.abs(credit);
+      direction = 'in';
+    } else {
+      const value = parseAmount(cell(row, 'amount'), options);
+      amount = Math.abs(value || 0);
+      direction = (value < 0) === (profile.signConvention !== 'positive_is_expense') ? 'out' : 'in';
+    }
+    if (!(amount > 0)) {
+      skipped.push({ line, reason: 'Missing or zero amount' });
+      return;
+    }
+
+    parsed.push({ line, date, description: cell(row, 'description'), amount: round2(amount), direction });
+  });
+  return { rows: parsed, skipped };
+}
+
+/**
+ * Expenses already recorded that an outgoing bank row may duplicate: everything but cancelled expenses and
+ * card charges (those are paid from the card, not from the account)
+ */
+function accountExpenses(expenses) {
+  return (expenses || []).filter(e => e
+    && String(e.status || '').toLowerCase() !== 'cancelled'
+    && !(e.debtId && String(e.entryType || '').toLowerCase() === 'charge'));
+}
+
+/**
+ * Split parsed rows into new expenses, duplicates of existing expenses and money in.
+ * A row duplicates an expense with the same amount dated within dateToleranceDays (see pairLinesWithExpenses).
+ * New expenses take the category of the most similar existing expense, or defaultCategoryId.
+ * @param {Object[]} rows - parseBankCsv rows
+ * @param {Object[]} expenses - Existing expense objects
+ * @param {Object} [options]
+ * @param {number} [options.dateToleranceDays=1]
+ * @param {number|null} [options.defaultCategoryId=null]
+ * @param {string} [options.status='paid'] - Status of the new expenses
+ * @returns {{ toCreate: Object[], duplicates: Object[], incoming: Object[], summary: Object }}
+ */
+export function planBankImport(rows, expenses, { dateToleranceDays = 1, defaultCategoryId = null, status = 'paid' } = {}) {
+  const outgoing = rows.filter(r => r.direction === 'out');
+  const incoming = rows.filter(r => r.direction === 'in');
+  const candidates = accountExpenses(expenses);
+  const pairs = pairLinesWithExpenses(outgoing, candidates, { dateToleranceDays });
+
+  const toCreate = [];
+  const duplicates = [];
+  outgoing.forEach((row, index) => {
+    const pair = pairs.get(index);
+    if (pair) {
+      const expense = candidates[pair.expenseIndex];
+      duplicates.push({
+        line: row,
+        expense: { id: expense.id, date: expense.date, description: expense.description, amount: expense.amount, categoryId: expense.categoryId, status: expense.status },
+        dayDifference: pair.dayDifference,
+        similarity: pair.similarity,
+        score: pair.score
+      });
+      return;
+    }
+
+    const similar = suggestCategory(row.description, expenses);
+    toCreate.push({
+      line: row,
+      expense: {
+        date: row.date,
+        description: row.description,
+        amount: row.amount,
+        categoryId: similar ? similar.expense.categoryId : defaultCategoryId,
+        status
+      },
+      categorySource: similar ? 'similar' : (defaultCategoryId !== null && defaultCategoryId !== undefined ? 'default' : null)
+    });
+  });
+
+  return {
+    toCreate,
+    duplicates,
+    incoming,
+    summary: {
+      rows: rows.length,
+      toCreate: toCreate.length,
+      duplicates: duplicates.length,
+      incoming: incoming.length,
+      totalToCreate: round2(toCreate.reduce((s, t) => s + t.expense.amount, 0)),
+      totalIncoming: round2(incoming.reduce((s, r) => s + r.amount, 0))
+    }
+  };
+}
+
+export default {
+  DEFAULT_IMPORT_PROFILE,
+  resolveImportProfile,
+  parseBankCsv,
+  planBankImport
+};
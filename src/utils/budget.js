@@ -0,0 +1,132 @@
+// Pure helpers for monthly and per-category budgets (no side-effects)
+// Budget rows: { month: 'YYYY-MM', amount, categoryId (null = whole month), rollover }
+// A rollover row keeps applying to later months until another row for the same category replaces it;
+// rows without rollover only apply to their own month.
+
+import { EXPENSE_SPEND_STATUSES } from '../config/constants.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Whether an expense counts as actual spend: paid/pending/overdue and not a card payment
+ * (card payments settle charges that were already counted)
+ */
+export function countsAsSpend(expense) {
+  if (String(expense?.entryType || '').toLowerCase() === 'payment') return false;
+  return EXPENSE_SPEND_STATUSES.includes(String(expense?.status || 'pending').toLowerCase());
+}
+
+const categoryKey = (categoryId) => (categoryId === null || categoryId === undefined || categoryId === '' ? null : Number(categoryId));
+
+/**
+ * Resolve the budget that applies to a month, per category and for the whole month
+ * @param {Object[]} rows - Budget objects
+ * @param {string} month - YYYY-MM
+ * @returns {{ total: Object|null, categories: Map<number, Object> }} entries are { amount, source, fromMonth }
+ *   where source is 'explicit' (row for this month) or 'rollover' (carried from fromMonth)
+ */
+export function resolveBudgets(rows, month) {
+  const explicit = new Map();
+  const rolled = new Map();
+
+  for (const row of rows || []) {
+    if (!row || typeof row.month !== 'string' || !/^\d{4}-\d{2}$/.test(row.month)) continue;
+    const amount = Number(row.amount);
+    if (!Number.isFinite(amount)) continue;
+    const key = categoryKey(row.categoryId);
+
+    if (row.month === month) {
+      explicit.set(key, { amount, source: 'explicit', fromMonth: month });
+    } else if (row.month < month && row.rollover) {
+      const previous = rolled.get(key);
+      if (!previous || row.month > previous.fromMonth) {
+        rolled.set(key, { amount, source: 'rollover', fromMonth: row.month });
+      }
+    }
+  }
+
+  const resolved = new Map(rolled);
+  for (const [key, entry] of explicit) resolved.set(key, entry);
+
+  const total = resolved.get(null) || null;
+  resolved.delete(null);
+  return { total, categories: resolved };
+}
+
+/**
+ * Budget of the whole month: the explicit/rolled month row, else the sum of category budgets
+ * @returns {{ amount: number, source: string }|null}
+ */
+export function resolveMonthBudget(rows, month) {
+  const { total, categories } = resolveBudgets(rows, month);
+  if (total) return { amount: total.amount, source: total.source };
+  if (categories.size === 0) return null;
+  const amount = [...categories.values()].reduce((sum, c) => sum + c.amount, 0);
+  return { amount: round2(amount), source: 'categories' };
+}
+
+/**
+ * Compare the resolved budgets of a month with the actual spend per category
+ * Actual spend follows countsAsSpend.
+ * @param {Object} params
+ * @param {string} params.month - YYYY-MM
+ * @param {Object[]} params.budget - Budget objects
+ * @param {Object[]} params.expenses - Expense objects
+ * @param {Object[]} [params.categories] - Category objects ({ id, name })
+ */
+export function buildBudgetVsActual({ month, budget = [], expenses = [], categories = [] }) {
+  const actualByCategory = new Map();
+  let actualTotal = 0;
+  for (const expense of expenses) {
+    if (!expense || typeof expense.date !== 'string' || !expense.date.startsWith(`${month}-`)) continue;
+    if (!countsAsSpend(expense)) continue;
+    const amount = Number(expense.amount) || 0;
+    const key = categoryKey(expense.categoryId);
+    actualByCategory.set(key, (actualByCategory.get(key) || 0) + amount);
+    actualTotal += amount;
+  }
+
+  const { categories: budgets } = resolveBudgets(budget, month);
+  const monthBudget = resolveMonthBudget(budget, month);
+  const names = new Map(categories.map(c => [Number(c.id), c.name]));
+
+  const compare = (budgetAmount, actual) => ({
+    budget: budgetAmount === null ? null : round2(budgetAmount),
+    actual: round2(actual),
+    remaining: budgetAmount === null ? null : round2(budgetAmount - actual),
+    usedPercent: budgetAmount ? round2((actual / budgetAmount) * 100) : null
+  });
+
+  const keys = new Set([...budgets.keys(), ...actualByCategory.keys()]);
+  const rows = [...keys]
+    .map((key) => {
+      const entry = key === null ? null : budgets.get(key);
+      return {
+        categoryId: key,
+        name: key === null ? null : (names.get(key) ?? null),
+        ...compare(entry ? entry.amount : null, actualByCategory.get(key) || 0),
+        source: entry ? entry.source : null,
+        fromMonth: entry ? entry.fromMonth : null
+      };
+    })
+    .sort((a, b) => (b.budget ?? -1) - (a.budget ?? -1) || b.actual - a.actual);
+
+  const unbudgeted = rows.filter(r => r.budget === null).reduce((sum, r) => sum + r.actual, 0);
+
+  return {
+    month,
+    total: {
+      ...compare(monthBudget ? monthBudget.amount : null, actualTotal),
+      source: monthBudget ? monthBudget.source : null
+    },
+    categories: rows,
+    unbudgetedActual: round2(unbudgeted)
+  };
+}
+
+export default {
+  countsAsSpend,
+  resolveBudgets,
+  resolveMonthBudget,
+  buildBudgetVsActual
+};
@@ -0,0 +1,55 @@
+// Cap concurrent async calls per key (no side-effects beyond the calls themselves)
+
+/**
+ * Run at most `limit` calls at a time per key; the rest wait in FIFO order.
+ * Keys are forgotten once they have nothing running or queued.
+ * @param {number} limit - Maximum concurrent calls per key (at least 1)
+ * @returns {{ run: (key: string, fn: () => Promise<*>) => Promise<*>, stats: (key: string) => { active: number, queued: number } }}
+ */
+export function createConcurrencyLimiter(limit) {
+  const max = Math.max(parseInt(limit, 10) || 1, 1);
+  const slots = new Map();
+
+  const release = (key) => {
+    const slot = slots.get(key);
+    const next = slot.queue.shift();
+    if (next) {
+      next();
+    } else {
+      slot.active--;
+      if (slot.active === 0) slots.delete(key);
+    }
+  };
+
+  const acquire = (key) => {
+    if (!slots.has(key)) slots.set(key, { active: 0, queue: [] });
+    const slot = slots.get(key);
+    if (slot.active < max) {
+      slot.active++;
+      return Promise.resolve();
+    }
+    // The releasing call hands its slot over, so active stays the same
+    return new Promise(resolve => slot.queue.push(resolve));
+  };
+
+  const run = async (key, fn) => {
+    await acquire(key);
+    try {
+      return await fn();
+    } finally {
+      release(key);
+    }
+  };
+
+  return {
+    run,
+    stats: (key) => {
+      const slot = slots.get(key);
+      return { active: slot?.active || 0, queued: slot?.queue.length || 0 };
+    }
+  };
+}
+
+export default {
+  createConcurrencyLimiter
+};
@@ -2,6 +2,9 @@
 // Computes: previousBalance, charges, interests, payments, statementBalance,
 // bonifiableInterest, installmentBalance, annualEffectiveRate, termMonths, periodDays
 
+import { monthOf } from './schedule.js';
+import { installmentsDueForStatement } from './installmentPurchases.js';
+
 export function normalizeAnnualRateToUnit(rate) {
   if (rate === null || rate === undefined) return 0;
   const n = Number(rate);
@@ -111,6 +114,39 @@ export function sumPayments(events) {
   return Number(events.filter(e => e.kind === 'payment').reduce((s, e) => s + e.amount, 0).toFixed(2));
 }
 
+/**
+ * Expected debt balance from the last statement: its statementBalance plus the charges and paid
+ * payments (the buildEvents events) dated on or after the statement date, since the statement
+ * period ends the day before the cutoff.
+ * Unpaid payments do not move Debts.balance yet, so they are left out and reported apart.
+ * Future-dated entries already moved the balance when they were saved, so there is no upper bound.
+ * @param {Object} lastStatement - CreditHistory record ({ statementDate, statementBalance })
+ * @param {Object[]} expenses - Expense objects
+ * @param {string} debtId - Debt id
+ */
+export function computeExpectedBalance(lastStatement, expenses, debtId) {
+  const start = toDateOnly(lastStatement.statementDate);
+  const related = (expenses || []).filter(e => e && e.debtId && String(e.debtId) === String(debtId) && e.date);
+  const latest = new Date(related.reduce((max, e) => Math.max(max, toDateOnly(e.date).getTime()), start.getTime()));
+  const end = new Date(latest.getFullYear(), latest.getMonth(), latest.getDate() + 1);
+
+  const isPending = (e) => String(e.entryType || '').toLowerCase() === 'payment' && String(e.status || '').toLowerCase() !== 'paid';
+  const events = buildEvents(related.filter(e => !isPending(e)), debtId, start, end);
+  const pending = buildEvents(related.filter(isPending), debtId, start, end);
+
+  const statementBalance = Number(lastStatement.statementBalance) || 0;
+  const charges = sumCharges(events);
+  const payments = sumPayments(events);
+  return {
+    statementBalance,
+    charges,
+    payments,
+    pendingPayments: sumPayments(pending),
+    events: events.length,
+    expectedBalance: Number((statementBalance + charges - payments).toFixed(2))
+  };
+}
+
 export function computeSpdInterests(previousBalance, events, annualRateUnit, start, end) {
   const dailyRate = (annualRateUnit || 0) / 365;
   let nbBalance = Math.max(0, Number(previousBalance) || 0); // non-bonificable
@@ -174,6 +210,7 @@ export function computeInstallmentBalance(statementBalance, bonificable) {
 export function calculateStatement({
   debt,
   expenses,
+  installmentPurchases, // Purchases in installments; only the installments billed on this statement count
   periodDate // Date representing the month to compute (any day); optional
 }, opts = {}) {
   const { prevStatementDate, statementDate, nextStatementDate, dueDate, periodDays } = resolvePeriodBounds({ cutOffDay: debt.cutOffDay, dueDay: debt.dueDay }, periodDate);
@@ -182,7 +219,8 @@ export function calculateStatement({
   // Period starts the day AFTER previous cutoff (inclusive) and ends BEFORE current cutoff day (exclusive)
   const startPeriod = new Date(prevStatementDate.getFullYear(), prevStatementDate.getMonth(), prevStatementDate.getDate() + 1);
   const periodEvents = buildEvents(expenses, debt.id, startPeriod, statementDate);
-  const charges = sumCharges(periodEvents);
+  const installments = installmentsDueForStatement(installmentPurchases, debt.id, monthOf(statementDate));
+  const charges = Number((sumCharges(periodEvents) + installments.principal).toFixed(2));
   const payments = sumPayments(periodEvents);
 
   const previousBalance = Number.isFinite(opts.previousBalance)
@@ -191,7 +229,7 @@ export function calculateStatement({
 
   // Calculate interests from startPeriod (day after prev cutoff) to statementDate (exclusive - cutoff day not included)
   const { interestSobreSaldo, interestBonificable } = computeSpdInterests(previousBalance, periodEvents, annualUnit, startPeriod, statementDate);
-  const interests = Number(interestSobreSaldo.toFixed(2));
+  const interests = Number((interestSobreSaldo + installments.interest).toFixed(2));
   const bonifiableInterest = Number(interestBonificable.toFixed(2));
 
   const statementBalance = computeStatement(previousBalance, charges, interests, payments);
@@ -210,6 +248,7 @@ export function calculateStatement({
     installmentBalance,
     annualEffectiveRate: annualUnit,
     periodDays: calculatedPeriodDays,
+    installments,
     dates: {
       prevStatementDate: prevStatementDate.toISOString().slice(0,10),
       statementDate: statementDate.toISOString().slice(0,10),
@@ -225,6 +264,7 @@ export default {
   buildEvents,
   sumCharges,
   sumPayments,
+  computeExpectedBalance,
   computeSpdInterests,
   computeInterestCarryOver,
   computeStatement,
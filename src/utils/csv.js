@@ -0,0 +1,227 @@
+// Pure CSV helpers for bank and card exports (no side-effects)
+
+import { normalizeText } from './expenseQuery.js';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Header names (normalized, see headerKey) accepted for each column of a bank or card export
+export const COLUMN_ALIASES = {
+  date: ['date', 'fecha', 'transactiondate', 'fechaoperacion', 'fechadeoperacion', 'posteddate', 'postingdate', 'fechacargo'],
+  description: ['description', 'descripcion', 'concepto', 'detalle', 'payee', 'name', 'merchant', 'comercio', 'establecimiento'],
+  amount: ['amount', 'importe', 'monto', 'cantidad', 'valor'],
+  debit: ['debit', 'cargo', 'cargos', 'debito', 'withdrawal', 'retiro', 'retiros'],
+  credit: ['credit', 'abono', 'abonos', 'credito', 'pago', 'pagos', 'deposit', 'deposito', 'depositos'],
+  reference: ['reference', 'referencia', 'folio', 'autorizacion', 'id', 'transactionid']
+};
+
+/**
+ * Header name in comparable form, as schemaMappings keys: "Fecha de Operación" -> "fechadeoperacion"
+ */
+export function headerKey(value) {
+  return normalizeText(value).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Most likely field delimiter of a CSV text: the candidate found most often in its first line (comma by default)
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text ?? '').split(/\r?\n/).find(l => l.trim() !== '') || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Split a CSV text into rows of trimmed cells (RFC 4180 quoting: "a, b" and "" for a literal quote).
+ * Blank lines are dropped.
+ * @param {string} text - CSV content (a leading BOM is ignored)
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter; detected from the first line when omitted
+ * @returns {string[][]}
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(c => c !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Index of each known column (see COLUMN_ALIASES) in a header row.
+ * A column named in `columns` (a header name or a list of them) is looked up by those names only.
+ * @param {string[]} row - Header row
+ * @param {Object<string, string|string[]>} [columns] - Header names per column
+ * @returns {Object<string, number>} Column name -> index, for the columns found
+ */
+export function resolveColumns(row, columns = {}) {
+  const keys = row.map(headerKey);
+  const found = {};
+  for (const [name, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const names = columns[name] ? [].concat(columns[name]).map(headerKey) : aliases;
+    const index = names.map(n => keys.indexOf(n)).find(i => i >= 0);
+    if (index !== undefined) found[name] = index;
+  }
+  return found;
+}
+
+/**
+ * First row that names a date, a description and an amount (or debit/credit) column; rows above it
+ * (account details) are not part of the table
+ * @returns {{ index: number, columns: Object<string, number> }|null}
+ */
+export function findHeaderRow(rows, columns = {}) {
+  for (let index = 0; index < rows.length; index++) {
+    const found = resolveColumns(rows[index], columns);
+    if (found.date !== undefined && found.description !== undefined
+      && (found.amount !== undefined || found.debit !== undefined || found.credit !== undefined)) {
+      return { index, columns: found };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a money amount as exported by banks: "$1,234.56", "1.234,56", "(45.00)", "-45", "45.00-".
+ * With both separators present the last one is the decimal separator; a lone separator followed by
+ * exactly three digits is taken as thousands unless decimalSeparator says otherwise.
+ * @param {string|number} value
+ * @param {Object} [options]
+ * @param {string} [options.decimalSeparator] - '.' or ','; guessed when omitted
+ * @returns {number|null} null when the value is not a number
+ */
+export function parseAmount(value, { decimalSeparator } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let text = String(value ?? '').trim();
+  if (text === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  text = text.replace(/[^\d.,-]/g, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  if (!/^[\d.,]*\d[\d.,]*$/.test(text)) return null;
+
+  let decimal = decimalSeparator;
+  if (!decimal) {
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+    if (lastDot >= 0 && lastComma >= 0) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else {
+      const separator = lastDot >= 0 ? '.' : (lastComma >= 0 ? ',' : null);
+      const occurrences = separator ? text.split(separator).length - 1 : 0;
+      const digitsAfter = separator ? text.length - text.lastIndexOf(separator) - 1 : 0;
+      decimal = separator && occurrences === 1 && digitsAfter !== 3 ? separator : (separator === ',' ? '.' : ',');
+    }
+  }
+  const thousands = decimal === ',' ? '.' : ',';
+  const normalized = text.split(thousands).join('').replace(decimal, '.');
+  const amount = Number(normalized);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+}
+
+const MONTHS = {
+  jan: 1, ene: 1, feb: 2, mar: 3, apr: 4, abr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, ago: 8, sep: 9, set: 9, oct: 10, nov: 11, dec: 12, dic: 12
+};
+
+/**
+ * Parse a date as exported by banks into YYYY-MM-DD.
+ * Accepts YYYY-MM-DD, YYYYMMDD, DD/MM/YYYY (or MM/DD/YYYY with format 'MM/DD/YYYY'), two-digit years,
+ * '-' or '.' instead of '/', and month names like "15 ene 2025" or "15-Jan-2025".
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {string} [options.format='DD/MM/YYYY'] - Order of day and month in slash dates: 'DD/MM/YYYY' or 'MM/DD/YYYY'
+ * @returns {string|null} null when the value is not a valid date
+ */
+export function parseDate(value, { format = 'DD/MM/YYYY' } = {}) {
+  const text = String(value ?? '').trim().toLowerCase();
+  let year;
+  let month;
+  let day;
+
+  let match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(text);
+  if (match) {
+    [year, month, day] = match.slice(1, 4).map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))) {
+    const [first, second, y] = match.slice(1, 4).map(Number);
+    [day, month] = format.toUpperCase().startsWith('MM') ? [second, first] : [first, second];
+    year = y;
+  } else if ((match = /^(\d{1,2})[\s/.-]*([a-z]{3})[a-z]*\.?[\s/.-]*(\d{2}|\d{4})$/.exec(text)) && MONTHS[match[2]]) {
+    day = Number(match[1]);
+    month = MONTHS[match[2]];
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export default {
+  COLUMN_ALIASES,
+  headerKey,
+  detectDelimiter,
+  resolveColumns,
+  findHeaderRow,
+  parseCsv,
+  parseAmount,
+  parseDate
+};
@@ -0,0 +1,84 @@
+// Pure helpers for the DebtLedger audit trail (no side-effects)
+// Entries are the coerced DebtLedger objects, in the order they were appended
+
+export const LEDGER_CAUSES = {
+  DEBT_CREATED: 'debt_created',
+  DEBT_UPDATED: 'debt_updated',
+  EXPENSE_CREATED: 'expense_created',
+  EXPENSE_UPDATED: 'expense_updated',
+  EXPENSE_DELETED: 'expense_deleted',
+  STATEMENT_ACCRUED: 'statement_accrued',
+  RECONCILE: 'reconcile',
+  RECOMPUTE: 'recompute'
+};
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Build a ledger row object for a balance change
+ * @param {Object} params
+ * @param {string} params.id - Ledger entry id
+ * @param {string} params.debtId - Debt id
+ * @param {number} params.oldBalance - Balance before the change
+ * @param {number} params.newBalance - Balance after the change
+ * @param {string} params.cause - One of LEDGER_CAUSES (optionally suffixed, e.g. 'expense_updated:became_paid')
+ * @param {string} [params.expenseId] - Expense that triggered the change
+ * @param {Date} [params.now]
+ */
+export function buildLedgerEntry({ id, debtId, oldBalance, newBalance, cause, expenseId = null, now = new Date() }) {
+  return {
+    id: String(id),
+    debtId: String(debtId),
+    timestamp: now.toISOString(),
+    oldBalance: round2(oldBalance),
+    delta: round2(Number(newBalance) - Number(oldBalance)),
+    newBalance: round2(newBalance),
+    cause: cause || LEDGER_CAUSES.DEBT_UPDATED,
+    expenseId: expenseId ? String(expenseId) : null
+  };
+}
+
+/**
+ * Rebuild a debt balance by replaying its ledger.
+ * The first entry's oldBalance is the opening balance; every entry then adds its delta.
+ * Recompute entries only correct drift towards the ledger, so they leave the replayed balance as is.
+ * A gap is an entry whose oldBalance does not match the previous newBalance, i.e. the balance
+ * was changed without going through the ledger (e.g. edited by hand in the sheet).
+ * @param {Object[]} entries - Ledger entries of one debt
+ * @returns {{ openingBalance: number, balance: number, count: number, gaps: Object[] }}
+ */
+export function replayLedger(entries = []) {
+  const list = entries.filter(e => e && e.delta !== null && e.delta !== '' && Number.isFinite(Number(e.delta)));
+  if (list.length === 0) {
+    return { openingBalance: 0, balance: 0, count: 0, gaps: [] };
+  }
+
+  const openingBalance = round2(list[0].oldBalance);
+  let balance = openingBalance;
+  const gaps = [];
+  let previous = null;
+
+  for (const entry of list) {
+    if (previous && round2(entry.oldBalance) !== round2(previous.newBalance)) {
+      gaps.push({
+        entryId: entry.id,
+        timestamp: entry.timestamp,
+        expected: round2(previous.newBalance),
+        found: round2(entry.oldBalance),
+        difference: round2(Number(entry.oldBalance) - Number(previous.newBalance))
+      });
+    }
+    if (String(entry.cause || '') !== LEDGER_CAUSES.RECOMPUTE) {
+      balance = round2(balance + Number(entry.delta));
+    }
+    previous = entry;
+  }
+
+  return { openingBalance, balance, count: list.length, gaps };
+}
+
+export default {
+  LEDGER_CAUSES,
+  buildLedgerEntry,
+  replayLedger
+};
@@ -0,0 +1,64 @@
+// Pure helpers for optimistic concurrency on sheet rows (no side-effects)
+// An ETag is a content hash of the raw row cells, so any write to the row changes it
+import { createHash } from 'crypto';
+
+/**
+ * Cells as the Sheets API returns them: strings, without the trailing empty cells it omits
+ * @param {Array} row - Raw row values
+ * @returns {string[]}
+ */
+export function normalizeRowCells(row = []) {
+  const cells = (Array.isArray(row) ? row : []).map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+  while (cells.length > 0 && cells[cells.length - 1] === '') {
+    cells.pop();
+  }
+  return cells;
+}
+
+/**
+ * Strong ETag of a sheet row, e.g. "3f2a…" (quotes included, as sent in the ETag header)
+ * @param {Array} row - Raw row values
+ * @returns {string}
+ */
+export function computeRowEtag(row) {
+  const hash = createHash('sha1').update(JSON.stringify(normalizeRowCells(row))).digest('hex');
+  return `"${hash}"`;
+}
+
+/**
+ * Parse an If-Match header into its entity tags.
+ * Unquoted tags are accepted and quoted; weak tags (W/"…") are kept as is and never match.
+ * @param {string} header - Header value
+ * @returns {string[]|null} '*' or the list of tags, null when the header is absent or empty
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header === null) return null;
+  const value = String(header).trim();
+  if (value === '') return null;
+  if (value === '*') return ['*'];
+  return value.split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean)
+    .map(tag => (tag.startsWith('"') || tag.startsWith('W/') ? tag : `"${tag}"`));
+}
+
+/**
+ * Whether a write may proceed given the If-Match header and the current ETag of the row
+ * Without the header the write is unconditional.
+ * @param {string} header - If-Match header value
+ * @param {string} currentEtag - ETag of the row as stored now
+ * @returns {boolean}
+ */
+export function ifMatchSatisfied(header, currentEtag) {
+  const tags = parseIfMatch(header);
+  if (!tags) return true;
+  if (tags.includes('*')) return true;
+  return tags.includes(currentEtag);
+}
+
+export default {
+  normalizeRowCells,
+  computeRowEtag,
+  parseIfMatch,
+  ifMatchSatisfied
+};
@@ -0,0 +1,243 @@
+// Pure helpers to filter, sort and paginate expense objects (no side-effects)
+// Input expenses are the coerced objects returned by getExpensesObjects()
+
+export const EXPENSE_SORT_FIELDS = ['date', 'amount', 'description', 'categoryId', 'status', 'entryType', 'id'];
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 500;
+
+/**
+ * Split a comma separated query value into trimmed, non-empty items
+ */
+export function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Parse a sort expression like "date", "-amount" or "date,-amount"
+ * @returns {Array<{field: string, direction: 1|-1}>}
+ */
+export function parseSort(value) {
+  return (parseList(value) || []).map((token) => {
+    const desc = token.startsWith('-');
+    return { field: desc ? token.slice(1) : token, direction: desc ? -1 : 1 };
+  });
+}
+
+/**
+ * Lowercase and strip accents so "cafe" matches "Café"
+ */
+export function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Last day (YYYY-MM-DD) of a YYYY-MM month
+ */
+function monthEnd(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return `${month}-${String(lastDay).padStart(2, '0')}`;
+}
+
+/**
+ * Turn raw query-string values into typed filters
+ * @param {Object} query - req.query (already validated)
+ * @returns {Object} filters accepted by filterExpenses
+ */
+export function parseExpenseFilters(query = {}) {
+  const filters = {};
+
+  // Date range: month narrows from/to, both bounds inclusive
+  let from = query.from || null;
+  let to = query.to || null;
+  if (query.month) {
+    const start = `${query.month}-01`;
+    const end = monthEnd(query.month);
+    from = from && from > start ? from : start;
+    to = to && to < end ? to : end;
+  }
+  if (from) filters.from = from;
+  if (to) filters.to = to;
+
+  const categoryIds = parseList(query.categoryId);
+  if (categoryIds) filters.categoryIds = categoryIds.map(Number);
+
+  const debtIds = parseList(query.debtId);
+  if (debtIds) filters.debtIds = debtIds;
+
+  const statuses = parseList(query.status);
+  if (statuses) filters.statuses = statuses.map(s => s.toLowerCase());
+
+  const entryTypes = parseList(query.entryType);
+  if (entryTypes) filters.entryTypes = entryTypes.map(s => s.toLowerCase());
+
+  if (query.isFixed !== undefined && query.isFixed !== '') {
+    filters.isFixed = String(query.isFixed).toLowerCase() === 'true';
+  }
+
+  if (query.minAmount !== undefined && query.minAmount !== '') filters.minAmount = Number(query.minAmount);
+  if (query.maxAmount !== undefined && query.maxAmount !== '') filters.maxAmount = Number(query.maxAmount);
+
+  if (query.q) filters.text = normalizeText(query.q).trim();
+
+  return filters;
+}
+
+/**
+ * Keep only the expenses matching every filter
+ */
+export function filterExpenses(expenses, filters = {}) {
+  return (expenses || []).filter((e) => {
+    if (!e) return false;
+    if (filters.from && (!e.date || e.date < filters.from)) return false;
+    if (filters.to && (!e.date || e.date > filters.to)) return false;
+    if (filters.categoryIds && !filters.categoryIds.includes(Number(e.categoryId))) return false;
+    if (filters.debtIds && (!e.debtId || !filters.debtIds.includes(String(e.debtId)))) return false;
+    if (filters.statuses && !filters.statuses.includes(String(e.status || '').toLowerCase())) return false;
+    if (filters.entryTypes && !filters.entryTypes.includes(String(e.entryType || '').toLowerCase())) return false;
+    if (filters.isFixed !== undefined && Boolean(e.isFixed) !== filters.isFixed) return false;
+    const amount = Number(e.amount) || 0;
+    if (Number.isFinite(filters.minAmount) && amount < filters.minAmount) return false;
+    if (Number.isFinite(filters.maxAmount) && amount > filters.maxAmount) return false;
+    if (filters.text && !normalizeText(e.description).includes(filters.text)) return false;
+    return true;
+  });
+}
+
+/**
+ * Compare two values of the same field; nulls always sort last
+ */
+function compareValues(a, b) {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Build a comparator for a parsed sort; ties are broken by id so the order is total
+ */
+export function buildComparator(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sort) {
+      const aValue = a[field];
+      const bValue = b[field];
+      const aEmpty = aValue === null || aValue === undefined || aValue === '';
+      const bEmpty = bValue === null || bValue === undefined || bValue === '';
+      // Empty values stay at the end regardless of direction
+      const result = aEmpty || bEmpty ? compareValues(aValue, bValue) : compareValues(aValue, bValue) * direction;
+      if (result !== 0) return result;
+    }
+    return compareValues(String(a.id ?? ''), String(b.id ?? ''));
+  };
+}
+
+/**
+ * Sort expenses without mutating the input. An empty sort keeps the sheet order.
+ */
+export function sortExpenses(expenses, sort = []) {
+  if (!sort.length) return [...expenses];
+  return [...expenses].sort(buildComparator(sort));
+}
+
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    return payload && typeof payload === 'object' && 'id' in payload ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Filter, sort and paginate expenses.
+ * Pagination is either offset based (offset or page + limit) or cursor based (cursor + limit).
+ * Cursors point at the last returned item, so rows added or removed elsewhere do not shift pages.
+ * Without limit, offset, page or cursor every matching row is returned.
+ * @param {Object[]} expenses - Expense objects
+ * @param {Object} query - Validated req.query
+ * @returns {{ data: Object[], total: number, pagination: Object }}
+ * @throws {Error} with code 'INVALID_CURSOR' when the cursor cannot be resolved
+ */
+export function queryExpenses(expenses, query = {}) {
+  const sortExpression = query.sort ? String(query.sort) : '';
+  const sort = parseSort(sortExpression);
+  const sorted = sortExpenses(filterExpenses(expenses, parseExpenseFilters(query)), sort);
+  const total = sorted.length;
+
+  const paginated = query.limit !== undefined || query.offset !== undefined || query.page !== undefined || query.cursor !== undefined;
+  const limit = query.limit !== undefined
+    ? Math.min(Number(query.limit), MAX_PAGE_LIMIT)
+    : (paginated ? DEFAULT_PAGE_LIMIT : total);
+
+  let offset = 0;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || (cursor.sort || '') !== sortExpression) {
+      throw Object.assign(new Error('Invalid cursor for this sort'), { code: 'INVALID_CURSOR' });
+    }
+    if (sort.length) {
+      // Keyset: first row strictly after the cursor position
+      const compare = buildComparator(sort);
+      const position = { ...cursor.values, id: cursor.id };
+      const index = sorted.findIndex(e => compare(e, position) > 0);
+      offset = index === -1 ? total : index;
+    } else {
+      const index = sorted.findIndex(e => String(e.id) === String(cursor.id));
+      if (index === -1) {
+        throw Object.assign(new Error('Cursor row no longer exists'), { code: 'INVALID_CURSOR' });
+      }
+      offset = index + 1;
+    }
+  } else if (query.offset !== undefined) {
+    offset = Number(query.offset);
+  } else if (query.page !== undefined) {
+    offset = (Number(query.page) - 1) * limit;
+  }
+
+  const data = sorted.slice(offset, offset + limit);
+  const hasMore = offset + data.length < total;
+  const last = data[data.length - 1];
+  const nextCursor = hasMore && last
+    ? encodeCursor({
+      sort: sortExpression,
+      id: last.id,
+      values: Object.fromEntries(sort.map(({ field }) => [field, last[field]]))
+    })
+    : null;
+
+  return {
+    data,
+    total,
+    pagination: {
+      limit,
+      offset,
+      page: limit > 0 ? Math.floor(offset / limit) + 1 : 1,
+      pages: limit > 0 ? Math.ceil(total / limit) : 0,
+      hasMore,
+      nextCursor,
+      sort: sortExpression || null
+    }
+  };
+}
+
+export default {
+  parseExpenseFilters,
+  filterExpenses,
+  sortExpenses,
+  queryExpenses
+};
@@ -0,0 +1,44 @@
+// Map whose entries expire after a fixed time (no timers: expired entries are dropped as the map is used)
+
+/**
+ * Key/value map with a TTL per entry. Expired entries are never returned and are swept on every set,
+ * so the map only holds what was written within the last ttlMs.
+ * @param {number} ttlMs - Lifetime of an entry
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock, in ms
+ * @returns {{ get: (key: string) => *, set: (key: string, value: *) => void, delete: (key: string) => void, size: () => number }}
+ */
+export function createExpiringMap(ttlMs, { now = Date.now } = {}) {
+  const entries = new Map();
+
+  const sweep = () => {
+    const time = now();
+    for (const [key, entry] of entries) {
+      if (time >= entry.expiresAt) entries.delete(key);
+    }
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (now() >= entry.expiresAt) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      sweep();
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    size: () => entries.size
+  };
+}
+
+export default {
+  createExpiringMap
+};
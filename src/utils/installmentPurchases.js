@@ -0,0 +1,157 @@
+// Pure helpers for card purchases paid in monthly installments, with or without interest (MSI) (no side-effects)
+// A purchase is { id, debtId, description, purchaseDate, totalAmount, months, annualRate, startStatement }.
+// Installment k (1-based) is billed on the statement whose cutoff falls in the month startStatement + k - 1,
+// so each statement only carries the portion due in its period.
+
+import { monthlyRateFromAnnualEffective } from './finance.js';
+import { monthOf, addMonths } from './schedule.js';
+import { annuityPayment } from './amortization.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Monthly effective rate of a purchase; annualRate may be a percentage (24) or a unit rate (0.24), 0 for MSI
+ */
+export function purchaseMonthlyRate(purchase) {
+  const annual = Number(purchase?.annualRate) || 0;
+  return monthlyRateFromAnnualEffective(annual > 1 ? annual : annual * 100);
+}
+
+/**
+ * Month (YYYY-MM) of the first statement that includes a purchase.
+ * A statement period ends the day before the cutoff, so a purchase on or after the cutoff day goes to the
+ * next month's statement. Without a cutoff day the statement closes on the last day of the month.
+ * @param {string} purchaseDate - YYYY-MM-DD
+ * @param {number} [cutOffDay] - Card cutoff day (1-31)
+ */
+export function firstStatementMonth(purchaseDate, cutOffDay) {
+  const [year, month, day] = String(purchaseDate).slice(0, 10).split('-').map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  const cutoff = Number.isFinite(cutOffDay) && cutOffDay > 0 ? Math.min(cutOffDay, lastDay) : lastDay;
+  const purchaseMonth = monthOf(new Date(year, month - 1, 1));
+  return day < cutoff ? purchaseMonth : addMonths(purchaseMonth, 1);
+}
+
+/**
+ * Installments of a purchase: level payments (total / months for MSI), the last one absorbs the rounding
+ * @returns {{ number, statementMonth, principal, interest, amount, remainingPrincipal }[]}
+ */
+export function installmentSchedule(purchase) {
+  const months = parseInt(purchase.months, 10) || 0;
+  const total = Number(purchase.totalAmount) || 0;
+  const rate = purchaseMonthlyRate(purchase);
+  const payment = round2(annuityPayment(total, rate, months));
+
+  const schedule = [];
+  let remaining = total;
+  for (let number = 1; number <= months; number++) {
+    const interest = round2(remaining * rate);
+    const principal = number === months ? round2(remaining) : Math.min(round2(payment - interest), round2(remaining));
+    remaining = round2(remaining - principal);
+    schedule.push({
+      number,
+      statementMonth: addMonths(purchase.startStatement, number - 1),
+      principal,
+      interest,
+      amount: round2(principal + interest),
+      remainingPrincipal: remaining
+    });
+  }
+  return schedule;
+}
+
+/**
+ * Installments a card's statement of the given month must include
+ * @param {Object[]} purchases - Installment purchases (any card)
+ * @param {string} debtId - Card (debt) id
+ * @param {string} statementMonth - YYYY-MM of the statement cutoff
+ * @returns {{ principal: number, interest: number, amount: number, items: Object[] }}
+ */
+export function installmentsDueForStatement(purchases, debtId, statementMonth) {
+  const items = [];
+  for (const purchase of purchases || []) {
+    if (!purchase || String(purchase.debtId) !== String(debtId) || !purchase.startStatement) continue;
+    const installment = installmentSchedule(purchase).find(i => i.statementMonth === statementMonth);
+    if (!installment) continue;
+    items.push({
+      purchaseId: String(purchase.id),
+      description: purchase.description || '',
+      number: installment.number,
+      months: parseInt(purchase.months, 10),
+      principal: installment.principal,
+      interest: installment.interest,
+      amount: installment.amount
+    });
+  }
+  return {
+    principal: round2(items.reduce((s, i) => s + i.principal, 0)),
+    interest: round2(items.reduce((s, i) => s + i.interest, 0)),
+    amount: round2(items.reduce((s, i) => s + i.amount, 0)),
+    items
+  };
+}
+
+/**
+ * Progress of a purchase: installments billed up to a statement month and what is still owed
+ * @param {Object} purchase - Installment purchase
+ * @param {string|null} billedThrough - YYYY-MM of the card's latest statement; later installments are pending
+ */
+export function purchaseStatus(purchase, billedThrough) {
+  const schedule = installmentSchedule(purchase);
+  const pending = schedule.filter(i => !billedThrough || i.statementMonth > billedThrough);
+  return {
+    ...purchase,
+    monthlyPayment: schedule.length > 0 ? schedule[0].amount : 0,
+    endStatement: schedule.length > 0 ? schedule[schedule.length - 1].statementMonth : null,
+    billedInstallments: schedule.length - pending.length,
+    remainingInstallments: pending.length,
+    remainingPrincipal: round2(pending.reduce((s, i) => s + i.principal, 0)),
+    remainingAmount: round2(pending.reduce((s, i) => s + i.amount, 0)),
+    nextInstallment: pending[0] || null
+  };
+}
+
+/**
+ * Remaining installment obligations grouped by card; finished purchases are left out
+ * @param {Object[]} purchases - Installment purchases
+ * @param {Object[]} debts - Debts ({ id, name })
+ * @param {Object<string, string|null>} billedThroughByDebt - Latest statement month per debt id
+ * @returns {{ debtId, name, billedThrough, nextStatement, nextStatementAmount, remainingPrincipal, remainingAmount, purchases }[]}
+ */
+export function obligationsByDebt(purchases, debts, billedThroughByDebt = {}) {
+  const names = new Map((debts || []).map(d => [String(d.id), d.name || '']));
+  const groups = new Map();
+  for (const purchase of purchases || []) {
+    const debtId = String(purchase.debtId);
+    const billedThrough = billedThroughByDebt[debtId] || null;
+    const status = purchaseStatus(purchase, billedThrough);
+    if (status.remainingInstallments === 0) continue;
+    if (!groups.has(debtId)) groups.set(debtId, { debtId, name: names.get(debtId) || '', billedThrough, purchases: [] });
+    groups.get(debtId).purchases.push(status);
+  }
+
+  return [...groups.values()].map(({ debtId, name, billedThrough, purchases: pending }) => {
+    const nextStatement = pending.map(p => p.nextInstallment.statementMonth).sort()[0];
+    return {
+      debtId,
+      name,
+      billedThrough,
+      nextStatement,
+      nextStatementAmount: round2(pending
+        .filter(p => p.nextInstallment.statementMonth === nextStatement)
+        .reduce((s, p) => s + p.nextInstallment.amount, 0)),
+      remainingPrincipal: round2(pending.reduce((s, p) => s + p.remainingPrincipal, 0)),
+      remainingAmount: round2(pending.reduce((s, p) => s + p.remainingAmount, 0)),
+      purchases: pending
+    };
+  });
+}
+
+export default {
+  purchaseMonthlyRate,
+  firstStatementMonth,
+  installmentSchedule,
+  installmentsDueForStatement,
+  purchaseStatus,
+  obligationsByDebt
+};
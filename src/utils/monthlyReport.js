@@ -0,0 +1,215 @@
+// Pure builder for the monthly cash-flow report (no side-effects)
+// Inputs are the coerced objects returned by the storage adapter (*Objects methods, getCategories)
+
+import { EXPENSE_STATUSES, EXPENSE_SPEND_STATUSES, INCOME_TYPES } from '../config/constants.js';
+import { resolveMonthBudget } from './budget.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+/**
+ * Number of days of a YYYY-MM month
+ */
+export function daysInMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber, 0).getDate();
+}
+
+/**
+ * Days of the month already elapsed at `now` (0 for future months, all days for past months)
+ */
+export function daysElapsed(month, now = new Date()) {
+  const current = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  if (month < current) return daysInMonth(month);
+  if (month > current) return 0;
+  return now.getDate();
+}
+
+/**
+ * Card payments settle an existing debt, so they are reported apart from spend
+ */
+export function isDebtPayment(expense) {
+  return String(expense?.entryType || '').toLowerCase() === 'payment';
+}
+
+export function isFixedExpense(expense) {
+  return Boolean(expense?.isFixed) || Boolean(expense?.fixedExpenseId);
+}
+
+/**
+ * Income totals of a month: received/expected amounts, per type, and active recurring
+ * incomes that were not generated for the month yet
+ */
+export function summarizeIncomes(month, incomes = [], recurringIncomes = []) {
+  const monthIncomes = incomes.filter(i => i && typeof i.date === 'string' && i.date.startsWith(`${month}-`));
+  const byType = Object.fromEntries(INCOME_TYPES.map(type => [type, 0]));
+  let received = 0;
+  let expected = 0;
+
+  for (const income of monthIncomes) {
+    const amount = Number(income.amount) || 0;
+    if (String(income.status || 'received').toLowerCase() === 'expected') expected += amount;
+    else received += amount;
+    const type = INCOME_TYPES.includes(income.type) ? income.type : 'other';
+    byType[type] += amount;
+  }
+
+  const generatedIds = new Set(monthIncomes.filter(i => i.recurringIncomeId).map(i => String(i.recurringIncomeId)));
+  const missing = recurringIncomes.filter(r => r && r.active && !generatedIds.has(String(r.id)));
+
+  return {
+    received,
+    expected,
+    total: received + expected,
+    byType,
+    recurringNotGenerated: missing.reduce((sum, r) => sum + (Number(r.amount) || 0), 0),
+    recurringNotGeneratedCount: missing.length,
+    count: monthIncomes.length
+  };
+}
+
+/**
+ * Build the monthly report
+ * @param {Object} params
+ * @param {string} params.month - YYYY-MM
+ * @param {Object[]} params.expenses - Expense objects (any month, filtered here)
+ * @param {Object[]} params.budget - Budget objects (resolved with resolveMonthBudget)
+ * @param {Object[]} params.fixedExpenses - Fixed expense objects
+ * @param {Object[]} params.categories - Category objects ({ id, name })
+ * @param {Object[]} [params.incomes] - Income objects (any month, filtered here)
+ * @param {Object[]} [params.recurringIncomes] - Recurring income objects
+ * @param {Date} [params.now] - Reference date for the projection
+ */
+export function buildMonthlyReport({
+  month,
+  expenses = [],
+  budget = [],
+  fixedExpenses = [],
+  categories = [],
+  incomes = [],
+  recurringIncomes = [],
+  now = new Date()
+}) {
+  const monthExpenses = expenses.filter(e => e && typeof e.date === 'string' && e.date.startsWith(`${month}-`));
+  const totalDays = daysInMonth(month);
+  const elapsed = daysElapsed(month, now);
+  const today = `${month}-${String(Math.max(elapsed, 0)).padStart(2, '0')}`;
+
+  const byStatus = Object.fromEntries(EXPENSE_STATUSES.map(status => [status, { amount: 0, count: 0 }]));
+  const categoryTotals = new Map();
+  let spent = 0;
+  let fixed = 0;
+  let variable = 0;
+  let variableToDate = 0;
+  let variableScheduled = 0;
+  let debtPayments = 0;
+
+  for (const expense of monthExpenses) {
+    const amount = Number(expense.amount) || 0;
+    if (isDebtPayment(expense)) {
+      debtPayments += amount;
+      continue;
+    }
+
+    const status = String(expense.status || 'pending').toLowerCase();
+    if (byStatus[status]) {
+      byStatus[status].amount += amount;
+      byStatus[status].count += 1;
+    }
+    if (!EXPENSE_SPEND_STATUSES.includes(status)) continue;
+
+    spent += amount;
+    const key = expense.categoryId === null || expense.categoryId === undefined ? null : String(expense.categoryId);
+    const entry = categoryTotals.get(key) || { amount: 0, count: 0 };
+    entry.amount += amount;
+    entry.count += 1;
+    categoryTotals.set(key, entry);
+
+    if (isFixedExpense(expense)) {
+      fixed += amount;
+    } else {
+      variable += amount;
+      if (elapsed > 0 && expense.date <= today) variableToDate += amount;
+      else variableScheduled += amount;
+    }
+  }
+
+  // Active fixed expenses that were not generated for this month yet
+  const generatedFixedIds = new Set(monthExpenses.filter(e => e.fixedExpenseId).map(e => String(e.fixedExpenseId)));
+  const missingFixed = fixedExpenses.filter(f => f && f.active && !generatedFixedIds.has(String(f.id)));
+  const fixedNotGenerated = missingFixed.reduce((sum, f) => sum + (Number(f.amount) || 0), 0);
+
+  // Variable spend keeps the daily pace seen so far; scheduled and fixed amounts are added as-is
+  const variableProjected = elapsed > 0 ? (variableToDate / elapsed) * totalDays + variableScheduled : variable;
+  const projectedSpend = elapsed >= totalDays ? spent : fixed + fixedNotGenerated + variableProjected;
+
+  const categoryNames = new Map(categories.map(c => [String(c.id), c.name]));
+  const byCategory = [...categoryTotals.entries()]
+    .map(([categoryId, { amount, count }]) => ({
+      categoryId: categoryId === null ? null : Number(categoryId),
+      name: categoryId === null ? null : (categoryNames.get(categoryId) ?? null),
+      amount: round2(amount),
+      count,
+      percent: spent > 0 ? round2((amount / spent) * 100) : 0
+    }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const income = summarizeIncomes(month, incomes, recurringIncomes);
+  const projectedIncome = income.total + income.recurringNotGenerated;
+
+  // Month row (explicit or rolled over), else the sum of the category budgets
+  const monthBudget = resolveMonthBudget(budget, month);
+  const budgetAmount = monthBudget ? monthBudget.amount : null;
+
+  return {
+    month,
+    budget: {
+      amount: budgetAmount,
+      source: monthBudget ? monthBudget.source : null,
+      remaining: budgetAmount === null ? null : round2(budgetAmount - spent),
+      usedPercent: budgetAmount ? round2((spent / budgetAmount) * 100) : null
+    },
+    totals: {
+      spent: round2(spent),
+      paid: round2(byStatus.paid.amount),
+      pending: round2(byStatus.pending.amount),
+      overdue: round2(byStatus.overdue.amount),
+      debtPayments: round2(debtPayments),
+      count: monthExpenses.length
+    },
+    byStatus: Object.fromEntries(Object.entries(byStatus).map(([status, { amount, count }]) => [status, { amount: round2(amount), count }])),
+    byCategory,
+    fixedVsVariable: {
+      fixed: round2(fixed),
+      variable: round2(variable),
+      fixedNotGenerated: round2(fixedNotGenerated),
+      fixedNotGeneratedCount: missingFixed.length
+    },
+    income: {
+      received: round2(income.received),
+      expected: round2(income.expected),
+      total: round2(income.total),
+      byType: Object.fromEntries(Object.entries(income.byType).map(([type, amount]) => [type, round2(amount)])),
+      recurringNotGenerated: round2(income.recurringNotGenerated),
+      recurringNotGeneratedCount: income.recurringNotGeneratedCount,
+      count: income.count
+    },
+    // Card payments are left out: the charges they settle are already part of spent
+    cashFlow: {
+      net: round2(income.total - spent),
+      realized: round2(income.received - byStatus.paid.amount)
+    },
+    projection: {
+      daysInMonth: totalDays,
+      daysElapsed: elapsed,
+      projectedSpend: round2(projectedSpend),
+      projectedRemaining: budgetAmount === null ? null : round2(budgetAmount - projectedSpend),
+      projectedIncome: round2(projectedIncome),
+      projectedNet: round2(projectedIncome - projectedSpend)
+    }
+  };
+}
+
+export default {
+  summarizeIncomes,
+  buildMonthlyReport
+};
@@ -0,0 +1,62 @@
+// Pure helpers for the pending -> overdue transition of expenses (no side-effects)
+// An expense is past due when its date plus the grace period is before today.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+export function toISODate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Whole days between two YYYY-MM-DD dates (to - from)
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Days an expense is late past its grace period (0 when it is not late or has no valid date)
+ * @param {Object} expense - Expense object ({ date: 'YYYY-MM-DD' })
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} [graceDays=0]
+ */
+export function daysOverdue(expense, today, graceDays = 0) {
+  if (!expense || typeof expense.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(expense.date)) return 0;
+  const late = daysBetween(expense.date, today) - graceDays;
+  return late > 0 ? late : 0;
+}
+
+/**
+ * Whether a pending expense has to move to overdue (rows without status count as pending)
+ */
+export function shouldMarkOverdue(expense, today, graceDays = 0) {
+  const status = String(expense?.status || 'pending').toLowerCase();
+  return status === 'pending' && daysOverdue(expense, today, graceDays) > 0;
+}
+
+/**
+ * Expenses that are overdue at `today`: rows already marked overdue plus pending rows past their grace period.
+ * Each item gets daysOverdue (days since its date) and `transition` (true when it is still pending).
+ * Sorted by oldest first.
+ */
+export function findOverdueExpenses(expenses, { today, graceDays = 0 }) {
+  return (expenses || [])
+    .filter(e => e && (String(e.status || '').toLowerCase() === 'overdue' || shouldMarkOverdue(e, today, graceDays)))
+    .map(e => ({
+      ...e,
+      daysOverdue: daysOverdue(e, today, 0),
+      transition: String(e.status || '').toLowerCase() !== 'overdue'
+    }))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id)));
+}
+
+export default {
+  toISODate,
+  daysBetween,
+  daysOverdue,
+  shouldMarkOverdue,
+  findOverdueExpenses
+};
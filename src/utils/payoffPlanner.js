@@ -0,0 +1,223 @@
+// Pure debt payoff simulator (no side-effects)
+// Debts are the coerced Debts objects: { id, name, balance, interesEfectivo, ... }
+
+import { PAYOFF_STRATEGIES } from '../config/constants.js';
+import { monthlyRateFromAnnualEffective, suggestedMinimumPayment } from './finance.js';
+import { normalizeAnnualRateToUnit } from './creditStatementCalculator.js';
+import { addMonths } from './schedule.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+
+// Balances below half a cent count as paid off
+const PAID_OFF = 0.005;
+
+const DEFAULT_MAX_MONTHS = 600;
+
+/**
+ * Error raised for a plan that cannot be simulated (e.g. budget below the minimum payments)
+ */
+function planError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Monthly effective rate of a debt; interesEfectivo may be a percentage (45) or a unit rate (0.45)
+ */
+export function debtMonthlyRate(debt) {
+  return monthlyRateFromAnnualEffective(normalizeAnnualRateToUnit(debt?.interesEfectivo) * 100);
+}
+
+/**
+ * Minimum payment of a balance: 5% of it (see suggestedMinimumPayment), never more than the balance
+ */
+export function minimumPaymentFor(balance, percent = 0.05) {
+  return Math.min(balance, suggestedMinimumPayment(balance, percent, 0));
+}
+
+/**
+ * Order debts by the priority a strategy gives them
+ * @param {Object[]} debts - { id, balance, monthlyRate }
+ * @param {string} strategy - One of PAYOFF_STRATEGIES
+ * @param {string[]} [order] - Debt ids for 'custom'; debts not listed follow in avalanche order
+ * @returns {Object[]} New array, highest priority first
+ */
+export function orderDebts(debts, strategy, order = []) {
+  const avalanche = (a, b) => (b.monthlyRate - a.monthlyRate) || (a.balance - b.balance);
+  const snowball = (a, b) => (a.balance - b.balance) || (b.monthlyRate - a.monthlyRate);
+
+  if (strategy === 'snowball') return [...debts].sort(snowball);
+  if (strategy === 'custom') {
+    const position = new Map(order.map((id, index) => [String(id), index]));
+    const listed = debts.filter(d => position.has(String(d.id)))
+      .sort((a, b) => position.get(String(a.id)) - position.get(String(b.id)));
+    const rest = debts.filter(d => !position.has(String(d.id))).sort(avalanche);
+    return [...listed, ...rest];
+  }
+  return [...debts].sort(avalanche);
+}
+
+/**
+ * Simulate paying off debts with a fixed monthly budget.
+ * Every month each debt accrues interest, then gets its minimum payment; what is left of the budget goes
+ * to the first unpaid debt in strategy order (and to the next one once it is paid off), so the minimums
+ * of paid-off debts roll over to the rest.
+ * @param {Object[]} debts - Debts to pay off (balances <= 0 are ignored)
+ * @param {Object} options
+ * @param {number} options.monthlyBudget - Total paid per month across all debts
+ * @param {string} [options.strategy='avalanche'] - One of PAYOFF_STRATEGIES
+ * @param {string[]} [options.order] - Debt ids, highest priority first (custom strategy)
+ * @param {string} options.startMonth - YYYY-MM of the first payment
+ * @param {number} [options.maxMonths=600] - Simulation horizon
+ * @returns {{ strategy, order, months, payoffMonth, completed, totalInterest, totalPaid, debts: Object[], schedule: Object[] }}
+ * @throws {Error} code BUDGET_TOO_LOW when the budget does not cover the first month's minimum payments
+ */
+export function simulatePayoff(debts, { monthlyBudget, strategy = 'avalanche', order = [], startMonth, maxMonths = DEFAULT_MAX_MONTHS }) {
+  if (!PAYOFF_STRATEGIES.includes(strategy)) {
+    throw planError('INVALID_STRATEGY', `Unknown payoff strategy: ${strategy}`);
+  }
+
+  const state = orderDebts(
+    debts
+      .map(d => ({ id: String(d.id), name: d.name || '', balance: Number(d.balance) || 0, monthlyRate: debtMonthlyRate(d) }))
+      .filter(d => d.balance > PAID_OFF),
+    strategy,
+    order
+  ).map(d => ({ ...d, startingBalance: d.balance, totalInterest: 0, totalPaid: 0, payoffMonth: null, months: null }));
+
+  const schedule = [];
+  let month = startMonth;
+  for (let period = 1; period <= maxMonths && state.some(d => d.balance > PAID_OFF); period++) {
+    const open = state.filter(d => d.balance > PAID_OFF);
+
+    const lines = new Map();
+    for (const debt of open) {
+      const interest = debt.balance * debt.monthlyRate;
+      debt.balance += interest;
+      debt.totalInterest += interest;
+      lines.set(debt.id, { debtId: debt.id, name: debt.name, interest, payment: 0 });
+    }
+
+    const minimums = open.map(d => minimumPaymentFor(d.balance));
+    const minimumTotal = minimums.reduce((s, m) => s + m, 0);
+    if (period === 1 && minimumTotal > monthlyBudget + PAID_OFF) {
+      throw planError('BUDGET_TOO_LOW', 'monthlyBudget does not cover the minimum payments', { minimumPayment: round2(minimumTotal) });
+    }
+
+    // Minimums first (in priority order, in case a later month's budget falls short), then the rest in order
+    let available = monthlyBudget;
+    open.forEach((debt, index) => {
+      const amount = Math.min(minimums[index], available);
+      debt.balance -= amount;
+      lines.get(debt.id).payment += amount;
+      available -= amount;
+    });
+    for (const debt of open) {
+      if (available <= 0) break;
+      const amount = Math.min(debt.balance, available);
+      debt.balance -= amount;
+      lines.get(debt.id).payment += amount;
+      available -= amount;
+    }
+
+    const payments = open.map((debt) => {
+      const line = lines.get(debt.id);
+      debt.totalPaid += line.payment;
+      if (debt.balance <= PAID_OFF) {
+        debt.balance = 0;
+        debt.payoffMonth = month;
+        debt.months = period;
+      }
+      return {
+        debtId: line.debtId,
+        name: line.name,
+        payment: round2(line.payment),
+        interest: round2(line.interest),
+        principal: round2(round2(line.payment) - round2(line.interest)),
+        balance: round2(debt.balance)
+      };
+    });
+
+    schedule.push({
+      period,
+      month,
+      payments,
+      totalPayment: round2(payments.reduce((s, p) => s + p.payment, 0)),
+      totalInterest: round2(payments.reduce((s, p) => s + p.interest, 0)),
+      remainingBalance: round2(state.reduce((s, d) => s + d.balance, 0))
+    });
+    month = addMonths(month, 1);
+  }
+
+  const completed = state.every(d => d.balance <= PAID_OFF);
+  return {
+    strategy,
+    order: state.map(d => d.id),
+    months: schedule.length,
+    payoffMonth: completed && schedule.length > 0 ? schedule[schedule.length - 1].month : null,
+    completed,
+    totalInterest: round2(state.reduce((s, d) => s + d.totalInterest, 0)),
+    totalPaid: round2(state.reduce((s, d) => s + d.totalPaid, 0)),
+    debts: state.map(d => ({
+      debtId: d.id,
+      name: d.name,
+      startingBalance: round2(d.startingBalance),
+      monthlyRate: d.monthlyRate,
+      payoffMonth: d.payoffMonth,
+      months: d.months,
+      totalInterest: round2(d.totalInterest),
+      totalPaid: round2(d.totalPaid)
+    })),
+    schedule
+  };
+}
+
+/**
+ * Build a payoff plan for the requested strategy plus a comparison with the other strategies.
+ * Custom is only compared when an order is given.
+ * @param {Object[]} debts - Debts to pay off
+ * @param {Object} options - See simulatePayoff
+ * @returns {{ plan: Object, comparison: Object }}
+ */
+export function buildPayoffPlan(debts, options) {
+  const { strategy = 'avalanche', order = [] } = options;
+  const plan = simulatePayoff(debts, { ...options, strategy });
+
+  const strategies = PAYOFF_STRATEGIES.filter(s => s !== 'custom' || order.length > 0);
+  const summaries = strategies.map((s) => {
+    const result = s === strategy ? plan : simulatePayoff(debts, { ...options, strategy: s });
+    return {
+      strategy: s,
+      order: result.order,
+      months: result.months,
+      payoffMonth: result.payoffMonth,
+      completed: result.completed,
+      totalInterest: result.totalInterest,
+      totalPaid: result.totalPaid
+    };
+  });
+
+  // Cheapest finished plan (fewest months breaks ties); null when no strategy pays everything off
+  const finished = summaries.filter(s => s.completed)
+    .sort((a, b) => (a.totalInterest - b.totalInterest) || (a.months - b.months));
+  const cheapest = finished[0] || null;
+
+  return {
+    plan,
+    comparison: {
+      strategies: summaries,
+      cheapest: cheapest ? cheapest.strategy : null,
+      interestSavedVsWorst: finished.length > 1 ? round2(finished[finished.length - 1].totalInterest - cheapest.totalInterest) : 0
+    }
+  };
+}
+
+export default {
+  debtMonthlyRate,
+  minimumPaymentFor,
+  orderDebts,
+  simulatePayoff,
+  buildPayoffPlan
+};
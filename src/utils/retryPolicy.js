@@ -0,0 +1,102 @@
+// Pure helpers for retrying rate-limited or unavailable HTTP calls (no side-effects)
+
+// Statuses worth retrying: quota exceeded (429) and transient server errors
+export const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(Number(status));
+}
+
+// Network error codes raised before the request reached the server (connection refused, DNS failure, ...)
+export const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Whether repeating a Sheets API request cannot apply it twice: reads, and value writes that set fixed ranges
+ * (PUT values, values:batchUpdate, clears). Appends and structural batchUpdates (insert/delete rows, add sheets)
+ * would add or delete a second time.
+ * @param {string} [method='GET'] - HTTP method
+ * @param {string} url - Request URL or endpoint
+ */
+export function isIdempotentRequest(method, url) {
+  const verb = String(method || 'GET').toUpperCase();
+  if (['GET', 'HEAD', 'PUT', 'DELETE'].includes(verb)) return true;
+  const [path] = String(url || '').split('?');
+  return verb === 'POST' && /(\/values:batchUpdate|\/values:batchClear|:clear)$/.test(decodeURIComponent(path));
+}
+
+/**
+ * Whether a fetch() failure happened before the request was sent, so even a non-idempotent request can be repeated
+ */
+export function wasNotSent(error) {
+  const code = error?.cause?.code ?? error?.code;
+  return NOT_SENT_ERROR_CODES.includes(code);
+}
+
+/**
+ * Delay requested by a Retry-After header, in milliseconds.
+ * Accepts delta-seconds ("120") or an HTTP date; a date in the past means no wait.
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Reference time in ms (default Date.now())
+ * @returns {number|null} null when the header is missing or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Exponential backoff with full jitter: a random wait between 0 and baseDelayMs * 2^attempt, capped at maxDelayMs
+ * @param {number} attempt - Retries already made (0 for the first retry)
+ * @param {Object} options
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {Function} [options.random=Math.random]
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * What to do after a failed attempt: wait `delayMs` and retry, or give up.
+ * A Retry-After longer than maxDelayMs is not waited for; the caller gives up and passes it on as a hint.
+ * @param {number} attempt - Retries already made
+ * @param {Object} options
+ * @param {number} options.maxRetries
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {number|null} [options.retryAfterMs] - Delay requested by the server
+ * @param {Function} [options.random]
+ * @returns {{ retry: boolean, delayMs: number }}
+ */
+export function nextRetry(attempt, { maxRetries, baseDelayMs, maxDelayMs, retryAfterMs = null, random }) {
+  if (attempt >= maxRetries || (retryAfterMs !== null && retryAfterMs > maxDelayMs)) {
+    return { retry: false, delayMs: 0 };
+  }
+  const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs, random });
+  return { retry: true, delayMs: retryAfterMs !== null ? Math.max(retryAfterMs, delayMs) : delayMs };
+}
+
+/**
+ * Seconds a client should wait before trying again after giving up: the server's Retry-After when given,
+ * otherwise the largest backoff delay
+ */
+export function retryHintSeconds(retryAfterMs, { maxDelayMs }) {
+  return Math.max(Math.ceil((retryAfterMs ?? maxDelayMs) / 1000), 1);
+}
+
+export default {
+  RETRYABLE_STATUSES,
+  NOT_SENT_ERROR_CODES,
+  isRetryableStatus,
+  isIdempotentRequest,
+  wasNotSent,
+  parseRetryAfter,
+  backoffDelay,
+  nextRetry,
+  retryHintSeconds
+};
@@ -0,0 +1,57 @@
+// Pure date helpers for background jobs (no side-effects)
+
+/**
+ * YYYY-MM of a date (local time)
+ */
+export function monthOf(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a YYYY-MM month by n months
+ */
+export function addMonths(month, n) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(year, monthNumber - 1 + n, 1);
+  return monthOf(date);
+}
+
+/**
+ * Whether a monthly job is due at `now`: on or after its day (and hour on that day).
+ * Days past the end of a short month fall on its last day.
+ * @param {Date} now
+ * @param {Object} schedule
+ * @param {number} schedule.dayOfMonth - 1-31
+ * @param {number} [schedule.hour=0] - 0-23, local time
+ */
+export function isMonthlyRunDue(now, { dayOfMonth, hour = 0 }) {
+  const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+  const day = Math.min(dayOfMonth, lastDay);
+  if (now.getDate() !== day) return now.getDate() > day;
+  return now.getHours() >= hour;
+}
+
+/**
+ * Latest date on or before `date` that falls on dayOfMonth (clamped to short months), as YYYY-MM-DD.
+ * For a debt this is the cutoff of its most recent statement.
+ */
+export function latestMonthlyDate(dayOfMonth, date = new Date()) {
+  const clamp = (year, month) => Math.min(dayOfMonth, new Date(year, month + 1, 0).getDate());
+  let year = date.getFullYear();
+  let month = date.getMonth();
+  if (date.getDate() < clamp(year, month)) {
+    month -= 1;
+    if (month < 0) {
+      month = 11;
+      year -= 1;
+    }
+  }
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(clamp(year, month)).padStart(2, '0')}`;
+}
+
+export default {
+  monthOf,
+  addMonths,
+  isMonthlyRunDue,
+  latestMonthlyDate
+};
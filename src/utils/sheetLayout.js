@@ -0,0 +1,114 @@
+// Pure helpers that place record fields in sheet columns by header name (no side-effects)
+// A layout maps each schema key (see schemaMappings) to the column whose header names it, so reads and
+// writes keep working when the user reorders, inserts or renames columns to a known alias.
+
+/**
+ * Header name in comparable form, as schemaMappings keys: "Fecha de Operación" -> "fechadeoperacion"
+ */
+export function normalizeHeaderKey(key) {
+  return String(key)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Fallback key of a header the schema does not know: "Notas extra" -> "notasExtra"
+ */
+export function toCamelCase(key) {
+  return String(key)
+    .trim()
+    .replace(/^[^a-zA-Z]+/, '')
+    .replace(/[-_\s]+([a-zA-Z0-9])/g, (_, c) => c.toUpperCase())
+    .replace(/^[A-Z]/, (c) => c.toLowerCase());
+}
+
+/**
+ * Schema key of a header: its schema mapping, or the header in camelCase
+ * @param {string} header - Header cell
+ * @param {Object<string, string>} [mapping] - Normalized header -> key (schemaMappings of the sheet)
+ */
+export function headerToKey(header, mapping = {}) {
+  return (mapping && mapping[normalizeHeaderKey(header)]) || toCamelCase(header);
+}
+
+/**
+ * Column label of a 0-based index: 0 -> "A", 26 -> "AA"
+ */
+export function columnLetter(index) {
+  let n = index + 1;
+  let label = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    label = String.fromCharCode(65 + rem) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+/**
+ * Column layout of a sheet from its header row.
+ * Blank headers get no key; when two headers map to the same key the first one wins, as when reading objects.
+ * @param {string[]} headerRow - First row of the sheet
+ * @param {Object<string, string>} [mapping] - schemaMappings of the sheet
+ * @returns {{ headers: string[], columns: Object<string, number>, width: number, lastColumn: string }}
+ */
+export function buildLayout(headerRow, mapping = {}) {
+  const headers = (headerRow || []).map(h => (h === undefined || h === null ? '' : String(h).trim()));
+  const columns = {};
+  headers.forEach((header, index) => {
+    if (header === '') return;
+    const key = headerToKey(header, mapping);
+    if (key && columns[key] === undefined) columns[key] = index;
+  });
+  const width = Math.max(headers.length, 1);
+  return { headers, columns, width, lastColumn: columnLetter(width - 1) };
+}
+
+/**
+ * Cells of a row by key; keys whose cell is past the end of the row are undefined
+ */
+export function rowToRecord(layout, row = []) {
+  const record = {};
+  for (const [key, index] of Object.entries(layout.columns)) {
+    record[key] = row[index];
+  }
+  return record;
+}
+
+/**
+ * Row values for a record, in header order and `layout.width` cells long.
+ * Starts from `base` (the stored row) so columns the record leaves out keep their values, including
+ * columns the API does not know; undefined fields are left out, null writes an empty cell.
+ * Fields without a column are ignored (see missingColumns).
+ */
+export function recordToRow(layout, record, base = []) {
+  const row = Array.from({ length: layout.width }, (_, i) => (base[i] === undefined || base[i] === null ? '' : base[i]));
+  for (const [key, value] of Object.entries(record || {})) {
+    const index = layout.columns[key];
+    if (index === undefined || value === undefined) continue;
+    row[index] = value === null ? '' : value;
+  }
+  return row;
+}
+
+/**
+ * Fields of a record with a value but no column in the layout, which recordToRow would drop
+ */
+export function missingColumns(layout, record) {
+  return Object.entries(record || {})
+    .filter(([key, value]) => value !== undefined && value !== null && value !== '' && layout.columns[key] === undefined)
+    .map(([key]) => key);
+}
+
+export default {
+  normalizeHeaderKey,
+  toCamelCase,
+  headerToKey,
+  columnLetter,
+  buildLayout,
+  rowToRecord,
+  recordToRow,
+  missingColumns
+};
@@ -0,0 +1,28 @@
+// Coalesce concurrent async calls by key (no side-effects beyond the calls themselves)
+
+/**
+ * Share one in-flight call per key: while a call for a key is pending, later calls for the same key get
+ * its promise instead of starting another. Once it settles the next call starts a new one.
+ * @returns {{ run: (key: string, fn: () => Promise<*>) => Promise<*>, pending: (key: string) => boolean }}
+ */
+export function createSingleFlight() {
+  const inFlight = new Map();
+
+  const run = (key, fn) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+
+  return {
+    run,
+    pending: (key) => inFlight.has(key)
+  };
+}
+
+export default {
+  createSingleFlight
+};
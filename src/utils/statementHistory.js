@@ -0,0 +1,116 @@
+// Pure period-over-period analytics for a debt's CreditHistory statements (no side-effects)
+
+import { buildEvents, sumPayments, toDateOnly } from './creditStatementCalculator.js';
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+const round4 = (n) => Number((Number(n) || 0).toFixed(4));
+
+// Payments within a cent of the amount due count as paying it in full
+const EPSILON = 0.005;
+
+// Utilization changes below one percentage point count as flat
+const FLAT_UTILIZATION = 0.01;
+
+/**
+ * Settled payments of a debt dated from the statement date to its due date, both included.
+ * Only payments with status 'paid' count: pending ones have not left the account yet.
+ */
+export function paymentsForStatement(expenses, debtId, statement) {
+  const paid = (expenses || []).filter(e => String(e?.status || '').toLowerCase() === 'paid');
+  const due = toDateOnly(statement.dueDate);
+  const endExclusive = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+  return sumPayments(buildEvents(paid, debtId, statement.statementDate, endExclusive));
+}
+
+/**
+ * Payment outcome of a statement: 'paid_in_full' when the payments cover installmentBalance,
+ * 'pending' while the due date has not passed, otherwise 'partial' or 'unpaid'
+ */
+export function paymentStatus(paymentMade, installmentBalance, dueDate, today) {
+  if (paymentMade + EPSILON >= (Number(installmentBalance) || 0)) return 'paid_in_full';
+  if (toDateOnly(today) <= toDateOnly(dueDate)) return 'pending';
+  return paymentMade > 0 ? 'partial' : 'unpaid';
+}
+
+/**
+ * Statements of a debt, oldest first, with derived metrics, plus a summary of the selected range.
+ * Metrics that compare with the previous period or accumulate over the year use the whole history,
+ * so narrowing the range does not change them.
+ * @param {Object[]} records - CreditHistory records of the debt
+ * @param {Object} options
+ * @param {string} options.debtId - Debt id
+ * @param {number} [options.creditLimit] - Debt credit limit; utilization is null without it
+ * @param {Object[]} [options.expenses] - Expense objects, for the payments made before each due date
+ * @param {string} [options.from] - YYYY-MM-DD, first statementDate included
+ * @param {string} [options.to] - YYYY-MM-DD, last statementDate included
+ * @param {Date} [options.today] - Reference date for pending statements (default now)
+ * @returns {{ statements: Object[], summary: Object }}
+ */
+export function buildStatementHistory(records, { debtId, creditLimit, expenses = [], from, to, today = new Date() }) {
+  const limit = Number(creditLimit) > 0 ? Number(creditLimit) : null;
+  const sorted = (records || [])
+    .filter(r => r && String(r.debtId) === String(debtId) && r.statementDate)
+    .sort((a, b) => (a.statementDate < b.statementDate ? -1 : a.statementDate > b.statementDate ? 1 : 0));
+
+  let previous = null;
+  let year = null;
+  let cumulativeInterest = 0;
+  const all = sorted.map((record) => {
+    const statementYear = String(record.statementDate).slice(0, 4);
+    if (statementYear !== year) {
+      year = statementYear;
+      cumulativeInterest = 0;
+    }
+    const interest = Number(record.interests) || 0;
+    cumulativeInterest += interest;
+
+    const paymentMade = paymentsForStatement(expenses, debtId, record);
+    const utilization = limit ? round4((Number(record.statementBalance) || 0) / limit) : null;
+    const row = {
+      ...record,
+      paymentMade,
+      interest: round2(interest),
+      interestChange: previous ? round2(interest - previous.interest) : null,
+      paymentStatus: paymentStatus(paymentMade, record.installmentBalance, record.dueDate, today),
+      utilization,
+      utilizationChange: previous && utilization !== null && previous.utilization !== null
+        ? round4(utilization - previous.utilization)
+        : null,
+      cumulativeInterestYtd: round2(cumulativeInterest)
+    };
+    row.paidInFull = row.paymentStatus === 'paid_in_full';
+    previous = row;
+    return row;
+  });
+
+  const statements = all.filter(r => (!from || r.statementDate >= from) && (!to || r.statementDate <= to));
+  const settled = statements.filter(r => r.paymentStatus !== 'pending');
+  const utilizations = statements.filter(r => r.utilization !== null).map(r => r.utilization);
+  const utilizationDelta = utilizations.length > 1 ? utilizations[utilizations.length - 1] - utilizations[0] : 0;
+  const interestByYear = {};
+  for (const r of statements) {
+    const key = String(r.statementDate).slice(0, 4);
+    interestByYear[key] = round2((interestByYear[key] || 0) + r.interest);
+  }
+
+  return {
+    statements,
+    summary: {
+      count: statements.length,
+      totalInterest: round2(statements.reduce((s, r) => s + r.interest, 0)),
+      interestByYear,
+      paidInFullCount: statements.filter(r => r.paidInFull).length,
+      paidInFullRate: settled.length > 0 ? round4(settled.filter(r => r.paidInFull).length / settled.length) : null,
+      averageUtilization: utilizations.length > 0 ? round4(utilizations.reduce((s, u) => s + u, 0) / utilizations.length) : null,
+      utilizationTrend: utilizations.length < 2
+        ? null
+        : (Math.abs(utilizationDelta) < FLAT_UTILIZATION ? 'flat' : (utilizationDelta > 0 ? 'rising' : 'falling'))
+    }
+  };
+}
+
+export default {
+  paymentsForStatement,
+  paymentStatus,
+  buildStatementHistory
+};
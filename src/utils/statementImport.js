@@ -0,0 +1,368 @@
+// Pure card statement import: issuer parsers for CSV/OFX exports and matching against expenses (no side-effects)
+// A parsed line is { line, date: 'YYYY-MM-DD', description, amount (> 0), entryType: 'charge'|'payment', reference }.
+
+import { parseCsv, parseAmount, parseDate, headerKey, findHeaderRow } from './csv.js';
+import { normalizeText } from './expenseQuery.js';
+import { daysBetween } from './overdue.js';
+
+export const STATEMENT_FORMATS = ['csv', 'ofx'];
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+const round4 = (n) => Number((Number(n) || 0).toFixed(4));
+
+// Amounts within half a cent are the same amount
+const EPSILON = 0.005;
+
+// A proposed expense takes the category of an existing expense at least this similar to it
+const CATEGORY_SIMILARITY = 0.5;
+
+/**
+ * Error raised for a statement file that cannot be read
+ */
+function statementError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_STATEMENT';
+  return error;
+}
+
+/**
+ * Registry key of an issuer name: "Banco Azteca" -> "bancoazteca"
+ */
+export function normalizeIssuer(issuer) {
+  return headerKey(issuer);
+}
+
+/**
+ * CSV statement parser. The header row is the first row naming a date, a description and an amount
+ * (or debit/credit) column; rows above it (account details) are ignored.
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='DD/MM/YYYY'] - Order of day and month in slash dates (see parseDate)
+ * @param {string} [options.decimalSeparator] - '.' or ','; guessed per value when omitted
+ * @param {boolean} [options.chargesAreNegative=false] - Sign of charges in a single amount column
+ * @param {Object<string, string|string[]>} [options.columns] - Header names per column, instead of the built-in aliases (see resolveColumns)
+ * @returns {(content: string) => { lines: Object[], skipped: Object[] }}
+ */
+export function createCsvStatementParser({ dateFormat = 'DD/MM/YYYY', decimalSeparator, chargesAreNegative = false, columns = {} } = {}) {
+  return (content) => {
+    const rows = parseCsv(content);
+    const header = findHeaderRow(rows, columns);
+    if (!header) {
+      throw statementError('CSV statement must have a header row with date, description and amount (or debit/credit) columns');
+    }
+
+    const { index: headerIndex, columns: index } = header;
+    const cell = (row, name) => (index[name] !== undefined ? row[index[name]] ?? '' : '');
+    const lines = [];
+    const skipped = [];
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+      const line = headerIndex + i + 2;
+      const date = parseDate(cell(row, 'date'), { format: dateFormat });
+      if (!date) {
+        skipped.push({ line, reason: `Unreadable date "${cell(row, 'date')}"` });
+        return;
+      }
+
+      let amount;
+      let entryType;
+      const debit = parseAmount(cell(row, 'debit'), { decimalSeparator });
+      const credit = parseAmount(cell(row, 'credit'), { decimalSeparator });
+      if (debit) {
+        amount = Math.abs(debit);
+        entryType = 'charge';
+      } else if (credit) {
+        amount = Math.abs(credit);
+        entryType = 'payment';
+      } else {
+        const value = parseAmount(cell(row, 'amount'), { decimalSeparator });
+        amount = Math.abs(value || 0);
+        entryType = (value < 0) === chargesAreNegative ? 'charge' : 'payment';
+      }
+      if (!(amount > 0)) {
+        skipped.push({ line, reason: 'Missing or zero amount' });
+        return;
+      }
+
+      lines.push({
+        line,
+        date,
+        description: cell(row, 'description'),
+        amount: round2(amount),
+        entryType,
+        reference: cell(row, 'reference') || null
+      });
+    });
+    return { lines, skipped };
+  };
+}
+
+/**
+ * OFX/QFX statement parser (SGML 1.x or XML 2.x). Each STMTTRN is a line; per the OFX spec a card
+ * charge has a negative TRNAMT unless chargesAreNegative is false.
+ * @param {Object} [options]
+ * @param {boolean} [options.chargesAreNegative=true]
+ * @returns {(content: string) => { lines: Object[], skipped: Object[] }}
+ */
+export function createOfxStatementParser({ chargesAreNegative = true } = {}) {
+  const field = (block, tag) => {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim().replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>') : '';
+  };
+
+  return (content) => {
+    const text = String(content ?? '');
+    if (!/<OFX>/i.test(text)) {
+      throw statementError('OFX statement must contain an <OFX> element');
+    }
+
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+    const lines = [];
+    const skipped = [];
+    blocks.forEach((block, i) => {
+      const line = i + 1;
+      const date = parseDate(field(block, 'DTPOSTED').slice(0, 8));
+      const value = parseAmount(field(block, 'TRNAMT'), { decimalSeparator: '.' });
+      if (!date) {
+        skipped.push({ line, reason: `Unreadable DTPOSTED "${field(block, 'DTPOSTED')}"` });
+        return;
+      }
+      if (!value) {
+        skipped.push({ line, reason: 'Missing or zero TRNAMT' });
+        return;
+      }
+
+      const name = field(block, 'NAME');
+      const memo = field(block, 'MEMO');
+      lines.push({
+        line,
+        date,
+        description: name && memo && memo !== name ? `${name} - ${memo}` : (name || memo),
+        amount: round2(Math.abs(value)),
+        entryType: (value < 0) === chargesAreNegative ? 'charge' : 'payment',
+        reference: field(block, 'FITID') || null
+      });
+    });
+    return { lines, skipped };
+  };
+}
+
+const GENERIC_PARSERS = {
+  csv: createCsvStatementParser(),
+  ofx: createOfxStatementParser()
+};
+
+const issuerParsers = new Map();
+
+/**
+ * Register the parsers of an issuer; formats it does not provide fall back to the generic ones.
+ * @param {string|string[]} issuers - Issuer name(s) as written in Debts.issuer
+ * @param {{ csv?: Function, ofx?: Function }} parsers - (content) => { lines, skipped }
+ */
+export function registerStatementParser(issuers, parsers) {
+  for (const issuer of [].concat(issuers)) {
+    issuerParsers.set(normalizeIssuer(issuer), parsers);
+  }
+}
+
+// American Express exports "Date,Description,Amount" with US dates and charges as positive amounts
+registerStatementParser(['amex', 'American Express'], {
+  csv: createCsvStatementParser({ dateFormat: 'MM/DD/YYYY', decimalSeparator: '.' })
+});
+
+/**
+ * Format of a statement file: 'ofx' when it has an OFX header or element, 'csv' otherwise
+ */
+export function detectStatementFormat(content) {
+  return /OFXHEADER|<OFX>/i.test(String(content ?? '').slice(0, 2048)) ? 'ofx' : 'csv';
+}
+
+/**
+ * Parser for an issuer and format: the issuer's own when registered, the generic one otherwise
+ * @returns {{ parser: string, parse: Function }} parser is the registry key used ('generic' for the fallback)
+ */
+export function resolveStatementParser(issuer, format) {
+  const key = normalizeIssuer(issuer);
+  const own = key ? issuerParsers.get(key) : null;
+  if (own && typeof own[format] === 'function') {
+    return { parser: key, parse: own[format] };
+  }
+  return { parser: 'generic', parse: GENERIC_PARSERS[format] };
+}
+
+/**
+ * Parse a statement export into lines
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' or 'ofx'; detected when omitted
+ * @param {string} [options.issuer] - Debts.issuer, selects the issuer's parser
+ * @returns {{ format: string, parser: string, lines: Object[], skipped: Object[] }}
+ * @throws {Error} code INVALID_STATEMENT when the file cannot be read or has no transactions
+ */
+export function parseStatement(content, { format, issuer } = {}) {
+  const resolvedFormat = format || detectStatementFormat(content);
+  if (!STATEMENT_FORMATS.includes(resolvedFormat)) {
+    throw statementError(`Unsupported statement format: ${resolvedFormat}`);
+  }
+  const { parser, parse } = resolveStatementParser(issuer, resolvedFormat);
+  const { lines, skipped } = parse(content);
+  if (lines.length === 0) {
+    throw statementError('Statement has no transactions');
+  }
+  return { format: resolvedFormat, parser, lines, skipped };
+}
+
+const tokens = (text) => normalizeText(text).split(/[^a-z0-9]+/).filter(t => t.length > 1);
+
+/**
+ * Similarity (0-1) of two descriptions by shared words; a word also matches a longer one it starts
+ * (banks truncate merchant names), so "WALMART SUPERC" and "Walmart supercenter" score 1
+ */
+export function descriptionSimilarity(a, b) {
+  const left = tokens(a);
+  const right = tokens(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  const same = (x, y) => x === y || (Math.min(x.length, y.length) >= 3 && (x.startsWith(y) || y.startsWith(x)));
+  const matchedLeft = left.filter(x => right.some(y => same(x, y))).length;
+  const matchedRight = right.filter(y => left.some(x => same(x, y))).length;
+  return round4((matchedLeft + matchedRight) / (left.length + right.length));
+}
+
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const entryTypeOf = (expense) => (String(expense?.entryType || '').toLowerCase() === 'payment' ? 'payment' : 'charge');
+
+/**
+ * Pair imported lines with existing expenses, one to one.
+ * A line pairs with an expense of the same amount dated within dateToleranceDays (and of the same entry type
+ * when the line has one); among candidates the closest date and most similar description win.
+ * @param {Object[]} lines - Imported lines ({ date, description, amount, entryType? })
+ * @param {Object[]} expenses - Candidate expenses
+ * @param {Object} [options]
+ * @param {number} [options.dateToleranceDays=3]
+ * @returns {Map<number, { expenseIndex, dayDifference, similarity, score }>} Line index -> paired expense
+ */
+export function pairLinesWithExpenses(lines, expenses, { dateToleranceDays = 3 } = {}) {
+  const candidates = [];
+  lines.forEach((line, lineIndex) => {
+    expenses.forEach((expense, expenseIndex) => {
+      if (line.entryType && entryTypeOf(expense) !== line.entryType) return;
+      if (Math.abs((Number(expense.amount) || 0) - line.amount) >= EPSILON) return;
+      const dayDifference = Math.abs(daysBetween(line.date, String(expense.date)));
+      if (!(dayDifference <= dateToleranceDays)) return;
+      const similarity = descriptionSimilarity(line.description, expense.description);
+      const score = round4(0.6 + 0.2 * (1 - dayDifference / (dateToleranceDays + 1)) + 0.2 * similarity);
+      candidates.push({ lineIndex, expenseIndex, dayDifference, similarity, score });
+    });
+  });
+
+  // Best pairs first, so a second identical purchase falls to the next line instead of stealing a match
+  candidates.sort((a, b) => (b.score - a.score) || (a.lineIndex - b.lineIndex));
+  const pairs = new Map();
+  const usedExpenses = new Set();
+  for (const candidate of candidates) {
+    if (pairs.has(candidate.lineIndex) || usedExpenses.has(candidate.expenseIndex)) continue;
+    pairs.set(candidate.lineIndex, candidate);
+    usedExpenses.add(candidate.expenseIndex);
+  }
+  return pairs;
+}
+
+/**
+ * Existing expense whose description is most similar to a new one (at least CATEGORY_SIMILARITY), to reuse its category
+ * @returns {{ expense: Object, similarity: number }|null}
+ */
+export function suggestCategory(description, expenses) {
+  let best = null;
+  for (const expense of expenses || []) {
+    if (!expense || expense.categoryId === undefined || expense.categoryId === null || expense.categoryId === '') continue;
+    const similarity = descriptionSimilarity(description, expense.description);
+    if (similarity >= CATEGORY_SIMILARITY && (!best || similarity > best.similarity)) best = { expense, similarity };
+  }
+  return best;
+}
+
+/**
+ * Match statement lines with the card's expenses and propose expenses for the rest.
+ * Lines pair with expenses of the debt as in pairLinesWithExpenses; cancelled expenses are never matched.
+ * @param {Object[]} lines - parseStatement lines
+ * @param {Object[]} expenses - Expense objects (all of them; only the debt's are matched, all suggest categories)
+ * @param {Object} options
+ * @param {string} options.debtId - Card (debt) id
+ * @param {number} [options.dateToleranceDays=3] - Posting delay accepted between the expense and the line
+ * @param {number|null} [options.defaultCategoryId=null] - Category of proposals with no similar expense
+ * @returns {{ matched: Object[], proposed: Object[], unmatchedExpenses: Object[], summary: Object }}
+ */
+export function matchStatementLines(lines, expenses, { debtId, dateToleranceDays = 3, defaultCategoryId = null }) {
+  const own = (expenses || []).filter(e => e && String(e.debtId) === String(debtId)
+    && String(e.status || '').toLowerCase() !== 'cancelled');
+  const lineMatches = pairLinesWithExpenses(lines, own, { dateToleranceDays });
+  const usedExpenses = new Set([...lineMatches.values()].map(m => m.expenseIndex));
+
+  const matched = [];
+  const proposed = [];
+  lines.forEach((line, lineIndex) => {
+    const match = lineMatches.get(lineIndex);
+    if (match) {
+      const expense = own[match.expenseIndex];
+      matched.push({
+        line,
+        expense: { id: expense.id, date: expense.date, description: expense.description, amount: expense.amount, entryType: entryTypeOf(expense), status: expense.status },
+        dayDifference: match.dayDifference,
+        similarity: match.similarity,
+        score: match.score
+      });
+      return;
+    }
+
+    const similar = suggestCategory(line.description, expenses);
+    proposed.push({
+      line,
+      expense: {
+        date: line.date,
+        description: line.description,
+        amount: line.amount,
+        categoryId: similar ? similar.expense.categoryId : defaultCategoryId,
+        debtId: String(debtId),
+        entryType: line.entryType,
+        status: 'paid'
+      },
+      categorySource: similar ? 'similar' : (defaultCategoryId !== null && defaultCategoryId !== undefined ? 'default' : null)
+    });
+  });
+
+  // Expenses of the card in the statement's dates (plus the tolerance) that no line accounts for
+  // (keyed twice, or not posted yet)
+  const dates = lines.map(l => l.date).sort();
+  const first = shiftDate(dates[0], -dateToleranceDays);
+  const last = shiftDate(dates[dates.length - 1], dateToleranceDays);
+  const unmatchedExpenses = own.filter((e, index) => !usedExpenses.has(index) && String(e.date) >= first && String(e.date) <= last);
+
+  const total = (type) => round2(lines.filter(l => l.entryType === type).reduce((s, l) => s + l.amount, 0));
+  return {
+    matched,
+    proposed,
+    unmatchedExpenses,
+    summary: {
+      lines: lines.length,
+      matched: matched.length,
+      proposed: proposed.length,
+      unmatchedExpenses: unmatchedExpenses.length,
+      totalCharges: total('charge'),
+      totalPayments: total('payment')
+    }
+  };
+}
+
+export default {
+  STATEMENT_FORMATS,
+  normalizeIssuer,
+  createCsvStatementParser,
+  createOfxStatementParser,
+  registerStatementParser,
+  detectStatementFormat,
+  resolveStatementParser,
+  parseStatement,
+  descriptionSimilarity,
+  pairLinesWithExpenses,
+  suggestCategory,
+  matchStatementLines
+};
@@ -0,0 +1,62 @@
+// Pure helpers that tell which sheets a Sheets API values call reads or writes (no side-effects)
+
+/**
+ * Sheet title of an A1 range: "Expenses!A:J" -> "Expenses", "'My Sheet'!B:B" -> "My Sheet"
+ */
+export function rangeSheetTitle(range) {
+  const text = decodeURIComponent(String(range || ''));
+  const bang = text.lastIndexOf('!');
+  const sheet = bang === -1 ? text : text.slice(0, bang);
+  return sheet.startsWith('\'') && sheet.endsWith('\'') ? sheet.slice(1, -1).replace(/''/g, '\'') : sheet;
+}
+
+/**
+ * Whole-sheet or whole-column read of a values endpoint ("/values/Expenses", "/values/Expenses!A:A"),
+ * the only reads worth caching: row ranges (the header row included) are used to check a single row
+ * right before writing it
+ * @returns {{ title: string, range: string }|null} range is '' for the whole sheet
+ */
+export function parseColumnsRead(endpoint) {
+  const [path] = String(endpoint || '').split('?');
+  const sheet = /^\/values\/([^:!]+)$/.exec(path);
+  if (sheet) return { title: rangeSheetTitle(sheet[1]), range: '' };
+  const match = /^\/values\/([^:]+![A-Z]+:[A-Z]+)$/i.exec(path);
+  if (!match) return null;
+  const range = decodeURIComponent(match[1]);
+  return { title: rangeSheetTitle(range), range: range.slice(range.lastIndexOf('!') + 1).toUpperCase() };
+}
+
+/**
+ * Sheets a write request may change
+ * @param {string} endpoint - Sheets API endpoint (relative to the spreadsheet)
+ * @param {string|Object} [body] - Request body (JSON string or object)
+ * @returns {string[]|null} Sheet titles, or null when any sheet may change (structural batchUpdate)
+ */
+export function writtenSheetTitles(endpoint, body) {
+  const [path] = String(endpoint || '').split('?');
+  if (path.startsWith('/values/')) {
+    return [rangeSheetTitle(path.slice('/values/'.length).replace(/:(append|clear)$/, ''))];
+  }
+
+  let payload = body;
+  if (typeof body === 'string') {
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+  if (path === '/values:batchUpdate') {
+    return [...new Set((payload?.data || []).map(d => rangeSheetTitle(d.range)))];
+  }
+  if (path === '/values:batchClear') {
+    return [...new Set((payload?.ranges || []).map(rangeSheetTitle))];
+  }
+  return null;
+}
+
+export default {
+  rangeSheetTitle,
+  parseColumnsRead,
+  writtenSheetTitles
+};
@@ -1,4 +1,4 @@
-﻿import { body } from 'express-validator';
+﻿import { body, query } from 'express-validator';
 
 /**
  * Validation rules for budget operations
@@ -11,7 +11,28 @@ export const budgetValidator = [
     
   body('amount')
     .isFloat({ min: 0 })
-    .withMessage('Amount must be a non-negative number')
+    .withMessage('Amount must be a non-negative number'),
+
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('categoryId must be an integer greater than or equal to 0 (omit it for the whole month budget)'),
+
+  body('rollover')
+    .optional()
+    .isBoolean()
+    .withMessage('rollover must be a boolean')
+];
+
+/**
+ * Validation rules for reading budget
+ * Query: month (optional, YYYY-MM) switches to budget vs actual for that month
+ */
+export const getBudgetValidator = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM')
 ];
 
 /**
@@ -1,4 +1,7 @@
 import { body, param, query } from 'express-validator';
+import { PAYOFF_STRATEGIES, EXPENSE_STATUSES, EXPENSE_ENTRY_TYPES } from '../config/constants.js';
+import { parseExtraPayments } from '../utils/amortization.js';
+import { STATEMENT_FORMATS } from '../utils/statementImport.js';
 
 /**
  * Validation rules for creating debts
@@ -144,16 +147,44 @@ export const getDebtInstallmentsValidator = [
     .withMessage('ID must be a string'),
 
   query('months')
-    .exists()
-    .withMessage('months is required')
+    .custom((value, { req }) => {
+      const given = ['months', 'targetDate', 'targetPayment'].filter(key => req.query[key] !== undefined);
+      if (given.length !== 1) {
+        throw new Error('Provide exactly one of months, targetDate or targetPayment');
+      }
+      return true;
+    })
     .bail()
+    .if(query('months').exists())
     .isInt({ min: 1, max: 120 })
     .withMessage('months must be an integer between 1 and 120'),
 
+  query('targetDate')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])(-\d{2})?$/)
+    .withMessage('targetDate must be a month (YYYY-MM)'),
+
+  query('targetPayment')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('targetPayment must be a number greater than 0'),
+
   query('start')
     .optional()
     .isISO8601({ strict: true })
-    .withMessage('start must be an ISO date (YYYY-MM-DD)')
+    .withMessage('start must be an ISO date (YYYY-MM-DD)'),
+
+  query('extraPayments')
+    .optional()
+    .custom((value) => {
+      parseExtraPayments(value);
+      return true;
+    }),
+
+  query('recurringExtra')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('recurringExtra must be a number greater than or equal to 0')
 ];
 
 /**
@@ -202,4 +233,265 @@ export const accrueDebtPreviewValidator = [
     .withMessage('recompute must be boolean')
 ];
 
+/**
+ * Validation rules for reading a debt ledger
+ * Query: limit (optional, last N entries)
+ */
+export const getDebtLedgerValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('limit must be an integer between 1 and 1000')
+];
+
+/**
+ * Validation rules for reading the statement history of a debt
+ * Query: from, to (optional, YYYY-MM-DD, statementDate range)
+ */
+export const getDebtStatementsValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from must be an ISO date (YYYY-MM-DD)'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('to must be an ISO date (YYYY-MM-DD)')
+    .bail()
+    .custom((value, { req }) => {
+      if (req.query.from && value < req.query.from) {
+        throw new Error('to must be on or after from');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for recomputing a debt balance from its ledger
+ * Query: apply (optional boolean, defaults to false)
+ */
+export const recomputeDebtBalanceValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  query('apply')
+    .optional()
+    .isBoolean()
+    .withMessage('apply must be boolean')
+];
+
+/**
+ * Validation rules for reconciling a debt balance with its last statement
+ * Query: apply (optional boolean, defaults to false)
+ */
+export const reconcileDebtValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  query('apply')
+    .optional()
+    .isBoolean()
+    .withMessage('apply must be boolean')
+];
+
+/**
+ * Validation rules for a debt payoff plan
+ * Body: monthlyBudget (> 0), strategy (optional, defaults to avalanche), order (debt ids, required for custom),
+ * startMonth (optional YYYY-MM)
+ */
+export const payoffPlanValidator = [
+  body('monthlyBudget')
+    .isFloat({ gt: 0 })
+    .withMessage('monthlyBudget must be a number greater than 0'),
+
+  body('strategy')
+    .optional()
+    .isIn(PAYOFF_STRATEGIES)
+    .withMessage(`strategy must be one of: ${PAYOFF_STRATEGIES.join(', ')}`),
+
+  body('order')
+    .if(body('strategy').equals('custom'))
+    .isArray({ min: 1 })
+    .withMessage('order must be a non-empty array of debt ids when strategy is custom'),
+
+  body('order')
+    .optional()
+    .isArray()
+    .withMessage('order must be an array of debt ids'),
+
+  body('order.*')
+    .isString()
+    .withMessage('order must contain debt ids'),
+
+  body('startMonth')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('startMonth must be YYYY-MM')
+];
+
+/**
+ * Validation rules for creating a purchase in installments on a card
+ */
+export const createInstallmentPurchaseValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('description must be at most 255 characters'),
+
+  body('totalAmount')
+    .isFloat({ gt: 0 })
+    .withMessage('totalAmount must be a number greater than 0'),
+
+  body('months')
+    .isInt({ min: 1, max: 60 })
+    .withMessage('months must be an integer between 1 and 60'),
+
+  body('annualRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('annualRate must be a number greater than or equal to 0 (0 for interest-free installments)'),
+
+  body('purchaseDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('purchaseDate must be an ISO date (YYYY-MM-DD)'),
+
+  body('startStatement')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('startStatement must be YYYY-MM')
+];
+
+/**
+ * Validation rules for listing the installment purchases of a card
+ */
+export const getInstallmentPurchasesValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string')
+];
+
+/**
+ * Validation rules for deleting a purchase in installments
+ */
+export const deleteInstallmentPurchaseValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  param('purchaseId')
+    .isString()
+    .withMessage('purchaseId must be a string')
+];
+
+/**
+ * Validation rules for remaining installment obligations
+ * Query: debtId (optional)
+ */
+export const getInstallmentObligationsValidator = [
+  query('debtId')
+    .optional()
+    .isString()
+    .withMessage('debtId must be a string')
+];
+
+/**
+ * Validation rules for previewing a card statement import
+ * Body: content (file text), format (optional csv|ofx, detected), issuer (optional, defaults to the debt's),
+ * dateToleranceDays (optional 0-31), defaultCategoryId (optional)
+ */
+export const previewStatementImportValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  body('content')
+    .isString()
+    .bail()
+    .custom((value) => value.trim() !== '')
+    .withMessage('content must be the non-empty text of the statement file'),
+
+  body('format')
+    .optional()
+    .isIn(STATEMENT_FORMATS)
+    .withMessage(`format must be one of: ${STATEMENT_FORMATS.join(', ')}`),
+
+  body('issuer')
+    .optional()
+    .isString()
+    .withMessage('issuer must be a string'),
+
+  body('dateToleranceDays')
+    .optional()
+    .isInt({ min: 0, max: 31 })
+    .withMessage('dateToleranceDays must be an integer between 0 and 31'),
+
+  body('defaultCategoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('defaultCategoryId must be an integer greater than or equal to 0')
+];
+
+/**
+ * Validation rules for confirming the lines of a card statement import
+ * Body: expenses (proposed expenses from the preview: date, description, amount, categoryId, entryType, status),
+ * skipDuplicates (optional boolean, defaults to true)
+ */
+export const confirmStatementImportValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string'),
+
+  body('expenses')
+    .isArray({ min: 1 })
+    .withMessage('expenses must be a non-empty array'),
+
+  body('expenses.*.date')
+    .isISO8601({ strict: true })
+    .withMessage('Each expense date must be an ISO date (YYYY-MM-DD)'),
+
+  body('expenses.*.description')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Each expense description must be between 1 and 255 characters'),
+
+  body('expenses.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Each expense amount must be a positive number greater than 0'),
+
+  body('expenses.*.categoryId')
+    .isInt({ min: 0 })
+    .withMessage('Each expense category ID must be an integer greater than or equal to 0'),
 
+  body('expenses.*.entryType')
+    .isIn(EXPENSE_ENTRY_TYPES)
+    .withMessage(`Each entryType must be one of: ${EXPENSE_ENTRY_TYPES.join(', ')}`),
+
+  body('expenses.*.status')
+    .optional()
+    .isIn(EXPENSE_STATUSES)
+    .withMessage(`Each status must be one of: ${EXPENSE_STATUSES.join(', ')}`),
+
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates must be boolean')
+];
@@ -1,4 +1,6 @@
-﻿import { body, param } from 'express-validator';
+﻿import { body, param, query } from 'express-validator';
+import { EXPENSE_STATUSES, EXPENSE_ENTRY_TYPES } from '../config/constants.js';
+import { EXPENSE_SORT_FIELDS, MAX_PAGE_LIMIT, parseList, parseSort } from '../utils/expenseQuery.js';
 
 /**
  * Validation rules for creating/updating expenses
@@ -257,3 +259,127 @@ export const deleteExpenseValidator = [
     .isString()
     .withMessage('ID param is required and must be a string')
 ];
+
+/**
+ * Validation rules for listing expenses
+ * Query: from, to (YYYY-MM-DD), month (YYYY-MM), categoryId, debtId, status, entryType (comma lists),
+ * isFixed, minAmount, maxAmount, q, sort, limit, offset | page | cursor
+ */
+export const listExpensesValidator = [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from must be an ISO date (YYYY-MM-DD)'),
+
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('to must be an ISO date (YYYY-MM-DD)'),
+
+  query('to').custom((value, { req }) => {
+    if (value && req.query.from && value < req.query.from) {
+      throw new Error('to must be on or after from');
+    }
+    return true;
+  }),
+
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM'),
+
+  query('categoryId')
+    .optional()
+    .custom(value => (parseList(value) || []).every(v => /^\d+$/.test(v)))
+    .withMessage('categoryId must be an integer or a comma separated list of integers'),
+
+  query('status')
+    .optional()
+    .custom(value => (parseList(value) || []).every(v => EXPENSE_STATUSES.includes(v.toLowerCase())))
+    .withMessage(`status must be one of: ${EXPENSE_STATUSES.join(', ')}`),
+
+  query('entryType')
+    .optional()
+    .custom(value => (parseList(value) || []).every(v => EXPENSE_ENTRY_TYPES.includes(v.toLowerCase())))
+    .withMessage(`entryType must be one of: ${EXPENSE_ENTRY_TYPES.join(', ')}`),
+
+  query('isFixed')
+    .optional()
+    .isBoolean()
+    .withMessage('isFixed must be boolean'),
+
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minAmount must be a number greater than or equal to 0'),
+
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('maxAmount must be a number greater than or equal to 0'),
+
+  query('q')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('q must be at most 255 characters'),
+
+  query('sort')
+    .optional()
+    .custom(value => parseSort(value).every(({ field }) => EXPENSE_SORT_FIELDS.includes(field)))
+    .withMessage(`sort must be a comma separated list of: ${EXPENSE_SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_LIMIT })
+    .withMessage(`limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be an integer greater than or equal to 0'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be an integer greater than or equal to 1'),
+
+  query('cursor').custom((value, { req }) => {
+    const modes = ['offset', 'page', 'cursor'].filter(key => req.query[key] !== undefined);
+    if (modes.length > 1) {
+      throw new Error(`Use only one of offset, page or cursor (got ${modes.join(', ')})`);
+    }
+    return true;
+  })
+];
+
+/**
+ * Validation rules for listing overdue expenses
+ * Query: today (YYYY-MM-DD, defaults to the server date), graceDays (defaults to OVERDUE_GRACE_DAYS)
+ */
+export const overdueExpensesValidator = [
+  query('today')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('today must be an ISO date (YYYY-MM-DD)'),
+
+  query('graceDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('graceDays must be an integer between 0 and 365')
+];
+
+/**
+ * Validation rules for marking overdue expenses
+ * Body: today, graceDays (same defaults as overdueExpensesValidator)
+ */
+export const markOverdueExpensesValidator = [
+  body('today')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('today must be an ISO date (YYYY-MM-DD)'),
+
+  body('graceDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('graceDays must be an integer between 0 and 365')
+];
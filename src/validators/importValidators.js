@@ -0,0 +1,111 @@
+import { body, param } from 'express-validator';
+import { EXPENSE_STATUSES, IMPORT_SIGN_CONVENTIONS, IMPORT_DATE_FORMATS } from '../config/constants.js';
+
+// Mapping fields shared by saved profiles and the inline mapping of an import
+const mappingRules = (prefix) => [
+  ...['dateColumn', 'descriptionColumn', 'amountColumn', 'debitColumn', 'creditColumn'].map(field =>
+    body(`${prefix}${field}`)
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage(`${field} must be a header name of at most 100 characters`)
+  ),
+
+  body(`${prefix}dateFormat`)
+    .optional({ values: 'null' })
+    .isIn(IMPORT_DATE_FORMATS)
+    .withMessage(`dateFormat must be one of: ${IMPORT_DATE_FORMATS.join(', ')}`),
+
+  body(`${prefix}decimalSeparator`)
+    .optional({ values: 'null' })
+    .isIn(['.', ','])
+    .withMessage('decimalSeparator must be "." or ","'),
+
+  body(`${prefix}signConvention`)
+    .optional({ values: 'null' })
+    .isIn(IMPORT_SIGN_CONVENTIONS)
+    .withMessage(`signConvention must be one of: ${IMPORT_SIGN_CONVENTIONS.join(', ')}`),
+
+  body(`${prefix}delimiter`)
+    .optional({ values: 'null' })
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('delimiter must be one of: comma, semicolon, tab, pipe'),
+
+  body(`${prefix}defaultCategoryId`)
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('defaultCategoryId must be an integer greater than or equal to 0')
+];
+
+/**
+ * Validation rules for saving a bank CSV import profile
+ */
+export const createImportProfileValidator = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+
+  ...mappingRules('')
+];
+
+/**
+ * Validation rules for deleting a bank CSV import profile
+ */
+export const deleteImportProfileValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID must be a string')
+];
+
+/**
+ * Validation rules for a bank CSV import
+ * Body: content (CSV text), profileId and/or mapping (profile fields for this import only), dryRun (default true),
+ * categoryId, dateToleranceDays (0-31, default 1), skipDuplicates (default true), status (default paid)
+ */
+export const importCsvValidator = [
+  body('content')
+    .isString()
+    .bail()
+    .custom((value) => value.trim() !== '')
+    .withMessage('content must be the non-empty text of the CSV file'),
+
+  body('profileId')
+    .optional()
+    .isString()
+    .withMessage('profileId must be a string'),
+
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('mapping must be an object'),
+
+  ...mappingRules('mapping.'),
+
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be boolean'),
+
+  body('categoryId')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('categoryId must be an integer greater than or equal to 0'),
+
+  body('dateToleranceDays')
+    .optional()
+    .isInt({ min: 0, max: 31 })
+    .withMessage('dateToleranceDays must be an integer between 0 and 31'),
+
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates must be boolean'),
+
+  body('status')
+    .optional()
+    .isIn(EXPENSE_STATUSES)
+    .withMessage(`status must be one of: ${EXPENSE_STATUSES.join(', ')}`)
+];
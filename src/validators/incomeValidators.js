@@ -0,0 +1,179 @@
+import { body, param, query } from 'express-validator';
+import { INCOME_TYPES, INCOME_STATUSES } from '../config/constants.js';
+
+/**
+ * Validation rules for listing incomes
+ * Query: month (optional, YYYY-MM)
+ */
+export const listIncomesValidator = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM')
+];
+
+/**
+ * Validation rules for creating incomes
+ */
+export const createIncomeValidator = [
+  body('id')
+    .optional()
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('ID must be a string or number'),
+
+  body('date')
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+
+  body('type')
+    .optional()
+    .isIn(INCOME_TYPES)
+    .withMessage(`Type must be one of: ${INCOME_TYPES.join(', ')}`),
+
+  body('status')
+    .optional()
+    .isIn(INCOME_STATUSES)
+    .withMessage(`Status must be one of: ${INCOME_STATUSES.join(', ')}`),
+
+  body('recurringIncomeId')
+    .optional({ values: 'null' })
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('recurringIncomeId must be a string or number')
+];
+
+/**
+ * Validation rules for updating incomes
+ */
+export const updateIncomeValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID param is required and must be a string'),
+
+  body('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Date must be a valid ISO 8601 date (YYYY-MM-DD)'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+
+  body('type')
+    .optional()
+    .isIn(INCOME_TYPES)
+    .withMessage(`Type must be one of: ${INCOME_TYPES.join(', ')}`),
+
+  body('status')
+    .optional()
+    .isIn(INCOME_STATUSES)
+    .withMessage(`Status must be one of: ${INCOME_STATUSES.join(', ')}`),
+
+  body('recurringIncomeId')
+    .optional({ values: 'null' })
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('recurringIncomeId must be a string or number')
+];
+
+/**
+ * Validation rules for creating recurring incomes
+ */
+export const createRecurringIncomeValidator = [
+  body('id')
+    .optional()
+    .custom(value => typeof value === 'string' || typeof value === 'number')
+    .withMessage('ID must be a string or number'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+
+  body('type')
+    .optional()
+    .isIn(INCOME_TYPES)
+    .withMessage(`Type must be one of: ${INCOME_TYPES.join(', ')}`),
+
+  body('dayOfMonth')
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+/**
+ * Validation rules for updating recurring incomes
+ */
+export const updateRecurringIncomeValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID param is required and must be a string'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number greater than 0'),
+
+  body('type')
+    .optional()
+    .isIn(INCOME_TYPES)
+    .withMessage(`Type must be one of: ${INCOME_TYPES.join(', ')}`),
+
+  body('dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31'),
+
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+/**
+ * Validation rules for routes with an id param
+ */
+export const incomeIdValidator = [
+  param('id')
+    .isString()
+    .withMessage('ID param is required and must be a string')
+];
+
+/**
+ * Validation rules for generating recurring incomes
+ */
+export const generateRecurringIncomesValidator = [
+  body('month')
+    .isString()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format')
+];
@@ -0,0 +1,24 @@
+import { query } from 'express-validator';
+
+/**
+ * Validation rules for listing job runs
+ * Query: job, runKey, limit (1-500, default 50)
+ */
+export const listJobRunsValidator = [
+  query('job')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('job must be a job name'),
+
+  query('runKey')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('runKey must be a string'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('limit must be an integer between 1 and 500')
+];
@@ -0,0 +1,12 @@
+import { query } from 'express-validator';
+
+/**
+ * Validation rules for the monthly report
+ * Query: month (optional, YYYY-MM, defaults to the current month)
+ */
+export const monthlyReportValidator = [
+  query('month')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM')
+];
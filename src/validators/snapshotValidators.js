@@ -0,0 +1,10 @@
+import { query } from 'express-validator';
+import { SNAPSHOT_SECTIONS } from '../config/constants.js';
+import { parseList } from '../utils/expenseQuery.js';
+
+export const snapshotValidator = [
+  query('include')
+    .optional()
+    .custom(value => (parseList(value) || []).every(v => SNAPSHOT_SECTIONS.includes(v)))
+    .withMessage(`include must be a comma separated list of: ${SNAPSHOT_SECTIONS.join(', ')}`)
+];
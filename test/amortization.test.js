@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { annuityPayment, solveMonths, monthsBetween, parseExtraPayments, buildAmortizationSchedule, compareSchedules } from '../src/utils/amortization.js';
+
+const start = new Date(2025, 0, 15);
+
+describe('annuityPayment', () => {
+  it('splits the principal evenly without interest', () => {
+    assert.equal(annuityPayment(1200, 0, 12), 100);
+  });
+
+  it('uses the annuity formula with interest', () => {
+    assert.ok(Math.abs(annuityPayment(1000, 0.01, 12) - 88.8488) < 1e-4);
+  });
+});
+
+describe('solveMonths', () => {
+  it('is the inverse of annuityPayment', () => {
+    assert.equal(solveMonths(1000, 0.01, annuityPayment(1000, 0.01, 12)), 12);
+    assert.equal(solveMonths(1000, 0, 300), 4);
+  });
+
+  it('returns null when the payment does not cover the interest', () => {
+    assert.equal(solveMonths(1000, 0.05, 50), null);
+    assert.equal(solveMonths(1000, 0.05, 0), null);
+  });
+});
+
+describe('monthsBetween', () => {
+  it('counts both ends and never goes negative', () => {
+    assert.equal(monthsBetween('2025-01', '2025-12'), 12);
+    assert.equal(monthsBetween('2025-11', '2026-02'), 4);
+    assert.equal(monthsBetween('2025-05', '2025-04'), 0);
+  });
+});
+
+describe('parseExtraPayments', () => {
+  it('parses comma separated and repeated values', () => {
+    assert.deepEqual(parseExtraPayments('2025-12:500, 2026-06-15:1000.5'), [
+      { month: '2025-12', amount: 500 },
+      { month: '2026-06', amount: 1000.5 }
+    ]);
+    assert.equal(parseExtraPayments(['2025-12:500', '2026-01:20']).length, 2);
+    assert.deepEqual(parseExtraPayments(undefined), []);
+  });
+
+  it('rejects malformed entries and zero amounts', () => {
+    assert.throws(() => parseExtraPayments('2025-13:500'), /Invalid extra payment/);
+    assert.throws(() => parseExtraPayments('2025-12'), /Invalid extra payment/);
+    assert.throws(() => parseExtraPayments('2025-12:0'), /Invalid extra payment/);
+  });
+});
+
+describe('buildAmortizationSchedule', () => {
+  it('pays off the principal in the given months', () => {
+    const result = buildAmortizationSchedule({ principal: 1200, monthlyRate: 0, payment: 100, months: 12, startDate: start });
+    assert.equal(result.months, 12);
+    assert.equal(result.paidOff, true);
+    assert.equal(result.payoffDate, '2025-12-01');
+    assert.equal(result.schedule[0].date, '2025-01-01');
+    assert.equal(result.totals.totalPaid, 1200);
+    assert.equal(result.totals.totalExtra, 0);
+  });
+
+  it('applies one-off and recurring extras to principal and caps the last payment', () => {
+    const result = buildAmortizationSchedule({
+      principal: 1200,
+      monthlyRate: 0,
+      payment: 100,
+      months: 12,
+      startDate: start,
+      extraPayments: [{ month: '2025-03', amount: 250 }],
+      recurringExtra: 50
+    });
+    assert.deepEqual(result.schedule[2], { period: 3, date: '2025-03-01', payment: 100, extra: 300, interest: 0, principal: 400, remainingBalance: 500 });
+    assert.equal(result.months, 7);
+    assert.equal(result.schedule[6].payment, 50);
+    assert.equal(result.schedule[6].extra, 0);
+    assert.equal(result.totals.totalPaid, 1200);
+  });
+
+  it('stops at the months limit when the balance is not paid off', () => {
+    const result = buildAmortizationSchedule({ principal: 1000, monthlyRate: 0.05, payment: 40, months: 6, startDate: start });
+    assert.equal(result.months, 6);
+    assert.equal(result.paidOff, false);
+    assert.equal(result.payoffDate, null);
+  });
+});
+
+describe('compareSchedules', () => {
+  it('reports the interest and months saved by extras', () => {
+    const params = { principal: 5000, monthlyRate: 0.02, payment: annuityPayment(5000, 0.02, 24), months: 24, startDate: start };
+    const baseline = buildAmortizationSchedule(params);
+    const scenario = buildAmortizationSchedule({ ...params, extraPayments: [{ month: '2025-06', amount: 1000 }] });
+    const savings = compareSchedules(baseline, scenario);
+    assert.ok(savings.interest > 0);
+    assert.ok(savings.months > 0);
+    assert.equal(savings.baselinePayoffDate, '2026-12-01');
+    assert.equal(savings.scenarioPayoffDate, scenario.payoffDate);
+  });
+});
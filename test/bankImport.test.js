@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveImportProfile, parseBankCsv, planBankImport } from '../src/utils/bankImport.js';
+
+const csv = [
+  'Banco Ejemplo;Cuenta 0123',
+  'Fecha valor;Movimiento;Importe (MXN)',
+  '02/01/2025;SUPERMERCADO CENTRAL;-1.250,40',
+  '03/01/2025;NOMINA ENERO;15.000,00',
+  '04/01/2025;CFE LUZ;-480,00',
+  '05/01/2025;COMISION;0'
+].join('\n');
+
+const profile = resolveImportProfile({ dateColumn: 'Fecha valor', descriptionColumn: 'movimiento', amountColumn: 'Importe (MXN)', decimalSeparator: ',' });
+
+describe('resolveImportProfile', () => {
+  it('layers defaults, saved profile and request fields, ignoring empty values', () => {
+    const resolved = resolveImportProfile({ dateFormat: 'MM/DD/YYYY', defaultCategoryId: 4 }, { dateFormat: '', signConvention: 'positive_is_expense' });
+    assert.equal(resolved.dateFormat, 'MM/DD/YYYY');
+    assert.equal(resolved.defaultCategoryId, 4);
+    assert.equal(resolved.signConvention, 'positive_is_expense');
+    assert.equal(resolved.amountColumn, null);
+  });
+});
+
+describe('parseBankCsv', () => {
+  it('reads the mapped columns with the profile number and sign format', () => {
+    const { rows, skipped } = parseBankCsv(csv, profile);
+    assert.deepEqual(rows.map(r => [r.line, r.date, r.amount, r.direction]), [
+      [3, '2025-01-02', 1250.4, 'out'],
+      [4, '2025-01-03', 15000, 'in'],
+      [5, '2025-01-04', 480, 'out']
+    ]);
+    assert.deepEqual(skipped, [{ line: 6, reason: 'Missing or zero amount' }]);
+  });
+
+  it('honors positive_is_expense and debit/credit columns', () => {
+    const positive = parseBankCsv('date,description,amount\n2025-01-02,Cafe,35', resolveImportProfile({ signConvention: 'positive_is_expense' }));
+    assert.equal(positive.rows[0].direction, 'out');
+    const split = parseBankCsv('Fecha,Concepto,Retiros,Depositos\n2025-01-02,Cafe,35,\n2025-01-03,Sueldo,,100', resolveImportProfile());
+    assert.deepEqual(split.rows.map(r => r.direction), ['out', 'in']);
+  });
+
+  it('fails when the profile columns are not in the file', () => {
+    assert.throws(() => parseBankCsv(csv, resolveImportProfile({ dateColumn: 'Fecha operacion' })), (e) => e.code === 'INVALID_IMPORT' && /Fecha operacion/.test(e.message));
+  });
+});
+
+describe('planBankImport', () => {
+  const { rows } = parseBankCsv(csv, profile);
+  const expenses = [
+    { id: 'e1', date: '2025-01-03', description: 'Super', amount: 1250.4, categoryId: 1, status: 'paid' },
+    { id: 'e2', date: '2024-12-04', description: 'CFE luz diciembre', amount: 455, categoryId: 6, status: 'paid' },
+    { id: 'e3', date: '2025-01-04', description: 'Luz', amount: 480, categoryId: 6, status: 'cancelled' },
+    { id: 'e4', date: '2025-01-04', description: 'Tienda', amount: 480, categoryId: 2, debtId: 'visa', entryType: 'charge', status: 'paid' }
+  ];
+
+  it('flags duplicates, proposes the rest and leaves money in aside', () => {
+    const plan = planBankImport(rows, expenses, { defaultCategoryId: 9 });
+    assert.deepEqual(plan.duplicates.map(d => [d.line.line, d.expense.id]), [[3, 'e1']]);
+    assert.deepEqual(plan.toCreate.map(t => [t.line.line, t.expense.categoryId, t.categorySource]), [[5, 6, 'similar']]);
+    assert.deepEqual(plan.toCreate[0].expense, { date: '2025-01-04', description: 'CFE LUZ', amount: 480, categoryId: 6, status: 'paid' });
+    assert.deepEqual(plan.incoming.map(r => r.line), [4]);
+    assert.deepEqual(plan.summary, { rows: 3, toCreate: 1, duplicates: 1, incoming: 1, totalToCreate: 480, totalIncoming: 15000 });
+  });
+
+  it('does not treat expenses outside the tolerance as duplicates', () => {
+    const plan = planBankImport(rows, expenses, { dateToleranceDays: 0 });
+    assert.equal(plan.duplicates.length, 0);
+    assert.equal(plan.toCreate.length, 2);
+  });
+});
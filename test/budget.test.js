@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { countsAsSpend, resolveBudgets, resolveMonthBudget, buildBudgetVsActual } from '../src/utils/budget.js';
+
+const rows = [
+  { month: '2025-01', amount: 5000, categoryId: null, rollover: false },
+  { month: '2025-01', amount: 2000, categoryId: 1, rollover: true },
+  { month: '2025-02', amount: 2500, categoryId: 1, rollover: false },
+  { month: '2025-03', amount: 800, categoryId: 3, rollover: true },
+  { month: '2025-05', amount: 1500, categoryId: 1, rollover: true },
+  { month: '2025-04', amount: 9000, categoryId: null, rollover: true },
+  { month: 'bad', amount: 1, categoryId: 1, rollover: true }
+];
+
+const plain = (map) => Object.fromEntries([...map.entries()].map(([k, v]) => [k, v]));
+
+describe('countsAsSpend', () => {
+  it('counts paid, pending (default) and overdue charges only', () => {
+    assert.equal(countsAsSpend({ status: 'paid' }), true);
+    assert.equal(countsAsSpend({}), true);
+    assert.equal(countsAsSpend({ status: 'OVERDUE' }), true);
+    assert.equal(countsAsSpend({ status: 'cancelled' }), false);
+    assert.equal(countsAsSpend({ status: 'skipped' }), false);
+    assert.equal(countsAsSpend({ status: 'paid', entryType: 'payment' }), false);
+    assert.equal(countsAsSpend({ status: 'paid', entryType: 'charge' }), true);
+  });
+});
+
+describe('resolveBudgets', () => {
+  const table = [
+    {
+      month: '2025-01',
+      total: { amount: 5000, source: 'explicit', fromMonth: '2025-01' },
+      categories: { 1: { amount: 2000, source: 'explicit', fromMonth: '2025-01' } }
+    },
+    {
+      name: 'a one-off row overrides the rolled budget only in its month',
+      month: '2025-02',
+      total: null,
+      categories: { 1: { amount: 2500, source: 'explicit', fromMonth: '2025-02' } }
+    },
+    {
+      month: '2025-03',
+      total: null,
+      categories: {
+        1: { amount: 2000, source: 'rollover', fromMonth: '2025-01' },
+        3: { amount: 800, source: 'explicit', fromMonth: '2025-03' }
+      }
+    },
+    {
+      name: 'the latest rollover row wins, regardless of sheet order',
+      month: '2025-07',
+      total: { amount: 9000, source: 'rollover', fromMonth: '2025-04' },
+      categories: {
+        1: { amount: 1500, source: 'rollover', fromMonth: '2025-05' },
+        3: { amount: 800, source: 'rollover', fromMonth: '2025-03' }
+      }
+    },
+    { month: '2024-12', total: null, categories: {} }
+  ];
+
+  for (const { name, month, total, categories } of table) {
+    it(name || month, () => {
+      const resolved = resolveBudgets(rows, month);
+      assert.deepEqual(resolved.total, total);
+      assert.deepEqual(plain(resolved.categories), categories);
+    });
+  }
+});
+
+describe('resolveMonthBudget', () => {
+  it('prefers the month row and falls back to the sum of categories', () => {
+    assert.deepEqual(resolveMonthBudget(rows, '2025-01'), { amount: 5000, source: 'explicit' });
+    assert.deepEqual(resolveMonthBudget(rows, '2025-03'), { amount: 2800, source: 'categories' });
+    assert.deepEqual(resolveMonthBudget(rows, '2025-04'), { amount: 9000, source: 'explicit' });
+    assert.equal(resolveMonthBudget(rows, '2024-12'), null);
+  });
+});
+
+describe('buildBudgetVsActual', () => {
+  const expenses = [
+    { date: '2025-03-02', amount: 1200, categoryId: 1, status: 'paid' },
+    { date: '2025-03-05', amount: 300, categoryId: 1, status: 'pending' },
+    { date: '2025-03-06', amount: 900, categoryId: 3, status: 'overdue' },
+    { date: '2025-03-07', amount: 400, categoryId: 5, status: 'paid' },
+    { date: '2025-03-08', amount: 999, categoryId: 1, status: 'cancelled' },
+    { date: '2025-03-09', amount: 700, categoryId: 7, status: 'paid', debtId: 'card', entryType: 'payment' },
+    { date: '2025-04-01', amount: 50, categoryId: 1, status: 'paid' }
+  ];
+  const categories = [{ id: '1', name: 'Comida' }, { id: '3', name: 'Transporte' }, { id: '5', name: 'Ocio' }];
+
+  it('compares each category and the month total', () => {
+    const result = buildBudgetVsActual({ month: '2025-03', budget: rows, expenses, categories });
+    assert.deepEqual(result, {
+      month: '2025-03',
+      total: { budget: 2800, actual: 2800, remaining: 0, usedPercent: 100, source: 'categories' },
+      categories: [
+        { categoryId: 1, name: 'Comida', budget: 2000, actual: 1500, remaining: 500, usedPercent: 75, source: 'rollover', fromMonth: '2025-01' },
+        { categoryId: 3, name: 'Transporte', budget: 800, actual: 900, remaining: -100, usedPercent: 112.5, source: 'explicit', fromMonth: '2025-03' },
+        { categoryId: 5, name: 'Ocio', budget: null, actual: 400, remaining: null, usedPercent: null, source: null, fromMonth: null }
+      ],
+      unbudgetedActual: 400
+    });
+  });
+
+  it('handles a month without budgets', () => {
+    const result = buildBudgetVsActual({ month: '2024-12', budget: rows, expenses: [] });
+    assert.deepEqual(result.total, { budget: null, actual: 0, remaining: null, usedPercent: null, source: null });
+    assert.deepEqual(result.categories, []);
+  });
+});
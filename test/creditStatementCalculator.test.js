@@ -0,0 +1,206 @@
+// Statement dates are built with local-time Date parts and serialized with toISOString,
+// so run the fixtures in UTC to keep them machine-independent
+process.env.TZ = 'UTC';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  normalizeAnnualRateToUnit,
+  clampDay,
+  daysBetween,
+  resolvePeriodBounds,
+  buildEvents,
+  sumCharges,
+  sumPayments,
+  computeExpectedBalance,
+  computeSpdInterests,
+  computeInterestCarryOver,
+  computeStatement,
+  computeInstallmentBalance,
+  calculateStatement
+} from '../src/utils/creditStatementCalculator.js';
+
+const cases = JSON.parse(readFileSync(new URL('./fixtures/creditStatementCases.json', import.meta.url), 'utf-8'));
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+const assertClose = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+};
+
+describe('normalizeAnnualRateToUnit', () => {
+  const table = [
+    [44.1, 0.441],
+    [0.441, 0.441],
+    ['36.5', 0.365],
+    [1, 1],
+    [0, 0],
+    [null, 0],
+    [undefined, 0],
+    ['abc', 0]
+  ];
+
+  for (const [input, expected] of table) {
+    it(`${JSON.stringify(input)} -> ${expected}`, () => {
+      assertClose(normalizeAnnualRateToUnit(input), expected, 'rate');
+    });
+  }
+});
+
+describe('clampDay', () => {
+  it('clamps to the last day of the month', () => {
+    assert.equal(clampDay(2025, 1, 31), 28);
+    assert.equal(clampDay(2024, 1, 31), 29);
+    assert.equal(clampDay(2025, 3, 31), 30);
+    assert.equal(clampDay(2025, 0, 31), 31);
+  });
+
+  it('never goes below the first day', () => {
+    assert.equal(clampDay(2025, 0, 0), 1);
+    assert.equal(clampDay(2025, 0, -5), 1);
+  });
+});
+
+describe('daysBetween', () => {
+  it('counts whole days between date-only values', () => {
+    assert.equal(daysBetween('2025-01-31', '2025-02-28'), 28);
+    assert.equal(daysBetween('2024-01-31', '2024-02-29'), 29);
+    assert.equal(daysBetween('2025-03-10', '2025-03-10'), 0);
+    assert.equal(daysBetween('2025-03-10', '2025-03-01'), -9);
+  });
+
+  it('returns 0 when a bound is missing', () => {
+    assert.equal(daysBetween(null, '2025-01-01'), 0);
+    assert.equal(daysBetween('2025-01-01', undefined), 0);
+  });
+});
+
+describe('resolvePeriodBounds', () => {
+  for (const { name, debt, base, expected } of cases.resolvePeriodBounds) {
+    it(name, () => {
+      const bounds = resolvePeriodBounds(debt, base);
+      for (const [key, value] of Object.entries(expected)) {
+        const actual = bounds[key] instanceof Date ? isoDate(bounds[key]) : bounds[key];
+        assert.equal(actual, value, key);
+      }
+    });
+  }
+});
+
+describe('buildEvents', () => {
+  for (const { name, debtId, start, end, expenses, expected } of cases.buildEvents) {
+    it(name, () => {
+      const events = buildEvents(expenses, debtId, start, end);
+      assert.deepEqual(
+        events.map(e => ({ date: isoDate(e.date), kind: e.kind, amount: e.amount })),
+        expected
+      );
+    });
+  }
+
+  it('sums charges and payments rounded to cents', () => {
+    const events = buildEvents([
+      { debtId: 'd', date: '2025-01-02', entryType: 'charge', amount: 0.1 },
+      { debtId: 'd', date: '2025-01-03', entryType: 'charge', amount: 0.2 },
+      { debtId: 'd', date: '2025-01-04', entryType: 'payment', amount: 10.005 }
+    ], 'd', '2025-01-01', '2025-02-01');
+    assert.equal(sumCharges(events), 0.3);
+    assert.equal(sumPayments(events), 10.01);
+  });
+});
+
+describe('computeExpectedBalance', () => {
+  const statement = { statementDate: '2025-03-20', statementBalance: 1000 };
+  const expenses = [
+    { debtId: 'd', date: '2025-03-19', entryType: 'charge', amount: 50 },
+    { debtId: 'd', date: '2025-03-20', entryType: 'charge', amount: 100 },
+    { debtId: 'd', date: '2025-03-25', entryType: 'payment', status: 'paid', amount: 300 },
+    { debtId: 'd', date: '2025-03-26', entryType: 'payment', status: 'pending', amount: 200 },
+    { debtId: 'd', date: '2025-05-01', entryType: 'charge', amount: 40.5 },
+    { debtId: 'other', date: '2025-03-22', entryType: 'charge', amount: 999 },
+    { date: '2025-03-22', amount: 10 }
+  ];
+
+  it('adds charges and paid payments from the statement date on, with no upper bound', () => {
+    const result = computeExpectedBalance(statement, expenses, 'd');
+    assert.deepEqual(result, {
+      statementBalance: 1000,
+      charges: 140.5,
+      payments: 300,
+      pendingPayments: 200,
+      events: 3,
+      expectedBalance: 840.5
+    });
+  });
+
+  it('returns the statement balance when nothing happened since', () => {
+    const result = computeExpectedBalance(statement, [], 'd');
+    assert.equal(result.expectedBalance, 1000);
+    assert.equal(result.events, 0);
+  });
+});
+
+describe('computeSpdInterests', () => {
+  for (const { name, previousBalance, events, annualRateUnit, start, end, expected } of cases.computeSpdInterests) {
+    it(name, () => {
+      const parsedEvents = buildEvents(
+        events.map(e => ({ ...e, debtId: 'd', entryType: e.kind })),
+        'd',
+        start,
+        end
+      );
+      const result = computeSpdInterests(previousBalance, parsedEvents, annualRateUnit, start, end);
+      assertClose(result.interestSobreSaldo, expected.interestSobreSaldo, 'interestSobreSaldo');
+      assertClose(result.interestBonificable, expected.interestBonificable, 'interestBonificable');
+    });
+  }
+});
+
+describe('computeInterestCarryOver', () => {
+  for (const { name, previousRecord, paid, expected } of cases.computeInterestCarryOver) {
+    it(name, () => {
+      assertClose(computeInterestCarryOver(previousRecord, paid), expected, 'carry-over');
+    });
+  }
+});
+
+describe('computeStatement / computeInstallmentBalance', () => {
+  it('adds charges and interests, subtracts payments and floors at zero', () => {
+    assert.equal(computeStatement(1000, 280, 27, 0), 1307);
+    assert.equal(computeStatement(100, 0, 0, 500), 0);
+    assert.equal(computeStatement('10.10', '0.2', null, undefined), 10.3);
+  });
+
+  it('adds the bonifiable interest to the statement balance', () => {
+    assert.equal(computeInstallmentBalance(1307, 3.64), 1310.64);
+    assert.equal(computeInstallmentBalance(null, null), 0);
+  });
+});
+
+describe('calculateStatement', () => {
+  for (const { name, debt, periodDate, options, expenses, expected } of cases.calculateStatement) {
+    it(name, () => {
+      const statement = calculateStatement({ debt, expenses, periodDate }, options);
+      const { dates, ...totals } = expected;
+      for (const [key, value] of Object.entries(totals)) {
+        assertClose(statement[key], value, key);
+      }
+      for (const [key, value] of Object.entries(dates || {})) {
+        assert.equal(statement.dates[key], value, `dates.${key}`);
+      }
+    });
+  }
+
+  it('adds only the installment of purchases in installments billed on the statement', () => {
+    const debt = { id: 'card-0', cutOffDay: 15, dueDay: 5, interesEfectivo: 0, balance: 0 };
+    const installmentPurchases = [
+      { id: 'p1', debtId: 'card-0', totalAmount: 900, months: 3, annualRate: 0, startStatement: '2025-02' },
+      { id: 'p2', debtId: 'other', totalAmount: 500, months: 1, annualRate: 0, startStatement: '2025-03' }
+    ];
+    const statement = calculateStatement({ debt, expenses: [], installmentPurchases, periodDate: '2025-03-20' }, { previousBalance: 0 });
+    assert.equal(statement.charges, 300);
+    assert.equal(statement.statementBalance, 300);
+    assert.deepEqual(statement.installments.items.map(i => [i.purchaseId, i.number]), [['p1', 2]]);
+  });
+});
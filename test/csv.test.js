@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseCsv, parseAmount, parseDate } from '../src/utils/csv.js';
+
+describe('detectDelimiter', () => {
+  it('picks the most frequent delimiter of the first line', () => {
+    assert.equal(detectDelimiter('a;b;c\n1,5;2;3'), ';');
+    assert.equal(detectDelimiter('a\tb\n1\t2'), '\t');
+    assert.equal(detectDelimiter('single'), ',');
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes, CRLF, a BOM and blank lines', () => {
+    const text = '﻿date,description,amount\r\n2025-01-02,"OXXO, Centro",12.50\r\n\r\n2025-01-03,"Say ""hi""", 3\n';
+    assert.deepEqual(parseCsv(text), [
+      ['date', 'description', 'amount'],
+      ['2025-01-02', 'OXXO, Centro', '12.50'],
+      ['2025-01-03', 'Say "hi"', '3']
+    ]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('reads the usual bank notations', () => {
+    assert.equal(parseAmount('$1,234.56'), 1234.56);
+    assert.equal(parseAmount('1.234,56'), 1234.56);
+    assert.equal(parseAmount('12,50'), 12.5);
+    assert.equal(parseAmount('1,234'), 1234);
+    assert.equal(parseAmount('(45.00)'), -45);
+    assert.equal(parseAmount('45.00-'), -45);
+    assert.equal(parseAmount('-1 200,5', { decimalSeparator: ',' }), -1200.5);
+  });
+
+  it('returns null for blanks and text', () => {
+    assert.equal(parseAmount(''), null);
+    assert.equal(parseAmount('n/a'), null);
+  });
+});
+
+describe('parseDate', () => {
+  it('normalizes to YYYY-MM-DD', () => {
+    assert.equal(parseDate('2025-01-31'), '2025-01-31');
+    assert.equal(parseDate('20250131120000[-6:CST]'), '2025-01-31');
+    assert.equal(parseDate('31/01/2025'), '2025-01-31');
+    assert.equal(parseDate('01/31/25', { format: 'MM/DD/YYYY' }), '2025-01-31');
+    assert.equal(parseDate('15 ene 2025'), '2025-01-15');
+    assert.equal(parseDate('15-Jan-2025'), '2025-01-15');
+  });
+
+  it('rejects impossible dates', () => {
+    assert.equal(parseDate('31/02/2025'), null);
+    assert.equal(parseDate('soon'), null);
+  });
+});
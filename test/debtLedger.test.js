@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEDGER_CAUSES, buildLedgerEntry, replayLedger } from '../src/utils/debtLedger.js';
+
+const now = new Date('2025-03-10T12:00:00.000Z');
+
+const entry = (id, oldBalance, newBalance, cause = LEDGER_CAUSES.EXPENSE_CREATED) =>
+  buildLedgerEntry({ id, debtId: 'd1', oldBalance, newBalance, cause, now });
+
+describe('buildLedgerEntry', () => {
+  it('derives the delta and rounds amounts to cents', () => {
+    const e = buildLedgerEntry({ id: 'x', debtId: 7, oldBalance: 100.004, newBalance: 80.5, cause: 'expense_created', expenseId: 42, now });
+    assert.deepEqual(e, {
+      id: 'x',
+      debtId: '7',
+      timestamp: '2025-03-10T12:00:00.000Z',
+      oldBalance: 100,
+      delta: -19.5,
+      newBalance: 80.5,
+      cause: 'expense_created',
+      expenseId: '42'
+    });
+  });
+
+  it('defaults the cause and leaves expenseId empty', () => {
+    const e = buildLedgerEntry({ id: 'x', debtId: 'd1', oldBalance: 0, newBalance: 10, now });
+    assert.equal(e.cause, LEDGER_CAUSES.DEBT_UPDATED);
+    assert.equal(e.expenseId, null);
+  });
+});
+
+describe('replayLedger', () => {
+  it('returns zeros for an empty ledger', () => {
+    assert.deepEqual(replayLedger([]), { openingBalance: 0, balance: 0, count: 0, gaps: [] });
+  });
+
+  it('starts from the first oldBalance and adds every delta', () => {
+    const result = replayLedger([entry('1', 500, 650), entry('2', 650, 400), entry('3', 400, 420.1)]);
+    assert.equal(result.openingBalance, 500);
+    assert.equal(result.balance, 420.1);
+    assert.equal(result.count, 3);
+    assert.deepEqual(result.gaps, []);
+  });
+
+  it('reports changes made outside the ledger as gaps without replaying them', () => {
+    const result = replayLedger([entry('1', 0, 100, LEDGER_CAUSES.DEBT_CREATED), entry('2', 130, 150)]);
+    assert.equal(result.balance, 120);
+    assert.deepEqual(result.gaps, [
+      { entryId: '2', timestamp: '2025-03-10T12:00:00.000Z', expected: 100, found: 130, difference: 30 }
+    ]);
+  });
+
+  it('keeps the replayed balance across recompute entries', () => {
+    const result = replayLedger([
+      entry('1', 0, 100, LEDGER_CAUSES.DEBT_CREATED),
+      entry('2', 130, 100, LEDGER_CAUSES.RECOMPUTE),
+      entry('3', 100, 75)
+    ]);
+    assert.equal(result.balance, 75);
+    assert.equal(result.gaps.length, 1);
+  });
+
+  it('ignores rows without a numeric delta', () => {
+    const result = replayLedger([entry('1', 10, 20), { id: '2', delta: null }, null]);
+    assert.equal(result.count, 1);
+    assert.equal(result.balance, 20);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRowCells, computeRowEtag, parseIfMatch, ifMatchSatisfied } from '../src/utils/etag.js';
+
+describe('normalizeRowCells', () => {
+  it('stringifies cells and drops trailing empty cells', () => {
+    assert.deepEqual(normalizeRowCells(['a', 10, null, '', undefined, '']), ['a', '10']);
+    assert.deepEqual(normalizeRowCells(['', 'b']), ['', 'b']);
+    assert.deepEqual(normalizeRowCells(undefined), []);
+  });
+});
+
+describe('computeRowEtag', () => {
+  it('returns a quoted hash that only depends on the cell contents', () => {
+    const etag = computeRowEtag(['e1', '2025-03-01', 'Coffee', '3.5']);
+    assert.match(etag, /^"[0-9a-f]{40}"$/);
+    assert.equal(computeRowEtag(['e1', '2025-03-01', 'Coffee', 3.5, '']), etag);
+  });
+
+  it('changes when any cell changes', () => {
+    const before = computeRowEtag(['d1', 'Visa', '', '5000', '1200']);
+    const after = computeRowEtag(['d1', 'Visa', '', '5000', '1150']);
+    assert.notEqual(before, after);
+  });
+
+  it('keeps cell boundaries apart', () => {
+    assert.notEqual(computeRowEtag(['ab', 'c']), computeRowEtag(['a', 'bc']));
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('returns null without a header', () => {
+    assert.equal(parseIfMatch(undefined), null);
+    assert.equal(parseIfMatch('  '), null);
+  });
+
+  it('splits lists and quotes bare tags', () => {
+    assert.deepEqual(parseIfMatch('"abc", def , W/"ghi"'), ['"abc"', '"def"', 'W/"ghi"']);
+    assert.deepEqual(parseIfMatch('*'), ['*']);
+  });
+});
+
+describe('ifMatchSatisfied', () => {
+  const current = computeRowEtag(['c1', 'Food']);
+
+  it('allows unconditional writes', () => {
+    assert.equal(ifMatchSatisfied(undefined, current), true);
+  });
+
+  it('matches the current tag, any tag in a list, or *', () => {
+    assert.equal(ifMatchSatisfied(current, current), true);
+    assert.equal(ifMatchSatisfied(`"stale", ${current}`, current), true);
+    assert.equal(ifMatchSatisfied(current.slice(1, -1), current), true);
+    assert.equal(ifMatchSatisfied('*', current), true);
+  });
+
+  it('rejects stale and weak tags', () => {
+    assert.equal(ifMatchSatisfied(computeRowEtag(['c1', 'Groceries']), current), false);
+    assert.equal(ifMatchSatisfied(`W/${current}`, current), false);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseList,
+  parseSort,
+  parseExpenseFilters,
+  filterExpenses,
+  sortExpenses,
+  queryExpenses
+} from '../src/utils/expenseQuery.js';
+
+const expenses = [
+  { id: 'e1', date: '2025-01-05', description: 'Café Centro', amount: 45, categoryId: 1, isFixed: false, debtId: null, entryType: null, status: 'paid' },
+  { id: 'e2', date: '2025-01-31', description: 'Renta', amount: 8000, categoryId: 2, isFixed: true, debtId: null, entryType: null, status: 'pending' },
+  { id: 'e3', date: '2025-02-01', description: 'Supermercado', amount: 1200.5, categoryId: 1, isFixed: false, debtId: 'card-1', entryType: 'charge', status: 'paid' },
+  { id: 'e4', date: '2025-02-10', description: 'Pago tarjeta', amount: 1200.5, categoryId: 7, isFixed: false, debtId: 'card-1', entryType: 'payment', status: 'paid' },
+  { id: 'e5', date: '2025-02-10', description: 'cafe express', amount: 30, categoryId: 1, isFixed: false, debtId: null, entryType: null, status: 'overdue' },
+  { id: 'e6', date: null, description: 'Sin fecha', amount: 10, categoryId: 3, isFixed: false, debtId: null, entryType: null, status: null }
+];
+
+const ids = (items) => items.map(e => e.id);
+
+describe('parseList / parseSort', () => {
+  it('splits comma lists and repeated params', () => {
+    assert.deepEqual(parseList('1, 2,,3'), ['1', '2', '3']);
+    assert.deepEqual(parseList(['paid', 'pending,overdue']), ['paid', 'pending', 'overdue']);
+    assert.equal(parseList(''), null);
+    assert.equal(parseList(undefined), null);
+  });
+
+  it('reads - as descending', () => {
+    assert.deepEqual(parseSort('-date,amount'), [
+      { field: 'date', direction: -1 },
+      { field: 'amount', direction: 1 }
+    ]);
+  });
+});
+
+describe('parseExpenseFilters', () => {
+  it('turns month into an inclusive date range', () => {
+    assert.deepEqual(parseExpenseFilters({ month: '2024-02' }), { from: '2024-02-01', to: '2024-02-29' });
+  });
+
+  it('intersects month with from/to', () => {
+    assert.deepEqual(
+      parseExpenseFilters({ month: '2025-02', from: '2025-02-05', to: '2025-03-15' }),
+      { from: '2025-02-05', to: '2025-02-28' }
+    );
+  });
+
+  it('types numbers, booleans and lists', () => {
+    assert.deepEqual(
+      parseExpenseFilters({ categoryId: '1,7', status: 'PAID', isFixed: 'false', minAmount: '10', q: 'Café' }),
+      { categoryIds: [1, 7], statuses: ['paid'], isFixed: false, minAmount: 10, text: 'cafe' }
+    );
+  });
+});
+
+describe('filterExpenses', () => {
+  const table = [
+    { name: 'no filters keeps everything', query: {}, expected: ['e1', 'e2', 'e3', 'e4', 'e5', 'e6'] },
+    { name: 'date range is inclusive and skips rows without date', query: { from: '2025-01-31', to: '2025-02-10' }, expected: ['e2', 'e3', 'e4', 'e5'] },
+    { name: 'month', query: { month: '2025-01' }, expected: ['e1', 'e2'] },
+    { name: 'category list', query: { categoryId: '2,7' }, expected: ['e2', 'e4'] },
+    { name: 'debt and entry type', query: { debtId: 'card-1', entryType: 'payment' }, expected: ['e4'] },
+    { name: 'status list', query: { status: 'pending,overdue' }, expected: ['e2', 'e5'] },
+    { name: 'isFixed', query: { isFixed: 'true' }, expected: ['e2'] },
+    { name: 'amount range', query: { minAmount: '30', maxAmount: '1200.5' }, expected: ['e1', 'e3', 'e4', 'e5'] },
+    { name: 'text search ignores case and accents', query: { q: 'CAFE' }, expected: ['e1', 'e5'] }
+  ];
+
+  for (const { name, query, expected } of table) {
+    it(name, () => {
+      assert.deepEqual(ids(filterExpenses(expenses, parseExpenseFilters(query))), expected);
+    });
+  }
+});
+
+describe('sortExpenses', () => {
+  it('keeps sheet order without sort', () => {
+    assert.deepEqual(ids(sortExpenses(expenses, [])), ['e1', 'e2', 'e3', 'e4', 'e5', 'e6']);
+  });
+
+  it('sorts descending with empty values last and id as tie-breaker', () => {
+    assert.deepEqual(ids(sortExpenses(expenses, parseSort('-date'))), ['e4', 'e5', 'e3', 'e2', 'e1', 'e6']);
+  });
+
+  it('supports several fields', () => {
+    assert.deepEqual(ids(sortExpenses(expenses, parseSort('-amount,date'))), ['e2', 'e3', 'e4', 'e1', 'e5', 'e6']);
+  });
+});
+
+describe('queryExpenses', () => {
+  it('returns every match and no page split without pagination params', () => {
+    const result = queryExpenses(expenses, { categoryId: '1' });
+    assert.deepEqual(ids(result.data), ['e1', 'e3', 'e5']);
+    assert.equal(result.total, 3);
+    assert.equal(result.pagination.hasMore, false);
+    assert.equal(result.pagination.nextCursor, null);
+  });
+
+  it('paginates with page and limit', () => {
+    const result = queryExpenses(expenses, { sort: 'date', page: '2', limit: '2' });
+    assert.deepEqual(ids(result.data), ['e3', 'e4']);
+    assert.deepEqual(
+      { ...result.pagination, nextCursor: undefined },
+      { limit: 2, offset: 2, page: 2, pages: 3, hasMore: true, nextCursor: undefined, sort: 'date' }
+    );
+  });
+
+  it('paginates with offset', () => {
+    assert.deepEqual(ids(queryExpenses(expenses, { offset: '4', limit: '10' }).data), ['e5', 'e6']);
+  });
+
+  it('walks every page with cursors', () => {
+    const seen = [];
+    let cursor;
+    do {
+      const result = queryExpenses(expenses, { sort: '-amount', limit: '2', ...(cursor ? { cursor } : {}) });
+      seen.push(...ids(result.data));
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['e2', 'e3', 'e4', 'e1', 'e5', 'e6']);
+  });
+
+  it('keeps a sorted cursor stable when earlier rows are deleted', () => {
+    const first = queryExpenses(expenses, { sort: 'date', limit: '2' });
+    const remaining = expenses.filter(e => e.id !== 'e1');
+    const next = queryExpenses(remaining, { sort: 'date', limit: '2', cursor: first.pagination.nextCursor });
+    assert.deepEqual(ids(next.data), ['e3', 'e4']);
+  });
+
+  it('continues after the cursor row in sheet order', () => {
+    const first = queryExpenses(expenses, { limit: '4' });
+    assert.deepEqual(ids(queryExpenses(expenses, { cursor: first.pagination.nextCursor }).data), ['e5', 'e6']);
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const { pagination } = queryExpenses(expenses, { sort: 'date', limit: '2' });
+    assert.throws(
+      () => queryExpenses(expenses, { sort: '-date', cursor: pagination.nextCursor }),
+      { code: 'INVALID_CURSOR' }
+    );
+    assert.throws(() => queryExpenses(expenses, { cursor: 'not-a-cursor' }), { code: 'INVALID_CURSOR' });
+  });
+});
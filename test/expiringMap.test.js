@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExpiringMap } from '../src/utils/expiringMap.js';
+
+describe('createExpiringMap', () => {
+  it('forgets entries once their TTL passes', () => {
+    let time = 0;
+    const map = createExpiringMap(1000, { now: () => time });
+    map.set('g1', 'token-1');
+    time = 999;
+    assert.equal(map.get('g1'), 'token-1');
+    time = 1000;
+    assert.equal(map.get('g1'), undefined);
+    assert.equal(map.size(), 0);
+  });
+
+  it('sweeps expired entries on set, so it only holds recent keys', () => {
+    let time = 0;
+    const map = createExpiringMap(1000, { now: () => time });
+    for (let i = 0; i < 100; i++) map.set(`user-${i}`, i);
+    time = 1500;
+    map.set('g1', 'token-2');
+    assert.equal(map.size(), 1);
+    map.set('g1', 'token-3');
+    assert.equal(map.get('g1'), 'token-3');
+    map.delete('g1');
+    assert.equal(map.size(), 0);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import config from '../src/config/config.js';
+import { startFakeSheetsServer } from '../src/dev/fakeSheetsServer.js';
+import LocalSpreadsheet from '../src/services/localSpreadsheet.js';
+import GoogleSheetsService from '../src/services/googleSheetsService.js';
+
+const EXPENSE_HEADERS = ['id', 'date', 'description', 'amount', 'categoryId', 'isFixed', 'fixedExpenseId', 'debtId', 'entryType', 'status'];
+
+let server;
+let spreadsheet;
+let originalApiUrl;
+
+before(async () => {
+  logger.silent = true;
+  spreadsheet = new LocalSpreadsheet({
+    spreadsheetId: 'fake-user-sheet',
+    sheets: [{ title: 'Expenses', values: [EXPENSE_HEADERS, ['e1', '2025-01-01', 'Pan', '20', '1', 'FALSE', '', '', 'expense', 'pending']] }]
+  });
+  server = await startFakeSheetsServer({ port: 0, spreadsheets: [spreadsheet], masterSheetId: 'fake-master' });
+  originalApiUrl = config.googleSheetsApiUrl;
+  config.googleSheetsApiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  config.googleSheetsApiUrl = originalApiUrl;
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('GoogleSheetsService against the fake Sheets server', () => {
+  it('reads and writes over HTTP', async () => {
+    const service = new GoogleSheetsService('fake-token', 'fake-user-sheet');
+
+    const [expense] = await service.getExpensesObjects();
+    assert.equal(expense.id, 'e1');
+    assert.equal(expense.description, 'Pan');
+
+    await service.updateExpense({ id: 'e1', description: 'Pan integral' });
+
+    assert.equal(spreadsheet.getValues('Expenses!C2').values[0][0], 'Pan integral');
+    const [updated] = await service.getExpensesObjects();
+    assert.equal(updated.description, 'Pan integral');
+  });
+
+  it('keeps the Google error body out of the error it throws', async () => {
+    const service = new GoogleSheetsService('fake-token', 'fake-user-sheet');
+
+    await assert.rejects(service.makeRequest('/values/Secret!A1', { fresh: true }), (error) => {
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.message, 'Google Sheets API request failed with status 400');
+      return true;
+    });
+  });
+});
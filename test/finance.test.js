@@ -0,0 +1,138 @@
+// Dates are serialized with toISOString, keep the expectations machine-independent
+process.env.TZ = 'UTC';
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  monthlyRateFromAnnualEffective,
+  suggestedMinimumPayment,
+  interestForMonth,
+  toTwoDecimals,
+  formatResponseTwoDecimals,
+  nextDateForDayOfMonth,
+  daysBetweenDates,
+  buildDebtSummary
+} from '../src/utils/finance.js';
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+describe('monthlyRateFromAnnualEffective', () => {
+  it('converts an annual effective percentage into a monthly rate', () => {
+    assert.ok(Math.abs(monthlyRateFromAnnualEffective(12.682503013196972) - 0.01) < 1e-12);
+    assert.ok(Math.abs(monthlyRateFromAnnualEffective(100) - (Math.pow(2, 1 / 12) - 1)) < 1e-12);
+  });
+
+  it('returns 0 for zero, negative or non-numeric rates', () => {
+    assert.equal(monthlyRateFromAnnualEffective(0), 0);
+    assert.equal(monthlyRateFromAnnualEffective(-5), 0);
+    assert.equal(monthlyRateFromAnnualEffective('12'), 0);
+    assert.equal(monthlyRateFromAnnualEffective(NaN), 0);
+  });
+});
+
+describe('suggestedMinimumPayment', () => {
+  const table = [
+    [[1000], 50],
+    [[1000, 0.1], 100],
+    [[100, 0.05, 20], 20],
+    [[0], 0],
+    [[NaN, NaN, NaN], 0]
+  ];
+
+  for (const [args, expected] of table) {
+    it(`${JSON.stringify(args)} -> ${expected}`, () => {
+      assert.equal(suggestedMinimumPayment(...args), expected);
+    });
+  }
+});
+
+describe('interestForMonth', () => {
+  it('multiplies balance by the monthly rate', () => {
+    assert.equal(interestForMonth(1000, 0.01), 10);
+    assert.equal(interestForMonth(NaN, 0.01), 0);
+    assert.equal(interestForMonth(1000, undefined), 0);
+  });
+});
+
+describe('toTwoDecimals / formatResponseTwoDecimals', () => {
+  it('formats numbers as two-decimal strings by default', () => {
+    assert.equal(toTwoDecimals(3.14159), '3.14');
+    assert.equal(toTwoDecimals('2'), '2.00');
+    assert.equal(toTwoDecimals('abc'), '0.00');
+  });
+
+  it('returns numbers when asString is false', () => {
+    assert.equal(toTwoDecimals(2.499, false), 2.5);
+    assert.equal(toTwoDecimals(undefined, false), 0);
+  });
+
+  it('only formats the requested keys', () => {
+    const out = formatResponseTwoDecimals({ a: 1.234, b: 5.678, c: 'x' }, ['a', 'c', 'missing']);
+    assert.deepEqual(out, { a: '1.23', b: 5.678, c: '0.00' });
+  });
+
+  it('returns the input untouched when keys are not an array', () => {
+    const obj = { a: 1.234 };
+    assert.equal(formatResponseTwoDecimals(obj, null), obj);
+  });
+});
+
+describe('nextDateForDayOfMonth', () => {
+  const table = [
+    { targetDay: 31, base: [2025, 1, 10], expected: '2025-02-28' },
+    { targetDay: 29, base: [2024, 1, 10], expected: '2024-02-29' },
+    { targetDay: 5, base: [2025, 1, 10], expected: '2025-03-05' },
+    { targetDay: 10, base: [2025, 1, 10], expected: '2025-02-10' },
+    { targetDay: 31, base: [2025, 0, 31], expected: '2025-01-31' },
+    { targetDay: 15, base: [2025, 11, 20], expected: '2026-01-15' }
+  ];
+
+  for (const { targetDay, base, expected } of table) {
+    it(`day ${targetDay} from ${base.join('-')} -> ${expected}`, () => {
+      assert.equal(isoDate(nextDateForDayOfMonth(targetDay, new Date(...base))), expected);
+    });
+  }
+
+  it('returns null for a non-numeric day', () => {
+    assert.equal(nextDateForDayOfMonth(undefined, new Date(2025, 0, 1)), null);
+  });
+});
+
+describe('daysBetweenDates', () => {
+  it('ignores the time of day', () => {
+    assert.equal(daysBetweenDates(new Date(2025, 0, 1, 23, 59), new Date(2025, 0, 3, 0, 1)), 2);
+    assert.equal(daysBetweenDates(new Date(2025, 0, 3), new Date(2025, 0, 1)), -2);
+  });
+
+  it('returns null when a date is missing', () => {
+    assert.equal(daysBetweenDates(null, new Date()), null);
+  });
+});
+
+describe('buildDebtSummary', () => {
+  it('computes rate, interest, minimum payment, utilization and next dates', () => {
+    const summary = buildDebtSummary(
+      { creditLimit: 10000, balance: 2500, dueDay: 5, cutOffDay: 31, interesEfectivo: 12.682503013196972 },
+      new Date(2025, 1, 10)
+    );
+    assert.ok(Math.abs(summary.monthlyRate - 0.01) < 1e-12);
+    assert.ok(Math.abs(summary.interestThisMonth - 25) < 1e-9);
+    assert.equal(summary.suggestedMinimumPayment, 125);
+    assert.equal(summary.utilizationPercent, 25);
+    assert.equal(summary.nextDueDate, '2025-03-05');
+    assert.equal(summary.daysToDue, 23);
+    assert.equal(summary.nextCutOffDate, '2025-02-28');
+  });
+
+  it('handles an empty debt', () => {
+    assert.deepEqual(buildDebtSummary({}, new Date(2025, 1, 10)), {
+      monthlyRate: 0,
+      interestThisMonth: 0,
+      suggestedMinimumPayment: 0,
+      utilizationPercent: null,
+      nextDueDate: null,
+      daysToDue: null,
+      nextCutOffDate: null
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import GoogleSheetsService from '../../src/services/googleSheetsService.js';
+import LocalSpreadsheet from '../../src/services/localSpreadsheet.js';
+
+let nextSheet = 0;
+
+/**
+ * GoogleSheetsService whose Sheets API is an in-memory spreadsheet. Requests still go through makeRequest
+ * (and the read cache); `calls` records what reached "Sheets" and `failOn(method, endpoint)` makes matching
+ * requests fail. Each instance gets its own sheet ID, so cached reads never leak between tests.
+ */
+export class LocalSheetsService extends GoogleSheetsService {
+  /**
+   * @param {{ title: string, values: Array[] }[]} sheets - Tabs with their rows, header first
+   */
+  constructor(sheets) {
+    const sheetId = `local-${process.pid}-${nextSheet++}`;
+    super('token', sheetId);
+    this.spreadsheet = new LocalSpreadsheet({ spreadsheetId: sheetId, sheets });
+    this.calls = [];
+    this.failOn = null;
+  }
+
+  async sendRequest(endpoint, options = {}) {
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : undefined;
+    this.calls.push({ method, endpoint, body });
+    if (this.failOn && this.failOn(method, endpoint)) {
+      throw new Error(`Sheets failed: ${method} ${endpoint}`);
+    }
+    return this.spreadsheet.handleRequest(method, endpoint, body).result;
+  }
+
+  /**
+   * Copy of the rows of a tab
+   */
+  valuesOf(title) {
+    return this.spreadsheet.findSheet(title).values.map(row => [...row]);
+  }
+}
+
+export default LocalSheetsService;
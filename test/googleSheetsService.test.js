@@ -0,0 +1,148 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import { LocalSheetsService } from './fixtures/localSheetsService.js';
+
+const EXPENSE_HEADERS = ['id', 'date', 'description', 'amount', 'categoryId', 'isFixed', 'fixedExpenseId', 'debtId', 'entryType', 'status'];
+
+function expensesService() {
+  return new LocalSheetsService([{
+    title: 'Expenses',
+    values: [
+      EXPENSE_HEADERS,
+      ['e1', '2025-01-01', 'Uno', '10', '1', 'FALSE', '', '', 'expense', 'pending'],
+      ['e2', '2025-01-02', 'Dos', '20', '1', 'FALSE', '', '', 'expense', 'pending'],
+      ['e3', '2025-01-03', 'Tres', '30', '1', 'FALSE', '', '', 'expense', 'pending']
+    ]
+  }]);
+}
+
+before(() => {
+  logger.silent = true;
+});
+
+describe('row lookups with a cached sheet', () => {
+  it('updates the right row after another writer deleted one', async () => {
+    const service = expensesService();
+    await service.getExpensesObjects(); // caches Expenses with e2 on row 3
+
+    // Someone else deletes e1 in the spreadsheet: e2 moves to row 2, e3 to row 3
+    service.spreadsheet.findSheet('Expenses').values.splice(1, 1);
+
+    await service.updateExpense({ id: 'e2', description: 'Dos editado' });
+
+    assert.deepEqual(service.spreadsheet.getValues('Expenses!A2:C3').values, [
+      ['e2', '2025-01-02', 'Dos editado'],
+      ['e3', '2025-01-03', 'Tres']
+    ]);
+  });
+
+  it('deletes the right row after another writer inserted one', async () => {
+    const service = expensesService();
+    await service.getExpensesObjects();
+
+    service.spreadsheet.findSheet('Expenses').values
+      .splice(1, 0, ['e0', '2024-12-31', 'Cero', '5', '1', 'FALSE', '', '', 'expense', 'pending']);
+
+    await service.deleteExpense('e2');
+
+    const ids = service.spreadsheet.getValues('Expenses!A2:A').values.map(row => row[0]);
+    assert.deepEqual(ids, ['e0', 'e1', 'e3']);
+  });
+
+  it('marks overdue by the current row numbers', async () => {
+    const service = expensesService();
+    await service.getExpensesObjects();
+
+    service.spreadsheet.findSheet('Expenses').values.splice(1, 1);
+
+    const { count } = await service.markOverdueExpenses({ today: '2025-01-10' });
+
+    assert.equal(count, 2);
+    assert.deepEqual(service.spreadsheet.getValues('Expenses!A2:J3').values.map(row => [row[0], row[9]]), [
+      ['e2', 'overdue'],
+      ['e3', 'overdue']
+    ]);
+  });
+
+  it('looks rows up by reading only the id column', async () => {
+    const service = expensesService();
+
+    assert.equal(await service.findRowNumberById('Expenses', 'e3'), 4);
+    assert.equal(await service.findRowNumberById('Expenses', 'missing'), null);
+
+    const reads = service.calls.filter(c => c.method === 'GET').map(c => decodeURIComponent(c.endpoint));
+    assert.deepEqual(reads, ['/values/Expenses!1:1', '/values/Expenses!A:A', '/values/Expenses!A:A']);
+  });
+});
+
+function fixedExpenseService() {
+  return new LocalSheetsService([
+    { title: 'FixedExpenses', values: [['id', 'name', 'amount', 'categoryId'], ['f1', 'Gimnasio', '50', '1'], ['f2', 'Internet', '30', '1']] },
+    {
+      title: 'Expenses',
+      values: [
+        EXPENSE_HEADERS,
+        ['e1', '2025-01-05', 'Gimnasio enero', '50', '1', 'TRUE', 'f1', 'd1', 'charge', 'pending'],
+        ['e2', '2025-01-06', 'Internet enero', '30', '1', 'TRUE', 'f2', '', 'expense', 'pending'],
+        ['e3', '2025-02-05', 'Gimnasio febrero', '50', '1', 'TRUE', 'f1', 'd1', 'payment', 'paid']
+      ]
+    },
+    { title: 'Debts', values: [['id', 'name', 'balance'], ['d1', 'Tarjeta', '500']] }
+  ]);
+}
+
+describe('deleteFixedExpense', () => {
+  it('deletes the linked expenses and adjusts the balance of their debts', async () => {
+    const service = fixedExpenseService();
+
+    const result = await service.deleteFixedExpense('f1');
+
+    assert.equal(result.deletedExpensesCount, 2);
+    assert.deepEqual(service.valuesOf('FixedExpenses').slice(1).map(row => row[0]), ['f2']);
+    assert.deepEqual(service.valuesOf('Expenses').slice(1).map(row => row[0]), ['e2']);
+    // -50 for the removed charge, +50 for the removed paid payment
+    assert.equal(service.valuesOf('Debts')[1][2], '500');
+    const ledger = service.valuesOf('DebtLedger');
+    assert.equal(ledger.length, 3);
+  });
+
+  it('puts every row back when one of the deletions fails', async () => {
+    const service = fixedExpenseService();
+    const original = {
+      fixed: service.valuesOf('FixedExpenses'),
+      expenses: service.valuesOf('Expenses'),
+      debts: service.valuesOf('Debts')
+    };
+    // The second linked expense (row 2, after row 4) cannot be deleted
+    const deleteRowByNumber = service.deleteRowByNumber.bind(service);
+    service.deleteRowByNumber = async (title, rowNumber, ...args) => {
+      if (title === 'Expenses' && rowNumber === 2) throw new Error('Sheets failed: delete');
+      return deleteRowByNumber(title, rowNumber, ...args);
+    };
+
+    await assert.rejects(service.deleteFixedExpense('f1'), /Sheets failed/);
+
+    assert.deepEqual(service.valuesOf('FixedExpenses'), original.fixed);
+    assert.deepEqual(service.valuesOf('Expenses'), original.expenses);
+    assert.deepEqual(service.valuesOf('Debts'), original.debts);
+  });
+});
+
+describe('updateBudget', () => {
+  it('does not append the same month and category twice when upserts overlap', async () => {
+    const service = new LocalSheetsService([
+      { title: 'Budget', values: [['month', 'amount', 'categoryId', 'rollover'], ['2025-01', '100', '', 'FALSE']] }
+    ]);
+
+    await Promise.all([
+      service.updateBudget({ month: '2025-02', amount: 200, categoryId: 3 }),
+      service.updateBudget({ month: '2025-02', amount: 250, categoryId: 3 })
+    ]);
+
+    assert.deepEqual(service.valuesOf('Budget').slice(1), [
+      ['2025-01', '100', '', 'FALSE'],
+      ['2025-02', '250', '3', 'FALSE']
+    ]);
+  });
+});
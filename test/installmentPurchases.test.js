@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { purchaseMonthlyRate, firstStatementMonth, installmentSchedule, installmentsDueForStatement, purchaseStatus, obligationsByDebt } from '../src/utils/installmentPurchases.js';
+
+const msi = { id: 'p1', debtId: 'visa', description: 'TV', purchaseDate: '2025-03-10', totalAmount: 1000, months: 3, annualRate: 0, startStatement: '2025-03' };
+const withInterest = { id: 'p2', debtId: 'visa', description: 'Laptop', purchaseDate: '2025-03-20', totalAmount: 12000, months: 12, annualRate: 24, startStatement: '2025-04' };
+
+describe('purchaseMonthlyRate', () => {
+  it('accepts percentages and unit rates, 0 for MSI', () => {
+    assert.equal(purchaseMonthlyRate({ annualRate: 24 }), purchaseMonthlyRate({ annualRate: 0.24 }));
+    assert.equal(purchaseMonthlyRate({ annualRate: 0 }), 0);
+  });
+});
+
+describe('firstStatementMonth', () => {
+  it('bills purchases before the cutoff on that month and from the cutoff day on the next one', () => {
+    assert.equal(firstStatementMonth('2025-03-14', 15), '2025-03');
+    assert.equal(firstStatementMonth('2025-03-15', 15), '2025-04');
+    assert.equal(firstStatementMonth('2025-12-20', 15), '2026-01');
+  });
+
+  it('clamps the cutoff to short months and uses the month end without a cutoff day', () => {
+    assert.equal(firstStatementMonth('2025-02-28', 31), '2025-03');
+    assert.equal(firstStatementMonth('2025-02-27', 31), '2025-02');
+    assert.equal(firstStatementMonth('2025-05-30', undefined), '2025-05');
+  });
+});
+
+describe('installmentSchedule', () => {
+  it('splits an interest-free purchase evenly and puts the rounding in the last installment', () => {
+    const schedule = installmentSchedule(msi);
+    assert.deepEqual(schedule.map(i => i.statementMonth), ['2025-03', '2025-04', '2025-05']);
+    assert.deepEqual(schedule.map(i => i.amount), [333.33, 333.33, 333.34]);
+    assert.equal(schedule.every(i => i.interest === 0), true);
+    assert.equal(schedule[2].remainingPrincipal, 0);
+  });
+
+  it('charges interest on the remaining principal with level payments', () => {
+    const schedule = installmentSchedule(withInterest);
+    assert.equal(schedule.length, 12);
+    assert.ok(schedule[0].interest > schedule[11].interest);
+    assert.equal(schedule[0].amount, schedule[5].amount);
+    const principal = schedule.reduce((s, i) => s + i.principal, 0);
+    assert.equal(Number(principal.toFixed(2)), 12000);
+  });
+});
+
+describe('installmentsDueForStatement', () => {
+  it('adds the installment of each purchase of the card billed that month', () => {
+    const other = { ...msi, id: 'p3', debtId: 'amex' };
+    const due = installmentsDueForStatement([msi, withInterest, other], 'visa', '2025-04');
+    assert.deepEqual(due.items.map(i => [i.purchaseId, i.number]), [['p1', 2], ['p2', 1]]);
+    assert.equal(due.amount, Number((333.33 + due.items[1].amount).toFixed(2)));
+    assert.equal(due.principal + due.interest, due.amount);
+  });
+
+  it('is empty outside the installment months', () => {
+    assert.deepEqual(installmentsDueForStatement([msi], 'visa', '2025-06'), { principal: 0, interest: 0, amount: 0, items: [] });
+    assert.equal(installmentsDueForStatement(undefined, 'visa', '2025-03').amount, 0);
+  });
+});
+
+describe('purchaseStatus', () => {
+  it('counts the installments billed up to a statement month', () => {
+    const status = purchaseStatus(msi, '2025-03');
+    assert.equal(status.billedInstallments, 1);
+    assert.equal(status.remainingInstallments, 2);
+    assert.equal(status.remainingAmount, 666.67);
+    assert.equal(status.nextInstallment.statementMonth, '2025-04');
+    assert.equal(status.endStatement, '2025-05');
+  });
+
+  it('treats every installment as pending without statements', () => {
+    assert.equal(purchaseStatus(msi, null).remainingInstallments, 3);
+  });
+});
+
+describe('obligationsByDebt', () => {
+  it('groups pending purchases per card and leaves finished ones out', () => {
+    const finished = { ...msi, id: 'p4', startStatement: '2024-01' };
+    const groups = obligationsByDebt([msi, withInterest, finished], [{ id: 'visa', name: 'Visa' }], { visa: '2025-03' });
+    assert.equal(groups.length, 1);
+    const [visa] = groups;
+    assert.equal(visa.name, 'Visa');
+    assert.deepEqual(visa.purchases.map(p => p.id), ['p1', 'p2']);
+    assert.equal(visa.nextStatement, '2025-04');
+    assert.equal(visa.nextStatementAmount, Number((333.33 + installmentSchedule(withInterest)[0].amount).toFixed(2)));
+    assert.equal(visa.remainingPrincipal, Number((666.67 + 12000).toFixed(2)));
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import JobRunService, { JOB_RUNS_SHEET } from '../src/services/jobRunService.js';
+import { LocalSheetsService } from './fixtures/localSheetsService.js';
+
+const writes = (storage) => storage.calls.filter(call => call.method !== 'GET');
+
+let getDebtStatementsStatus;
+
+before(async () => {
+  logger.silent = true;
+  // The controller pulls in the job runner and with it the Google OAuth strategy, which needs a client ID
+  process.env.GOOGLE_CLIENT_ID ??= 'test-client';
+  process.env.GOOGLE_CLIENT_SECRET ??= 'test-secret';
+  ({ getDebtStatementsStatus } = await import('../src/controllers/debtController.js'));
+});
+
+describe('JobRunService', () => {
+  it('lists no runs and creates nothing when the user has no JobRuns sheet', async () => {
+    const storage = new LocalSheetsService([]);
+    const jobRuns = new JobRunService(storage);
+
+    assert.deepEqual(await jobRuns.listRuns({ job: 'debt-statements' }), []);
+    assert.equal(await jobRuns.hasSucceeded('debt-statements', '2025-04-10'), false);
+    assert.deepEqual(writes(storage), []);
+    assert.equal(storage.spreadsheet.findSheet(JOB_RUNS_SHEET), null);
+  });
+
+  it('creates the sheet on the first record and lists runs newest first', async () => {
+    const storage = new LocalSheetsService([]);
+    const jobRuns = new JobRunService(storage);
+
+    await jobRuns.recordRuns([{ runId: 'r1', job: 'fixed-expenses', runKey: '2025-04', userId: 'u1', status: 'failed', count: 0 }]);
+    await jobRuns.recordRuns([{ runId: 'r2', job: 'fixed-expenses', runKey: '2025-04', userId: 'u1', status: 'success', count: 3 }]);
+
+    const runs = await new JobRunService(storage).listRuns({ job: 'fixed-expenses' });
+    assert.deepEqual(runs.map(r => [r.runId, r.status, r.count]), [['r2', 'success', 3], ['r1', 'failed', 0]]);
+  });
+});
+
+describe('GET /api/debts/statements/status', () => {
+  it('reads runs from the request storage without writing to it', async () => {
+    const storage = new LocalSheetsService([
+      { title: 'Debts', values: [['id', 'name', 'active', 'cutOffDay'], ['d1', 'Tarjeta', 'TRUE', '10']] },
+      { title: 'CreditHistory', values: [['id', 'debtId', 'statementDate']] }
+    ]);
+    let body;
+    const res = { json: (payload) => { body = payload; } };
+    const next = (error) => { throw error; };
+
+    await getDebtStatementsStatus({ sheetsService: storage, user: { id: 'u1' } }, res, next);
+
+    assert.equal(body.count, 1);
+    assert.equal(body.data[0].debtId, 'd1');
+    assert.equal(body.data[0].lastRun, null);
+    assert.deepEqual(writes(storage), []);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The json backend is chosen when the config module loads, so it is imported after these are set
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-users-'));
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'json',
+  JSON_STORAGE_DIR: dataDir,
+  JWT_SECRET: 'test-secret',
+  ENCRYPTION_KEY: '0123456789abcdef0123456789abcdef',
+  // Nothing listens here: a request to Google would fail the test
+  GOOGLE_SHEETS_API_URL: 'http://127.0.0.1:9'
+});
+
+let requireJWT;
+let generateToken;
+let createUserService;
+
+before(async () => {
+  (await import('../src/config/logger.js')).default.silent = true;
+  ({ requireJWT, generateToken } = await import('../src/middleware/authMiddleware.js'));
+  ({ createUserService } = await import('../src/services/userServiceFactory.js'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Runs requireJWT until it calls next() or sends a response
+function authenticate(token) {
+  return new Promise((resolve) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve({ req, res }); return this; }
+    };
+    requireJWT(req, res, (error) => resolve({ req, res, error }));
+  });
+}
+
+describe('users with STORAGE_BACKEND=json', () => {
+  it('keeps users in a local file and resolves JWTs from it', async () => {
+    const user = await createUserService().createUser({ googleId: 'g1', email: 'ana@example.com', name: 'Ana', accessToken: 'tok' });
+    assert.ok(fs.existsSync(path.join(dataDir, 'users.json')));
+
+    const { req, error } = await authenticate(generateToken(user));
+
+    assert.equal(error, undefined);
+    assert.equal(req.user.id, user.id);
+    assert.equal(req.user.email, 'ana@example.com');
+    assert.equal(req.user.accessToken, 'tok');
+  });
+
+  it('rejects a token of a user that is not in the local file', async () => {
+    const { res } = await authenticate(generateToken({ id: 'nobody', email: 'x@example.com', googleId: 'gx' }));
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'User not found');
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMonthlyReport, daysInMonth, daysElapsed, summarizeIncomes } from '../src/utils/monthlyReport.js';
+
+const categories = [
+  { id: '1', name: 'Comida' },
+  { id: '2', name: 'Vivienda' },
+  { id: '7', name: 'Tarjetas' }
+];
+
+const fixedExpenses = [
+  { id: 'rent', name: 'Renta', amount: 8000, categoryId: 2, dayOfMonth: 1, active: true },
+  { id: 'gym', name: 'Gym', amount: 500, categoryId: 3, dayOfMonth: 20, active: true },
+  { id: 'old', name: 'Old', amount: 999, categoryId: 3, dayOfMonth: 5, active: false }
+];
+
+const expenses = [
+  { id: 'a', date: '2025-02-01', description: 'Renta', amount: 8000, categoryId: 2, isFixed: true, fixedExpenseId: 'rent', status: 'paid' },
+  { id: 'b', date: '2025-02-03', description: 'Super', amount: 1000, categoryId: 1, isFixed: false, status: 'paid' },
+  { id: 'c', date: '2025-02-08', description: 'Cena', amount: 400, categoryId: 1, isFixed: false, status: 'overdue' },
+  { id: 'd', date: '2025-02-12', description: 'Vuelo', amount: 3000, categoryId: 1, isFixed: false, status: 'pending' },
+  { id: 'e', date: '2025-02-09', description: 'Cine', amount: 200, categoryId: 1, isFixed: false, status: 'cancelled' },
+  { id: 'f', date: '2025-02-09', description: 'Pago tarjeta', amount: 2500, categoryId: 7, isFixed: false, debtId: 'card', entryType: 'payment', status: 'paid' },
+  { id: 'g', date: '2025-01-31', description: 'Enero', amount: 50, categoryId: 1, isFixed: false, status: 'paid' }
+];
+
+const incomes = [
+  { id: 'i1', date: '2025-02-01', description: 'Nómina', amount: 10000, type: 'salary', recurringIncomeId: 'pay1', status: 'received' },
+  { id: 'i2', date: '2025-02-15', description: 'Nómina', amount: 10000, type: 'salary', recurringIncomeId: 'pay2', status: 'expected' },
+  { id: 'i3', date: '2025-02-05', description: 'Reembolso', amount: 300, type: 'refund', status: 'received' },
+  { id: 'i4', date: '2025-01-15', description: 'Enero', amount: 999, type: 'salary', status: 'received' }
+];
+
+const recurringIncomes = [
+  { id: 'pay1', name: 'Nómina 1', amount: 10000, type: 'salary', dayOfMonth: 1, active: true },
+  { id: 'pay2', name: 'Nómina 2', amount: 10000, type: 'salary', dayOfMonth: 15, active: true },
+  { id: 'rent-in', name: 'Renta cuarto', amount: 2000, type: 'other', dayOfMonth: 10, active: true },
+  { id: 'off', name: 'Inactivo', amount: 50, type: 'other', dayOfMonth: 10, active: false }
+];
+
+const budget = [{ month: '2025-01', amount: 5000 }, { month: '2025-02', amount: 15000 }];
+
+describe('daysInMonth / daysElapsed', () => {
+  it('handles leap years', () => {
+    assert.equal(daysInMonth('2024-02'), 29);
+    assert.equal(daysInMonth('2025-02'), 28);
+  });
+
+  it('counts elapsed days for past, current and future months', () => {
+    const now = new Date(2025, 1, 10);
+    assert.equal(daysElapsed('2025-01', now), 31);
+    assert.equal(daysElapsed('2025-02', now), 10);
+    assert.equal(daysElapsed('2025-03', now), 0);
+  });
+});
+
+describe('buildMonthlyReport', () => {
+  const report = buildMonthlyReport({
+    month: '2025-02', expenses, budget, fixedExpenses, categories, incomes, recurringIncomes, now: new Date(2025, 1, 10)
+  });
+
+  it('totals spend by status without cancelled rows or card payments', () => {
+    assert.deepEqual(report.totals, { spent: 12400, paid: 9000, pending: 3000, overdue: 400, debtPayments: 2500, count: 6 });
+    assert.deepEqual(report.byStatus.cancelled, { amount: 200, count: 1 });
+    assert.deepEqual(report.byStatus.skipped, { amount: 0, count: 0 });
+  });
+
+  it('compares against the month budget', () => {
+    assert.deepEqual(report.budget, { amount: 15000, source: 'explicit', remaining: 2600, usedPercent: 82.67 });
+  });
+
+  it('groups spend per category with names, largest first', () => {
+    assert.deepEqual(report.byCategory, [
+      { categoryId: 2, name: 'Vivienda', amount: 8000, count: 1, percent: 64.52 },
+      { categoryId: 1, name: 'Comida', amount: 4400, count: 3, percent: 35.48 }
+    ]);
+  });
+
+  it('splits fixed and variable and lists fixed expenses not generated yet', () => {
+    assert.deepEqual(report.fixedVsVariable, { fixed: 8000, variable: 4400, fixedNotGenerated: 500, fixedNotGeneratedCount: 1 });
+  });
+
+  it('projects variable spend at the current daily pace plus scheduled and fixed amounts', () => {
+    // variable to date: 1400 over 10 days -> 3920 for 28 days, + 3000 scheduled, + 8000 fixed + 500 gym
+    // income: 20300 generated + 2000 recurring not generated yet
+    assert.deepEqual(report.projection, {
+      daysInMonth: 28, daysElapsed: 10, projectedSpend: 15420, projectedRemaining: -420, projectedIncome: 22300, projectedNet: 6880
+    });
+  });
+
+  it('reports income and net cash flow', () => {
+    assert.equal(report.income.received, 10300);
+    assert.equal(report.income.expected, 10000);
+    assert.equal(report.income.total, 20300);
+    // net: all income - spend; realized: received - paid
+    assert.deepEqual(report.cashFlow, { net: 7900, realized: 1300 });
+  });
+
+  it('uses the actual spend as projection for closed months', () => {
+    const closed = buildMonthlyReport({ month: '2025-01', expenses, budget, fixedExpenses, categories, now: new Date(2025, 1, 10) });
+    assert.equal(closed.totals.spent, 50);
+    assert.equal(closed.projection.projectedSpend, 50);
+    assert.equal(closed.projection.projectedRemaining, 4950);
+  });
+
+  it('adds every scheduled amount for future months and reports no budget', () => {
+    const future = buildMonthlyReport({ month: '2025-03', expenses: [], budget, fixedExpenses, categories, now: new Date(2025, 1, 10) });
+    assert.equal(future.budget.amount, null);
+    assert.equal(future.budget.remaining, null);
+    assert.equal(future.projection.projectedSpend, 8500);
+    assert.equal(future.projection.projectedRemaining, null);
+    assert.equal(future.projection.projectedIncome, 0);
+    assert.equal(future.cashFlow.net, 0);
+  });
+});
+
+describe('summarizeIncomes', () => {
+  it('splits received and expected income per type for the month only', () => {
+    const summary = summarizeIncomes('2025-02', incomes, recurringIncomes);
+    assert.equal(summary.count, 3);
+    assert.deepEqual(summary.byType, { salary: 20000, freelance: 0, refund: 300, other: 0 });
+  });
+
+  it('lists active recurring incomes not generated for the month', () => {
+    const summary = summarizeIncomes('2025-02', incomes, recurringIncomes);
+    assert.equal(summary.recurringNotGenerated, 2000);
+    assert.equal(summary.recurringNotGeneratedCount, 1);
+  });
+
+  it('treats rows without status as received and unknown types as other', () => {
+    const summary = summarizeIncomes('2025-03', [{ date: '2025-03-02', amount: 40, type: 'bonus' }]);
+    assert.equal(summary.received, 40);
+    assert.equal(summary.byType.other, 40);
+  });
+});
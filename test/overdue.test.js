@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { daysBetween, daysOverdue, shouldMarkOverdue, findOverdueExpenses, toISODate } from '../src/utils/overdue.js';
+
+const expenses = [
+  { id: 'a', date: '2025-03-01', amount: 100, status: 'pending' },
+  { id: 'b', date: '2025-03-09', amount: 200, status: 'pending' },
+  { id: 'c', date: '2025-02-20', amount: 300, status: 'overdue' },
+  { id: 'd', date: '2025-03-02', amount: 400, status: 'paid' },
+  { id: 'e', date: '2025-03-03', amount: 500, status: null },
+  { id: 'f', date: '2025-03-20', amount: 600, status: 'pending' },
+  { id: 'g', date: null, amount: 700, status: 'pending' }
+];
+
+describe('daysBetween / daysOverdue', () => {
+  it('counts calendar days across month boundaries', () => {
+    assert.equal(daysBetween('2025-02-27', '2025-03-02'), 3);
+    assert.equal(daysBetween('2024-02-27', '2024-03-02'), 4);
+  });
+
+  it('subtracts the grace period and never goes negative', () => {
+    assert.equal(daysOverdue({ date: '2025-03-01' }, '2025-03-10'), 9);
+    assert.equal(daysOverdue({ date: '2025-03-01' }, '2025-03-10', 5), 4);
+    assert.equal(daysOverdue({ date: '2025-03-01' }, '2025-03-10', 15), 0);
+    assert.equal(daysOverdue({ date: 'bad' }, '2025-03-10'), 0);
+  });
+
+  it('formats the local date', () => {
+    assert.equal(toISODate(new Date(2025, 0, 5)), '2025-01-05');
+  });
+});
+
+describe('shouldMarkOverdue', () => {
+  it('only moves pending (or status-less) expenses dated before today', () => {
+    assert.equal(shouldMarkOverdue(expenses[0], '2025-03-10'), true);
+    assert.equal(shouldMarkOverdue(expenses[3], '2025-03-10'), false);
+    assert.equal(shouldMarkOverdue(expenses[4], '2025-03-10'), true);
+    assert.equal(shouldMarkOverdue({ date: '2025-03-10', status: 'pending' }, '2025-03-10'), false);
+  });
+
+  it('waits for the grace period', () => {
+    assert.equal(shouldMarkOverdue(expenses[1], '2025-03-10', 1), false);
+    assert.equal(shouldMarkOverdue(expenses[1], '2025-03-11', 1), true);
+  });
+});
+
+describe('findOverdueExpenses', () => {
+  it('lists marked and due rows, oldest first, flagging pending ones as transitions', () => {
+    const result = findOverdueExpenses(expenses, { today: '2025-03-10', graceDays: 2 });
+    assert.deepEqual(result.map(e => [e.id, e.daysOverdue, e.transition]), [
+      ['c', 18, false],
+      ['a', 9, true],
+      ['e', 7, true]
+    ]);
+  });
+});
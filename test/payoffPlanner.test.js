@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { debtMonthlyRate, minimumPaymentFor, orderDebts, simulatePayoff, buildPayoffPlan } from '../src/utils/payoffPlanner.js';
+
+const debts = [
+  { id: 'visa', name: 'Visa', balance: 3000, interesEfectivo: 60 },
+  { id: 'mc', name: 'MC', balance: 800, interesEfectivo: 30 },
+  { id: 'amex', name: 'Amex', balance: 1500, interesEfectivo: 0.45 }
+];
+
+describe('debtMonthlyRate', () => {
+  it('accepts percentages and unit rates', () => {
+    assert.equal(debtMonthlyRate({ interesEfectivo: 45 }), debtMonthlyRate({ interesEfectivo: 0.45 }));
+    assert.ok(Math.abs(debtMonthlyRate({ interesEfectivo: 12.682503 }) - 0.01) < 1e-6);
+    assert.equal(debtMonthlyRate({ interesEfectivo: null }), 0);
+  });
+});
+
+describe('minimumPaymentFor', () => {
+  it('is 5% of the balance, capped at the balance', () => {
+    assert.equal(minimumPaymentFor(1000), 50);
+    assert.equal(minimumPaymentFor(0), 0);
+  });
+});
+
+describe('orderDebts', () => {
+  const state = debts.map(d => ({ id: d.id, balance: d.balance, monthlyRate: debtMonthlyRate(d) }));
+
+  it('puts the highest rate first for avalanche and the smallest balance first for snowball', () => {
+    assert.deepEqual(orderDebts(state, 'avalanche').map(d => d.id), ['visa', 'amex', 'mc']);
+    assert.deepEqual(orderDebts(state, 'snowball').map(d => d.id), ['mc', 'amex', 'visa']);
+  });
+
+  it('follows the custom order and appends unlisted debts in avalanche order', () => {
+    assert.deepEqual(orderDebts(state, 'custom', ['mc']).map(d => d.id), ['mc', 'visa', 'amex']);
+  });
+});
+
+describe('simulatePayoff', () => {
+  it('pays a single interest-free debt in equal installments', () => {
+    const result = simulatePayoff([{ id: 'd1', name: 'Tienda', balance: 1000, interesEfectivo: 0 }], { monthlyBudget: 250, startMonth: '2025-01' });
+    assert.equal(result.months, 4);
+    assert.equal(result.payoffMonth, '2025-04');
+    assert.equal(result.completed, true);
+    assert.equal(result.totalInterest, 0);
+    assert.equal(result.totalPaid, 1000);
+    assert.deepEqual(result.schedule.map(m => m.remainingBalance), [750, 500, 250, 0]);
+  });
+
+  it('accrues interest before the payment and spends the whole budget while debts remain', () => {
+    const result = simulatePayoff(debts, { monthlyBudget: 400, strategy: 'avalanche', startMonth: '2025-01' });
+    const first = result.schedule[0];
+    assert.equal(first.totalPayment, 400);
+    const visa = first.payments.find(p => p.debtId === 'visa');
+    assert.equal(visa.interest, Number((3000 * debtMonthlyRate(debts[0])).toFixed(2)));
+    assert.equal(result.completed, true);
+    assert.equal(result.debts.every(d => d.payoffMonth !== null), true);
+    assert.equal(result.totalPaid, Number((5300 + result.totalInterest).toFixed(2)));
+  });
+
+  it('sends the extra money to the first debt in strategy order', () => {
+    const result = simulatePayoff(debts, { monthlyBudget: 400, strategy: 'snowball', startMonth: '2025-01' });
+    const first = result.schedule[0].payments;
+    const mc = first.find(p => p.debtId === 'mc');
+    const visa = first.find(p => p.debtId === 'visa');
+    assert.ok(mc.payment > visa.payment);
+    assert.equal(result.debts[0].debtId, 'mc');
+    assert.ok(result.debts[0].months < result.debts[2].months);
+  });
+
+  it('rejects a budget below the minimum payments', () => {
+    assert.throws(
+      () => simulatePayoff(debts, { monthlyBudget: 100, startMonth: '2025-01' }),
+      (error) => error.code === 'BUDGET_TOO_LOW' && error.minimumPayment > 100
+    );
+  });
+
+  it('stops at the horizon when the budget never catches up with the interest', () => {
+    const result = simulatePayoff([{ id: 'd1', balance: 10000, interesEfectivo: 200 }], { monthlyBudget: 950, startMonth: '2025-01', maxMonths: 24 });
+    assert.equal(result.completed, false);
+    assert.equal(result.months, 24);
+    assert.equal(result.payoffMonth, null);
+  });
+
+  it('ignores debts without balance', () => {
+    const result = simulatePayoff([{ id: 'd1', balance: 0 }, { id: 'd2', balance: -5 }], { monthlyBudget: 100, startMonth: '2025-01' });
+    assert.equal(result.months, 0);
+    assert.equal(result.completed, true);
+    assert.deepEqual(result.debts, []);
+  });
+});
+
+describe('buildPayoffPlan', () => {
+  it('compares avalanche and snowball, and avalanche never costs more interest', () => {
+    const { plan, comparison } = buildPayoffPlan(debts, { monthlyBudget: 400, strategy: 'snowball', startMonth: '2025-01' });
+    assert.equal(plan.strategy, 'snowball');
+    assert.deepEqual(comparison.strategies.map(s => s.strategy), ['avalanche', 'snowball']);
+    const [avalanche, snowball] = comparison.strategies;
+    assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+    assert.equal(comparison.cheapest, 'avalanche');
+    assert.equal(comparison.interestSavedVsWorst, Number((snowball.totalInterest - avalanche.totalInterest).toFixed(2)));
+  });
+
+  it('includes custom when an order is given', () => {
+    const { plan, comparison } = buildPayoffPlan(debts, { monthlyBudget: 400, strategy: 'custom', order: ['amex', 'mc', 'visa'], startMonth: '2025-01' });
+    assert.deepEqual(plan.order, ['amex', 'mc', 'visa']);
+    assert.equal(comparison.strategies.length, 3);
+  });
+});
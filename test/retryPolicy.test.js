@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableStatus, isIdempotentRequest, wasNotSent, parseRetryAfter, backoffDelay, nextRetry, retryHintSeconds } from '../src/utils/retryPolicy.js';
+import { createConcurrencyLimiter } from '../src/utils/concurrencyLimiter.js';
+
+const policy = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 4000 };
+
+describe('isRetryableStatus', () => {
+  it('retries quota and transient server errors only', () => {
+    assert.ok(isRetryableStatus(429));
+    assert.ok(isRetryableStatus(503));
+    assert.equal(isRetryableStatus(400), false);
+    assert.equal(isRetryableStatus(401), false);
+  });
+});
+
+describe('isIdempotentRequest', () => {
+  const base = 'https://sheets.googleapis.com/v4/spreadsheets/abc';
+
+  it('accepts reads and writes of fixed ranges', () => {
+    assert.ok(isIdempotentRequest('GET', `${base}/values/Expenses`));
+    assert.ok(isIdempotentRequest(undefined, `${base}/values:batchGet?ranges=Debts`));
+    assert.ok(isIdempotentRequest('PUT', `${base}/values/Expenses!A2:J2?valueInputOption=RAW`));
+    assert.ok(isIdempotentRequest('POST', `${base}/values:batchUpdate`));
+    assert.ok(isIdempotentRequest('POST', `${base}/values/Expenses!A2:J2:clear`));
+  });
+
+  it('rejects appends and structural batchUpdates', () => {
+    assert.equal(isIdempotentRequest('POST', `${base}/values/Expenses!A:J:append?valueInputOption=RAW`), false);
+    assert.equal(isIdempotentRequest('POST', `${base}:batchUpdate`), false);
+  });
+});
+
+describe('wasNotSent', () => {
+  it('recognizes connection failures raised before sending', () => {
+    assert.ok(wasNotSent(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } })));
+    assert.equal(wasNotSent(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })), false);
+    assert.equal(wasNotSent(new Error('socket hang up')), false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    const now = Date.parse('2025-03-01T10:00:00Z');
+    assert.equal(parseRetryAfter('30', now), 30000);
+    assert.equal(parseRetryAfter('Sat, 01 Mar 2025 10:00:05 GMT', now), 5000);
+    assert.equal(parseRetryAfter('Sat, 01 Mar 2025 09:00:00 GMT', now), 0);
+  });
+
+  it('returns null for a missing or unreadable header', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles the ceiling per attempt up to maxDelayMs', () => {
+    assert.equal(backoffDelay(0, { ...policy, random: () => 1 }), 500);
+    assert.equal(backoffDelay(2, { ...policy, random: () => 1 }), 2000);
+    assert.equal(backoffDelay(5, { ...policy, random: () => 1 }), 4000);
+    assert.equal(backoffDelay(2, { ...policy, random: () => 0.5 }), 1000);
+  });
+});
+
+describe('nextRetry', () => {
+  it('waits at least the Retry-After delay', () => {
+    assert.deepEqual(nextRetry(0, { ...policy, retryAfterMs: 3000, random: () => 1 }), { retry: true, delayMs: 3000 });
+    assert.deepEqual(nextRetry(1, { ...policy, retryAfterMs: 0, random: () => 1 }), { retry: true, delayMs: 1000 });
+  });
+
+  it('gives up after maxRetries or when Retry-After exceeds maxDelayMs', () => {
+    assert.equal(nextRetry(3, policy).retry, false);
+    assert.equal(nextRetry(0, { ...policy, retryAfterMs: 60000 }).retry, false);
+  });
+});
+
+describe('retryHintSeconds', () => {
+  it('prefers the server hint and rounds up', () => {
+    assert.equal(retryHintSeconds(60000, policy), 60);
+    assert.equal(retryHintSeconds(null, policy), 4);
+    assert.equal(retryHintSeconds(0, policy), 1);
+  });
+});
+
+describe('createConcurrencyLimiter', () => {
+  it('runs at most limit calls per key, in order', async () => {
+    const limiter = createConcurrencyLimiter(2);
+    let running = 0;
+    let peak = 0;
+    const order = [];
+    const task = (id) => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(r => setTimeout(r, 5));
+      running--;
+      order.push(id);
+      return id;
+    };
+    const pending = [1, 2, 3, 4].map(id => limiter.run('sheet1', task(id)));
+    assert.deepEqual(limiter.stats('sheet1'), { active: 2, queued: 2 });
+    assert.deepEqual(await Promise.all(pending), [1, 2, 3, 4]);
+    assert.equal(peak, 2);
+    assert.deepEqual(order, [1, 2, 3, 4]);
+    assert.deepEqual(limiter.stats('sheet1'), { active: 0, queued: 0 });
+  });
+
+  it('keeps keys independent and releases the slot on failure', async () => {
+    const limiter = createConcurrencyLimiter(1);
+    await assert.rejects(limiter.run('a', async () => { throw new Error('boom'); }), /boom/);
+    const results = await Promise.all([limiter.run('a', async () => 'a'), limiter.run('b', async () => 'b')]);
+    assert.deepEqual(results, ['a', 'b']);
+  });
+});
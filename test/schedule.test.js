@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { addMonths, isMonthlyRunDue, latestMonthlyDate, monthOf } from '../src/utils/schedule.js';
+
+describe('monthOf / addMonths', () => {
+  it('formats and shifts months across years', () => {
+    assert.equal(monthOf(new Date(2025, 0, 31)), '2025-01');
+    assert.equal(addMonths('2025-12', 1), '2026-01');
+    assert.equal(addMonths('2025-01', -1), '2024-12');
+  });
+});
+
+describe('isMonthlyRunDue', () => {
+  const schedule = { dayOfMonth: 25, hour: 2 };
+
+  it('is due from the configured hour of the configured day on', () => {
+    assert.equal(isMonthlyRunDue(new Date(2025, 2, 24, 23), schedule), false);
+    assert.equal(isMonthlyRunDue(new Date(2025, 2, 25, 1), schedule), false);
+    assert.equal(isMonthlyRunDue(new Date(2025, 2, 25, 2), schedule), true);
+    assert.equal(isMonthlyRunDue(new Date(2025, 2, 28, 0), schedule), true);
+  });
+
+  it('moves days past the end of short months to their last day', () => {
+    assert.equal(isMonthlyRunDue(new Date(2025, 1, 28, 0), { dayOfMonth: 31 }), true);
+    assert.equal(isMonthlyRunDue(new Date(2025, 1, 27, 23), { dayOfMonth: 31 }), false);
+  });
+});
+
+describe('latestMonthlyDate', () => {
+  it('returns this month cutoff once reached, else the previous one', () => {
+    assert.equal(latestMonthlyDate(15, new Date(2025, 2, 15)), '2025-03-15');
+    assert.equal(latestMonthlyDate(15, new Date(2025, 2, 14)), '2025-02-15');
+    assert.equal(latestMonthlyDate(20, new Date(2025, 0, 5)), '2024-12-20');
+  });
+
+  it('clamps the cutoff day to short months', () => {
+    assert.equal(latestMonthlyDate(31, new Date(2025, 1, 28)), '2025-02-28');
+    assert.equal(latestMonthlyDate(31, new Date(2025, 2, 30)), '2025-02-28');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHeaderKey, headerToKey, columnLetter, buildLayout, rowToRecord, recordToRow, missingColumns } from '../src/utils/sheetLayout.js';
+
+const mapping = { id: 'id', fecha: 'date', date: 'date', monto: 'amount', amount: 'amount', estado: 'status', status: 'status' };
+
+describe('headerToKey', () => {
+  it('uses the schema mapping and falls back to camelCase', () => {
+    assert.equal(normalizeHeaderKey('Fecha de Operación'), 'fechadeoperacion');
+    assert.equal(headerToKey('Fecha', mapping), 'date');
+    assert.equal(headerToKey(' Monto ', mapping), 'amount');
+    assert.equal(headerToKey('Notas extra', mapping), 'notasExtra');
+  });
+});
+
+describe('columnLetter', () => {
+  it('converts 0-based indexes to labels', () => {
+    assert.equal(columnLetter(0), 'A');
+    assert.equal(columnLetter(9), 'J');
+    assert.equal(columnLetter(25), 'Z');
+    assert.equal(columnLetter(26), 'AA');
+    assert.equal(columnLetter(701), 'ZZ');
+  });
+});
+
+describe('buildLayout', () => {
+  it('resolves columns by header, wherever they are', () => {
+    const layout = buildLayout(['estado', 'id', 'Notas', 'fecha', 'monto'], mapping);
+    assert.deepEqual(layout.columns, { status: 0, id: 1, notas: 2, date: 3, amount: 4 });
+    assert.equal(layout.width, 5);
+    assert.equal(layout.lastColumn, 'E');
+  });
+
+  it('skips blank headers and keeps the first column of a repeated key', () => {
+    const layout = buildLayout(['id', '', 'date', 'fecha'], mapping);
+    assert.deepEqual(layout.columns, { id: 0, date: 2 });
+    assert.equal(layout.lastColumn, 'D');
+  });
+
+  it('handles an empty header row', () => {
+    const layout = buildLayout([], mapping);
+    assert.deepEqual(layout.columns, {});
+    assert.equal(layout.lastColumn, 'A');
+  });
+});
+
+describe('rowToRecord / recordToRow', () => {
+  const layout = buildLayout(['amount', 'Notas', 'id', 'date', 'status'], mapping);
+
+  it('reads cells by key', () => {
+    assert.deepEqual(rowToRecord(layout, ['10', 'x', 'e1', '2025-01-02']), {
+      amount: '10', notas: 'x', id: 'e1', date: '2025-01-02', status: undefined
+    });
+  });
+
+  it('writes fields in header order', () => {
+    assert.deepEqual(recordToRow(layout, { id: 'e1', date: '2025-01-02', amount: '10', status: 'paid' }),
+      ['10', '', 'e1', '2025-01-02', 'paid']);
+  });
+
+  it('keeps the stored cells the record leaves out', () => {
+    const base = ['10', 'user note', 'e1', '2025-01-02', 'pending'];
+    assert.deepEqual(recordToRow(layout, { id: 'e1', status: 'paid', amount: undefined }, base),
+      ['10', 'user note', 'e1', '2025-01-02', 'paid']);
+    assert.deepEqual(recordToRow(layout, { status: null }, base), ['10', 'user note', 'e1', '2025-01-02', '']);
+    assert.deepEqual(base, ['10', 'user note', 'e1', '2025-01-02', 'pending']);
+  });
+
+  it('reports fields with a value and no column', () => {
+    assert.deepEqual(missingColumns(layout, { id: 'e1', debtId: 'd1', entryType: '', category: null }), ['debtId']);
+    assert.deepEqual(missingColumns(layout, { id: 'e1' }), []);
+  });
+});
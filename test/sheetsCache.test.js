@@ -0,0 +1,67 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import { RedisCacheStore } from '../src/services/sheetsCacheService.js';
+
+// Stands in for the redis module: the first connect fails, later ones succeed
+function flakyRedis() {
+  const module = { connects: 0, options: [] };
+  module.createClient = (options) => {
+    module.options.push(options);
+    const values = new Map();
+    return {
+      on() {},
+      async connect() {
+        module.connects += 1;
+        if (module.connects === 1) throw new Error('Redis unavailable');
+      },
+      async get(key) { return values.get(key) ?? null; },
+      async set(key, value) { values.set(key, value); }
+    };
+  };
+  return module;
+}
+
+before(() => {
+  logger.silent = true;
+});
+
+describe('RedisCacheStore', () => {
+  it('connects again after a failed connect', async () => {
+    const redis = flakyRedis();
+    const store = new RedisCacheStore('redis://localhost:6379', { loadRedis: async () => redis });
+
+    await assert.rejects(store.get('key'), /Redis unavailable/);
+    await store.set('key', 'value', 1000);
+
+    assert.equal(await store.get('key'), 'value');
+    assert.equal(redis.connects, 2);
+  });
+
+  it('does not keep retrying the first connect and queues nothing while offline', async () => {
+    const redis = flakyRedis();
+    const store = new RedisCacheStore('redis://localhost:6379', { loadRedis: async () => redis });
+
+    await assert.rejects(store.get('key'));
+
+    const [options] = redis.options;
+    assert.equal(options.disableOfflineQueue, true);
+    assert.ok(options.socket.reconnectStrategy(1) instanceof Error);
+  });
+
+  it('retries a failed import of the redis module', async () => {
+    const redis = flakyRedis();
+    let attempts = 0;
+    const store = new RedisCacheStore('redis://localhost:6379', {
+      loadRedis: async () => {
+        attempts += 1;
+        if (attempts === 1) throw new Error('Cannot find package redis');
+        return redis;
+      }
+    });
+
+    await assert.rejects(store.get('key'), /Cannot find package/);
+    await assert.rejects(store.get('key'), /Redis unavailable/);
+    assert.equal(await store.get('key'), null);
+  });
+});
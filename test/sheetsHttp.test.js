@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/config/config.js';
+import logger from '../src/config/logger.js';
+import { sheetsFetch } from '../src/services/sheetsHttp.js';
+
+const base = 'https://sheets.googleapis.com/v4/spreadsheets/abc';
+const originalFetch = globalThis.fetch;
+const originalPolicy = { ...config.sheetsRequests };
+let calls;
+
+/**
+ * Replace fetch with one that answers each call with the next of the given results
+ * (a status number, or an Error to throw)
+ */
+function stubFetch(...results) {
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, method: init.method || 'GET' });
+    const result = results[Math.min(calls.length - 1, results.length - 1)];
+    if (result instanceof Error) throw result;
+    return new Response(JSON.stringify({ status: result }), { status: result });
+  };
+}
+
+const refused = () => Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+const reset = () => Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+
+before(() => {
+  logger.silent = true;
+  Object.assign(config.sheetsRequests, { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+  Object.assign(config.sheetsRequests, originalPolicy);
+});
+
+beforeEach(() => {
+  calls = [];
+});
+
+describe('sheetsFetch', () => {
+  it('retries reads on 503 and gives up with ApiError 503', async () => {
+    stubFetch(503);
+    await assert.rejects(sheetsFetch(`${base}/values/Expenses`, {}, { key: 'abc' }), { statusCode: 503 });
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry an append on 503', async () => {
+    stubFetch(503, 200);
+    const response = await sheetsFetch(`${base}/values/Expenses!A:J:append?valueInputOption=RAW`,
+      { method: 'POST', body: '{}' }, { key: 'abc' });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+  });
+
+  it('retries an append on 429', async () => {
+    stubFetch(429, 200);
+    const response = await sheetsFetch(`${base}/values/Expenses!A:J:append`, { method: 'POST' }, { key: 'abc' });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+  });
+
+  it('retries a structural batchUpdate only when the connection was never made', async () => {
+    stubFetch(refused(), 200);
+    const response = await sheetsFetch(`${base}:batchUpdate`, { method: 'POST' }, { key: 'abc' });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+
+    calls = [];
+    stubFetch(reset(), 200);
+    await assert.rejects(sheetsFetch(`${base}:batchUpdate`, { method: 'POST' }, { key: 'abc' }), /fetch failed/);
+    assert.equal(calls.length, 1);
+  });
+
+  it('retries a values:batchUpdate on 503', async () => {
+    stubFetch(503, 200);
+    const response = await sheetsFetch(`${base}/values:batchUpdate`, { method: 'POST' }, { key: 'abc' });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+  });
+});
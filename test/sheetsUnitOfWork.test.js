@@ -0,0 +1,127 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import SheetsUnitOfWork from '../src/services/sheetsUnitOfWork.js';
+import { LocalSheetsService } from './fixtures/localSheetsService.js';
+
+function debtsService() {
+  return new LocalSheetsService([
+    { title: 'Debts', values: [['id', 'name', 'balance'], ['d1', 'Tarjeta', '100'], ['d2', 'Auto', '500']] },
+    { title: 'DebtLedger', values: [['id', 'debtId', 'delta']] }
+  ]);
+}
+
+const valuesOf = (service, title) => service.valuesOf(title);
+
+before(() => {
+  logger.silent = true;
+});
+
+describe('SheetsUnitOfWork', () => {
+  it('sends the staged rows in one values:batchUpdate and then runs the after-commit hooks', async () => {
+    const service = debtsService();
+    const events = [];
+
+    const { result } = await new SheetsUnitOfWork(service).run(async (uow) => {
+      uow.setRow('Debts', 2, 'C', ['d1', 'Tarjeta', '80']);
+      uow.setRow('Debts', 3, 'C', ['d2', 'Auto', '450']);
+      // A later write to the same range replaces the staged one, and reads see it
+      uow.setRow('Debts', 2, 'C', ['d1', 'Tarjeta', '70']);
+      assert.deepEqual(await uow.readRow('Debts', 2, 'C'), ['d1', 'Tarjeta', '70']);
+      await uow.append('DebtLedger', 'C', [['l1', 'd1', '-30'], ['l2', 'd2', '-50']]);
+      uow.afterCommit(async () => events.push(valuesOf(service, 'Debts')[1][2]));
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(valuesOf(service, 'Debts'), [['id', 'name', 'balance'], ['d1', 'Tarjeta', '70'], ['d2', 'Auto', '450']]);
+    assert.deepEqual(valuesOf(service, 'DebtLedger').slice(1), [['l1', 'd1', '-30'], ['l2', 'd2', '-50']]);
+    assert.deepEqual(events, ['70']);
+
+    const batches = service.calls.filter(c => c.endpoint === '/values:batchUpdate');
+    assert.equal(batches.length, 1);
+    assert.deepEqual(batches[0].body.data.map(d => d.range), ['Debts!A2:C2', 'Debts!A3:C3']);
+  });
+
+  it('undoes the immediate writes newest first when the batch fails', async () => {
+    const service = debtsService();
+    const original = { debts: valuesOf(service, 'Debts'), ledger: valuesOf(service, 'DebtLedger') };
+    const undone = [];
+    const deleteRowByNumber = service.deleteRowByNumber.bind(service);
+    const insertRowByNumber = service.insertRowByNumber.bind(service);
+    service.deleteRowByNumber = async (title, ...args) => {
+      undone.push(`delete ${title}`);
+      return deleteRowByNumber(title, ...args);
+    };
+    service.insertRowByNumber = async (title, ...args) => {
+      undone.push(`insert ${title}`);
+      return insertRowByNumber(title, ...args);
+    };
+    service.failOn = (method, endpoint) => endpoint === '/values:batchUpdate';
+    const hook = [];
+
+    await assert.rejects(new SheetsUnitOfWork(service).run(async (uow) => {
+      await uow.append('DebtLedger', 'C', [['l1', 'd1', '-100']]);
+      await uow.deleteRow('Debts', 2, 'C');
+      uow.addCompensation('custom step', async () => undone.push('custom'));
+      uow.setRow('Debts', 2, 'C', ['d2', 'Auto', '400']);
+      uow.afterCommit(async () => hook.push('ran'));
+      undone.length = 0; // only count what the rollback does
+    }), /Sheets failed/);
+
+    assert.deepEqual(undone, ['custom', 'insert Debts', 'delete DebtLedger']);
+    assert.deepEqual(valuesOf(service, 'Debts'), original.debts);
+    assert.deepEqual(valuesOf(service, 'DebtLedger'), original.ledger);
+    assert.deepEqual(hook, []);
+  });
+
+  it('keeps rolling back when a compensation fails, and rethrows the original error', async () => {
+    const service = debtsService();
+    const undone = [];
+
+    await assert.rejects(new SheetsUnitOfWork(service).run(async (uow) => {
+      uow.addCompensation('first', async () => undone.push('first'));
+      uow.addCompensation('broken', async () => { throw new Error('cannot undo'); });
+      throw new Error('validation failed');
+    }), /validation failed/);
+
+    assert.deepEqual(undone, ['first']);
+    assert.equal(service.calls.some(c => c.endpoint === '/values:batchUpdate'), false);
+  });
+
+  it('runs the units of work of one spreadsheet one at a time', async () => {
+    const service = debtsService();
+    const other = debtsService();
+    const events = [];
+    const pause = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    // Both read-modify-write the same balance; serialized, neither update is lost
+    const addToBalance = (label, delta) => new SheetsUnitOfWork(service).run(async (uow) => {
+      events.push(`${label} start`);
+      const row = await uow.readRow('Debts', 2, 'C');
+      await pause();
+      uow.setRow('Debts', 2, 'C', [row[0], row[1], String(Number(row[2]) + delta)]);
+      events.push(`${label} end`);
+    });
+    const unrelated = new SheetsUnitOfWork(other).run(async () => {
+      events.push('other start');
+      await pause();
+      events.push('other end');
+    });
+
+    await Promise.all([addToBalance('a', 10), addToBalance('b', 5), unrelated]);
+
+    assert.deepEqual(events.filter(e => !e.startsWith('other')), ['a start', 'a end', 'b start', 'b end']);
+    assert.ok(events.indexOf('other start') < events.indexOf('a end'), 'another spreadsheet does not wait');
+    assert.equal(valuesOf(service, 'Debts')[1][2], '115');
+  });
+
+  it('releases the spreadsheet after a failed unit of work', async () => {
+    const service = debtsService();
+
+    await assert.rejects(new SheetsUnitOfWork(service).run(async () => { throw new Error('boom'); }), /boom/);
+    const { result } = await new SheetsUnitOfWork(service).run(async () => 'next');
+
+    assert.equal(result, 'next');
+  });
+});
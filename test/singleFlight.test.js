@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSingleFlight } from '../src/utils/singleFlight.js';
+
+describe('createSingleFlight', () => {
+  it('shares one call among concurrent callers of the same key', async () => {
+    const flight = createSingleFlight();
+    let calls = 0;
+    const fn = async () => {
+      const call = ++calls;
+      await new Promise(r => setTimeout(r, 5));
+      return `token-${call}`;
+    };
+    const results = await Promise.all([flight.run('u1', fn), flight.run('u1', fn), flight.run('u2', fn)]);
+    assert.deepEqual(results, ['token-1', 'token-1', 'token-2']);
+    assert.equal(calls, 2);
+    assert.equal(flight.pending('u1'), false);
+    assert.equal(await flight.run('u1', fn), 'token-3');
+  });
+
+  it('shares failures and forgets them once settled', async () => {
+    const flight = createSingleFlight();
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw new Error('refresh failed');
+    };
+    const attempts = await Promise.allSettled([flight.run('u1', failing), flight.run('u1', failing)]);
+    assert.deepEqual(attempts.map(a => a.status), ['rejected', 'rejected']);
+    assert.equal(calls, 1);
+    assert.equal(await flight.run('u1', async () => 'ok'), 'ok');
+  });
+});
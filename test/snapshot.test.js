@@ -0,0 +1,101 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import logger from '../src/config/logger.js';
+import { SNAPSHOT_SECTIONS } from '../src/config/constants.js';
+import snapshotRoutes from '../src/routes/snapshotRoutes.js';
+import { errorConverter, errorHandler } from '../src/middleware/errorHandler.js';
+import { LocalSheetsService } from './fixtures/localSheetsService.js';
+
+function userSheets() {
+  return new LocalSheetsService([
+    { title: 'Categories', values: [['id', 'name', 'color', 'icon'], ['1', 'Comida', '#FF5722', '🍔']] },
+    { title: 'Expenses', values: [['id', 'date', 'description', 'amount', 'categoryId'], ['e1', '2025-01-02', 'Pan', '20', '1']] },
+    { title: 'FixedExpenses', values: [['id', 'name', 'amount', 'categoryId', 'dayOfMonth', 'active']] },
+    { title: 'Budget', values: [['month', 'amount', 'categoryId'], ['2025-01', '1000', '']] },
+    { title: 'Debts', values: [['id', 'name', 'balance'], ['d1', 'Tarjeta', '100']] },
+    { title: 'CreditHistory', values: [['id', 'debtId', 'statementDate']] }
+  ]);
+}
+
+const batchGets = (service) => service.calls.filter(c => c.endpoint.startsWith('/values:batchGet'));
+const valueReads = (service) => service.calls.filter(c => c.endpoint.startsWith('/values/'));
+
+let server;
+let baseUrl;
+let storage;
+
+before(async () => {
+  logger.silent = true;
+  const app = express();
+  app.use('/api/snapshot', (req, res, next) => {
+    req.sheetsService = storage;
+    next();
+  }, snapshotRoutes);
+  app.use(errorConverter);
+  app.use(errorHandler);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('getSnapshot', () => {
+  it('reads every section with one values:batchGet', async () => {
+    const service = userSheets();
+
+    const snapshot = await service.getSnapshot();
+
+    assert.deepEqual(Object.keys(snapshot), SNAPSHOT_SECTIONS);
+    assert.equal(batchGets(service).length, 1);
+    assert.deepEqual(valueReads(service), []);
+    assert.equal(snapshot.expenses[0].id, 'e1');
+    assert.equal(snapshot.expenses[0].amount, 20);
+    assert.ok(snapshot.expenses[0].etag);
+    assert.equal(snapshot.debts[0].name, 'Tarjeta');
+  });
+
+  it('returns missing sheets as empty sections', async () => {
+    const service = userSheets();
+    service.spreadsheet.sheets = service.spreadsheet.sheets.filter(s => s.title !== 'Debts');
+
+    const snapshot = await service.getSnapshot(['debts', 'incomes', 'categories']);
+
+    assert.deepEqual(snapshot.debts, []);
+    assert.deepEqual(snapshot.incomes, []);
+    assert.equal(snapshot.categories.length, 1);
+    const [batch] = batchGets(service);
+    assert.equal(new URLSearchParams(batch.endpoint.split('?')[1]).getAll('ranges').join(','), 'Categories');
+  });
+
+  it('skips the batchGet when no requested sheet exists', async () => {
+    const service = new LocalSheetsService([]);
+
+    assert.deepEqual(await service.getSnapshot(['incomes', 'recurringIncomes']), { incomes: [], recurringIncomes: [] });
+    assert.deepEqual(batchGets(service), []);
+  });
+});
+
+describe('GET /api/snapshot', () => {
+  it('returns the requested sections with their counts', async () => {
+    storage = userSheets();
+
+    const response = await fetch(`${baseUrl}/api/snapshot?include=expenses,incomes`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(body.data), ['expenses', 'incomes']);
+    assert.deepEqual(body.counts, { expenses: 1, incomes: 0 });
+    assert.equal(batchGets(storage).length, 1);
+  });
+
+  it('rejects an unknown section with 400', async () => {
+    storage = userSheets();
+
+    const response = await fetch(`${baseUrl}/api/snapshot?include=expenses,salaries`);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(storage.calls, []);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { paymentsForStatement, paymentStatus, buildStatementHistory } from '../src/utils/statementHistory.js';
+
+const records = [
+  { debtId: 'visa', statementDate: '2025-01-15', dueDate: '2025-02-05', interests: 0, statementBalance: 1000, installmentBalance: 1000 },
+  { debtId: 'visa', statementDate: '2024-12-15', dueDate: '2025-01-05', interests: 40, statementBalance: 2000, installmentBalance: 2010 },
+  { debtId: 'visa', statementDate: '2025-02-15', dueDate: '2025-03-05', interests: 25.5, statementBalance: 3000, installmentBalance: 3020 },
+  { debtId: 'amex', statementDate: '2025-01-20', dueDate: '2025-02-10', interests: 99, statementBalance: 10, installmentBalance: 10 }
+];
+
+const expenses = [
+  { debtId: 'visa', date: '2024-12-20', entryType: 'payment', status: 'paid', amount: 2010 },
+  { debtId: 'visa', date: '2025-01-20', entryType: 'payment', status: 'paid', amount: 600 },
+  { debtId: 'visa', date: '2025-02-06', entryType: 'payment', status: 'paid', amount: 400 },
+  { debtId: 'visa', date: '2025-02-20', entryType: 'payment', status: 'pending', amount: 3020 },
+  { debtId: 'visa', date: '2025-02-16', entryType: 'charge', status: 'paid', amount: 50 }
+];
+
+describe('paymentsForStatement', () => {
+  it('sums settled payments from the statement date to the due date, both included', () => {
+    assert.equal(paymentsForStatement(expenses, 'visa', records[1]), 2010);
+    assert.equal(paymentsForStatement(expenses, 'visa', records[0]), 600);
+    assert.equal(paymentsForStatement(expenses, 'visa', records[2]), 0);
+  });
+});
+
+describe('paymentStatus', () => {
+  const today = new Date(2025, 1, 20);
+  it('classifies the payment of a statement', () => {
+    assert.equal(paymentStatus(1000, 1000, '2025-02-05', today), 'paid_in_full');
+    assert.equal(paymentStatus(999.996, 1000, '2025-02-05', today), 'paid_in_full');
+    assert.equal(paymentStatus(600, 1000, '2025-02-05', today), 'partial');
+    assert.equal(paymentStatus(0, 1000, '2025-02-05', today), 'unpaid');
+    assert.equal(paymentStatus(0, 1000, '2025-03-05', today), 'pending');
+  });
+});
+
+describe('buildStatementHistory', () => {
+  const today = new Date(2025, 1, 20);
+
+  it('sorts the debt statements and derives period-over-period metrics', () => {
+    const { statements } = buildStatementHistory(records, { debtId: 'visa', creditLimit: 10000, expenses, today });
+    assert.deepEqual(statements.map(s => s.statementDate), ['2024-12-15', '2025-01-15', '2025-02-15']);
+    assert.deepEqual(statements.map(s => s.paymentStatus), ['paid_in_full', 'partial', 'pending']);
+    assert.deepEqual(statements.map(s => s.paidInFull), [true, false, false]);
+    assert.deepEqual(statements.map(s => s.utilization), [0.2, 0.1, 0.3]);
+    assert.deepEqual(statements.map(s => s.utilizationChange), [null, -0.1, 0.2]);
+    assert.deepEqual(statements.map(s => s.interestChange), [null, -40, 25.5]);
+  });
+
+  it('restarts the cumulative interest every year', () => {
+    const { statements } = buildStatementHistory(records, { debtId: 'visa', expenses, today });
+    assert.deepEqual(statements.map(s => s.cumulativeInterestYtd), [40, 0, 25.5]);
+    assert.equal(statements[0].utilization, null);
+  });
+
+  it('filters the range after computing the metrics and summarizes it', () => {
+    const { statements, summary } = buildStatementHistory(records, { debtId: 'visa', creditLimit: 10000, expenses, from: '2025-01-01', to: '2025-12-31', today });
+    assert.equal(statements.length, 2);
+    assert.equal(statements[0].utilizationChange, -0.1);
+    assert.equal(summary.count, 2);
+    assert.equal(summary.totalInterest, 25.5);
+    assert.deepEqual(summary.interestByYear, { 2025: 25.5 });
+    assert.equal(summary.paidInFullCount, 0);
+    assert.equal(summary.paidInFullRate, 0);
+    assert.equal(summary.averageUtilization, 0.2);
+    assert.equal(summary.utilizationTrend, 'rising');
+  });
+
+  it('returns an empty history for a debt without statements', () => {
+    const { statements, summary } = buildStatementHistory(records, { debtId: 'none', today });
+    assert.deepEqual(statements, []);
+    assert.equal(summary.paidInFullRate, null);
+    assert.equal(summary.utilizationTrend, null);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatement, detectStatementFormat, resolveStatementParser, registerStatementParser, createCsvStatementParser, descriptionSimilarity, matchStatementLines } from '../src/utils/statementImport.js';
+
+const csv = [
+  'Cuenta,****1234',
+  'Fecha,Concepto,Cargo,Abono',
+  '02/01/2025,AMAZON MKTPLACE MX,"1,299.00",',
+  '03/01/2025,PAGO GRACIAS,,500.00',
+  'xx/01/2025,BAD ROW,1,'
+].join('\n');
+
+const ofx = `OFXHEADER:100
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250105120000<TRNAMT>-89.90<FITID>A1<NAME>NETFLIX.COM
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250110<TRNAMT>1000.00<FITID>A2<NAME>PAYMENT<MEMO>THANK YOU
+</BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+describe('parseStatement', () => {
+  it('reads a CSV with debit/credit columns below account details', () => {
+    const result = parseStatement(csv, { issuer: 'Banco Desconocido' });
+    assert.equal(result.format, 'csv');
+    assert.equal(result.parser, 'generic');
+    assert.deepEqual(result.lines[0], { line: 3, date: '2025-01-02', description: 'AMAZON MKTPLACE MX', amount: 1299, entryType: 'charge', reference: null });
+    assert.equal(result.lines[1].entryType, 'payment');
+    assert.equal(result.skipped.length, 1);
+    assert.equal(result.skipped[0].line, 5);
+  });
+
+  it('reads OFX transactions with negative charges', () => {
+    assert.equal(detectStatementFormat(ofx), 'ofx');
+    const { lines } = parseStatement(ofx);
+    assert.deepEqual(lines.map(l => [l.date, l.amount, l.entryType, l.reference]), [
+      ['2025-01-05', 89.9, 'charge', 'A1'],
+      ['2025-01-10', 1000, 'payment', 'A2']
+    ]);
+    assert.equal(lines[1].description, 'PAYMENT - THANK YOU');
+  });
+
+  it('rejects files without a usable header or transactions', () => {
+    assert.throws(() => parseStatement('a,b\n1,2'), (e) => e.code === 'INVALID_STATEMENT');
+    assert.throws(() => parseStatement('Fecha,Concepto,Monto\n'), /no transactions/);
+    assert.throws(() => parseStatement(csv, { format: 'pdf' }), /Unsupported/);
+  });
+});
+
+describe('resolveStatementParser', () => {
+  it('uses the issuer parser and falls back to the generic one', () => {
+    assert.equal(resolveStatementParser('American Express', 'csv').parser, 'americanexpress');
+    assert.equal(resolveStatementParser('AMEX', 'ofx').parser, 'generic');
+    registerStatementParser('Banco Ñandú', { csv: createCsvStatementParser({ chargesAreNegative: true }) });
+    const { lines } = parseStatement('Fecha,Descripcion,Importe\n05/01/2025,Cafe,-40', { issuer: 'banco nandu' });
+    assert.equal(lines[0].entryType, 'charge');
+    const amex = parseStatement('Date,Description,Amount\n01/05/2025,UBER,25.5\n01/06/2025,ONLINE PAYMENT,-100', { issuer: 'amex' });
+    assert.deepEqual(amex.lines.map(l => [l.date, l.entryType]), [['2025-01-05', 'charge'], ['2025-01-06', 'payment']]);
+  });
+});
+
+describe('descriptionSimilarity', () => {
+  it('matches truncated merchant names and ignores case and accents', () => {
+    assert.equal(descriptionSimilarity('WALMART SUPERC', 'Walmart supercenter'), 1);
+    assert.equal(descriptionSimilarity('AMAZON MKTPLACE', 'Amazon marketplace'), 0.5);
+    assert.equal(descriptionSimilarity('CAFÉ LA ÑORA', 'cafe la nora'), 1);
+    assert.equal(descriptionSimilarity('AMAZON MX', 'Amazon'), 0.6667);
+    assert.equal(descriptionSimilarity('', 'x'), 0);
+  });
+});
+
+describe('matchStatementLines', () => {
+  const lines = [
+    { line: 1, date: '2025-01-02', description: 'AMAZON MX', amount: 100, entryType: 'charge' },
+    { line: 2, date: '2025-01-02', description: 'AMAZON MX', amount: 100, entryType: 'charge' },
+    { line: 3, date: '2025-01-05', description: 'UBER TRIP', amount: 80, entryType: 'charge' },
+    { line: 4, date: '2025-01-10', description: 'PAGO', amount: 500, entryType: 'payment' }
+  ];
+  const expenses = [
+    { id: 'e1', debtId: 'visa', date: '2025-01-03', description: 'Amazon', amount: 100, entryType: 'charge', status: 'paid', categoryId: 4 },
+    { id: 'e2', debtId: 'visa', date: '2025-01-05', description: 'Uber', amount: 80, entryType: 'payment', status: 'paid', categoryId: 2 },
+    { id: 'e3', debtId: 'visa', date: '2025-01-09', description: 'Pago tarjeta', amount: 500, entryType: 'payment', status: 'paid', categoryId: 7 },
+    { id: 'e4', debtId: 'visa', date: '2025-01-04', description: 'Cena', amount: 300, entryType: 'charge', status: 'pending', categoryId: 1 },
+    { id: 'e5', debtId: 'visa', date: '2025-01-04', description: 'Cena', amount: 300, entryType: 'charge', status: 'cancelled', categoryId: 1 },
+    { id: 'e6', debtId: 'other', date: '2025-01-05', description: 'Uber trip', amount: 80, entryType: 'charge', status: 'paid', categoryId: 3 }
+  ];
+
+  it('matches each expense once and proposes the rest with a suggested category', () => {
+    const result = matchStatementLines(lines, expenses, { debtId: 'visa', defaultCategoryId: 9 });
+    assert.deepEqual(result.matched.map(m => [m.line.line, m.expense.id]), [[1, 'e1'], [4, 'e3']]);
+    assert.deepEqual(result.proposed.map(p => [p.line.line, p.expense.categoryId, p.categorySource]), [[2, 4, 'similar'], [3, 3, 'similar']]);
+    assert.deepEqual(result.proposed[1].expense, { date: '2025-01-05', description: 'UBER TRIP', amount: 80, categoryId: 3, debtId: 'visa', entryType: 'charge', status: 'paid' });
+    assert.deepEqual(result.unmatchedExpenses.map(e => e.id), ['e2', 'e4']);
+    assert.deepEqual(result.summary, { lines: 4, matched: 2, proposed: 2, unmatchedExpenses: 2, totalCharges: 280, totalPayments: 500 });
+  });
+
+  it('respects the date tolerance', () => {
+    const result = matchStatementLines(lines, expenses, { debtId: 'visa', dateToleranceDays: 0 });
+    assert.equal(result.matched.length, 0);
+    assert.deepEqual(result.unmatchedExpenses.map(e => e.id), ['e1', 'e2', 'e3', 'e4']);
+    assert.equal(result.proposed.find(p => p.line.line === 4).expense.categoryId, 7);
+    const unknown = matchStatementLines([{ ...lines[0], description: 'ZQX' }], expenses, { debtId: 'visa', dateToleranceDays: 0 });
+    assert.equal(unknown.proposed[0].expense.categoryId, null);
+    assert.equal(unknown.proposed[0].categorySource, null);
+  });
+});
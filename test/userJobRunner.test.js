@@ -0,0 +1,60 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import logger from '../src/config/logger.js';
+import JobRunService from '../src/services/jobRunService.js';
+import { LocalSheetsService } from './fixtures/localSheetsService.js';
+
+const users = [{ id: 'u1', sheetId: 'sheet-u1' }, { id: 'u2', sheetId: 'sheet-u2' }];
+const userSheetService = { listUsers: async () => users };
+
+let runForEachUser;
+
+before(async () => {
+  logger.silent = true;
+  // The runner pulls in the Google OAuth strategy, which needs a client ID at import time
+  process.env.GOOGLE_CLIENT_ID ??= 'test-client';
+  process.env.GOOGLE_CLIENT_SECRET ??= 'test-secret';
+  ({ runForEachUser } = await import('../src/jobs/userJobRunner.js'));
+});
+
+describe('runForEachUser', () => {
+  it('records each user run in their own log and retries only the failed users', async () => {
+    const storages = Object.fromEntries(users.map(user => [user.id, new LocalSheetsService([])]));
+    const createStorage = async (user) => storages[user.id];
+    const calls = [];
+    let u2Broken = true;
+    const task = async (user) => {
+      calls.push(user.id);
+      if (user.id === 'u2' && u2Broken) throw new Error('Sheets unavailable');
+      return { count: 1, message: 'done' };
+    };
+    const run = () => runForEachUser({ job: 'fixed-expenses', runKey: '2025-04', task, once: true, userSheetService, createStorage });
+
+    const first = await run();
+    assert.deepEqual([first.succeeded, first.failed, first.skipped], [1, 1, 0]);
+    assert.equal(await new JobRunService(storages.u2).hasSucceeded('fixed-expenses', '2025-04'), false);
+
+    u2Broken = false;
+    const second = await run();
+    assert.deepEqual([second.succeeded, second.failed, second.skipped], [1, 0, 1]);
+    assert.deepEqual(calls, ['u1', 'u2', 'u2']);
+
+    const u1Runs = await new JobRunService(storages.u1).listRuns({ job: 'fixed-expenses' });
+    const u2Runs = await new JobRunService(storages.u2).listRuns({ job: 'fixed-expenses' });
+    assert.deepEqual(u1Runs.map(r => r.status), ['success']);
+    assert.deepEqual(u2Runs.map(r => [r.userId, r.status]), [['u2', 'success'], ['u2', 'failed']]);
+    assert.equal(await new JobRunService(storages.u2).hasSucceeded('fixed-expenses', '2025-04'), true);
+  });
+
+  it('reruns every user when once is not set', async () => {
+    const storage = new LocalSheetsService([]);
+    const calls = [];
+    const task = async (user) => { calls.push(user.id); };
+    const options = { job: 'debt-statements', runKey: '2025-04-10', task, userSheetService, createStorage: async () => storage };
+
+    await runForEachUser(options);
+    await runForEachUser(options);
+
+    assert.deepEqual(calls, ['u1', 'u2', 'u1', 'u2']);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rangeSheetTitle, parseColumnsRead, writtenSheetTitles } from '../src/utils/valuesEndpoint.js';
+
+describe('rangeSheetTitle', () => {
+  it('handles quoted and encoded titles', () => {
+    assert.equal(rangeSheetTitle('Expenses!A:J'), 'Expenses');
+    assert.equal(rangeSheetTitle('\'My Sheet\'!B:B'), 'My Sheet');
+    assert.equal(rangeSheetTitle('My%20Sheet!A1'), 'My Sheet');
+  });
+});
+
+describe('parseColumnsRead', () => {
+  it('accepts whole-sheet and whole-column reads only', () => {
+    assert.deepEqual(parseColumnsRead('/values/Expenses'), { title: 'Expenses', range: '' });
+    assert.deepEqual(parseColumnsRead('/values/My%20Sheet'), { title: 'My Sheet', range: '' });
+    assert.deepEqual(parseColumnsRead('/values/Expenses!A:J'), { title: 'Expenses', range: 'A:J' });
+    assert.equal(parseColumnsRead('/values/Debts!A5:K5'), null);
+    assert.equal(parseColumnsRead('/values/Users!1:1'), null);
+    assert.equal(parseColumnsRead('/values/Expenses!A:J:append?valueInputOption=RAW'), null);
+    assert.equal(parseColumnsRead(''), null);
+  });
+});
+
+describe('writtenSheetTitles', () => {
+  it('reads the sheet from values endpoints', () => {
+    assert.deepEqual(writtenSheetTitles('/values/Expenses!A:J:append?valueInputOption=RAW'), ['Expenses']);
+    assert.deepEqual(writtenSheetTitles('/values/Debts!A5:K5?valueInputOption=RAW'), ['Debts']);
+    assert.deepEqual(writtenSheetTitles('/values/Categories!A3:D3:clear'), ['Categories']);
+  });
+
+  it('collects the ranges of batch writes', () => {
+    const body = JSON.stringify({ data: [{ range: 'Expenses!A2:J2' }, { range: 'Debts!A3:K3' }, { range: 'Expenses!A4:J4' }] });
+    assert.deepEqual(writtenSheetTitles('/values:batchUpdate', body), ['Expenses', 'Debts']);
+    assert.deepEqual(writtenSheetTitles('/values:batchClear', { ranges: ['Budget!A2:D2'] }), ['Budget']);
+  });
+
+  it('returns null when any sheet may change', () => {
+    assert.equal(writtenSheetTitles(':batchUpdate', JSON.stringify({ requests: [] })), null);
+    assert.equal(writtenSheetTitles('/values:batchUpdate', 'not json'), null);
+  });
+});